@@ -0,0 +1,147 @@
+/**
+ * SparrowTrack - Access Control
+ * Role definitions and permission checks for sensitive operations
+ */
+
+class AccessControl {
+    /**
+     * @param {DataManager} dataManager - Data manager used to resolve the actor's stored record
+     * @param {Function} getActorEmail - Returns the email of the user performing the call, or null
+     * @param {MessageCatalog} messageCatalog - Translates denial messages
+     */
+    constructor(dataManager, getActorEmail, messageCatalog = null) {
+        // Browsers load MessageCatalog as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { MessageCatalog: require('./message-catalog') }
+            : window;
+
+        this.dataManager = dataManager;
+        this.messageCatalog = messageCatalog || new deps.MessageCatalog(dataManager);
+        this.getActorEmail = getActorEmail || (() => null);
+        // Set while runAs() acts for a user who identified without a session (kiosk punches)
+        this.actorOverride = null;
+
+        this.ROLES = {
+            EMPLOYEE: 'employee',
+            MANAGER: 'manager',
+            ADMIN: 'admin'
+        };
+
+        this.PERMISSIONS = {
+            READ_ANY_ATTENDANCE: 'attendance:read:any',
+            WRITE_ANY_ATTENDANCE: 'attendance:write:any',
+            APPROVE_LEAVE: 'leave:approve',
+            APPROVE_CORRECTIONS: 'attendance:corrections:approve',
+            VIEW_USERS: 'users:view',
+            MANAGE_USERS: 'users:manage',
+            MANAGE_ROLES: 'users:roles',
+            MANAGE_SETTINGS: 'settings:manage',
+            EXPORT_DATA: 'data:export',
+            IMPORT_DATA: 'data:import',
+            CLEAR_DATA: 'data:clear'
+        };
+
+        const p = this.PERMISSIONS;
+        this.ROLE_PERMISSIONS = {
+            employee: [],
+            manager: [p.READ_ANY_ATTENDANCE, p.APPROVE_LEAVE, p.APPROVE_CORRECTIONS, p.VIEW_USERS],
+            admin: Object.values(p)
+        };
+    }
+
+    /**
+     * Get a user's role, treating records created before roles existed as employees
+     * @param {Object} user - User record
+     * @returns {string} Role name
+     */
+    getRole(user) {
+        return user && this.ROLE_PERMISSIONS[user.role] ? user.role : this.ROLES.EMPLOYEE;
+    }
+
+    /**
+     * Check whether a role name is known
+     * @param {string} role - Role name
+     * @returns {boolean} Is valid role
+     */
+    isValidRole(role) {
+        return Object.values(this.ROLES).includes(role);
+    }
+
+    /**
+     * Resolve the acting user from the user store (the session snapshot is not trusted for roles)
+     * @returns {Object|null} Stored user record
+     */
+    getActor() {
+        const email = this.actorOverride || this.getActorEmail();
+        if (!email) return null;
+
+        const user = this.dataManager.getUsers()[email.toLowerCase()];
+        return user && user.isActive ? user : null;
+    }
+
+    /**
+     * Run a synchronous operation as another user, e.g. an employee identified at a
+     * kiosk by PIN or badge. The caller is responsible for having identified them.
+     * @param {string} email - Email of the user to act as
+     * @param {Function} callback - Operation to run
+     * @returns {*} The callback's return value
+     */
+    runAs(email, callback) {
+        const previous = this.actorOverride;
+        this.actorOverride = email.toLowerCase();
+        try {
+            return callback();
+        } finally {
+            this.actorOverride = previous;
+        }
+    }
+
+    /**
+     * Check whether a user holds a permission
+     * @param {Object} user - User record
+     * @param {string} permission - Permission name
+     * @returns {boolean} Has permission
+     */
+    hasPermission(user, permission) {
+        return this.ROLE_PERMISSIONS[this.getRole(user)].includes(permission);
+    }
+
+    /**
+     * Authorize the current actor for an operation
+     * @param {string} permission - Permission required
+     * @param {string} ownerEmail - Owner of the data (optional); owners may always act on their own data
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize(permission, ownerEmail = null) {
+        const actor = this.getActor();
+
+        if (!actor) {
+            return {
+                success: false,
+                code: 'UNAUTHENTICATED',
+                ...this.messageCatalog.message('auth.login_required')
+            };
+        }
+
+        if (ownerEmail && actor.email === ownerEmail.toLowerCase()) {
+            return null;
+        }
+
+        if (this.hasPermission(actor, permission)) {
+            return null;
+        }
+
+        return {
+            success: false,
+            code: 'FORBIDDEN',
+            ...this.messageCatalog.message('auth.forbidden')
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessControl;
+} else {
+    window.AccessControl = AccessControl;
+}
@@ -0,0 +1,476 @@
+/**
+ * SparrowTrack - Attendance Analytics
+ * Trends, arrival and departure patterns, streaks, punctuality scores and anomalies
+ * worked out from a user's attendance history
+ */
+
+class AttendanceAnalytics {
+    /**
+     * @param {AttendanceHandler} attendanceHandler - Supplies the history being analysed
+     */
+    constructor(attendanceHandler) {
+        this.attendanceHandler = attendanceHandler;
+        this.dataManager = attendanceHandler.dataManager;
+        this.accessControl = attendanceHandler.userHandler.accessControl;
+        this.messageCatalog = attendanceHandler.messageCatalog;
+        this.timeZoneManager = attendanceHandler.timeZoneManager;
+        this.DEFAULT_DAYS = 90;
+        // Longest range analysed at once; every day in it is walked several times
+        this.MAX_DAYS = 366;
+        this.ROLLING_DAYS = 7;
+        this.THRESHOLDS = {
+            // A shift this long is flagged whatever the user's usual hours
+            longShiftHours: 12,
+            // ...as is one this many standard deviations above their average, once
+            // minimumDays worked give a usable average
+            longShiftDeviations: 2,
+            minimumDays: 5,
+            // Forgotten punch outs within the recent window that make a pattern
+            missingPunchOuts: 2,
+            recentDays: 14,
+            // Recent average daily hours below this share of the earlier average
+            hoursDropRatio: 0.6
+        };
+        this.SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+    }
+
+    /**
+     * Authorize a report covering other people's attendance
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize() {
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS.READ_ANY_ATTENDANCE);
+    }
+
+    /**
+     * Resolve the reporting range; the last DEFAULT_DAYS days up to today by default,
+     * and never more than MAX_DAYS
+     * @param {string} startDate - Start date (YYYY-MM-DD, optional)
+     * @param {string} endDate - End date (YYYY-MM-DD, optional)
+     * @param {string} today - Today's date for the user
+     * @returns {Object} {success, startDate, endDate}, or a failure result
+     */
+    getRange(startDate, endDate, today) {
+        const tz = this.timeZoneManager;
+        const end = endDate || today;
+        if (!tz.isValidDate(end) || (startDate && !tz.isValidDate(startDate))) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('analytics.invalid_range')
+            };
+        }
+
+        const start = startDate || tz.addDays(end, 1 - this.DEFAULT_DAYS);
+        if (start > end) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('analytics.invalid_range')
+            };
+        }
+        if (tz.daysBetween(start, end) + 1 > this.MAX_DAYS) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('analytics.range_too_long', { count: this.MAX_DAYS })
+            };
+        }
+        return { success: true, startDate: start, endDate: end };
+    }
+
+    /**
+     * Every date in a range
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Array} Dates (YYYY-MM-DD), oldest first
+     */
+    getDates(startDate, endDate) {
+        const dates = [];
+        for (let date = startDate; date <= endDate; date = this.timeZoneManager.addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    /**
+     * Mean, variance and standard deviation of a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {Object|null} {mean, variance, standardDeviation}, or null without values
+     */
+    getStats(values) {
+        if (values.length === 0) return null;
+        const mean = values.reduce((total, value) => total + value, 0) / values.length;
+        const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / values.length;
+        return { mean, variance, standardDeviation: Math.sqrt(variance) };
+    }
+
+    /**
+     * Format minutes from the start of a business date as a wall-clock time
+     * @param {number} minutes - Minutes (may run past midnight)
+     * @returns {string} Time (HH:MM)
+     */
+    formatMinutes(minutes) {
+        const wrapped = ((Math.round(minutes) % (24 * 60)) + 24 * 60) % (24 * 60);
+        return [Math.floor(wrapped / 60), wrapped % 60].map(value => String(value).padStart(2, '0')).join(':');
+    }
+
+    /**
+     * Minutes into the business date of a day's first punch in and last punch out
+     * @param {Object} entry - History entry
+     * @returns {Object} {arrival, departure}; departure is null while the last interval is open
+     */
+    getArrivalAndDeparture(entry) {
+        const handler = this.attendanceHandler;
+        const first = entry.intervals[0];
+        const last = entry.intervals[entry.intervals.length - 1];
+        const arrival = handler.getMinutesIntoDay(first.punchIn, first.punchInTimestamp, entry.date, entry.timeZone);
+        if (!last.punchOut) return { arrival, departure: null };
+
+        let departure = handler.getMinutesIntoDay(last.punchOut, last.punchOutTimestamp, entry.date, entry.timeZone);
+        if (!last.punchOutTimestamp && departure < arrival) departure += 24 * 60;
+        return { arrival, departure };
+    }
+
+    /**
+     * Summarise punch times as an average time of day and its spread
+     * @param {Array} minutes - Minutes into the business date
+     * @returns {Object|null} {average, averageMinutes, varianceMinutes, standardDeviationMinutes}
+     */
+    summarizeTimes(minutes) {
+        const stats = this.getStats(minutes);
+        if (!stats) return null;
+        return {
+            average: this.formatMinutes(stats.mean),
+            averageMinutes: Math.round(stats.mean),
+            varianceMinutes: Math.round(stats.variance),
+            standardDeviationMinutes: Math.round(stats.standardDeviation)
+        };
+    }
+
+    /**
+     * Add the hours a span covers to a weekday-by-hour grid, in the record's time zone.
+     * Pass a negative sign to take a break back out.
+     * @param {Array} grid - 7 rows (Sunday first) of 24 hourly totals
+     * @param {Date} start - Span start
+     * @param {Date} end - Span end
+     * @param {string} timeZone - Time zone the hours are read in
+     * @param {number} sign - 1 to add, -1 to subtract
+     */
+    addToGrid(grid, start, end, timeZone, sign = 1) {
+        let cursor = start.getTime();
+        while (cursor < end.getTime()) {
+            const parts = this.timeZoneManager.getParts(new Date(cursor), timeZone);
+            const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+            const intoHour = (parts.minute * 60 + parts.second) * 1000 + cursor % 1000;
+            const next = Math.min(cursor - intoHour + 60 * 60 * 1000, end.getTime());
+            grid[weekday][parts.hour] += sign * (next - cursor) / (60 * 60 * 1000);
+            cursor = next;
+        }
+    }
+
+    /**
+     * Weekday-by-hour heatmap of the hours worked, averaged over the weeks in the range,
+     * with per-weekday totals. Open intervals are left out until they are punched out.
+     * @param {Array} entries - History entries with attendance
+     * @param {Array} dates - Every date in the range
+     * @returns {Object} {days: [{day, label, hours, daysWorked, averageHours, lateArrivals}], max}
+     */
+    getHeatmap(entries, dates) {
+        const handler = this.attendanceHandler;
+        const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+        const occurrences = new Array(7).fill(0);
+        dates.forEach(date => occurrences[new Date(`${date}T00:00:00Z`).getUTCDay()]++);
+        const days = Array.from({ length: 7 }, (value, day) => ({
+            day: day,
+            // 7 January 2024 was a Sunday
+            label: new Date(Date.UTC(2024, 0, 7 + day)).toLocaleDateString(
+                this.messageCatalog.getLocale(), { weekday: 'short', timeZone: 'UTC' }),
+            hours: [],
+            daysWorked: 0,
+            averageHours: 0,
+            lateArrivals: 0
+        }));
+
+        entries.forEach(entry => {
+            const day = days[new Date(`${entry.date}T00:00:00Z`).getUTCDay()];
+            day.daysWorked++;
+            day.averageHours += entry.workingHours;
+            if (entry.lateArrival) day.lateArrivals++;
+
+            const toInstant = (time, timestamp) => (timestamp
+                ? new Date(timestamp)
+                : this.timeZoneManager.toInstant(entry.date, time, entry.timeZone));
+            entry.intervals.forEach(interval => {
+                if (!interval.punchOut) return;
+                const start = handler.getIntervalStart(interval, entry.date, entry.timeZone);
+                let end = toInstant(interval.punchOut, interval.punchOutTimestamp);
+                if (end <= start) end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+                this.addToGrid(grid, start, end, entry.timeZone);
+            });
+            entry.breaks.forEach(breakItem => {
+                if (!breakItem.end) return;
+                const start = toInstant(breakItem.start, breakItem.startTimestamp);
+                let end = toInstant(breakItem.end, breakItem.endTimestamp);
+                if (end <= start) end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+                this.addToGrid(grid, start, end, entry.timeZone, -1);
+            });
+        });
+
+        let max = 0;
+        days.forEach(day => {
+            day.averageHours = day.daysWorked > 0 ? day.averageHours / day.daysWorked : 0;
+            day.hours = grid[day.day].map(hours => {
+                const average = occurrences[day.day] > 0 ? Math.max(0, hours) / occurrences[day.day] : 0;
+                max = Math.max(max, average);
+                return Math.round(average * 100) / 100;
+            });
+        });
+        return { days, max: Math.round(max * 100) / 100 };
+    }
+
+    /**
+     * Build an anomaly with its translated description
+     * @param {string} type - Anomaly type
+     * @param {string} severity - 'high', 'medium' or 'low'
+     * @param {Object} details - Dates and figures behind the anomaly
+     * @param {Object} params - Message placeholder values
+     * @returns {Object} Anomaly
+     */
+    createAnomaly(type, severity, details, params) {
+        return {
+            type: type,
+            severity: severity,
+            ...details,
+            ...this.messageCatalog.message(`analytics.${type}`, params)
+        };
+    }
+
+    /**
+     * Flag patterns worth a manager's attention: unusually long shifts, repeated
+     * forgotten punch outs and a sudden drop in hours
+     * @param {Object} context - {entries, days, schedule, stats, endDate, today}
+     * @returns {Array} Anomalies, most severe first
+     */
+    getAnomalies(context) {
+        const handler = this.attendanceHandler;
+        const limits = this.THRESHOLDS;
+        const { entries, days, schedule, stats, endDate, today } = context;
+        const anomalies = [];
+
+        entries.forEach(entry => {
+            const hours = entry.workingHours;
+            const unusual = stats && entries.length >= limits.minimumDays &&
+                hours > stats.mean + limits.longShiftDeviations * stats.standardDeviation;
+            if (hours >= limits.longShiftHours || (unusual && hours > schedule.requiredHours)) {
+                anomalies.push(this.createAnomaly('long_shift', hours >= limits.longShiftHours ? 'high' : 'medium',
+                    { date: entry.date, hours: Math.round(hours * 100) / 100 },
+                    { date: entry.date, hours: handler.formatHours(hours) }));
+            }
+        });
+
+        // A shift still open past maxShiftHours was forgotten as surely as one the policy closed
+        const recentStart = this.timeZoneManager.addDays(endDate, 1 - limits.recentDays);
+        const maxShiftMs = handler.getAttendanceSettings().maxShiftHours * 60 * 60 * 1000;
+        const forgotten = entries.filter(entry => {
+            if (entry.date < recentStart) return false;
+            if (entry.autoClosed) return true;
+            const open = entry.intervals.find(interval => !interval.punchOut);
+            return !!open && Date.now() - handler.getIntervalStart(open, entry.date, entry.timeZone).getTime() > maxShiftMs;
+        });
+        if (forgotten.length >= limits.missingPunchOuts) {
+            anomalies.push(this.createAnomaly('missing_punch_outs', 'medium',
+                { dates: forgotten.map(entry => entry.date) },
+                { count: forgotten.length, days: limits.recentDays }));
+        }
+
+        // Today is still under way, so it counts toward neither average
+        const counted = days.filter(day => day.date < today && (day.expected || day.hours > 0));
+        const recent = counted.filter(day => day.date >= recentStart);
+        const earlier = counted.filter(day => day.date < recentStart);
+        if (recent.length > 0 && earlier.length >= limits.minimumDays) {
+            const average = list => list.reduce((total, day) => total + day.hours, 0) / list.length;
+            const recentAverage = average(recent);
+            const earlierAverage = average(earlier);
+            if (earlierAverage >= 1 && recentAverage < earlierAverage * limits.hoursDropRatio) {
+                const drop = Math.round((1 - recentAverage / earlierAverage) * 100);
+                anomalies.push(this.createAnomaly('hours_drop', drop >= 60 ? 'high' : 'medium',
+                    {
+                        since: recentStart,
+                        recentAverageHours: Math.round(recentAverage * 100) / 100,
+                        earlierAverageHours: Math.round(earlierAverage * 100) / 100,
+                        dropPercent: drop
+                    },
+                    {
+                        percent: drop,
+                        days: limits.recentDays,
+                        recent: handler.formatHours(recentAverage),
+                        earlier: handler.formatHours(earlierAverage)
+                    }));
+            }
+        }
+
+        return anomalies.sort((a, b) => this.SEVERITY_ORDER[a.severity] - this.SEVERITY_ORDER[b.severity] ||
+            (b.date || b.since || '').localeCompare(a.date || a.since || ''));
+    }
+
+    /**
+     * Analyse a user's attendance over a range
+     * @param {string} userEmail - User email
+     * @param {Object} range - {startDate, endDate} (optional; the last DEFAULT_DAYS days by default)
+     * @returns {Object} Analytics ({trend, arrival, departure, streaks, punctuality, heatmap, anomalies}),
+     *     or a failure or denial result
+     */
+    getUserAnalytics(userEmail, range = {}) {
+        const handler = this.attendanceHandler;
+        const email = (userEmail || '').toLowerCase();
+        const today = handler.getToday(email);
+        const resolved = this.getRange(range.startDate, range.endDate, today);
+        if (!resolved.success) return resolved;
+        const { startDate, endDate } = resolved;
+
+        const history = handler.getAttendanceHistory(email, startDate, endDate);
+        if (!Array.isArray(history)) return history;
+
+        const schedule = handler.scheduleManager.getScheduleForUser(email);
+        const byDate = {};
+        history.forEach(entry => {
+            byDate[entry.date] = entry;
+        });
+        const dates = this.getDates(startDate, endDate);
+        const entries = history.filter(entry => entry.intervals.length > 0).sort((a, b) => a.date.localeCompare(b.date));
+
+        // Days the user was expected in: scheduled working days that are not holidays or leave,
+        // from when they joined (or first punched in, for attendance imported from before then)
+        const user = this.dataManager.getUsers()[email] || {};
+        const joined = user.registrationDate
+            ? handler.getCurrentDate(new Date(user.registrationDate), handler.getTimeZone(email))
+            : startDate;
+        const startedOn = entries.length > 0 && entries[0].date < joined ? entries[0].date : joined;
+        const days = dates.map(date => {
+            const entry = byDate[date];
+            return {
+                date: date,
+                hours: entry ? entry.workingHours : 0,
+                worked: !!entry && entry.intervals.length > 0,
+                expected: date >= startedOn && handler.scheduleManager.isWorkingDay(schedule, date) &&
+                    !(entry && (entry.holiday || entry.leaveType)),
+                entry: entry || null
+            };
+        });
+
+        // Rolling average over the trailing window, counting only days the user worked or was expected in
+        const trend = days.map((day, index) => {
+            const window = days.slice(Math.max(0, index + 1 - this.ROLLING_DAYS), index + 1)
+                .filter(item => item.expected || item.worked);
+            const total = window.reduce((sum, item) => sum + item.hours, 0);
+            return {
+                date: day.date,
+                hours: Math.round(day.hours * 100) / 100,
+                rollingAverage: window.length > 0 ? Math.round((total / window.length) * 100) / 100 : 0
+            };
+        });
+
+        const times = entries.map(entry => this.getArrivalAndDeparture(entry));
+        const hoursStats = this.getStats(entries.map(entry => entry.workingHours));
+
+        // A working day without attendance ends a streak, unless it is today (still under way) or later
+        const streaks = {
+            attendance: { current: 0, longest: 0 },
+            onTime: { current: 0, longest: 0 }
+        };
+        const extend = (streak, kept) => {
+            streak.current = kept ? streak.current + 1 : 0;
+            streak.longest = Math.max(streak.longest, streak.current);
+        };
+        days.forEach(day => {
+            if (day.worked) {
+                extend(streaks.attendance, true);
+                if (day.expected) extend(streaks.onTime, !day.entry.lateArrival);
+            } else if (day.expected && day.date < today) {
+                extend(streaks.attendance, false);
+                extend(streaks.onTime, false);
+            }
+        });
+
+        // Each scheduled day worked scores a point, less half for a late arrival and half for leaving early
+        const scheduled = days.filter(day => day.expected && day.worked).map(day => day.entry);
+        const lateDays = scheduled.filter(entry => entry.lateArrival);
+        const points = scheduled.reduce((total, entry) =>
+            total + 1 - (entry.lateArrival ? 0.5 : 0) - (entry.earlyDeparture ? 0.5 : 0), 0);
+        const expectedSoFar = days.filter(day => day.expected && day.date < today).length;
+
+        return {
+            success: true,
+            email: email,
+            startDate: startDate,
+            endDate: endDate,
+            scheduleId: schedule.id,
+            daysWorked: entries.length,
+            totalHours: Math.round(entries.reduce((total, entry) => total + entry.workingHours, 0) * 100) / 100,
+            averageHours: hoursStats ? Math.round(hoursStats.mean * 100) / 100 : 0,
+            formattedAverageHours: handler.formatHours(hoursStats ? hoursStats.mean : 0),
+            attendanceRate: expectedSoFar > 0
+                ? Math.round((days.filter(day => day.expected && day.worked && day.date < today).length / expectedSoFar) * 100)
+                : null,
+            trend: trend,
+            arrival: this.summarizeTimes(times.map(time => time.arrival)),
+            departure: this.summarizeTimes(times.filter(time => time.departure !== null).map(time => time.departure)),
+            streaks: streaks,
+            punctuality: {
+                score: scheduled.length > 0 ? Math.round((points / scheduled.length) * 100) : null,
+                scheduledDays: scheduled.length,
+                onTimeArrivals: scheduled.length - lateDays.length,
+                lateArrivals: lateDays.length,
+                earlyDepartures: scheduled.filter(entry => entry.earlyDeparture).length,
+                averageMinutesLate: lateDays.length > 0
+                    ? Math.round(lateDays.reduce((total, entry) => total + entry.minutesLate, 0) / lateDays.length)
+                    : 0
+            },
+            heatmap: this.getHeatmap(entries, dates),
+            anomalies: this.getAnomalies({ entries, days, schedule, stats: hoursStats, endDate, today })
+        };
+    }
+
+    /**
+     * Anomalies across a team, for managers watching for burnout or problems early
+     * @param {Object} scope - {department, managerEmail} (optional)
+     * @param {Object} range - {startDate, endDate} (optional; the last DEFAULT_DAYS days by default)
+     * @returns {Object} {success, startDate, endDate, people: [{email, name, department, punctualityScore, anomalies}]},
+     *     people with anomalies only, most affected first; or a failure or denial result
+     */
+    getTeamAnomalies(scope = {}, range = {}) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const resolved = this.getRange(range.startDate, range.endDate, this.attendanceHandler.getCurrentDate());
+        if (!resolved.success) return resolved;
+
+        const people = [];
+        for (const user of this.attendanceHandler.teamReports.getMembers(scope)) {
+            const analytics = this.getUserAnalytics(user.email, resolved);
+            if (!analytics.success) return analytics;
+            if (analytics.anomalies.length === 0) continue;
+            people.push({
+                email: user.email,
+                name: user.name,
+                department: user.department || '',
+                punctualityScore: analytics.punctuality.score,
+                anomalies: analytics.anomalies
+            });
+        }
+
+        const weight = person => person.anomalies.filter(anomaly => anomaly.severity === 'high').length * 10 +
+            person.anomalies.length;
+        return {
+            success: true,
+            startDate: resolved.startDate,
+            endDate: resolved.endDate,
+            people: people.sort((a, b) => weight(b) - weight(a) || a.name.localeCompare(b.name))
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttendanceAnalytics;
+} else {
+    window.AttendanceAnalytics = AttendanceAnalytics;
+}
@@ -5,68 +5,218 @@
 
 class AttendanceHandler {
     constructor(dataManager, userHandler) {
-        this.dataManager = dataManager || new DataManager();
-        this.userHandler = userHandler || new UserHandler();
+        // Browsers load these as globals via <script> tags; Node resolves the sibling modules
+        const deps = typeof module !== 'undefined' && module.exports
+            ? {
+                DataManager: require('./data-manager'),
+                UserHandler: require('./user-handler'),
+                ScheduleManager: require('./schedule-manager'),
+                TimeZoneManager: require('./time-zone-manager'),
+                LocationPolicy: require('./location-policy'),
+                HolidayCalendar: require('./holiday-calendar'),
+                LeaveManager: require('./leave-manager'),
+                AuditLog: require('./audit-log'),
+                CorrectionManager: require('./correction-manager'),
+                TeamReports: require('./team-reports'),
+                AttendanceAnalytics: require('./attendance-analytics'),
+                ExportManager: require('./export-manager'),
+                ImportManager: require('./import-manager'),
+                DatasetMerger: require('./dataset-merger'),
+                KioskManager: require('./kiosk-manager')
+            }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.userHandler = userHandler || new deps.UserHandler(this.dataManager);
+        this.messageCatalog = this.userHandler.messageCatalog;
+        this.scheduleManager = new deps.ScheduleManager(this.dataManager, this.userHandler.accessControl);
+        this.timeZoneManager = new deps.TimeZoneManager(this.dataManager, this.userHandler.accessControl);
+        this.locationPolicy = new deps.LocationPolicy(this.dataManager, this.userHandler.accessControl);
+        this.holidayCalendar = new deps.HolidayCalendar(this.dataManager, this.userHandler.accessControl);
+        this.leaveManager = new deps.LeaveManager(
+            this.dataManager, this.userHandler.accessControl, this.scheduleManager, this.holidayCalendar, this.timeZoneManager);
+        this.auditLog = new deps.AuditLog(this.dataManager, this.userHandler.accessControl);
+        this.correctionManager = new deps.CorrectionManager(this.dataManager, this.userHandler.accessControl, this);
+        this.teamReports = new deps.TeamReports(this);
+        this.attendanceAnalytics = new deps.AttendanceAnalytics(this);
+        this.exportManager = new deps.ExportManager(this);
+        this.importManager = new deps.ImportManager(this);
+        this.datasetMerger = new deps.DatasetMerger(this);
+        this.kioskManager = new deps.KioskManager(this);
+        this.userHandler.addLoginHook(email => this.resolveForgottenPunchOuts(email));
+        this.BREAK_TYPES = ['lunch', 'personal', 'meeting'];
+        this.DEFAULT_SETTINGS = {
+            // An open shift older than this is no longer treated as in progress
+            maxShiftHours: 16,
+            // What to do with such a shift: 'schedule_end' closes it at the scheduled end time,
+            // 'cap' closes it after forgottenPunchOutCapHours, 'flag' leaves it open for review
+            forgottenPunchOutPolicy: 'flag',
+            forgottenPunchOutCapHours: 8,
+            // Punches replayed from an offline queue keep their own time only if made within this
+            // many hours; older ones become correction requests for a manager to approve
+            maxReplayAgeHours: 24
+        };
+        this.FORGOTTEN_PUNCH_OUT_POLICIES = ['schedule_end', 'cap', 'flag'];
+        // Clock difference allowed between a device replaying punches and this host
+        this.CLOCK_SKEW_MS = 60 * 1000;
+        // Columns shared by the attendance and payroll CSV exports
+        this.CSV_COLUMNS = ['Date', 'Day', 'Punch In', 'Punch Out', 'Working Hours', 'Break Time', 'Status', 'Notes', 'Location'];
+        this.PAY_PERIODS = ['weekly', 'bi-weekly', 'semi-monthly', 'monthly'];
+        this.DEFAULT_PAYROLL_SETTINGS = {
+            payPeriod: 'monthly',
+            // First day of any weekly or bi-weekly period; later periods follow every 7 or 14 days
+            periodAnchor: '2024-01-01',
+            // Workweek used for the weekly overtime threshold (0 = Sunday, 1 = Monday)
+            weekStartsOn: 1,
+            // Thresholds in hours; 0 disables that rule
+            dailyOvertimeHours: 8,
+            weeklyOvertimeHours: 40,
+            overtimeMultiplier: 1.5,
+            holidayMultiplier: 2,
+            paidLeaveTypes: ['vacation', 'sick']
+        };
+    }
+
+    /**
+     * Authorize access to a user's attendance; users may always access their own
+     * @param {string} userEmail - Owner of the attendance data
+     * @param {string} permission - Permission key required for other users' data
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize(userEmail, permission) {
+        const accessControl = this.userHandler.accessControl;
+        return accessControl.authorize(accessControl.PERMISSIONS[permission], userEmail);
     }
 
     /**
      * Get current date as string
+     * @param {Date} at - Moment to use instead of now (optional)
+     * @param {string} timeZone - Time zone the date is taken in (optional, defaults to the site's)
      * @returns {string} Date string (YYYY-MM-DD)
      */
-    getCurrentDate() {
-        return new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD format
+    getCurrentDate(at = new Date(), timeZone = null) {
+        return this.timeZoneManager.getDate(at, timeZone);
     }
 
     /**
      * Get current time as string
+     * @param {Date} at - Moment to use instead of now (optional)
+     * @param {string} timeZone - Time zone the time is taken in (optional, defaults to the site's)
      * @returns {string} Time string (HH:MM:SS)
      */
-    getCurrentTime() {
-        return new Date().toLocaleTimeString('en-US', { hour12: false });
+    getCurrentTime(at = new Date(), timeZone = null) {
+        return this.timeZoneManager.getTime(at, timeZone);
     }
 
     /**
-     * Get formatted date display
+     * Time zone a user's attendance is kept in
+     * @param {string} userEmail - User email
+     * @returns {string} IANA time zone name
+     */
+    getTimeZone(userEmail) {
+        return this.timeZoneManager.getTimeZoneForUser(userEmail);
+    }
+
+    /**
+     * Today's date for a user, in their time zone
+     * @param {string} userEmail - User email
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    getToday(userEmail) {
+        return this.getCurrentDate(new Date(), this.getTimeZone(userEmail));
+    }
+
+    /**
+     * Time zone a record's wall-clock times are in. Records made before time zones
+     * were configurable carry none and were kept in the site's zone.
+     * @param {Object} record - Attendance record
+     * @param {string} userEmail - Owner of the record (optional)
+     * @returns {string} IANA time zone name
+     */
+    getRecordTimeZone(record, userEmail = null) {
+        if (record && record.timeZone) return record.timeZone;
+        return userEmail ? this.getTimeZone(userEmail) : this.timeZoneManager.getSiteTimeZone();
+    }
+
+    /**
+     * Get formatted date display in the app's language
      * @param {string} dateStr - Date string
      * @returns {string} Formatted date
      */
     getFormattedDate(dateStr) {
-        return new Date(dateStr).toLocaleDateString('en-US', {
+        // A calendar date has no time zone; formatting it in UTC keeps the day from shifting
+        return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString(this.messageCatalog.getLocale(), {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
-            day: 'numeric'
+            day: 'numeric',
+            timeZone: 'UTC'
         });
     }
 
     /**
-     * Calculate time difference in hours
+     * Format a punch for display in the viewer's language, in the record's time zone
+     * @param {Object} record - Attendance record
+     * @param {string} timestamp - ISO timestamp of the punch (optional, preferred)
+     * @param {string} time - Stored wall-clock time (HH:MM:SS), used without a timestamp
+     * @param {string} locale - BCP 47 locale (optional, defaults to the app's language)
+     * @returns {string} Formatted time
+     */
+    formatPunchTime(record, timestamp, time, locale = this.messageCatalog.getLocale()) {
+        if (!timestamp) return time || '';
+        return this.timeZoneManager.format(timestamp, this.getRecordTimeZone(record), null, locale);
+    }
+
+    /**
+     * Calculate time difference in hours between two wall-clock times.
+     * Only used for records without timestamps; an end earlier than the start
+     * is taken to be on the next day (cross-midnight shift).
      * @param {string} startTime - Start time (HH:MM:SS)
      * @param {string} endTime - End time (HH:MM:SS)
      * @returns {number} Hours difference
      */
     calculateHours(startTime, endTime) {
-        const start = new Date(`2000-01-01 ${startTime}`);
-        const end = new Date(`2000-01-01 ${endTime}`);
-        return Math.max(0, (end - start) / (1000 * 60 * 60));
+        const start = new Date(`2000-01-01T${startTime}Z`);
+        const end = new Date(`2000-01-01T${endTime}Z`);
+        const hours = (end - start) / (1000 * 60 * 60);
+        return hours < 0 ? hours + 24 : hours;
     }
 
     /**
-     * Format hours to readable string
+     * Calculate elapsed hours between two instants. Works on absolute time,
+     * so shifts across midnight and DST changes get their real duration.
+     * @param {string|Date} startTimestamp - Start ISO timestamp
+     * @param {string|Date} endTimestamp - End ISO timestamp
+     * @returns {number} Hours difference
+     */
+    calculateDuration(startTimestamp, endTimestamp) {
+        return Math.max(0, (new Date(endTimestamp) - new Date(startTimestamp)) / (1000 * 60 * 60));
+    }
+
+    /**
+     * Get attendance settings, falling back to defaults
+     * @returns {Object} Attendance settings ({maxShiftHours})
+     */
+    getAttendanceSettings() {
+        return { ...this.DEFAULT_SETTINGS, ...(this.dataManager.getSettings().attendance || {}) };
+    }
+
+    /**
+     * Get payroll settings (pay period, overtime thresholds and multipliers)
+     * @returns {Object} Payroll settings
+     */
+    getPayrollSettings() {
+        return { ...this.DEFAULT_PAYROLL_SETTINGS, ...(this.dataManager.getSettings().payroll || {}) };
+    }
+
+    /**
+     * Format hours to readable string in the app's language
      * @param {number} hours - Hours as decimal
+     * @param {string} language - Language code (optional, defaults to the chosen language)
      * @returns {string} Formatted hours (H hours M minutes)
      */
-    formatHours(hours) {
-        const wholeHours = Math.floor(hours);
-        const minutes = Math.round((hours - wholeHours) * 60);
-        
-        if (wholeHours === 0) {
-            return `${minutes} minutes`;
-        } else if (minutes === 0) {
-            return `${wholeHours} ${wholeHours === 1 ? 'hour' : 'hours'}`;
-        } else {
-            return `${wholeHours}h ${minutes}m`;
-        }
+    formatHours(hours, language = null) {
+        return this.messageCatalog.formatDuration(hours, language);
     }
 
     /**
@@ -76,8 +226,11 @@ class AttendanceHandler {
      * @returns {Object|null} Attendance record
      */
     getAttendanceRecord(userEmail, date = null) {
+        const denied = this.authorize(userEmail, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
+
         if (!date) {
-            date = this.getCurrentDate();
+            date = this.getToday(userEmail);
         }
         
         const records = this.dataManager.getAttendanceRecords();
@@ -86,178 +239,978 @@ class AttendanceHandler {
         return userRecords ? userRecords[date] : null;
     }
 
+    /**
+     * Notes of a record for display: the user's notes followed by a note for each
+     * punch out the forgotten punch-out policy set, in the current language
+     * @param {Object} record - Attendance record
+     * @returns {string} Notes
+     */
+    getRecordNotes(record) {
+        const notes = record.notes ? [record.notes] : [];
+        this.getIntervals(record).forEach(interval => {
+            if (!interval.autoClosedBy) return;
+            notes.push(this.messageCatalog.translate(`attendance.auto_punch_out_note.${interval.autoClosedBy}`, { time: interval.punchOut }));
+        });
+        return notes.join('; ');
+    }
+
+    /**
+     * Get the work intervals of a record. Records written before multiple
+     * punches were supported only carry top-level punchIn/punchOut.
+     * @param {Object} record - Attendance record
+     * @returns {Array} Work intervals ({punchIn, punchInTimestamp, punchOut, punchOutTimestamp})
+     */
+    getIntervals(record) {
+        if (!record) return [];
+        if (Array.isArray(record.intervals)) return record.intervals;
+        if (!record.punchIn) return [];
+
+        return [{
+            punchIn: record.punchIn,
+            punchInTimestamp: record.punchInTimestamp || null,
+            punchOut: record.punchOut || null,
+            punchOutTimestamp: record.punchOutTimestamp || null
+        }];
+    }
+
+    /**
+     * Get the breaks of a record
+     * @param {Object} record - Attendance record
+     * @returns {Array} Breaks ({type, start, startTimestamp, end, endTimestamp})
+     */
+    getBreaks(record) {
+        return record && Array.isArray(record.breaks) ? record.breaks : [];
+    }
+
+    /**
+     * Get the interval still waiting for a punch out
+     * @param {Object} record - Attendance record
+     * @returns {Object|null} Open interval
+     */
+    getOpenInterval(record) {
+        return this.getIntervals(record).find(interval => !interval.punchOut) || null;
+    }
+
+    /**
+     * Get the break still in progress
+     * @param {Object} record - Attendance record
+     * @returns {Object|null} Open break
+     */
+    getOpenBreak(record) {
+        return this.getBreaks(record).find(breakItem => !breakItem.end) || null;
+    }
+
+    /**
+     * Duration of a span in hours, from timestamps when available, else time strings
+     * @param {string} startTime - Start time (HH:MM:SS)
+     * @param {string} startTimestamp - Start ISO timestamp (optional)
+     * @param {string} endTime - End time (HH:MM:SS), or null if still open
+     * @param {string} endTimestamp - End ISO timestamp (optional)
+     * @param {Date} now - Used as the end of an open span (optional; open spans count 0 without it)
+     * @returns {number} Hours
+     */
+    getSpanHours(startTime, startTimestamp, endTime, endTimestamp, now = null) {
+        if (!endTime && !now) return 0;
+
+        if (startTimestamp && (endTimestamp || !endTime)) {
+            return this.calculateDuration(startTimestamp, endTime ? endTimestamp : now);
+        }
+        return this.calculateHours(startTime, endTime || this.getCurrentTime(now));
+    }
+
+    /**
+     * Calculate net worked hours (work intervals minus breaks) for a record
+     * @param {Object} record - Attendance record
+     * @param {Date} now - Count open intervals/breaks up to this time (optional)
+     * @returns {Object} {workingHours, breakHours}
+     */
+    calculateRecordHours(record, now = null) {
+        const grossHours = this.getIntervals(record).reduce((total, interval) =>
+            total + this.getSpanHours(interval.punchIn, interval.punchInTimestamp, interval.punchOut, interval.punchOutTimestamp, now), 0);
+        const breakHours = this.getBreaks(record).reduce((total, breakItem) =>
+            total + this.getSpanHours(breakItem.start, breakItem.startTimestamp, breakItem.end, breakItem.endTimestamp, now), 0);
+
+        return {
+            workingHours: Math.max(0, grossHours - breakHours),
+            breakHours: breakHours
+        };
+    }
+
+    /**
+     * Recompute a record's derived fields after its intervals or breaks change.
+     * Top-level punchIn/punchOut keep reflecting the first punch in and last punch out.
+     * @param {Object} record - Attendance record (modified in place)
+     * @returns {Object} The record
+     */
+    refreshRecord(record) {
+        const intervals = this.getIntervals(record);
+        const first = intervals[0];
+        const last = intervals[intervals.length - 1];
+        const isOpen = this.getOpenInterval(record) !== null;
+        const hours = this.calculateRecordHours(record);
+
+        record.intervals = intervals;
+        record.breaks = this.getBreaks(record);
+        record.punchIn = first ? first.punchIn : null;
+        record.punchInTimestamp = first ? first.punchInTimestamp : null;
+        record.punchOut = last && !isOpen ? last.punchOut : null;
+        record.punchOutTimestamp = last && !isOpen ? last.punchOutTimestamp : null;
+        record.workingHours = hours.workingHours;
+        record.breakHours = hours.breakHours;
+        record.lastUpdated = new Date().toISOString();
+        return record;
+    }
+
+    /**
+     * Create an empty record for a business date
+     * @param {string} date - Business date (YYYY-MM-DD)
+     * @param {string} timeZone - Time zone of the record's wall-clock times (optional)
+     * @returns {Object} Attendance record
+     */
+    createRecord(date, timeZone = null) {
+        return {
+            date: date,
+            timeZone: timeZone || this.timeZoneManager.getSiteTimeZone(),
+            punchIn: null,
+            punchInTimestamp: null,
+            punchOut: null,
+            punchOutTimestamp: null,
+            workingHours: 0,
+            notes: ''
+        };
+    }
+
+    /**
+     * Copy a record for the audit log before it is changed
+     * @param {Object|null} record - Attendance record
+     * @returns {Object|null} Detached copy
+     */
+    snapshotRecord(record) {
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    /**
+     * Save attendance records after one record changed, and audit the change
+     * @param {Object} records - All attendance records, including the change
+     * @param {string} userEmail - Owner of the changed record
+     * @param {string} date - Business date of the changed record
+     * @param {Object|null} before - Snapshot of the record before the change
+     * @param {string} action - Audit action (e.g. punch_in)
+     * @param {Object} details - Extra audit context (optional)
+     * @returns {boolean} Success status
+     */
+    saveRecord(records, userEmail, date, before, action, details = null) {
+        if (!this.dataManager.setAttendanceRecords(records)) return false;
+        this.auditLog.record(action, userEmail, date, before, records[userEmail][date], details);
+        return true;
+    }
+
+    /**
+     * Get the start instant of a work interval
+     * @param {Object} interval - Work interval
+     * @param {string} date - Business date of the record (YYYY-MM-DD)
+     * @param {string} timeZone - Time zone of the record, for intervals without timestamps (optional)
+     * @returns {Date} Interval start
+     */
+    getIntervalStart(interval, date, timeZone = null) {
+        return interval.punchInTimestamp
+            ? new Date(interval.punchInTimestamp)
+            : this.timeZoneManager.toInstant(date, interval.punchIn, timeZone);
+    }
+
+    /**
+     * Find the work interval that spans a moment; an open interval runs on indefinitely
+     * @param {Object} record - Attendance record
+     * @param {string} date - Business date of the record (YYYY-MM-DD)
+     * @param {Date} at - Moment to look for
+     * @returns {Object|null} Interval containing the moment
+     */
+    getIntervalAt(record, date, at) {
+        return this.getIntervals(record).find(interval => {
+            const start = this.getIntervalStart(interval, date, this.getRecordTimeZone(record)).getTime();
+            const end = interval.punchOut
+                ? (interval.punchOutTimestamp
+                    ? new Date(interval.punchOutTimestamp)
+                    : this.timeZoneManager.toInstant(date, interval.punchOut, this.getRecordTimeZone(record))).getTime()
+                : Infinity;
+            return start <= at.getTime() && at.getTime() <= end;
+        }) || null;
+    }
+
+    /**
+     * Resolve the moment a punch happened. Punches recorded offline are replayed later
+     * with their original timestamp; anything else happens now.
+     * @param {string} timestamp - ISO timestamp of the original punch (optional)
+     * @returns {Date|null} Punch time, or null if the timestamp is invalid or in the future
+     */
+    getPunchTime(timestamp) {
+        if (!timestamp) return new Date();
+
+        const at = new Date(timestamp);
+        if (isNaN(at.getTime()) || at.getTime() > Date.now() + this.CLOCK_SKEW_MS) return null;
+        return at;
+    }
+
+    /**
+     * Find a punch already received under a client punch ID (an offline queue sending it again)
+     * @param {Object} userRecords - The user's records keyed by date
+     * @param {string} action - 'punch_in' or 'punch_out'
+     * @param {string} punchId - Client punch ID (optional)
+     * @returns {Object|null} {date, timestamp} of the recorded punch
+     */
+    findReceivedPunch(userRecords, action, punchId) {
+        if (!punchId) return null;
+        const idField = action === 'punch_in' ? 'punchInId' : 'punchOutId';
+        const timestampField = action === 'punch_in' ? 'punchInTimestamp' : 'punchOutTimestamp';
+        for (const date of Object.keys(userRecords || {})) {
+            const interval = this.getIntervals(userRecords[date]).find(item => item[idField] === punchId);
+            if (interval) return { date: date, timestamp: interval[timestampField] };
+        }
+        return null;
+    }
+
+    /**
+     * Time of the latest punch in or out a user has on record
+     * @param {Object} userRecords - The user's records keyed by date
+     * @returns {number|null} Milliseconds, or null without any timestamped punch
+     */
+    getLastPunchTime(userRecords) {
+        let latest = null;
+        Object.values(userRecords || {}).forEach(record => {
+            this.getIntervals(record).forEach(interval => {
+                [interval.punchInTimestamp, interval.punchOutTimestamp].forEach(timestamp => {
+                    const time = timestamp ? Date.parse(timestamp) : NaN;
+                    if (!isNaN(time) && (latest === null || time > latest)) latest = time;
+                });
+            });
+        });
+        return latest;
+    }
+
+    /**
+     * Check that a replayed punch may be recorded at its own time. It must be no older than
+     * maxReplayAgeHours, than the session (or kiosk device) delivering it, or than the user's last
+     * recorded punch; otherwise a client could backdate punches past the correction approval process.
+     * @param {Object} userRecords - The user's records keyed by date
+     * @param {Date} at - Time the punch claims to have been made
+     * @param {string} credentialIssuedAt - When the kiosk device delivering the punch was registered (optional)
+     * @returns {boolean} Within the replay window
+     */
+    isWithinReplayWindow(userRecords, at, credentialIssuedAt = null) {
+        const bounds = [Date.now() - this.getAttendanceSettings().maxReplayAgeHours * 60 * 60 * 1000];
+        const session = this.userHandler.getCurrentSession();
+        const issuedAt = credentialIssuedAt || (session && session.issuedAt);
+        if (issuedAt) bounds.push(Date.parse(issuedAt) - this.CLOCK_SKEW_MS);
+        const lastPunch = this.getLastPunchTime(userRecords);
+        if (lastPunch !== null) bounds.push(lastPunch);
+        return at.getTime() >= Math.max(...bounds);
+    }
+
+    /**
+     * Turn a replayed punch that is too old to record into a correction request
+     * @param {string} userEmail - User email
+     * @param {string} action - 'punch_in' or 'punch_out'
+     * @param {Date} at - Time the punch claims to have been made
+     * @param {Object} userRecords - The user's records keyed by date
+     * @returns {Object} {success, pendingApproval, request}, or the correction failure
+     */
+    requestReplayCorrection(userEmail, action, at, userRecords) {
+        // A punch out belongs to the shift it closes, which may have started the day before
+        const openShift = action === 'punch_out' ? this.findOpenShift(userRecords, at.getTime()) : null;
+        const date = openShift ? openShift.date : this.getCurrentDate(at, this.getTimeZone(userEmail));
+        const record = (userRecords || {})[date];
+        const time = this.getCurrentTime(at, this.getRecordTimeZone(record, userEmail));
+        const reason = this.messageCatalog.translate(`attendance.late_${action}_reason`, { time: time });
+        const correction = action === 'punch_in'
+            ? { punchIn: time, interval: this.getIntervals(record).length, reason: reason }
+            : { punchOut: time, reason: reason };
+
+        const result = this.correctionManager.requestCorrection(userEmail, date, correction);
+        if (!result.success) return result;
+        return {
+            success: true,
+            pendingApproval: true,
+            ...this.messageCatalog.message('attendance.punch_sent_for_approval'),
+            date: date,
+            timestamp: at.toISOString(),
+            request: result.request
+        };
+    }
+
+    /**
+     * Audit details describing how a punch was made
+     * @param {Object} options - Punch options ({timestamp, via, deviceId})
+     * @returns {Object|null} {replayed, via, device}, or null for an ordinary punch
+     */
+    getPunchDetails(options) {
+        const details = {};
+        if (options.timestamp) details.replayed = true;
+        if (options.via) details.via = options.via;
+        if (options.deviceId) details.device = options.deviceId;
+        return Object.keys(details).length > 0 ? details : null;
+    }
+
+    /**
+     * Find the shift a user is currently working. Shifts are filed under the
+     * business date they started on, so after midnight an overnight shift is
+     * still found under yesterday's date.
+     * @param {Object} userRecords - The user's records keyed by date
+     * @param {number} now - Moment to look from, in milliseconds (defaults to now)
+     * @returns {Object|null} {date, record} of the open shift
+     */
+    findOpenShift(userRecords, now = Date.now()) {
+        const maxShiftMs = this.getAttendanceSettings().maxShiftHours * 60 * 60 * 1000;
+        let latest = null;
+
+        Object.keys(userRecords || {}).forEach(date => {
+            const openInterval = this.getOpenInterval(userRecords[date]);
+            if (!openInterval) return;
+
+            const start = this.getIntervalStart(openInterval, date, this.getRecordTimeZone(userRecords[date])).getTime();
+            if (now - start <= maxShiftMs && (!latest || start > latest.start)) {
+                latest = { date: date, record: userRecords[date], start: start };
+            }
+        });
+
+        return latest ? { date: latest.date, record: latest.record } : null;
+    }
+
+    /**
+     * Check whether any interval of a record ended on a later calendar day than it started
+     * @param {Object} record - Attendance record
+     * @returns {boolean} Record contains an overnight shift
+     */
+    isOvernight(record) {
+        return this.getIntervals(record).some(interval => {
+            if (!interval.punchOut) return false;
+            if (interval.punchOutTimestamp) {
+                return this.getCurrentDate(new Date(interval.punchOutTimestamp), this.getRecordTimeZone(record)) !== record.date;
+            }
+            return interval.punchOut < interval.punchIn;
+        });
+    }
+
+    /**
+     * Get the record of the shift in progress, or today's record
+     * @param {string} userEmail - User email
+     * @returns {Object|null} Attendance record
+     */
+    getCurrentShiftRecord(userEmail) {
+        const denied = this.authorize(userEmail, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        const userRecords = this.dataManager.getAttendanceRecords()[userEmail] || {};
+        const openShift = this.findOpenShift(userRecords);
+        return openShift ? openShift.record : userRecords[this.getToday(userEmail)] || null;
+    }
+
+    /**
+     * Work out when a forgotten shift should be closed under a policy
+     * @param {string} policy - 'schedule_end' or 'cap'
+     * @param {Date} start - Start of the open interval
+     * @param {string} date - Business date of the record (YYYY-MM-DD)
+     * @param {Object} schedule - The user's schedule
+     * @param {string} timeZone - Time zone the schedule is read in (optional)
+     * @returns {Date|null} Punch out instant, or null if the policy cannot place one
+     */
+    getAutoPunchOut(policy, start, date, schedule, timeZone = null) {
+        let end;
+        if (policy === 'schedule_end') {
+            // The window end may fall on the next day (overnight schedule)
+            const minutes = this.scheduleManager.getShiftWindow(schedule).end;
+            const time = [Math.floor(minutes / 60) % 24, minutes % 60].map(value => String(value).padStart(2, '0')).join(':');
+            end = this.timeZoneManager.toInstant(this.timeZoneManager.addDays(date, Math.floor(minutes / (24 * 60))), time, timeZone);
+        } else {
+            end = new Date(start.getTime() + this.getAttendanceSettings().forgottenPunchOutCapHours * 60 * 60 * 1000);
+        }
+        return end > start && end <= new Date() ? end : null;
+    }
+
+    /**
+     * Apply the forgotten punch-out policy to a user's shifts that were left open
+     * longer than maxShiftHours. Shifts the policy closes are marked autoClosed;
+     * shifts it cannot close (or the 'flag' policy) are flagged for review.
+     * Runs on login and on status checks.
+     * @param {string} userEmail - User email
+     * @returns {Object} {success, closed, flagged}, or a denial result
+     */
+    resolveForgottenPunchOuts(userEmail) {
+        const denied = this.authorize(userEmail, 'WRITE_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        const settings = this.getAttendanceSettings();
+        const policy = this.FORGOTTEN_PUNCH_OUT_POLICIES.includes(settings.forgottenPunchOutPolicy)
+            ? settings.forgottenPunchOutPolicy
+            : 'flag';
+        const maxShiftMs = settings.maxShiftHours * 60 * 60 * 1000;
+        const records = this.dataManager.getAttendanceRecords();
+        const userRecords = records[userEmail] || {};
+        const schedule = this.scheduleManager.getScheduleForUser(userEmail);
+        let closed = 0;
+        let flagged = 0;
+
+        Object.keys(userRecords).forEach(date => {
+            const record = userRecords[date];
+            record.intervals = this.getIntervals(record);
+            const openInterval = this.getOpenInterval(record);
+            if (!openInterval) return;
+
+            const timeZone = this.getRecordTimeZone(record, userEmail);
+            const start = this.getIntervalStart(openInterval, date, timeZone);
+            if (Date.now() - start.getTime() <= maxShiftMs) return;
+            if (record.review && !record.review.resolvedAt) return;
+
+            const before = this.snapshotRecord(record);
+            const end = policy === 'flag' ? null : this.getAutoPunchOut(policy, start, date, schedule, timeZone);
+            record.review = {
+                reason: 'missing_punch_out',
+                policy: policy,
+                flaggedAt: new Date().toISOString(),
+                autoClosed: !!end,
+                resolvedAt: null
+            };
+
+            if (end) {
+                const punchOut = this.getCurrentTime(end, timeZone);
+                openInterval.punchOut = punchOut;
+                openInterval.punchOutTimestamp = end.toISOString();
+                openInterval.autoClosed = true;
+                // The note is rendered from the policy in the reader's language; see getRecordNotes()
+                openInterval.autoClosedBy = policy;
+
+                const openBreak = this.getOpenBreak(record);
+                if (openBreak) {
+                    const breakStart = openBreak.startTimestamp ? new Date(openBreak.startTimestamp) : null;
+                    const breakEnd = breakStart && breakStart > end ? breakStart : end;
+                    openBreak.end = this.getCurrentTime(breakEnd, timeZone);
+                    openBreak.endTimestamp = breakEnd.toISOString();
+                }
+                closed++;
+            } else {
+                flagged++;
+            }
+
+            this.refreshRecord(record);
+            if (!this.saveRecord(records, userEmail, date, before, end ? 'auto_punch_out' : 'flag_missing_punch_out', { policy: policy })) {
+                console.error('Error saving forgotten punch-out for', date);
+            }
+        });
+
+        return {
+            success: true,
+            closed: closed,
+            flagged: flagged
+        };
+    }
+
+    /**
+     * Get a user's earlier shifts that were auto-closed or flagged and not yet resolved
+     * @param {string} userEmail - User email
+     * @returns {Array|Object} Sessions ({date, formattedDate, punchIn, punchOut, autoClosed, policy}), oldest first, or a denial result
+     */
+    getUnresolvedSessions(userEmail) {
+        const denied = this.authorize(userEmail, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        const userRecords = this.dataManager.getAttendanceRecords()[userEmail] || {};
+        return Object.keys(userRecords)
+            .filter(date => userRecords[date].review && !userRecords[date].review.resolvedAt)
+            .sort()
+            .map(date => {
+                const record = userRecords[date];
+                return {
+                    date: date,
+                    formattedDate: this.getFormattedDate(date),
+                    punchIn: record.punchIn,
+                    punchOut: record.punchOut,
+                    autoClosed: record.review.autoClosed,
+                    policy: record.review.policy
+                };
+            });
+    }
+
+    /**
+     * Accept an automatically set punch out as correct
+     * @param {string} userEmail - User email
+     * @param {string} date - Business date of the record (YYYY-MM-DD)
+     * @returns {Object} Result
+     */
+    acknowledgeAutoPunchOut(userEmail, date) {
+        const denied = this.authorize(userEmail, 'WRITE_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        const records = this.dataManager.getAttendanceRecords();
+        const record = records[userEmail] && records[userEmail][date];
+        if (!record || !record.review || record.review.resolvedAt) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.no_unresolved_session')
+            };
+        }
+        if (!record.review.autoClosed) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.session_still_open')
+            };
+        }
+
+        const before = this.snapshotRecord(record);
+        record.review.resolvedAt = new Date().toISOString();
+        if (this.saveRecord(records, userEmail, date, before, 'auto_punch_out_acknowledged')) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('attendance.auto_punch_out_accepted')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.update_failed')
+            };
+        }
+    }
+
     /**
      * Get user's attendance status for today
      * @param {string} userEmail - User email
      * @returns {Object} Attendance status
      */
     getAttendanceStatus(userEmail) {
-        const todayRecord = this.getAttendanceRecord(userEmail);
+        const denied = this.authorize(userEmail, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        // Viewers without write access still see the status; the policy then waits for the owner
+        if (!this.authorize(userEmail, 'WRITE_ANY_ATTENDANCE')) {
+            this.resolveForgottenPunchOuts(userEmail);
+        }
+
+        const todayRecord = this.getCurrentShiftRecord(userEmail);
+        const unresolvedSessions = this.getUnresolvedSessions(userEmail);
         
-        if (!todayRecord) {
+        if (!todayRecord || this.getIntervals(todayRecord).length === 0) {
             return {
                 status: 'not_punched_in',
-                message: 'Not Punched In',
+                ...this.messageCatalog.message('attendance.status_not_punched_in'),
                 canPunchIn: true,
-                canPunchOut: false
+                canPunchOut: false,
+                canStartBreak: false,
+                canEndBreak: false,
+                unresolvedSessions: unresolvedSessions
             };
         }
-        
-        if (todayRecord.punchIn && !todayRecord.punchOut) {
+
+        const hours = this.calculateRecordHours(todayRecord, new Date());
+        const details = {
+            unresolvedSessions: unresolvedSessions,
+            date: todayRecord.date,
+            punchInTime: todayRecord.punchIn,
+            workingHours: hours.workingHours,
+            breakHours: hours.breakHours,
+            intervals: this.getIntervals(todayRecord),
+            breaks: this.getBreaks(todayRecord)
+        };
+        const openBreak = this.getOpenBreak(todayRecord);
+
+        if (openBreak) {
             return {
-                status: 'punched_in',
-                message: 'Currently Working',
+                status: 'on_break',
+                ...this.messageCatalog.message('attendance.status_on_break'),
                 canPunchIn: false,
                 canPunchOut: true,
-                punchInTime: todayRecord.punchIn,
-                workingHours: this.calculateHours(todayRecord.punchIn, this.getCurrentTime())
+                canStartBreak: false,
+                canEndBreak: true,
+                breakType: openBreak.type,
+                breakStartTime: openBreak.start,
+                ...details
             };
         }
         
-        if (todayRecord.punchIn && todayRecord.punchOut) {
+        if (this.getOpenInterval(todayRecord)) {
             return {
-                status: 'completed',
-                message: 'Work Completed',
+                status: 'punched_in',
+                ...this.messageCatalog.message('attendance.status_working'),
                 canPunchIn: false,
-                canPunchOut: false,
-                punchInTime: todayRecord.punchIn,
-                punchOutTime: todayRecord.punchOut,
-                workingHours: todayRecord.workingHours || 0
+                canPunchOut: true,
+                canStartBreak: true,
+                canEndBreak: false,
+                ...details
             };
         }
         
+        // Every interval is closed; the user may start another one
         return {
-            status: 'unknown',
-            message: 'Unknown Status',
+            status: 'completed',
+            ...this.messageCatalog.message('attendance.status_completed'),
             canPunchIn: true,
-            canPunchOut: false
+            canPunchOut: false,
+            canStartBreak: false,
+            canEndBreak: false,
+            punchOutTime: todayRecord.punchOut,
+            ...details
         };
     }
 
     /**
-     * Punch in user
+     * Punch in user. A day may hold several work intervals; punching in again
+     * after a punch out starts a new one.
      * @param {string} userEmail - User email
+     * @param {Object} options - {timestamp: original time of a punch made offline (defaults to now),
+     *     punchId: client ID of a queued punch, so a punch sent twice is recorded once,
+     *     location: {latitude, longitude, accuracy} and/or {ip} where the punch was made,
+     *     via: where the punch came from when not the employee's own session (e.g. 'kiosk'),
+     *     deviceId and credentialIssuedAt: the kiosk device that relayed the punch and when it was registered}
      * @returns {Object} Punch in result
      */
-    punchIn(userEmail) {
+    punchIn(userEmail, options = {}) {
         if (!userEmail) {
             return {
                 success: false,
-                message: 'User email is required'
+                ...this.messageCatalog.message('user.email_required')
             };
         }
 
-        const today = this.getCurrentDate();
-        const currentTime = this.getCurrentTime();
+        const denied = this.authorize(userEmail, 'WRITE_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        const { timestamp = null, location = null, punchId = null } = options;
         const records = this.dataManager.getAttendanceRecords();
+        const received = this.findReceivedPunch(records[userEmail], 'punch_in', punchId);
+        if (received) {
+            return {
+                success: true,
+                duplicate: true,
+                ...this.messageCatalog.message('attendance.punch_already_received'),
+                ...received
+            };
+        }
+
+        const at = this.getPunchTime(timestamp);
+        if (!at) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.invalid_punch_time')
+            };
+        }
+        if (timestamp && !this.isWithinReplayWindow(records[userEmail], at, options.credentialIssuedAt)) {
+            return this.requestReplayCorrection(userEmail, 'punch_in', at, records[userEmail]);
+        }
+
+        // The business date and wall-clock time are taken in the user's time zone
+        const timeZone = this.getTimeZone(userEmail);
+        const today = this.getCurrentDate(at, timeZone);
 
         // Initialize user records if not exists
         if (!records[userEmail]) {
             records[userEmail] = {};
         }
 
-        // Check if already punched in today
-        if (records[userEmail][today] && records[userEmail][today].punchIn) {
+        // Check if already punched in, including an overnight shift started yesterday.
+        // A replayed offline punch that falls inside a recorded interval was already received.
+        if (this.getIntervalAt(records[userEmail][today], today, at) || this.findOpenShift(records[userEmail], at.getTime())) {
             return {
                 success: false,
-                message: 'You have already punched in today'
+                code: 'CONFLICT',
+                ...this.messageCatalog.message('attendance.already_punched_in')
             };
         }
 
-        // Create punch in record
-        records[userEmail][today] = {
-            date: today,
+        const place = this.locationPolicy.evaluate(location);
+        if (!place.success) return place;
+
+        // Create today's record on first punch in
+        const before = this.snapshotRecord(records[userEmail][today]);
+        const record = records[userEmail][today] || this.createRecord(today, timeZone);
+        const currentTime = this.getCurrentTime(at, this.getRecordTimeZone(record));
+
+        const interval = {
             punchIn: currentTime,
-            punchInTimestamp: new Date().toISOString(),
+            punchInTimestamp: at.toISOString(),
             punchOut: null,
-            punchOutTimestamp: null,
-            workingHours: 0,
-            notes: ''
+            punchOutTimestamp: null
         };
+        if (punchId) interval.punchInId = punchId;
+        if (place.location) interval.punchInLocation = place.location;
+        record.intervals = this.getIntervals(record).concat(interval)
+            .sort((a, b) => this.getIntervalStart(a, today, record.timeZone) - this.getIntervalStart(b, today, record.timeZone));
+        records[userEmail][today] = this.refreshRecord(record);
 
         // Save records
-        if (this.dataManager.setAttendanceRecords(records)) {
+        if (this.saveRecord(records, userEmail, today, before, 'punch_in', this.getPunchDetails(options))) {
             return {
                 success: true,
-                message: 'Punched in successfully',
+                ...this.messageCatalog.message('attendance.punched_in'),
                 punchInTime: currentTime,
-                date: today
+                timestamp: at.toISOString(),
+                date: today,
+                interval: record.intervals.length
             };
         } else {
             return {
                 success: false,
-                message: 'Failed to record punch in. Please try again.'
+                ...this.messageCatalog.message('attendance.punch_in_failed')
             };
         }
     }
 
     /**
-     * Punch out user
+     * Punch out user, closing the current work interval (and any break in progress)
      * @param {string} userEmail - User email
      * @param {string} notes - Optional notes for the day
+     * @param {Object} options - {timestamp, punchId, location, via, deviceId, credentialIssuedAt}, as for punchIn
      * @returns {Object} Punch out result
      */
-    punchOut(userEmail, notes = '') {
+    punchOut(userEmail, notes = '', options = {}) {
         if (!userEmail) {
             return {
                 success: false,
-                message: 'User email is required'
+                ...this.messageCatalog.message('user.email_required')
             };
         }
 
-        const today = this.getCurrentDate();
-        const currentTime = this.getCurrentTime();
+        const denied = this.authorize(userEmail, 'WRITE_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        const { timestamp = null, location = null, punchId = null } = options;
         const records = this.dataManager.getAttendanceRecords();
+        const received = this.findReceivedPunch(records[userEmail], 'punch_out', punchId);
+        if (received) {
+            return {
+                success: true,
+                duplicate: true,
+                ...this.messageCatalog.message('attendance.punch_already_received'),
+                ...received
+            };
+        }
+
+        const at = this.getPunchTime(timestamp);
+        if (!at) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.invalid_punch_time')
+            };
+        }
+        if (timestamp && !this.isWithinReplayWindow(records[userEmail], at, options.credentialIssuedAt)) {
+            return this.requestReplayCorrection(userEmail, 'punch_out', at, records[userEmail]);
+        }
+
+        const punchTimestamp = at.toISOString();
+
+        // The shift may have started on a previous business date (overnight shift)
+        const timeZone = this.getTimeZone(userEmail);
+        const openShift = this.findOpenShift(records[userEmail], at.getTime());
+        const today = openShift ? openShift.date : this.getCurrentDate(at, timeZone);
+
+        // A replayed offline punch out that falls inside a closed interval was already received
+        const userRecords = records[userEmail] || {};
+        const alreadyRecorded = [today, this.getCurrentDate(at, timeZone)].some(date => {
+            const interval = this.getIntervalAt(userRecords[date], date, at);
+            return interval && interval.punchOut;
+        });
+        if (alreadyRecorded) {
+            return {
+                success: false,
+                code: 'CONFLICT',
+                ...this.messageCatalog.message('attendance.already_punched_out')
+            };
+        }
 
         // Check if user has attendance record for today
         if (!records[userEmail] || !records[userEmail][today]) {
             return {
                 success: false,
-                message: 'No punch in record found for today'
+                ...this.messageCatalog.message('attendance.no_punch_in_today')
             };
         }
 
         const todayRecord = records[userEmail][today];
+        const before = this.snapshotRecord(todayRecord);
+        const currentTime = this.getCurrentTime(at, this.getRecordTimeZone(todayRecord, userEmail));
+        todayRecord.intervals = this.getIntervals(todayRecord);
+        const openInterval = this.getOpenInterval(todayRecord);
 
-        // Check if already punched out
-        if (todayRecord.punchOut) {
+        if (!openInterval) {
+            if (this.getIntervals(todayRecord).length > 0) {
+                return {
+                    success: false,
+                    code: 'CONFLICT',
+                    ...this.messageCatalog.message('attendance.already_punched_out')
+                };
+            }
             return {
                 success: false,
-                message: 'You have already punched out today'
+                ...this.messageCatalog.message('attendance.punch_in_first')
             };
         }
 
-        // Check if punched in
-        if (!todayRecord.punchIn) {
+        if (this.getIntervalStart(openInterval, today, this.getRecordTimeZone(todayRecord, userEmail)).getTime() > at.getTime()) {
             return {
                 success: false,
-                message: 'Please punch in first'
+                ...this.messageCatalog.message('attendance.punch_out_before_in')
             };
         }
 
-        // Calculate working hours
-        const workingHours = this.calculateHours(todayRecord.punchIn, currentTime);
+        const place = this.locationPolicy.evaluate(location);
+        if (!place.success) return place;
+
+        // Punching out ends a break that is still running
+        const openBreak = this.getOpenBreak(todayRecord);
+        if (openBreak) {
+            openBreak.end = currentTime;
+            openBreak.endTimestamp = punchTimestamp;
+        }
 
         // Update record with punch out
-        todayRecord.punchOut = currentTime;
-        todayRecord.punchOutTimestamp = new Date().toISOString();
-        todayRecord.workingHours = workingHours;
-        todayRecord.notes = notes.trim();
+        openInterval.punchOut = currentTime;
+        openInterval.punchOutTimestamp = punchTimestamp;
+        if (punchId) openInterval.punchOutId = punchId;
+        if (place.location) openInterval.punchOutLocation = place.location;
+        const note = typeof notes === 'string' ? notes.trim() : '';
+        if (note) {
+            todayRecord.notes = todayRecord.notes ? `${todayRecord.notes}; ${note}` : note;
+        }
+        this.refreshRecord(todayRecord);
 
         // Save records
-        if (this.dataManager.setAttendanceRecords(records)) {
+        if (this.saveRecord(records, userEmail, today, before, 'punch_out', this.getPunchDetails(options))) {
             return {
                 success: true,
-                message: 'Punched out successfully',
+                ...this.messageCatalog.message('attendance.punched_out'),
                 punchOutTime: currentTime,
-                workingHours: workingHours,
-                formattedHours: this.formatHours(workingHours),
+                timestamp: punchTimestamp,
+                workingHours: todayRecord.workingHours,
+                formattedHours: this.formatHours(todayRecord.workingHours),
+                breakHours: todayRecord.breakHours,
+                date: today
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.punch_out_failed')
+            };
+        }
+    }
+
+    /**
+     * Start a break during the current work interval
+     * @param {string} userEmail - User email
+     * @param {string} type - Break type (lunch, personal, meeting)
+     * @returns {Object} Break result
+     */
+    startBreak(userEmail, type = 'lunch') {
+        if (!userEmail) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.email_required')
+            };
+        }
+
+        const denied = this.authorize(userEmail, 'WRITE_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        if (!this.BREAK_TYPES.includes(type)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.invalid_break_type', { types: this.BREAK_TYPES.join(', ') })
+            };
+        }
+
+        const now = new Date();
+        const records = this.dataManager.getAttendanceRecords();
+        const openShift = this.findOpenShift(records[userEmail]);
+        const today = openShift ? openShift.date : this.getToday(userEmail);
+        const todayRecord = records[userEmail] && records[userEmail][today];
+
+        if (!this.getOpenInterval(todayRecord)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.punch_in_first')
+            };
+        }
+
+        if (this.getOpenBreak(todayRecord)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.already_on_break')
+            };
+        }
+
+        const before = this.snapshotRecord(todayRecord);
+        const currentTime = this.getCurrentTime(now, this.getRecordTimeZone(todayRecord, userEmail));
+        todayRecord.breaks = this.getBreaks(todayRecord).concat({
+            type: type,
+            start: currentTime,
+            startTimestamp: now.toISOString(),
+            end: null,
+            endTimestamp: null
+        });
+        this.refreshRecord(todayRecord);
+
+        if (this.saveRecord(records, userEmail, today, before, 'break_start')) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('attendance.break_started'),
+                breakType: type,
+                breakStartTime: currentTime,
                 date: today
             };
         } else {
             return {
                 success: false,
-                message: 'Failed to record punch out. Please try again.'
+                ...this.messageCatalog.message('attendance.break_failed')
+            };
+        }
+    }
+
+    /**
+     * End the break in progress
+     * @param {string} userEmail - User email
+     * @returns {Object} Break result
+     */
+    endBreak(userEmail) {
+        if (!userEmail) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.email_required')
+            };
+        }
+
+        const denied = this.authorize(userEmail, 'WRITE_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        const now = new Date();
+        const records = this.dataManager.getAttendanceRecords();
+        const openShift = this.findOpenShift(records[userEmail]);
+        const today = openShift ? openShift.date : this.getToday(userEmail);
+        const todayRecord = records[userEmail] && records[userEmail][today];
+        const openBreak = this.getOpenBreak(todayRecord);
+
+        if (!openBreak) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.not_on_break')
+            };
+        }
+
+        const before = this.snapshotRecord(todayRecord);
+        const currentTime = this.getCurrentTime(now, this.getRecordTimeZone(todayRecord, userEmail));
+        openBreak.end = currentTime;
+        openBreak.endTimestamp = now.toISOString();
+        this.refreshRecord(todayRecord);
+
+        if (this.saveRecord(records, userEmail, today, before, 'break_end')) {
+            const breakHours = this.getSpanHours(openBreak.start, openBreak.startTimestamp, openBreak.end, openBreak.endTimestamp);
+            return {
+                success: true,
+                ...this.messageCatalog.message('attendance.break_ended'),
+                breakType: openBreak.type,
+                breakEndTime: currentTime,
+                breakHours: breakHours,
+                formattedBreakHours: this.formatHours(breakHours),
+                date: today
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('attendance.break_failed')
             };
         }
     }
@@ -267,11 +1220,20 @@ class AttendanceHandler {
      * @param {string} userEmail - User email
      * @param {string} startDate - Start date (YYYY-MM-DD)
      * @param {string} endDate - End date (YYYY-MM-DD)
-     * @returns {Array} Attendance records array
+     * @returns {Array|Object} Attendance records array, or a denial result
      */
     getAttendanceHistory(userEmail, startDate, endDate) {
+        const denied = this.authorize(userEmail, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
+
         const records = this.dataManager.getAttendanceRecords();
         const userRecords = records[userEmail] || {};
+        const schedule = this.scheduleManager.getScheduleForUser(userEmail);
+        const holidays = {};
+        this.holidayCalendar.getHolidays(startDate, endDate).forEach(holiday => {
+            holidays[holiday.date] = holiday;
+        });
+        const leaveDates = this.leaveManager.getApprovedLeaveDates(userEmail, startDate, endDate);
         const history = [];
 
         const start = new Date(startDate);
@@ -281,36 +1243,158 @@ class AttendanceHandler {
             const recordDate = new Date(date);
             if (recordDate >= start && recordDate <= end) {
                 const record = userRecords[date];
+                const hours = this.calculateRecordHours(record);
+                const punctuality = this.getPunctuality(record, schedule, this.getTimeZone(userEmail));
                 history.push({
                     date: date,
                     formattedDate: this.getFormattedDate(date),
                     punchIn: record.punchIn,
                     punchOut: record.punchOut,
-                    workingHours: record.workingHours || 0,
-                    formattedHours: this.formatHours(record.workingHours || 0),
-                    notes: record.notes || '',
-                    status: this.getRecordStatus(record)
+                    intervals: this.getIntervals(record),
+                    breaks: this.getBreaks(record),
+                    workingHours: hours.workingHours,
+                    formattedHours: this.formatHours(hours.workingHours),
+                    breakHours: hours.breakHours,
+                    formattedBreakHours: this.formatHours(hours.breakHours),
+                    notes: this.getRecordNotes(record),
+                    timeZone: this.getRecordTimeZone(record, userEmail),
+                    overnight: this.isOvernight(record),
+                    lateArrival: punctuality.lateArrival,
+                    minutesLate: punctuality.minutesLate,
+                    earlyDeparture: punctuality.earlyDeparture,
+                    minutesEarly: punctuality.minutesEarly,
+                    holiday: holidays[date] ? holidays[date].name : null,
+                    leaveType: leaveDates[date] ? leaveDates[date].type : null,
+                    autoClosed: !!(record.review && record.review.autoClosed),
+                    needsReview: !!(record.review && !record.review.resolvedAt),
+                    status: this.getRecordStatus(record, schedule)
                 });
             }
         }
 
+        // Holidays and approved leave without attendance get entries of their own
+        const recordedDates = new Set(history.map(entry => entry.date));
+        new Set([...Object.keys(holidays), ...Object.keys(leaveDates)]).forEach(date => {
+            if (recordedDates.has(date)) return;
+            const holiday = holidays[date] || null;
+            const leave = holiday ? null : leaveDates[date];
+            history.push(this.createAbsenceEntry(date, holiday, leave));
+        });
+
         // Sort by date (newest first)
         return history.sort((a, b) => new Date(b.date) - new Date(a.date));
     }
 
+    /**
+     * Build a history entry for a holiday or leave day with no attendance
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {Object|null} holiday - Holiday on that date
+     * @param {Object|null} leave - Approved leave on that date ({type, requestId})
+     * @returns {Object} History entry
+     */
+    createAbsenceEntry(date, holiday, leave) {
+        const leaveLabel = leave ? this.messageCatalog.translate(`leave.label.${leave.type}`) : '';
+        return {
+            date: date,
+            formattedDate: this.getFormattedDate(date),
+            punchIn: null,
+            punchOut: null,
+            intervals: [],
+            breaks: [],
+            workingHours: 0,
+            formattedHours: this.formatHours(0),
+            breakHours: 0,
+            formattedBreakHours: this.formatHours(0),
+            notes: holiday ? holiday.name : leaveLabel,
+            overnight: false,
+            lateArrival: false,
+            minutesLate: 0,
+            earlyDeparture: false,
+            minutesEarly: 0,
+            holiday: holiday ? holiday.name : null,
+            leaveType: leave ? leave.type : null,
+            autoClosed: false,
+            needsReview: false,
+            status: holiday ? 'Holiday' : 'On Leave'
+        };
+    }
+
     /**
      * Get record status for display
      * @param {Object} record - Attendance record
+     * @param {Object} schedule - Schedule supplying the hour thresholds (defaults to the standard schedule)
      * @returns {string} Status string
      */
-    getRecordStatus(record) {
-        if (!record.punchIn) return 'No Punch In';
-        if (record.punchIn && !record.punchOut) return 'Missing Punch Out';
-        if (record.workingHours < 4) return 'Short Day';
-        if (record.workingHours >= 8) return 'Full Day';
+    getRecordStatus(record, schedule = null) {
+        schedule = schedule || this.scheduleManager.DEFAULT_SCHEDULE;
+        if (this.getIntervals(record).length === 0) return 'No Punch In';
+        if (this.getOpenInterval(record)) return 'Missing Punch Out';
+
+        const workingHours = this.calculateRecordHours(record).workingHours;
+        if (workingHours < schedule.minimumHours) return 'Short Day';
+        if (workingHours >= schedule.requiredHours) return 'Full Day';
         return 'Partial Day';
     }
 
+    /**
+     * Minutes from the start of a record's business date to a punch
+     * @param {string} time - Wall-clock time (HH:MM:SS)
+     * @param {string} timestamp - ISO timestamp (optional, preferred)
+     * @param {string} date - Business date (YYYY-MM-DD)
+     * @param {string} timeZone - Time zone of the business date (optional)
+     * @returns {number} Minutes
+     */
+    getMinutesIntoDay(time, timestamp, date, timeZone = null) {
+        if (timestamp) {
+            // Wall-clock minutes, so schedule times still line up on DST change days
+            const parts = this.timeZoneManager.getParts(new Date(timestamp), timeZone);
+            const days = (Date.UTC(parts.year, parts.month - 1, parts.day) - Date.parse(`${date}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+            return days * 24 * 60 + parts.hour * 60 + parts.minute + parts.second / 60;
+        }
+        return this.scheduleManager.toMinutes(time);
+    }
+
+    /**
+     * Compare a record's first punch in and last punch out against a schedule
+     * @param {Object} record - Attendance record
+     * @param {Object} schedule - Schedule
+     * @param {string} timeZone - Owner's time zone, for records that do not carry one (optional)
+     * @returns {Object} {lateArrival, minutesLate, earlyDeparture, minutesEarly}
+     */
+    getPunctuality(record, schedule, timeZone = null) {
+        const result = {
+            lateArrival: false,
+            minutesLate: 0,
+            earlyDeparture: false,
+            minutesEarly: 0
+        };
+        const intervals = this.getIntervals(record);
+        if (intervals.length === 0 || !this.scheduleManager.isWorkingDay(schedule, record.date)) {
+            return result;
+        }
+
+        const window = this.scheduleManager.getShiftWindow(schedule);
+        const zone = record.timeZone || timeZone;
+        const first = intervals[0];
+        const arrival = this.getMinutesIntoDay(first.punchIn, first.punchInTimestamp, record.date, zone);
+        if (arrival > window.start + schedule.lateGraceMinutes) {
+            result.lateArrival = true;
+            result.minutesLate = Math.round(arrival - window.start);
+        }
+
+        const last = intervals[intervals.length - 1];
+        if (last.punchOut) {
+            let departure = this.getMinutesIntoDay(last.punchOut, last.punchOutTimestamp, record.date, zone);
+            if (!last.punchOutTimestamp && departure < arrival) departure += 24 * 60;
+            if (departure < window.end - schedule.earlyGraceMinutes) {
+                result.earlyDeparture = true;
+                result.minutesEarly = Math.round(window.end - departure);
+            }
+        }
+
+        return result;
+    }
+
     /**
      * Get user's weekly summary
      * @param {string} userEmail - User email
@@ -318,19 +1402,20 @@ class AttendanceHandler {
      * @returns {Object} Weekly summary
      */
     getWeeklySummary(userEmail, weekStartDate) {
-        const startDate = new Date(weekStartDate);
-        const endDate = new Date(startDate);
-        endDate.setDate(startDate.getDate() + 6);
+        const denied = this.authorize(userEmail, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
 
-        const history = this.getAttendanceHistory(
-            userEmail, 
-            startDate.toLocaleDateString('en-CA'),
-            endDate.toLocaleDateString('en-CA')
-        );
+        // Plain calendar arithmetic: the week is the same seven dates in every time zone
+        const weekEndDate = this.timeZoneManager.addDays(weekStartDate, 6);
+        const history = this.getAttendanceHistory(userEmail, weekStartDate, weekEndDate);
 
         let totalHours = 0;
         let daysWorked = 0;
         let daysPresent = 0;
+        let lateArrivals = 0;
+        let earlyDepartures = 0;
+        let holidays = 0;
+        let leaveDays = 0;
 
         history.forEach(record => {
             if (record.punchIn) {
@@ -340,17 +1425,27 @@ class AttendanceHandler {
                     daysWorked++;
                 }
             }
+            if (record.lateArrival) lateArrivals++;
+            if (record.earlyDeparture) earlyDepartures++;
+            if (record.status === 'Holiday') holidays++;
+            if (record.status === 'On Leave') leaveDays++;
         });
 
         return {
             weekStart: weekStartDate,
-            weekEnd: endDate.toLocaleDateString('en-CA'),
+            weekEnd: weekEndDate,
             totalHours: totalHours,
             formattedTotalHours: this.formatHours(totalHours),
             averageHours: daysWorked > 0 ? totalHours / daysWorked : 0,
-            formattedAverageHours: daysWorked > 0 ? this.formatHours(totalHours / daysWorked) : '0 hours',
+            formattedAverageHours: daysWorked > 0
+                ? this.formatHours(totalHours / daysWorked)
+                : this.messageCatalog.translate('duration.hours', { count: 0 }),
             daysWorked: daysWorked,
             daysPresent: daysPresent,
+            lateArrivals: lateArrivals,
+            earlyDepartures: earlyDepartures,
+            holidays: holidays,
+            leaveDays: leaveDays,
             records: history
         };
     }
@@ -363,6 +1458,9 @@ class AttendanceHandler {
      * @returns {Object} Monthly summary
      */
     getMonthlySummary(userEmail, year, month) {
+        const denied = this.authorize(userEmail, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
+
         const startDate = new Date(year, month - 1, 1);
         const endDate = new Date(year, month, 0); // Last day of month
 
@@ -372,10 +1470,16 @@ class AttendanceHandler {
             endDate.toLocaleDateString('en-CA')
         );
 
+        const schedule = this.scheduleManager.getScheduleForUser(userEmail);
+        const workingDaysInMonth = this.getWorkingDaysInMonth(year, month, userEmail);
         let totalHours = 0;
         let daysWorked = 0;
         let daysPresent = 0;
         let fullDays = 0;
+        let lateArrivals = 0;
+        let earlyDepartures = 0;
+        let holidays = 0;
+        let leaveDays = 0;
 
         history.forEach(record => {
             if (record.punchIn) {
@@ -383,43 +1487,65 @@ class AttendanceHandler {
                 if (record.workingHours > 0) {
                     totalHours += record.workingHours;
                     daysWorked++;
-                    if (record.workingHours >= 8) {
+                    if (record.status === 'Full Day') {
                         fullDays++;
                     }
                 }
             }
+            if (record.lateArrival) lateArrivals++;
+            if (record.earlyDeparture) earlyDepartures++;
+            if (record.status === 'Holiday') holidays++;
+            if (record.status === 'On Leave') leaveDays++;
         });
 
         return {
             month: month,
             year: year,
-            monthName: new Date(year, month - 1).toLocaleDateString('en-US', { month: 'long' }),
+            monthName: new Date(year, month - 1).toLocaleDateString(this.messageCatalog.getLocale(), { month: 'long' }),
             totalHours: totalHours,
             formattedTotalHours: this.formatHours(totalHours),
             averageHours: daysWorked > 0 ? totalHours / daysWorked : 0,
-            formattedAverageHours: daysWorked > 0 ? this.formatHours(totalHours / daysWorked) : '0 hours',
+            formattedAverageHours: daysWorked > 0
+                ? this.formatHours(totalHours / daysWorked)
+                : this.messageCatalog.translate('duration.hours', { count: 0 }),
             daysWorked: daysWorked,
             daysPresent: daysPresent,
             fullDays: fullDays,
-            workingDaysInMonth: this.getWorkingDaysInMonth(year, month),
+            lateArrivals: lateArrivals,
+            earlyDepartures: earlyDepartures,
+            holidays: holidays,
+            leaveDays: leaveDays,
+            workingDaysInMonth: workingDaysInMonth,
+            expectedHours: workingDaysInMonth * schedule.requiredHours,
+            scheduleId: schedule.id,
             records: history
         };
     }
 
     /**
-     * Get working days in a month (excluding weekends)
+     * Get expected working days in a month under a user's schedule. Holidays
+     * are excluded, as is the user's approved leave.
      * @param {number} year - Year
      * @param {number} month - Month (1-12)
+     * @param {string} userEmail - User whose schedule and leave apply (optional; standard Mon–Fri schedule otherwise)
      * @returns {number} Working days count
      */
-    getWorkingDaysInMonth(year, month) {
+    getWorkingDaysInMonth(year, month, userEmail = null) {
+        const schedule = userEmail
+            ? this.scheduleManager.getScheduleForUser(userEmail)
+            : this.scheduleManager.DEFAULT_SCHEDULE;
         const startDate = new Date(year, month - 1, 1);
         const endDate = new Date(year, month, 0);
+        const leaveDates = userEmail
+            ? this.leaveManager.getApprovedLeaveDates(
+                userEmail, startDate.toLocaleDateString('en-CA'), endDate.toLocaleDateString('en-CA'))
+            : {};
         let workingDays = 0;
 
         for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
-            const dayOfWeek = date.getDay();
-            if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Not Sunday or Saturday
+            const day = date.toLocaleDateString('en-CA');
+            if (this.scheduleManager.isWorkingDay(schedule, date) &&
+                !this.holidayCalendar.isHoliday(day) && !leaveDates[day]) {
                 workingDays++;
             }
         }
@@ -432,19 +1558,243 @@ class AttendanceHandler {
      * @param {string} userEmail - User email
      * @param {string} startDate - Start date
      * @param {string} endDate - End date
-     * @returns {string} CSV string
+     * @returns {string|Object} CSV string, or a denial result
      */
     exportToCSV(userEmail, startDate, endDate) {
         const history = this.getAttendanceHistory(userEmail, startDate, endDate);
+        if (!Array.isArray(history)) return history;
         
-        let csv = 'Date,Day,Punch In,Punch Out,Working Hours,Status,Notes\n';
-        
-        history.forEach(record => {
-            const day = new Date(record.date).toLocaleDateString('en-US', { weekday: 'short' });
-            csv += `"${record.date}","${day}","${record.punchIn || ''}","${record.punchOut || ''}","${record.formattedHours}","${record.status}","${record.notes}"\n`;
+        return this.exportManager.buildCSV([
+            this.CSV_COLUMNS,
+            ...history.map(record => this.getCSVFields(record))
+        ]);
+    }
+
+    /**
+     * Values for the shared CSV columns of a history entry
+     * @param {Object} record - Attendance history entry
+     * @returns {Array} Field values
+     */
+    getCSVFields(record) {
+        const day = new Date(`${record.date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+        return [
+            record.date,
+            day,
+            record.punchIn || '',
+            record.punchOut || '',
+            record.formattedHours,
+            record.formattedBreakHours,
+            record.status,
+            record.notes,
+            this.locationPolicy.describe(record)
+        ];
+    }
+
+    /**
+     * Get the pay period containing a date
+     * @param {string} date - Date (YYYY-MM-DD), defaults to today
+     * @returns {Object} {type, start, end}
+     */
+    getPayPeriod(date = this.getCurrentDate()) {
+        const settings = this.getPayrollSettings();
+        const type = this.PAY_PERIODS.includes(settings.payPeriod) ? settings.payPeriod : 'monthly';
+        const day = new Date(`${date}T00:00:00`);
+        let start;
+        let end;
+
+        if (type === 'weekly' || type === 'bi-weekly') {
+            const length = type === 'weekly' ? 7 : 14;
+            const anchor = new Date(`${settings.periodAnchor}T00:00:00`);
+            const daysSinceAnchor = Math.round((day - anchor) / (1000 * 60 * 60 * 24));
+            const offset = ((daysSinceAnchor % length) + length) % length;
+            start = new Date(day);
+            start.setDate(day.getDate() - offset);
+            end = new Date(start);
+            end.setDate(start.getDate() + length - 1);
+        } else if (type === 'semi-monthly') {
+            const firstHalf = day.getDate() <= 15;
+            start = new Date(day.getFullYear(), day.getMonth(), firstHalf ? 1 : 16);
+            end = firstHalf ? new Date(day.getFullYear(), day.getMonth(), 15) : new Date(day.getFullYear(), day.getMonth() + 1, 0);
+        } else {
+            start = new Date(day.getFullYear(), day.getMonth(), 1);
+            end = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+        }
+
+        return {
+            type: type,
+            start: start.toLocaleDateString('en-CA'),
+            end: end.toLocaleDateString('en-CA')
+        };
+    }
+
+    /**
+     * Build a user's timesheet for the pay period containing a date. Hours worked on
+     * holidays are reported separately; other hours are split into regular and
+     * overtime using the daily threshold, then the weekly threshold per workweek.
+     * A workweek that began before the period still counts toward the weekly threshold.
+     * @param {string} userEmail - User email
+     * @param {string} date - Any date within the pay period (YYYY-MM-DD), defaults to today
+     * @returns {Object} Timesheet ({employee, period, days, totals}), or a denial result
+     */
+    getTimesheet(userEmail, date = this.getToday(userEmail)) {
+        const period = this.getPayPeriod(date);
+        const settings = this.getPayrollSettings();
+
+        const lookback = new Date(`${period.start}T00:00:00`);
+        lookback.setDate(lookback.getDate() - ((lookback.getDay() - settings.weekStartsOn + 7) % 7));
+        const history = this.getAttendanceHistory(userEmail, lookback.toLocaleDateString('en-CA'), period.end);
+        if (!Array.isArray(history)) return history;
+
+        const user = this.dataManager.getUsers()[userEmail] || {};
+        const schedule = this.scheduleManager.getScheduleForUser(userEmail);
+        const round = hours => Math.round(hours * 100) / 100;
+        const totals = { workedHours: 0, regularHours: 0, overtimeHours: 0, holidayHours: 0, leaveHours: 0 };
+        const days = [];
+        let weekStart = null;
+        let weekRegularHours = 0;
+
+        history.slice().sort((a, b) => a.date.localeCompare(b.date)).forEach(entry => {
+            const entryDate = new Date(`${entry.date}T00:00:00`);
+            const entryWeekStart = new Date(entryDate);
+            entryWeekStart.setDate(entryDate.getDate() - ((entryDate.getDay() - settings.weekStartsOn + 7) % 7));
+            if (weekStart !== entryWeekStart.getTime()) {
+                weekStart = entryWeekStart.getTime();
+                weekRegularHours = 0;
+            }
+
+            const day = {
+                entry: entry,
+                workedHours: entry.workingHours,
+                regularHours: 0,
+                overtimeHours: 0,
+                holidayHours: 0,
+                leaveHours: 0
+            };
+
+            if (entry.holiday) {
+                day.holidayHours = entry.workingHours;
+            } else {
+                day.regularHours = entry.workingHours;
+                if (settings.dailyOvertimeHours > 0 && day.regularHours > settings.dailyOvertimeHours) {
+                    day.overtimeHours = day.regularHours - settings.dailyOvertimeHours;
+                    day.regularHours = settings.dailyOvertimeHours;
+                }
+                if (settings.weeklyOvertimeHours > 0 && weekRegularHours + day.regularHours > settings.weeklyOvertimeHours) {
+                    const excess = Math.min(day.regularHours, weekRegularHours + day.regularHours - settings.weeklyOvertimeHours);
+                    day.regularHours -= excess;
+                    day.overtimeHours += excess;
+                }
+                weekRegularHours += day.regularHours;
+            }
+
+            if (entry.status === 'On Leave' && settings.paidLeaveTypes.includes(entry.leaveType)) {
+                day.leaveHours = schedule.requiredHours;
+            }
+
+            if (entry.date < period.start) return;
+            days.push(day);
+            totals.workedHours += day.workedHours;
+            totals.regularHours += day.regularHours;
+            totals.overtimeHours += day.overtimeHours;
+            totals.holidayHours += day.holidayHours;
+            totals.leaveHours += day.leaveHours;
         });
-        
-        return csv;
+
+        Object.keys(totals).forEach(key => {
+            totals[key] = round(totals[key]);
+        });
+        totals.payableHours = round(totals.regularHours +
+            totals.overtimeHours * settings.overtimeMultiplier +
+            totals.holidayHours * settings.holidayMultiplier +
+            totals.leaveHours);
+
+        return {
+            employee: {
+                id: user.id || null,
+                name: user.name || '',
+                email: userEmail,
+                department: user.department || ''
+            },
+            period: period,
+            multipliers: {
+                overtime: settings.overtimeMultiplier,
+                holiday: settings.holidayMultiplier
+            },
+            days: days.map(day => ({
+                ...day.entry,
+                regularHours: round(day.regularHours),
+                overtimeHours: round(day.overtimeHours),
+                holidayHours: round(day.holidayHours),
+                leaveHours: round(day.leaveHours)
+            })),
+            totals: totals
+        };
+    }
+
+    /**
+     * Build timesheets for every active employee for a pay period
+     * @param {string} date - Any date within the pay period (YYYY-MM-DD), defaults to today
+     * @returns {Array|Object} Timesheets sorted by employee name, or a denial result
+     */
+    getTimesheets(date = this.getCurrentDate()) {
+        const denied = this.authorize(null, 'READ_ANY_ATTENDANCE');
+        if (denied) return denied;
+
+        return Object.values(this.dataManager.getUsers())
+            .filter(user => user.isActive)
+            .map(user => this.getTimesheet(user.email, date))
+            .sort((a, b) => a.employee.name.localeCompare(b.employee.name));
+    }
+
+    /**
+     * Export payroll-ready timesheets to CSV. Uses the attendance export's columns,
+     * followed by the hour split, the payable hours and the employee, with a total row per employee.
+     * @param {string} date - Any date within the pay period (YYYY-MM-DD), defaults to today
+     * @param {string} userEmail - Only export this employee (optional; all employees otherwise)
+     * @returns {string|Object} CSV string, or a denial result
+     */
+    exportPayrollCSV(date = this.getCurrentDate(), userEmail = null) {
+        const timesheets = userEmail ? [this.getTimesheet(userEmail, date)] : this.getTimesheets(date);
+        if (!Array.isArray(timesheets)) return timesheets;
+        if (timesheets[0] && !timesheets[0].period) return timesheets[0];
+
+        const columns = [...this.CSV_COLUMNS, 'Regular Hours', 'Overtime Hours', 'Holiday Hours', 'Leave Hours', 'Payable Hours',
+            'Employee', 'Employee ID'];
+        const rows = [columns];
+
+        timesheets.forEach(timesheet => {
+            const employee = [timesheet.employee.name, timesheet.employee.id || ''];
+            const { overtime, holiday } = timesheet.multipliers;
+            timesheet.days.forEach(day => {
+                const payableHours = day.regularHours + day.overtimeHours * overtime + day.holidayHours * holiday + day.leaveHours;
+                const fields = [
+                    ...this.getCSVFields(day),
+                    day.regularHours.toFixed(2),
+                    day.overtimeHours.toFixed(2),
+                    day.holidayHours.toFixed(2),
+                    day.leaveHours.toFixed(2),
+                    payableHours.toFixed(2),
+                    ...employee
+                ];
+                rows.push(fields);
+            });
+
+            const totals = timesheet.totals;
+            const totalFields = [
+                this.messageCatalog.translate('payroll.period', { start: timesheet.period.start, end: timesheet.period.end }),
+                this.messageCatalog.translate('payroll.total'), '', '',
+                this.formatHours(totals.workedHours), '', '', '', '',
+                totals.regularHours.toFixed(2),
+                totals.overtimeHours.toFixed(2),
+                totals.holidayHours.toFixed(2),
+                totals.leaveHours.toFixed(2),
+                totals.payableHours.toFixed(2),
+                ...employee
+            ];
+            rows.push(totalFields);
+        });
+
+        return this.exportManager.buildCSV(rows);
     }
 }
 
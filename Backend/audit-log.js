@@ -0,0 +1,80 @@
+/**
+ * SparrowTrack - Audit Log
+ * Append-only history of attendance mutations: who changed what, and when
+ */
+
+class AuditLog {
+    /**
+     * @param {DataManager} dataManager - Data manager holding the log
+     * @param {AccessControl} accessControl - Resolves the acting user and guards reads
+     */
+    constructor(dataManager, accessControl) {
+        this.dataManager = dataManager;
+        this.accessControl = accessControl;
+    }
+
+    /**
+     * Append an entry for a change to one attendance record
+     * @param {string} action - What happened (e.g. punch_in, correction_applied)
+     * @param {string} userEmail - Owner of the record
+     * @param {string} date - Business date of the record (YYYY-MM-DD)
+     * @param {Object|null} before - Record before the change (null if it was created)
+     * @param {Object|null} after - Record after the change
+     * @param {Object} details - Extra context (optional)
+     * @returns {boolean} Success status
+     */
+    record(action, userEmail, date, before, after, details = null) {
+        const actor = this.accessControl && this.accessControl.getActor();
+        // Snapshot the values so later edits to the live record cannot alter the entry
+        const snapshot = value => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+        return this.dataManager.appendAuditEntry({
+            actor: actor ? actor.email : null,
+            action: action,
+            userEmail: userEmail,
+            date: date,
+            before: snapshot(before),
+            after: snapshot(after),
+            details: details
+        });
+    }
+
+    /**
+     * Query the audit log
+     * @param {Object} filters - {userEmail, date, action, actor, limit} (all optional);
+     *     without userEmail the caller needs READ_ANY_ATTENDANCE
+     * @returns {Array|Object} Matching entries (newest first), or a denial result
+     */
+    getEntries(filters = {}) {
+        const { userEmail = null, date = null, action = null, actor = null, limit = null } = filters;
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.READ_ANY_ATTENDANCE, userEmail);
+        if (denied) return denied;
+
+        const email = userEmail && userEmail.toLowerCase();
+        const entries = this.dataManager.getAuditLog()
+            .filter(entry => (!email || entry.userEmail === email) &&
+                (!date || entry.date === date) &&
+                (!action || entry.action === action) &&
+                (!actor || entry.actor === actor.toLowerCase()))
+            .reverse();
+
+        return limit ? entries.slice(0, limit) : entries;
+    }
+
+    /**
+     * Get the change history of one attendance record
+     * @param {string} userEmail - Owner of the record
+     * @param {string} date - Business date (YYYY-MM-DD)
+     * @returns {Array|Object} Entries (newest first), or a denial result
+     */
+    getRecordHistory(userEmail, date) {
+        return this.getEntries({ userEmail: userEmail, date: date });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLog;
+} else {
+    window.AuditLog = AuditLog;
+}
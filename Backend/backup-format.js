@@ -0,0 +1,501 @@
+/**
+ * SparrowTrack - Backup Format
+ * Schema, validation, version migrations, checksums and signatures for DataManager backups.
+ * The checksum is a plain SHA-256 of the data and only catches damage such as truncation;
+ * anyone editing a file can recompute it. Tampering is caught by the signature, an HMAC
+ * keyed with a secret that never leaves the installation that wrote the backup.
+ */
+
+class BackupFormat {
+    /**
+     * @param {DataManager} dataManager - Supplies the legacy record converters used by old migrations
+     */
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.FORMAT = 'sparrowtrack-backup';
+        this.CURRENT_VERSION = '2.0.0';
+        // Data sections of a backup, in the order they are restored
+        this.SECTIONS = ['users', 'attendance', 'settings', 'holidays', 'leave', 'corrections', 'audit'];
+
+        const DATE = /^\d{4}-\d{2}-\d{2}$/;
+        const TIME = { type: ['string', 'null'], pattern: /^\d{2}:\d{2}:\d{2}$/ };
+        const TIMESTAMP = { type: ['string', 'null'], format: 'date-time' };
+        const request = required => ({
+            type: 'object',
+            required: ['id', 'email', 'status', ...required],
+            keyMatches: 'id',
+            properties: {
+                email: { type: 'string' },
+                status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'cancelled'] }
+            }
+        });
+
+        /*
+         * A small subset of JSON Schema: type, enum, pattern, format (date-time), required,
+         * properties, items, and for maps keys (key pattern) / values (value schema).
+         * keyMatches names a property that must equal the entry's key in its map.
+         */
+        this.SCHEMA = {
+            type: 'object',
+            required: ['format', 'version', 'exportDate', 'checksum', 'data'],
+            properties: {
+                format: { type: 'string', enum: [this.FORMAT] },
+                version: { type: 'string', pattern: /^\d+\.\d+\.\d+$/ },
+                exportDate: { type: 'string', format: 'date-time' },
+                checksum: { type: 'string', pattern: /^sha256:[0-9a-f]{64}$/ },
+                signature: { type: 'string', pattern: /^hmac-sha256:[0-9a-f]{64}$/ },
+                data: {
+                    type: 'object',
+                    required: ['users', 'attendance', 'settings'],
+                    properties: {
+                        users: {
+                            type: 'object',
+                            values: {
+                                type: 'object',
+                                required: ['email', 'name'],
+                                keyMatches: 'email',
+                                properties: {
+                                    email: { type: 'string', pattern: /^[^\sA-Z@]+@[^\sA-Z@]+\.[^\sA-Z@]+$/ },
+                                    name: { type: 'string' },
+                                    id: { type: ['string', 'null'] },
+                                    role: { type: 'string', enum: ['employee', 'manager', 'admin'] },
+                                    isActive: { type: 'boolean' },
+                                    managerEmail: { type: ['string', 'null'] }
+                                }
+                            }
+                        },
+                        attendance: {
+                            type: 'object',
+                            values: {
+                                type: 'object',
+                                keys: DATE,
+                                values: {
+                                    type: 'object',
+                                    required: ['date'],
+                                    keyMatches: 'date',
+                                    properties: {
+                                        punchIn: TIME,
+                                        punchOut: TIME,
+                                        punchInTimestamp: TIMESTAMP,
+                                        punchOutTimestamp: TIMESTAMP,
+                                        workingHours: { type: 'number' },
+                                        notes: { type: 'string' },
+                                        intervals: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                required: ['punchIn'],
+                                                properties: {
+                                                    punchIn: TIME,
+                                                    punchOut: TIME,
+                                                    punchInTimestamp: TIMESTAMP,
+                                                    punchOutTimestamp: TIMESTAMP
+                                                }
+                                            }
+                                        },
+                                        breaks: { type: 'array', items: { type: 'object' } }
+                                    }
+                                }
+                            }
+                        },
+                        settings: { type: 'object' },
+                        holidays: {
+                            type: 'object',
+                            keys: DATE,
+                            values: {
+                                type: 'object',
+                                required: ['date', 'name'],
+                                keyMatches: 'date',
+                                properties: { name: { type: 'string' } }
+                            }
+                        },
+                        leave: {
+                            type: 'object',
+                            required: ['requests', 'allowances'],
+                            properties: {
+                                requests: { type: 'object', values: request(['type', 'startDate', 'endDate']) },
+                                allowances: { type: 'object' }
+                            }
+                        },
+                        corrections: { type: 'object', values: request(['date']) },
+                        audit: {
+                            type: 'array',
+                            items: { type: 'object', required: ['id', 'timestamp', 'action'] }
+                        }
+                    }
+                }
+            }
+        };
+
+        // Each step upgrades a backup from one version to the next
+        this.MIGRATIONS = [
+            {
+                // Unversioned dumps of the original single-page app's storage
+                from: '0.0.0',
+                to: '1.0.0',
+                migrate: backup => this.migrateFromLegacy(backup)
+            },
+            {
+                // Sections move under `data`, and the backup gains a format marker and checksum
+                from: '1.0.0',
+                to: '2.0.0',
+                migrate: backup => {
+                    const data = {};
+                    this.SECTIONS.forEach(section => {
+                        if (backup[section] !== undefined) data[section] = backup[section];
+                    });
+                    return this.create(data, backup.exportDate);
+                }
+            }
+        ];
+    }
+
+    /**
+     * Compare two x.y.z versions
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} Negative, zero or positive, like a sort comparator
+     */
+    compareVersions(a, b) {
+        const left = a.split('.').map(Number);
+        const right = b.split('.').map(Number);
+        for (let i = 0; i < 3; i++) {
+            if (left[i] !== right[i]) return left[i] - right[i];
+        }
+        return 0;
+    }
+
+    /**
+     * Work out which version a backup was written in
+     * @param {Object} backup - Parsed backup
+     * @returns {string} Version
+     */
+    detectVersion(backup) {
+        if (typeof backup.version === 'string') return backup.version;
+        return backup.attendanceRecords ? '0.0.0' : '1.0.0';
+    }
+
+    /**
+     * Convert an unversioned legacy dump (`users` and `attendanceRecords`, as the
+     * original app stored them) to the 1.0.0 layout
+     * @param {Object} backup - Legacy dump
+     * @returns {Object} 1.0.0 backup
+     */
+    migrateFromLegacy(backup) {
+        const users = {};
+        Object.values(backup.users || {}).forEach(legacyUser => {
+            const user = this.dataManager.convertLegacyUser(legacyUser);
+            if (user) users[user.email] = user;
+        });
+
+        const attendance = {};
+        Object.keys(backup.attendanceRecords || {}).forEach(legacyEmail => {
+            const email = legacyEmail.toLowerCase().trim();
+            attendance[email] = attendance[email] || {};
+            Object.keys(backup.attendanceRecords[legacyEmail] || {}).forEach(legacyDate => {
+                const record = this.dataManager.convertLegacyRecord(legacyDate, backup.attendanceRecords[legacyEmail][legacyDate]);
+                if (record) attendance[email][record.date] = record;
+            });
+        });
+
+        return {
+            users: users,
+            attendance: attendance,
+            settings: backup.settings || {},
+            exportDate: backup.exportDate || new Date().toISOString(),
+            version: '1.0.0'
+        };
+    }
+
+    /**
+     * Upgrade a backup to the current version, one step at a time
+     * @param {Object} backup - Parsed backup
+     * @returns {Object} {success, backup, fromVersion} or a failure result
+     */
+    migrate(backup) {
+        const fromVersion = this.detectVersion(backup);
+        if (!/^\d+\.\d+\.\d+$/.test(fromVersion)) {
+            return {
+                success: false,
+                ...this.dataManager.messageCatalog.message('backup.unknown_version', { version: String(fromVersion) })
+            };
+        }
+        if (this.compareVersions(fromVersion, this.CURRENT_VERSION) > 0) {
+            return {
+                success: false,
+                ...this.dataManager.messageCatalog.message('backup.version_too_new', {
+                    version: fromVersion,
+                    supported: this.CURRENT_VERSION
+                })
+            };
+        }
+
+        let current = backup;
+        let version = fromVersion;
+        while (this.compareVersions(version, this.CURRENT_VERSION) < 0) {
+            const step = this.MIGRATIONS.find(migration => migration.from === version);
+            if (!step) {
+                return {
+                    success: false,
+                    ...this.dataManager.messageCatalog.message('backup.no_upgrade_path', { version: version })
+                };
+            }
+            try {
+                current = step.migrate(current);
+            } catch (error) {
+                console.error('Error migrating backup:', error);
+                return {
+                    success: false,
+                    ...this.dataManager.messageCatalog.message('backup.upgrade_failed', { from: step.from, to: step.to })
+                };
+            }
+            version = step.to;
+        }
+
+        return { success: true, backup: current, fromVersion: fromVersion };
+    }
+
+    /**
+     * JSON with object keys sorted at every level, so equal data always serializes the same
+     * @param {*} value - Value
+     * @returns {string} Canonical JSON
+     */
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * SHA-256 of some bytes. Synchronous, so backups can be built and checked
+     * without the async Web Crypto API.
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {Uint8Array} 32-byte digest
+     */
+    digest(bytes) {
+        if (!this.SHA256_K) {
+            // Fractional parts of the square and cube roots of the first primes (FIPS 180-4)
+            const primes = [];
+            for (let n = 2; primes.length < 64; n++) {
+                if (primes.every(p => n % p !== 0)) primes.push(n);
+            }
+            const fraction = value => ((value - Math.floor(value)) * 0x100000000) >>> 0;
+            this.SHA256_H = primes.slice(0, 8).map(p => fraction(Math.sqrt(p)));
+            this.SHA256_K = primes.map(p => fraction(Math.cbrt(p)));
+        }
+
+        const length = ((bytes.length + 9 + 63) >> 6) << 6;
+        const padded = new Uint8Array(length);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+        const hash = this.SHA256_H.slice();
+        const w = new Uint32Array(64);
+        const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + this.SHA256_K[i] + w[i]) >>> 0;
+                const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) >>> 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                hash[i] = (hash[i] + value) >>> 0;
+            });
+        }
+
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+        return digest;
+    }
+
+    /**
+     * Lowercase hex of some bytes
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Hex string
+     */
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * SHA-256 of a string's UTF-8 bytes
+     * @param {string} text - Text
+     * @returns {string} Hex digest
+     */
+    sha256(text) {
+        return this.toHex(this.digest(new TextEncoder().encode(text)));
+    }
+
+    /**
+     * HMAC-SHA256 of a string's UTF-8 bytes (RFC 2104)
+     * @param {string} key - Secret key
+     * @param {string} text - Text
+     * @returns {string} Hex digest
+     */
+    hmacSha256(key, text) {
+        const BLOCK = 64;
+        let keyBytes = new TextEncoder().encode(key);
+        if (keyBytes.length > BLOCK) keyBytes = this.digest(keyBytes);
+        const message = new TextEncoder().encode(text);
+
+        const inner = new Uint8Array(BLOCK + message.length);
+        const outer = new Uint8Array(BLOCK + 32);
+        for (let i = 0; i < BLOCK; i++) {
+            inner[i] = (keyBytes[i] || 0) ^ 0x36;
+            outer[i] = (keyBytes[i] || 0) ^ 0x5c;
+        }
+        inner.set(message, BLOCK);
+        outer.set(this.digest(inner), BLOCK);
+        return this.toHex(this.digest(outer));
+    }
+
+    /**
+     * Checksum of a backup's data sections. Detects corruption only: it has no key.
+     * @param {Object} data - Backup data
+     * @returns {string} "sha256:<hex>"
+     */
+    computeChecksum(data) {
+        return `sha256:${this.sha256(this.canonicalJson(data))}`;
+    }
+
+    /**
+     * Signature of a backup's version, export time and data
+     * @param {Object} backup - Current-version backup
+     * @param {string} key - Installation backup key
+     * @returns {string} "hmac-sha256:<hex>"
+     */
+    computeSignature(backup, key) {
+        const signed = { format: backup.format, version: backup.version, exportDate: backup.exportDate, data: backup.data };
+        return `hmac-sha256:${this.hmacSha256(key, this.canonicalJson(signed))}`;
+    }
+
+    /**
+     * Wrap data sections in a current-version backup
+     * @param {Object} data - Sections keyed by name
+     * @param {string} exportDate - Export time (defaults to now)
+     * @param {string|null} key - Installation backup key to sign with (unsigned without one)
+     * @returns {Object} Backup
+     */
+    create(data, exportDate = new Date().toISOString(), key = null) {
+        const backup = {
+            format: this.FORMAT,
+            version: this.CURRENT_VERSION,
+            exportDate: exportDate,
+            checksum: this.computeChecksum(data),
+            data: data
+        };
+        if (key) backup.signature = this.computeSignature(backup, key);
+        return backup;
+    }
+
+    /**
+     * Describe a value's JSON type
+     * @param {*} value - Value
+     * @returns {string} 'null', 'array', 'object', 'string', 'number' or 'boolean'
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    /**
+     * Check a value against a schema node, collecting errors with their paths
+     * @param {*} value - Value
+     * @param {Object} schema - Schema node
+     * @param {string} path - Location of the value, for error messages
+     * @param {Array} errors - Error messages (appended to)
+     * @param {string} key - The value's key in its parent map (for keyMatches)
+     */
+    check(value, schema, path, errors, key = null) {
+        // The catalog is read at check time: DataManager builds it after this format
+        const fail = (at, code, params = {}) => {
+            errors.push(`${at}: ${this.dataManager.messageCatalog.translate(code, params)}`);
+        };
+        const types = [].concat(schema.type || []);
+        const type = this.typeOf(value);
+        if (types.length > 0 && !types.includes(type)) {
+            fail(path, 'backup.schema.type', { expected: types.join(' | '), actual: type });
+            return;
+        }
+        if (value === null) return;
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(path, 'backup.schema.enum', { values: schema.enum.join(', ') });
+        }
+        if (schema.pattern && type === 'string' && !schema.pattern.test(value)) {
+            fail(path, 'backup.schema.pattern', { value: value });
+        }
+        if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+            fail(path, 'backup.schema.date_time', { value: value });
+        }
+
+        if (type === 'object') {
+            (schema.required || []).forEach(name => {
+                if (value[name] === undefined) fail(`${path}.${name}`, 'backup.schema.required');
+            });
+            if (schema.keyMatches && key !== null && value[schema.keyMatches] !== undefined &&
+                value[schema.keyMatches] !== key) {
+                fail(`${path}.${schema.keyMatches}`, 'backup.schema.key_mismatch', { key: key });
+            }
+            Object.entries(schema.properties || {}).forEach(([name, child]) => {
+                if (value[name] !== undefined) this.check(value[name], child, `${path}.${name}`, errors);
+            });
+            if (schema.keys || schema.values) {
+                Object.keys(value).forEach(name => {
+                    const childPath = `${path}[${JSON.stringify(name)}]`;
+                    if (schema.keys && !schema.keys.test(name)) fail(childPath, 'backup.schema.key');
+                    if (schema.values) this.check(value[name], schema.values, childPath, errors, name);
+                });
+            }
+        }
+
+        if (type === 'array' && schema.items) {
+            value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    /**
+     * Validate a current-version backup against the schema
+     * @param {Object} backup - Backup
+     * @returns {Array} Error messages (empty when valid)
+     */
+    validate(backup) {
+        const errors = [];
+        this.check(backup, this.SCHEMA, 'backup', errors);
+        return errors;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupFormat;
+} else {
+    window.BackupFormat = BackupFormat;
+}
@@ -0,0 +1,454 @@
+/**
+ * SparrowTrack - Correction Manager
+ * Employee-submitted attendance corrections, reviewed by managers
+ */
+
+class CorrectionManager {
+    /**
+     * @param {DataManager} dataManager - Data manager
+     * @param {AccessControl} accessControl - Resolves the acting user and guards reviews
+     * @param {AttendanceHandler} attendanceHandler - Applies approved corrections to records
+     */
+    constructor(dataManager, accessControl, attendanceHandler) {
+        this.dataManager = dataManager;
+        this.accessControl = accessControl;
+        this.attendanceHandler = attendanceHandler;
+        this.messageCatalog = dataManager.messageCatalog;
+
+        this.STATUSES = {
+            PENDING: 'pending',
+            APPROVED: 'approved',
+            REJECTED: 'rejected',
+            CANCELLED: 'cancelled'
+        };
+    }
+
+    /**
+     * Authorize the current actor
+     * @param {string} permission - Permission key in AccessControl.PERMISSIONS
+     * @param {string} ownerEmail - Owner of the data (optional); owners may always act on their own data
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize(permission, ownerEmail = null) {
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS[permission], ownerEmail);
+    }
+
+    /**
+     * Generate unique correction request ID
+     * @returns {string} Request ID
+     */
+    generateRequestId() {
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 1000);
+        return `COR${timestamp}${random}`;
+    }
+
+    /**
+     * Normalize a proposed time to HH:MM:SS
+     * @param {string} time - Time (HH:MM or HH:MM:SS)
+     * @returns {string|null} Time, or null if invalid
+     */
+    parseTime(time) {
+        if (!/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(time || '')) return null;
+        return time.length === 5 ? `${time}:00` : time;
+    }
+
+    /**
+     * Build a work interval on a business date. A punch out at or before the
+     * punch in is taken to be on the next day (overnight shift).
+     * @param {string} date - Business date (YYYY-MM-DD)
+     * @param {string} punchIn - Punch in time (HH:MM:SS)
+     * @param {string|null} punchOut - Punch out time (HH:MM:SS), or null to leave it open
+     * @param {string} timeZone - Time zone the times are in (optional, defaults to the site's)
+     * @returns {Object} Work interval
+     */
+    buildInterval(date, punchIn, punchOut, timeZone = null) {
+        const timeZones = this.attendanceHandler.timeZoneManager;
+        const start = timeZones.toInstant(date, punchIn, timeZone);
+        let end = null;
+        if (punchOut) {
+            end = timeZones.toInstant(date, punchOut, timeZone);
+            if (end <= start) end = timeZones.toInstant(timeZones.addDays(date, 1), punchOut, timeZone);
+        }
+
+        return {
+            punchIn: punchIn,
+            punchInTimestamp: start.toISOString(),
+            punchOut: punchOut,
+            punchOutTimestamp: end ? end.toISOString() : null
+        };
+    }
+
+    /**
+     * Check a proposed interval against the rest of the record
+     * @param {Object} proposed - Proposed work interval
+     * @param {Array} intervals - The record's current intervals
+     * @param {number} index - Position the proposed interval replaces
+     * @param {string} date - Business date (YYYY-MM-DD)
+     * @returns {Object|null} Error message fields ({messageCode, messageParams, message}), or null if valid
+     */
+    validateInterval(proposed, intervals, index, date) {
+        const handler = this.attendanceHandler;
+        const start = new Date(proposed.punchInTimestamp).getTime();
+        const end = proposed.punchOutTimestamp ? new Date(proposed.punchOutTimestamp).getTime() : null;
+        const maxShiftHours = handler.getAttendanceSettings().maxShiftHours;
+
+        if (start > Date.now() || (end && end > Date.now())) {
+            return this.messageCatalog.message('correction.in_future');
+        }
+        if (end && (end - start) / (1000 * 60 * 60) > maxShiftHours) {
+            return this.messageCatalog.message('attendance.shift_too_long', { count: maxShiftHours });
+        }
+
+        const overlaps = intervals.some((interval, position) => {
+            if (position === index) return false;
+            const otherStart = handler.getIntervalStart(interval, date).getTime();
+            const otherEnd = interval.punchOut
+                ? (interval.punchOutTimestamp ? new Date(interval.punchOutTimestamp).getTime()
+                    : otherStart + handler.calculateHours(interval.punchIn, interval.punchOut) * 60 * 60 * 1000)
+                : Infinity;
+            return start < otherEnd && (end === null ? Infinity : end) > otherStart;
+        });
+        return overlaps ? this.messageCatalog.message('correction.overlaps') : null;
+    }
+
+    /**
+     * Submit a correction for one work interval of a record
+     * @param {string} userEmail - Owner of the record
+     * @param {string} date - Business date of the record (YYYY-MM-DD)
+     * @param {Object} correction - {punchIn, punchOut, reason, interval}; interval is the 0-based
+     *     position to correct (defaults to the open interval, else the last one; use the
+     *     interval count to add a missed interval). Omitted times keep their current value.
+     * @returns {Object} Request result
+     */
+    requestCorrection(userEmail, date, correction) {
+        const denied = this.authorize('WRITE_ANY_ATTENDANCE', userEmail);
+        if (denied) return denied;
+
+        const { punchIn = null, punchOut = null, reason = '' } = correction || {};
+        const email = userEmail.toLowerCase();
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(new Date(`${date}T00:00:00`).getTime())) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.invalid_date')
+            };
+        }
+        if (!reason.trim()) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.reason_required')
+            };
+        }
+        if (!punchIn && !punchOut) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.time_required')
+            };
+        }
+        if ((punchIn && !this.parseTime(punchIn)) || (punchOut && !this.parseTime(punchOut))) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.invalid_time')
+            };
+        }
+
+        const handler = this.attendanceHandler;
+        const record = (this.dataManager.getAttendanceRecords()[email] || {})[date] || null;
+        const intervals = handler.getIntervals(record);
+        const openIndex = intervals.findIndex(interval => !interval.punchOut);
+        let index = correction.interval;
+        if (index === undefined || index === null) {
+            index = openIndex !== -1 ? openIndex : Math.max(0, intervals.length - 1);
+        }
+        if (!Number.isInteger(index) || index < 0 || index > intervals.length) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.interval_not_found')
+            };
+        }
+
+        const current = intervals[index] || null;
+        const proposedIn = this.parseTime(punchIn) || (current && current.punchIn);
+        if (!proposedIn) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.punch_in_required')
+            };
+        }
+        const proposedOut = this.parseTime(punchOut) || (current && current.punchOut) || null;
+        const proposed = this.buildInterval(date, proposedIn, proposedOut, handler.getRecordTimeZone(record, email));
+
+        const invalid = this.validateInterval(proposed, intervals, index, date);
+        if (invalid) {
+            return {
+                success: false,
+                ...invalid
+            };
+        }
+
+        const corrections = this.dataManager.getCorrections();
+        const duplicate = Object.values(corrections).some(request =>
+            request.email === email && request.date === date && request.status === this.STATUSES.PENDING);
+        if (duplicate) {
+            return {
+                success: false,
+                code: 'CONFLICT',
+                ...this.messageCatalog.message('correction.already_pending')
+            };
+        }
+
+        const request = {
+            id: this.generateRequestId(),
+            email: email,
+            date: date,
+            interval: index,
+            original: current ? { ...current } : null,
+            proposed: proposed,
+            reason: reason.trim(),
+            status: this.STATUSES.PENDING,
+            requestedAt: new Date().toISOString(),
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewComment: ''
+        };
+
+        corrections[request.id] = request;
+        if (this.dataManager.setCorrections(corrections)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('correction.submitted'),
+                request: request
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.save_failed')
+            };
+        }
+    }
+
+    /**
+     * Check whether an interval still holds the values a request was based on
+     * @param {Object|null} interval - Current interval
+     * @param {Object|null} original - Interval as it was when the correction was requested
+     * @returns {boolean} Unchanged
+     */
+    isUnchanged(interval, original) {
+        if (!interval || !original) return !interval && !original;
+        return ['punchIn', 'punchInTimestamp', 'punchOut', 'punchOutTimestamp']
+            .every(field => (interval[field] || null) === (original[field] || null));
+    }
+
+    /**
+     * Apply an approved correction to the attendance record
+     * @param {Object} request - Correction request
+     * @returns {Object|null} Error message fields ({messageCode, messageParams, message}), or null when applied
+     */
+    applyCorrection(request) {
+        const handler = this.attendanceHandler;
+        const records = this.dataManager.getAttendanceRecords();
+        records[request.email] = records[request.email] || {};
+        const existing = records[request.email][request.date] || null;
+        const before = handler.snapshotRecord(existing);
+        const record = existing || handler.createRecord(request.date, handler.getTimeZone(request.email));
+        const intervals = handler.getIntervals(record).slice();
+
+        if (!this.isUnchanged(intervals[request.interval] || null, request.original)) {
+            return this.messageCatalog.message('correction.record_changed');
+        }
+
+        intervals[request.interval] = { ...request.proposed };
+        intervals.sort((a, b) => handler.getIntervalStart(a, request.date, record.timeZone) - handler.getIntervalStart(b, request.date, record.timeZone));
+        record.intervals = intervals;
+
+        // A break left running inside a now-closed interval ends with it
+        const openBreak = handler.getOpenBreak(record);
+        if (openBreak && !handler.getOpenInterval(record)) {
+            const last = intervals[intervals.length - 1];
+            openBreak.end = last.punchOut;
+            openBreak.endTimestamp = last.punchOutTimestamp;
+        }
+
+        // A correction settles a forgotten punch out once the shift has an end
+        if (record.review && !record.review.resolvedAt && !handler.getOpenInterval(record)) {
+            record.review.resolvedAt = new Date().toISOString();
+        }
+
+        records[request.email][request.date] = handler.refreshRecord(record);
+        const saved = handler.saveRecord(records, request.email, request.date, before, 'correction_applied', {
+            requestId: request.id,
+            reason: request.reason
+        });
+        return saved ? null : this.messageCatalog.message('attendance.update_failed');
+    }
+
+    /**
+     * Approve or reject a pending correction (manager function). Reviewers cannot decide their own requests.
+     * @param {string} requestId - Request ID
+     * @param {string} status - APPROVED or REJECTED status value
+     * @param {string} comment - Reviewer comment
+     * @returns {Object} Review result
+     */
+    reviewCorrection(requestId, status, comment = '') {
+        const denied = this.authorize('APPROVE_CORRECTIONS');
+        if (denied) return denied;
+
+        const corrections = this.dataManager.getCorrections();
+        const request = corrections[requestId];
+        if (!request) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                ...this.messageCatalog.message('correction.not_found')
+            };
+        }
+        if (request.status !== this.STATUSES.PENDING) {
+            return {
+                success: false,
+                code: 'CONFLICT',
+                ...this.messageCatalog.message(`correction.already_${request.status}`)
+            };
+        }
+
+        const reviewer = this.accessControl.getActor();
+        if (reviewer.email === request.email) {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...this.messageCatalog.message('correction.own_request')
+            };
+        }
+
+        if (status === this.STATUSES.APPROVED) {
+            const error = this.applyCorrection(request);
+            if (error) {
+                return {
+                    success: false,
+                    code: 'CONFLICT',
+                    ...error
+                };
+            }
+        }
+
+        request.status = status;
+        request.reviewedBy = reviewer.email;
+        request.reviewedAt = new Date().toISOString();
+        request.reviewComment = (comment || '').trim();
+
+        if (this.dataManager.setCorrections(corrections)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message(`correction.${status}`),
+                request: request
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.update_failed')
+            };
+        }
+    }
+
+    /**
+     * Approve a pending correction and apply it (manager function)
+     * @param {string} requestId - Request ID
+     * @param {string} comment - Reviewer comment (optional)
+     * @returns {Object} Review result
+     */
+    approveCorrection(requestId, comment = '') {
+        return this.reviewCorrection(requestId, this.STATUSES.APPROVED, comment);
+    }
+
+    /**
+     * Reject a pending correction (manager function)
+     * @param {string} requestId - Request ID
+     * @param {string} comment - Reviewer comment (optional)
+     * @returns {Object} Review result
+     */
+    rejectCorrection(requestId, comment = '') {
+        return this.reviewCorrection(requestId, this.STATUSES.REJECTED, comment);
+    }
+
+    /**
+     * Withdraw a pending correction
+     * @param {string} requestId - Request ID
+     * @returns {Object} Cancel result
+     */
+    cancelCorrection(requestId) {
+        const corrections = this.dataManager.getCorrections();
+        const request = corrections[requestId];
+        if (!request) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                ...this.messageCatalog.message('correction.not_found')
+            };
+        }
+
+        const denied = this.authorize('APPROVE_CORRECTIONS', request.email);
+        if (denied) return denied;
+
+        if (request.status !== this.STATUSES.PENDING) {
+            return {
+                success: false,
+                code: 'CONFLICT',
+                ...this.messageCatalog.message(`correction.already_${request.status}`)
+            };
+        }
+
+        request.status = this.STATUSES.CANCELLED;
+        request.cancelledBy = this.accessControl.getActor().email;
+        request.cancelledAt = new Date().toISOString();
+
+        if (this.dataManager.setCorrections(corrections)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('correction.cancelled'),
+                request: request
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('correction.cancel_failed')
+            };
+        }
+    }
+
+    /**
+     * Get correction requests for a user, or for everyone
+     * @param {string|null} userEmail - User email, or null for all users (requires READ_ANY_ATTENDANCE)
+     * @param {string} status - Only return requests with this status (optional)
+     * @returns {Array|Object} Requests (newest first), or a denial result
+     */
+    getCorrectionRequests(userEmail = null, status = null) {
+        const denied = this.authorize('READ_ANY_ATTENDANCE', userEmail);
+        if (denied) return denied;
+
+        const email = userEmail && userEmail.toLowerCase();
+        return Object.values(this.dataManager.getCorrections())
+            .filter(request => (!email || request.email === email) && (!status || request.status === status))
+            .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+    }
+
+    /**
+     * Get corrections awaiting review by the current actor (manager function)
+     * @returns {Array|Object} Pending requests from other users (oldest first), or a denial result
+     */
+    getPendingCorrections() {
+        const denied = this.authorize('APPROVE_CORRECTIONS');
+        if (denied) return denied;
+
+        const actor = this.accessControl.getActor();
+        return Object.values(this.dataManager.getCorrections())
+            .filter(request => request.status === this.STATUSES.PENDING && request.email !== actor.email)
+            .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorrectionManager;
+} else {
+    window.CorrectionManager = CorrectionManager;
+}
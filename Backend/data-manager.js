@@ -3,14 +3,79 @@
  * Handles all data operations for the attendance system
  */
 
+/**
+ * Storage adapter interface. Values are JSON strings, mirroring the Web Storage API.
+ * Implementations: LocalStorageAdapter, IndexedDBStorageAdapter, FileStorageAdapter, MemoryStorageAdapter
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): (string|null)} getItem - Get a stored value
+ * @property {function(string, string): void} setItem - Store a value
+ * @property {function(string): void} removeItem - Remove a stored value
+ * @property {function(): Array} keys - List stored keys
+ */
+
 class DataManager {
-    constructor() {
+    /**
+     * @param {StorageAdapter} storage - Storage backend (defaults to localStorage in browsers, memory elsewhere)
+     */
+    constructor(storage) {
+        // Browsers load these as globals via <script> tags; Node resolves the sibling modules
+        const deps = typeof module !== 'undefined' && module.exports
+            ? {
+                BackupFormat: require('./backup-format'),
+                MessageCatalog: require('./message-catalog')
+            }
+            : window;
+
+        this.storage = storage || this.createDefaultStorage();
+        this.backupFormat = new deps.BackupFormat(this);
+        // Shared by every handler built on this data manager; the language lives in settings
+        this.messageCatalog = new deps.MessageCatalog(this);
         this.STORAGE_KEYS = {
             USERS: 'sparrowtrack_users',
             ATTENDANCE: 'sparrowtrack_attendance',
-            SETTINGS: 'sparrowtrack_settings'
+            SETTINGS: 'sparrowtrack_settings',
+            SESSIONS: 'sparrowtrack_sessions',
+            HOLIDAYS: 'sparrowtrack_holidays',
+            LEAVE: 'sparrowtrack_leave',
+            CORRECTIONS: 'sparrowtrack_corrections',
+            AUDIT: 'sparrowtrack_audit',
+            // Copy of the data taken before the last backup import, for rolling it back
+            SNAPSHOT: 'sparrowtrack_snapshot',
+            // Device-local kiosk mode state (not part of backups)
+            KIOSK: 'sparrowtrack_kiosk',
+            // Kiosk devices allowed to relay punches to this installation (not part of backups)
+            KIOSK_DEVICES: 'sparrowtrack_kiosk_devices',
+            // This installation's secret keys (not part of backups; kept across imports and clears)
+            KEYS: 'sparrowtrack_keys'
+        };
+        // Keys written by the original single-page app before the Backend classes existed
+        this.LEGACY_KEYS = {
+            USERS: 'users',
+            ATTENDANCE: 'attendanceRecords',
+            CURRENT_USER: 'currentUser'
         };
+        this.accessControl = null;
         this.initializeStorage();
+        this.migrateLegacyData();
+    }
+
+    /**
+     * Pick the default storage adapter for the current runtime
+     * @returns {StorageAdapter} Storage adapter
+     */
+    createDefaultStorage() {
+        // Browsers load the adapters as globals via <script> tags; Node resolves the sibling modules
+        const adapters = typeof module !== 'undefined' && module.exports
+            ? {
+                LocalStorageAdapter: require('./local-storage-adapter'),
+                MemoryStorageAdapter: require('./memory-storage-adapter')
+            }
+            : window;
+
+        if (typeof localStorage !== 'undefined') {
+            return new adapters.LocalStorageAdapter(localStorage);
+        }
+        return new adapters.MemoryStorageAdapter();
     }
 
     /**
@@ -33,13 +98,32 @@ class DataManager {
         }
     }
 
+    /**
+     * Attach the access control layer that guards backup and maintenance operations.
+     * Until one is attached (e.g. maintenance scripts) these operations are unrestricted.
+     * @param {AccessControl} accessControl - Access control instance
+     */
+    setAccessControl(accessControl) {
+        this.accessControl = accessControl;
+    }
+
+    /**
+     * Authorize a sensitive operation
+     * @param {string} permission - Permission key in AccessControl.PERMISSIONS
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize(permission) {
+        if (!this.accessControl) return null;
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS[permission]);
+    }
+
     /**
      * Get all users
      * @returns {Object} Users data
      */
     getUsers() {
         try {
-            return JSON.parse(localStorage.getItem(this.STORAGE_KEYS.USERS)) || {};
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.USERS)) || {};
         } catch (error) {
             console.error('Error getting users:', error);
             return {};
@@ -52,7 +136,7 @@ class DataManager {
      */
     setUsers(users) {
         try {
-            localStorage.setItem(this.STORAGE_KEYS.USERS, JSON.stringify(users));
+            this.storage.setItem(this.STORAGE_KEYS.USERS, JSON.stringify(users));
             return true;
         } catch (error) {
             console.error('Error setting users:', error);
@@ -66,7 +150,7 @@ class DataManager {
      */
     getAttendanceRecords() {
         try {
-            return JSON.parse(localStorage.getItem(this.STORAGE_KEYS.ATTENDANCE)) || {};
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.ATTENDANCE)) || {};
         } catch (error) {
             console.error('Error getting attendance records:', error);
             return {};
@@ -79,7 +163,7 @@ class DataManager {
      */
     setAttendanceRecords(records) {
         try {
-            localStorage.setItem(this.STORAGE_KEYS.ATTENDANCE, JSON.stringify(records));
+            this.storage.setItem(this.STORAGE_KEYS.ATTENDANCE, JSON.stringify(records));
             return true;
         } catch (error) {
             console.error('Error setting attendance records:', error);
@@ -93,7 +177,7 @@ class DataManager {
      */
     getSettings() {
         try {
-            return JSON.parse(localStorage.getItem(this.STORAGE_KEYS.SETTINGS)) || {};
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.SETTINGS)) || {};
         } catch (error) {
             console.error('Error getting settings:', error);
             return {};
@@ -106,7 +190,7 @@ class DataManager {
      */
     setSettings(settings) {
         try {
-            localStorage.setItem(this.STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+            this.storage.setItem(this.STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
             return true;
         } catch (error) {
             console.error('Error setting settings:', error);
@@ -115,49 +199,568 @@ class DataManager {
     }
 
     /**
-     * Export all data for backup
-     * @returns {Object} Complete data export
+     * Get login sessions
+     * @returns {Object} Sessions keyed by session ID
      */
-    exportData() {
+    getSessions() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.SESSIONS)) || {};
+        } catch (error) {
+            console.error('Error getting sessions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Set login sessions
+     * @param {Object} sessions - Sessions keyed by session ID
+     */
+    setSessions(sessions) {
+        try {
+            this.storage.setItem(this.STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+            return true;
+        } catch (error) {
+            console.error('Error setting sessions:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get holidays
+     * @returns {Object} Holidays keyed by date (YYYY-MM-DD)
+     */
+    getHolidays() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.HOLIDAYS)) || {};
+        } catch (error) {
+            console.error('Error getting holidays:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Set holidays
+     * @param {Object} holidays - Holidays keyed by date (YYYY-MM-DD)
+     */
+    setHolidays(holidays) {
+        try {
+            this.storage.setItem(this.STORAGE_KEYS.HOLIDAYS, JSON.stringify(holidays));
+            return true;
+        } catch (error) {
+            console.error('Error setting holidays:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get leave data
+     * @returns {Object} {requests, allowances}
+     */
+    getLeave() {
+        try {
+            const leave = JSON.parse(this.storage.getItem(this.STORAGE_KEYS.LEAVE)) || {};
+            return {
+                requests: leave.requests || {},
+                allowances: leave.allowances || {}
+            };
+        } catch (error) {
+            console.error('Error getting leave data:', error);
+            return { requests: {}, allowances: {} };
+        }
+    }
+
+    /**
+     * Set leave data
+     * @param {Object} leave - {requests, allowances}
+     */
+    setLeave(leave) {
+        try {
+            this.storage.setItem(this.STORAGE_KEYS.LEAVE, JSON.stringify(leave));
+            return true;
+        } catch (error) {
+            console.error('Error setting leave data:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get attendance correction requests
+     * @returns {Object} Correction requests keyed by ID
+     */
+    getCorrections() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.CORRECTIONS)) || {};
+        } catch (error) {
+            console.error('Error getting correction requests:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Set attendance correction requests
+     * @param {Object} corrections - Correction requests keyed by ID
+     */
+    setCorrections(corrections) {
+        try {
+            this.storage.setItem(this.STORAGE_KEYS.CORRECTIONS, JSON.stringify(corrections));
+            return true;
+        } catch (error) {
+            console.error('Error setting correction requests:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get this device's kiosk mode state
+     * @returns {Object} Kiosk state ({active, startedBy, startedAt, failures, lockedUntil})
+     */
+    getKioskState() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.KIOSK)) || {};
+        } catch (error) {
+            console.error('Error getting kiosk state:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Set this device's kiosk mode state
+     * @param {Object} state - Kiosk state
+     * @returns {boolean} Success status
+     */
+    setKioskState(state) {
+        try {
+            this.storage.setItem(this.STORAGE_KEYS.KIOSK, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.error('Error setting kiosk state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the kiosk devices registered with this installation
+     * @returns {Object} Devices keyed by ID ({id, name, token, registeredAt, registeredBy})
+     */
+    getKioskDevices() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.KIOSK_DEVICES)) || {};
+        } catch (error) {
+            console.error('Error getting kiosk devices:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Set the kiosk devices registered with this installation
+     * @param {Object} devices - Devices keyed by ID
+     * @returns {boolean} Success status
+     */
+    setKioskDevices(devices) {
+        try {
+            this.storage.setItem(this.STORAGE_KEYS.KIOSK_DEVICES, JSON.stringify(devices));
+            return true;
+        } catch (error) {
+            console.error('Error setting kiosk devices:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get one of this installation's secret keys, creating it on first use. The keys
+     * stay on this installation: backups never carry them and imports never replace them.
+     * @param {string} name - Key name (e.g. backup, kiosk)
+     * @param {string} initialValue - Value to adopt when the key does not exist yet (optional)
+     * @returns {string} 64 character hex key
+     */
+    getInstallationKey(name, initialValue = null) {
+        let keys = {};
+        try {
+            keys = JSON.parse(this.storage.getItem(this.STORAGE_KEYS.KEYS)) || {};
+        } catch (error) {
+            console.error('Error getting installation keys:', error);
+        }
+        if (!keys[name]) {
+            const cryptoImpl = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues
+                ? globalThis.crypto
+                : require('crypto').webcrypto;
+            keys[name] = initialValue || Array.from(cryptoImpl.getRandomValues(new Uint8Array(32)),
+                byte => byte.toString(16).padStart(2, '0')).join('');
+            this.storage.setItem(this.STORAGE_KEYS.KEYS, JSON.stringify(keys));
+        }
+        return keys[name];
+    }
+
+    /**
+     * Wrap data sections in a backup signed with this installation's backup key
+     * @param {Object} data - Sections keyed by name
+     * @returns {Object} Backup
+     */
+    createBackup(data) {
+        return this.backupFormat.create(data, new Date().toISOString(), this.getInstallationKey('backup'));
+    }
+
+    /**
+     * Get the audit log
+     * @returns {Array} Audit entries, oldest first
+     */
+    getAuditLog() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.AUDIT)) || [];
+        } catch (error) {
+            console.error('Error getting audit log:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Append an entry to the audit log. The log is append-only: there is no
+     * setter, and neither importData nor clearAllData replaces it.
+     * @param {Object} entry - {actor, action, userEmail, date, before, after, details}
+     * @returns {boolean} Success status
+     */
+    appendAuditEntry(entry) {
+        try {
+            const log = this.getAuditLog();
+            log.push({
+                id: log.length + 1,
+                timestamp: new Date().toISOString(),
+                actor: null,
+                userEmail: null,
+                date: null,
+                before: null,
+                after: null,
+                details: null,
+                ...entry
+            });
+            this.storage.setItem(this.STORAGE_KEYS.AUDIT, JSON.stringify(log));
+            return true;
+        } catch (error) {
+            console.error('Error appending audit entry:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Email of the user performing the current operation, for audit entries
+     * @returns {string|null} Actor email (null for maintenance scripts without access control)
+     */
+    getAuditActor() {
+        const actor = this.accessControl && this.accessControl.getActor();
+        return actor ? actor.email : null;
+    }
+
+    /**
+     * Copy of the settings without installation secrets, which earlier versions kept there
+     * @param {Object} settings - Settings
+     * @returns {Object} Settings safe to put in a backup or take from one
+     */
+    withoutSecrets(settings) {
+        if (!settings || !settings.kiosk || settings.kiosk.secret === undefined) return settings;
+        const kiosk = { ...settings.kiosk };
+        delete kiosk.secret;
+        return { ...settings, kiosk: kiosk };
+    }
+
+    /**
+     * Read the data sections that make up a backup
+     * @returns {Object} Sections keyed by name
+     */
+    collectSections() {
         return {
             users: this.getUsers(),
             attendance: this.getAttendanceRecords(),
-            settings: this.getSettings(),
-            exportDate: new Date().toISOString(),
-            version: '1.0.0'
+            settings: this.withoutSecrets(this.getSettings()),
+            holidays: this.getHolidays(),
+            leave: this.getLeave(),
+            corrections: this.getCorrections(),
+            audit: this.getAuditLog()
         };
     }
 
     /**
-     * Import data from backup
-     * @param {Object} data - Data to import
+     * Replace the stored sections present in backup data. The audit log is never
+     * replaced: it is append-only.
+     * @param {Object} data - Sections keyed by name
+     * @returns {boolean} Whether every section was saved
+     */
+    applySections(data) {
+        const setters = {
+            users: users => this.setUsers(users),
+            attendance: attendance => this.setAttendanceRecords(attendance),
+            settings: settings => {
+                // Keep a kiosk secret still stored in the settings (earlier versions) before they are replaced
+                const local = this.getSettings();
+                if (local.kiosk && local.kiosk.secret) this.getInstallationKey('kiosk', local.kiosk.secret);
+                return this.setSettings(this.withoutSecrets(settings));
+            },
+            holidays: holidays => this.setHolidays(holidays),
+            leave: leave => this.setLeave(leave),
+            corrections: corrections => this.setCorrections(corrections)
+        };
+        return Object.keys(setters).every(section => data[section] === undefined || setters[section](data[section]));
+    }
+
+    /**
+     * Export all data for backup
+     * @returns {Object} Backup ({format, version, exportDate, checksum, data})
+     */
+    exportData() {
+        const denied = this.authorize('EXPORT_DATA');
+        if (denied) return denied;
+
+        return this.createBackup(this.collectSections());
+    }
+
+    /**
+     * Check a backup and bring it to the current version: parse it, upgrade older
+     * versions, verify the checksum and signature and validate it against the schema.
+     * Only backups written by this installation carry a signature it can check; others
+     * (older versions, other installations, or edited files) are refused unless the
+     * caller has confirmed where the file came from with `trustUnverified`.
+     * @param {Object|string} backup - Backup object or JSON text
+     * @param {Object} options - {trustUnverified: accept a backup whose signature cannot be checked}
+     * @returns {Object} {success, backup, fromVersion, signed, warnings}, or a failure result with `errors`
+     */
+    verifyBackup(backup, options = {}) {
+        const format = this.backupFormat;
+        let parsed = backup;
+        if (typeof backup === 'string') {
+            try {
+                parsed = JSON.parse(backup);
+            } catch (error) {
+                return {
+                    success: false,
+                    ...this.messageCatalog.message('backup.invalid_json'),
+                    errors: [error.message]
+                };
+            }
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('backup.not_object'),
+                errors: []
+            };
+        }
+
+        const migration = format.migrate(parsed);
+        if (!migration.success) return { ...migration, errors: [] };
+
+        const warnings = [];
+        // Backups written before checksums existed get one during migration, so only the
+        // checksum of a backup that already carried one proves anything
+        if (format.compareVersions(migration.fromVersion, '2.0.0') < 0) {
+            warnings.push(this.messageCatalog.translate('backup.no_checksum', { version: migration.fromVersion }));
+        } else if (migration.backup.data && typeof migration.backup.data === 'object' &&
+            format.computeChecksum(migration.backup.data) !== migration.backup.checksum) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('backup.checksum_mismatch'),
+                errors: []
+            };
+        }
+
+        // The checksum can be recomputed by anyone who edits the file; the signature cannot
+        const signed = format.compareVersions(migration.fromVersion, format.CURRENT_VERSION) === 0 &&
+            typeof parsed.signature === 'string' &&
+            format.computeSignature(parsed, this.getInstallationKey('backup')) === parsed.signature;
+        if (!signed) {
+            if (!options.trustUnverified) {
+                return {
+                    success: false,
+                    code: 'UNVERIFIED',
+                    ...this.messageCatalog.message('backup.unverified'),
+                    errors: []
+                };
+            }
+            warnings.push(this.messageCatalog.translate('backup.accepted_unverified'));
+        }
+
+        const errors = format.validate(migration.backup);
+        if (errors.length > 0) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('backup.invalid', { count: errors.length, problems: errors.slice(0, 3).join('; ') }),
+                errors: errors
+            };
+        }
+
+        return { success: true, backup: migration.backup, fromVersion: migration.fromVersion, signed: signed, warnings: warnings };
+    }
+
+    /**
+     * Import data from backup. The backup is verified first; the current data is
+     * snapshotted before anything is replaced and restored if saving fails.
+     * @param {Object|string} data - Backup object or JSON text
+     * @param {Object} options - {trustUnverified: import a backup from another installation (see verifyBackup)}
+     * @returns {Object} Import result ({success, message, fromVersion, warnings}, or `errors` on failure)
+     */
+    importData(data, options = {}) {
+        const denied = this.authorize('IMPORT_DATA');
+        if (denied) return denied;
+
+        const verified = this.verifyBackup(data, options);
+        if (!verified.success) return verified;
+
+        // Resolve the actor before the user store is replaced
+        const actor = this.getAuditActor();
+        if (!this.saveSnapshot('pre-import', actor)) {
+            return { success: false, ...this.messageCatalog.message('backup.snapshot_failed') };
+        }
+
+        const sections = verified.backup.data;
+        let saved = false;
+        try {
+            saved = this.applySections(sections);
+        } catch (error) {
+            console.error('Error importing data:', error);
+        }
+
+        if (!saved) {
+            const restored = this.applySections(this.getSnapshot().backup.data);
+            return {
+                success: false,
+                ...this.messageCatalog.message(restored ? 'backup.import_failed_restored' : 'backup.import_failed')
+            };
+        }
+
+        this.appendAuditEntry({
+            actor: actor,
+            action: 'data_imported',
+            details: {
+                version: verified.fromVersion,
+                signed: verified.signed,
+                users: Object.keys(sections.users).length,
+                attendanceUsers: Object.keys(sections.attendance).length
+            }
+        });
+        return {
+            success: true,
+            ...this.messageCatalog.message('backup.imported'),
+            fromVersion: verified.fromVersion,
+            warnings: verified.warnings
+        };
+    }
+
+    /**
+     * Store a snapshot of the current data, replacing any earlier one
+     * @param {string} reason - Why the snapshot was taken
+     * @param {string|null} actor - Who triggered it
      * @returns {boolean} Success status
      */
-    importData(data) {
+    saveSnapshot(reason, actor) {
         try {
-            if (data.users) this.setUsers(data.users);
-            if (data.attendance) this.setAttendanceRecords(data.attendance);
-            if (data.settings) this.setSettings(data.settings);
+            this.storage.setItem(this.STORAGE_KEYS.SNAPSHOT, JSON.stringify({
+                createdAt: new Date().toISOString(),
+                reason: reason,
+                actor: actor,
+                backup: this.createBackup(this.collectSections())
+            }));
             return true;
         } catch (error) {
-            console.error('Error importing data:', error);
+            console.error('Error saving snapshot:', error);
             return false;
         }
     }
 
+    /**
+     * Get the stored snapshot
+     * @returns {Object|null} {createdAt, reason, actor, backup}
+     */
+    getSnapshot() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.SNAPSHOT));
+        } catch (error) {
+            console.error('Error getting snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Describe the stored snapshot without its data
+     * @returns {Object|null} {createdAt, reason, actor, users, version}
+     */
+    getSnapshotInfo() {
+        const denied = this.authorize('IMPORT_DATA');
+        if (denied) return denied;
+
+        const snapshot = this.getSnapshot();
+        if (!snapshot) return null;
+        return {
+            createdAt: snapshot.createdAt,
+            reason: snapshot.reason,
+            actor: snapshot.actor,
+            version: snapshot.backup.version,
+            users: Object.keys(snapshot.backup.data.users || {}).length
+        };
+    }
+
+    /**
+     * Restore the data saved by the last pre-import snapshot
+     * @returns {Object} Restore result
+     */
+    restoreSnapshot() {
+        const denied = this.authorize('IMPORT_DATA');
+        if (denied) return denied;
+
+        const snapshot = this.getSnapshot();
+        if (!snapshot) {
+            return { success: false, code: 'NOT_FOUND', ...this.messageCatalog.message('backup.no_snapshot') };
+        }
+
+        // The snapshot never left this installation's storage; ones taken before backups
+        // were signed are still restorable
+        const verified = this.verifyBackup(snapshot.backup, { trustUnverified: true });
+        if (!verified.success) {
+            return { ...verified, ...this.messageCatalog.message('backup.snapshot_invalid', { reason: verified.message }) };
+        }
+
+        const actor = this.getAuditActor();
+        try {
+            if (!this.applySections(verified.backup.data)) {
+                return { success: false, ...this.messageCatalog.message('backup.restore_failed') };
+            }
+        } catch (error) {
+            console.error('Error restoring snapshot:', error);
+            return { success: false, ...this.messageCatalog.message('backup.restore_failed') };
+        }
+
+        this.appendAuditEntry({
+            actor: actor,
+            action: 'snapshot_restored',
+            details: { createdAt: snapshot.createdAt, reason: snapshot.reason }
+        });
+        return { success: true, ...this.messageCatalog.message('backup.restored', { createdAt: snapshot.createdAt }) };
+    }
+
     /**
      * Clear all data (use with caution)
+     * @returns {Object} Clear result
      */
     clearAllData() {
+        const denied = this.authorize('CLEAR_DATA');
+        if (denied) return denied;
+
+        const actor = this.getAuditActor();
         try {
-            localStorage.removeItem(this.STORAGE_KEYS.USERS);
-            localStorage.removeItem(this.STORAGE_KEYS.ATTENDANCE);
-            localStorage.removeItem(this.STORAGE_KEYS.SETTINGS);
+            this.storage.removeItem(this.STORAGE_KEYS.USERS);
+            this.storage.removeItem(this.STORAGE_KEYS.ATTENDANCE);
+            this.storage.removeItem(this.STORAGE_KEYS.SETTINGS);
+            this.storage.removeItem(this.STORAGE_KEYS.SESSIONS);
+            this.storage.removeItem(this.STORAGE_KEYS.HOLIDAYS);
+            this.storage.removeItem(this.STORAGE_KEYS.LEAVE);
+            this.storage.removeItem(this.STORAGE_KEYS.CORRECTIONS);
+            this.storage.removeItem(this.STORAGE_KEYS.SNAPSHOT);
+            this.storage.removeItem(this.STORAGE_KEYS.KIOSK);
+            this.storage.removeItem(this.STORAGE_KEYS.KIOSK_DEVICES);
+            // The audit log is kept, and records the clear itself
             this.initializeStorage();
-            return true;
+            this.appendAuditEntry({ actor: actor, action: 'data_cleared' });
+            return { success: true, ...this.messageCatalog.message('data.cleared') };
         } catch (error) {
             console.error('Error clearing data:', error);
-            return false;
+            return { success: false, ...this.messageCatalog.message('data.clear_failed') };
         }
     }
 
@@ -183,13 +786,154 @@ class DataManager {
      */
     getStorageUsage() {
         let total = 0;
-        for (let key in localStorage) {
+        this.storage.keys().forEach(key => {
             if (key.startsWith('sparrowtrack_')) {
-                total += localStorage[key].length;
+                total += (this.storage.getItem(key) || '').length;
             }
-        }
+        });
         return total;
     }
+
+    /**
+     * Migrate data saved by the original inline app (legacy `users`,
+     * `attendanceRecords` and `currentUser` keys) into the sparrowtrack_* schema.
+     * Runs once; data already present in the new schema is never overwritten.
+     * @returns {Object} Migration summary
+     */
+    migrateLegacyData() {
+        const settings = this.getSettings();
+        if (settings.legacyMigration) {
+            return { migrated: false, users: 0, records: 0 };
+        }
+
+        let legacyUsers;
+        let legacyRecords;
+        try {
+            legacyUsers = JSON.parse(this.storage.getItem(this.LEGACY_KEYS.USERS)) || {};
+            legacyRecords = JSON.parse(this.storage.getItem(this.LEGACY_KEYS.ATTENDANCE)) || {};
+        } catch (error) {
+            console.error('Error reading legacy data:', error);
+            return { migrated: false, users: 0, records: 0 };
+        }
+
+        const users = this.getUsers();
+        const attendance = this.getAttendanceRecords();
+        let migratedUsers = 0;
+        let migratedRecords = 0;
+
+        Object.values(legacyUsers).forEach(legacyUser => {
+            const user = this.convertLegacyUser(legacyUser);
+            if (!user || users[user.email]) return;
+
+            users[user.email] = user;
+            migratedUsers++;
+        });
+
+        Object.keys(legacyRecords).forEach(legacyEmail => {
+            const email = legacyEmail.toLowerCase().trim();
+            const userRecords = attendance[email] || {};
+
+            Object.keys(legacyRecords[legacyEmail] || {}).forEach(legacyDate => {
+                const record = this.convertLegacyRecord(legacyDate, legacyRecords[legacyEmail][legacyDate]);
+                if (!record || userRecords[record.date]) return;
+                userRecords[record.date] = record;
+                migratedRecords++;
+            });
+
+            attendance[email] = userRecords;
+        });
+
+        if (!this.setUsers(users) || !this.setAttendanceRecords(attendance)) {
+            return { migrated: false, users: 0, records: 0 };
+        }
+
+        settings.legacyMigration = {
+            date: new Date().toISOString(),
+            users: migratedUsers,
+            records: migratedRecords
+        };
+        this.setSettings(settings);
+        if (migratedRecords > 0) {
+            this.appendAuditEntry({ action: 'legacy_migrated', details: { users: migratedUsers, records: migratedRecords } });
+        }
+
+        Object.values(this.LEGACY_KEYS).forEach(key => this.storage.removeItem(key));
+
+        return { migrated: true, users: migratedUsers, records: migratedRecords };
+    }
+
+    /**
+     * Convert a legacy user record to the current user format
+     * @param {Object} legacyUser - Legacy user record
+     * @returns {Object|null} Converted user, or null if it has no email
+     */
+    convertLegacyUser(legacyUser) {
+        if (!legacyUser || !legacyUser.email) return null;
+
+        return {
+            id: legacyUser.id,
+            name: legacyUser.name,
+            email: legacyUser.email.toLowerCase().trim(),
+            password: legacyUser.password,
+            department: legacyUser.department,
+            position: legacyUser.position,
+            role: 'employee',
+            registrationDate: legacyUser.registeredDate || new Date().toISOString(),
+            isActive: true,
+            lastLogin: null
+        };
+    }
+
+    /**
+     * Convert a legacy attendance record (keyed by `toDateString()` with
+     * locale time strings) to the current record format
+     * @param {string} legacyDate - Legacy date key, e.g. "Mon Oct 19 2026"
+     * @param {Object} legacyRecord - Legacy attendance record
+     * @returns {Object|null} Converted record, or null if the date is unreadable
+     */
+    convertLegacyRecord(legacyDate, legacyRecord) {
+        const day = new Date(legacyDate);
+        if (!legacyRecord || isNaN(day.getTime())) return null;
+
+        const date = day.toLocaleDateString('en-CA');
+        const punchIn = this.parseLegacyTime(legacyRecord.punchIn);
+        const punchOut = this.parseLegacyTime(legacyRecord.punchOut);
+        const toTimestamp = time => time ? new Date(`${date}T${time}`).toISOString() : null;
+
+        let workingHours = parseFloat(legacyRecord.workingHours);
+        if (isNaN(workingHours)) {
+            workingHours = punchIn && punchOut
+                ? Math.max(0, (new Date(`${date}T${punchOut}`) - new Date(`${date}T${punchIn}`)) / (1000 * 60 * 60))
+                : 0;
+        }
+
+        return {
+            date: date,
+            punchIn: punchIn,
+            punchInTimestamp: toTimestamp(punchIn),
+            punchOut: punchOut,
+            punchOutTimestamp: toTimestamp(punchOut),
+            workingHours: Math.max(0, workingHours),
+            notes: legacyRecord.notes || ''
+        };
+    }
+
+    /**
+     * Parse a locale time string ("9:05:12 AM", "21:05:12") to HH:MM:SS
+     * @param {string} time - Legacy time string
+     * @returns {string|null} Time string (HH:MM:SS)
+     */
+    parseLegacyTime(time) {
+        const match = /(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp])?/.exec(time || '');
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10) % 24;
+        if (match[4]) {
+            hours = hours % 12 + (match[4].toUpperCase() === 'P' ? 12 : 0);
+        }
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(hours)}:${match[2]}:${match[3] || '00'}`;
+    }
 }
 
 // Export for use in other files
@@ -0,0 +1,499 @@
+/**
+ * SparrowTrack - Dataset Merger
+ * Folds another SparrowTrack backup (e.g. a kiosk's export) into the current data at the
+ * record level: users by email, attendance by employee and day, and punches by their timestamps.
+ * Anything the field rules cannot decide is kept as it is locally and listed in a conflict report.
+ */
+
+class DatasetMerger {
+    /**
+     * @param {AttendanceHandler} attendanceHandler - Supplies the record helpers and the audit log
+     */
+    constructor(attendanceHandler) {
+        this.attendanceHandler = attendanceHandler;
+        this.dataManager = attendanceHandler.dataManager;
+        this.accessControl = attendanceHandler.userHandler.accessControl;
+        this.messageCatalog = attendanceHandler.messageCatalog;
+        // How each user field is reconciled when both datasets have the user:
+        // newer = take the value from the more recently updated record (undecidable on a tie),
+        // earliest / latest = compare the timestamps themselves,
+        // local = never changed by a merge; a different incoming value is reported
+        this.USER_FIELD_RULES = {
+            id: 'local',
+            name: 'newer',
+            department: 'newer',
+            position: 'newer',
+            managerEmail: 'newer',
+            role: 'local',
+            isActive: 'local',
+            credentials: 'local',
+            password: 'local',
+            kiosk: 'local',
+            registrationDate: 'earliest',
+            lastLogin: 'latest'
+        };
+        // Credential material never shown in the conflict report
+        this.HIDDEN_USER_FIELDS = ['credentials', 'password', 'kiosk'];
+        this.INTERVAL_FIELDS = { start: 'punchIn', startTimestamp: 'punchInTimestamp', end: 'punchOut', endTimestamp: 'punchOutTimestamp' };
+        this.BREAK_FIELDS = { start: 'start', startTimestamp: 'startTimestamp', end: 'end', endTimestamp: 'endTimestamp' };
+    }
+
+    /**
+     * Reason fields of a conflict report entry
+     * @param {string} code - Message code
+     * @returns {Object} {reasonCode, reason}
+     */
+    conflictReason(code) {
+        return { reasonCode: code, reason: this.messageCatalog.translate(code) };
+    }
+
+    /**
+     * Compare two values structurally (key order does not matter)
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if they hold the same data
+     */
+    isEqual(a, b) {
+        const format = this.dataManager.backupFormat;
+        return format.canonicalJson(a === undefined ? null : a) === format.canonicalJson(b === undefined ? null : b);
+    }
+
+    /**
+     * Decide which of two records was updated more recently
+     * (users that were never edited count from their registration)
+     * @param {Object} local - Local record or user
+     * @param {Object} incoming - Incoming record or user
+     * @returns {string|null} 'local', 'incoming', or null if it cannot be told
+     */
+    getNewer(local, incoming) {
+        const localTime = Date.parse(local.lastUpdated || local.registrationDate);
+        const incomingTime = Date.parse(incoming.lastUpdated || incoming.registrationDate);
+        if (isNaN(localTime) || isNaN(incomingTime) || localTime === incomingTime) return null;
+        return incomingTime > localTime ? 'incoming' : 'local';
+    }
+
+    /**
+     * Merge one user present in both datasets
+     * @param {Object} local - Local user
+     * @param {Object} incoming - Incoming user
+     * @param {Array} conflicts - Conflict report to append to
+     * @returns {Object} {user, changed}
+     */
+    mergeUser(local, incoming, conflicts) {
+        const user = { ...local };
+        const newer = this.getNewer(local, incoming);
+        let changed = false;
+
+        Object.keys(incoming).forEach(field => {
+            if (field === 'lastUpdated' || this.isEqual(local[field], incoming[field])) return;
+            const rule = this.USER_FIELD_RULES[field] || 'newer';
+            let take = false;
+
+            // A local field is never filled in from the merge, even when the local user lacks it:
+            // a user stored without a role would otherwise adopt an imported admin role
+            if (rule !== 'local' && (local[field] === undefined || local[field] === null)) {
+                take = true;
+            } else if (rule === 'earliest') {
+                take = Date.parse(incoming[field]) < Date.parse(local[field]);
+            } else if (rule === 'latest') {
+                take = Date.parse(incoming[field]) > Date.parse(local[field]);
+            } else if (rule === 'newer' && newer !== null) {
+                take = newer === 'incoming';
+            } else {
+                conflicts.push({
+                    section: 'users',
+                    key: local.email,
+                    field: field,
+                    local: this.HIDDEN_USER_FIELDS.includes(field) ? '[hidden]' : local[field],
+                    incoming: this.HIDDEN_USER_FIELDS.includes(field) ? '[hidden]' : incoming[field],
+                    ...this.conflictReason(rule === 'local' ? 'merge.conflict.local_field' : 'merge.conflict.both_changed')
+                });
+                return;
+            }
+
+            if (take) {
+                user[field] = incoming[field];
+                changed = true;
+            }
+        });
+
+        if (changed && newer === 'incoming') user.lastUpdated = incoming.lastUpdated;
+        return { user: user, changed: changed };
+    }
+
+    /**
+     * Time range of an interval or break in milliseconds; open spans run to the end of time.
+     * Wall-clock times without timestamps are read in the record's time zone.
+     * @param {Object} span - Interval or break
+     * @param {Object} fields - INTERVAL_FIELDS or BREAK_FIELDS
+     * @param {string} date - Date of the record (YYYY-MM-DD)
+     * @param {string} timeZone - IANA time zone of the record
+     * @returns {Object} {start, end}
+     */
+    getSpanRange(span, fields, date, timeZone) {
+        const timeZoneManager = this.attendanceHandler.timeZoneManager;
+        const start = span[fields.startTimestamp]
+            ? Date.parse(span[fields.startTimestamp])
+            : timeZoneManager.toInstant(date, span[fields.start], timeZone).getTime();
+        if (!span[fields.end]) return { start: start, end: Infinity };
+
+        let end = span[fields.endTimestamp]
+            ? Date.parse(span[fields.endTimestamp])
+            : timeZoneManager.toInstant(date, span[fields.end], timeZone).getTime();
+        // Overnight spans without timestamps end on the next day
+        if (end <= start) end += 24 * 60 * 60 * 1000;
+        return { start: start, end: end };
+    }
+
+    /**
+     * Merge the intervals or breaks of one day. Spans match on their start timestamp;
+     * for a matching pair a closed span beats an open one, a real punch beats an automatic
+     * punch-out, and otherwise the newer record wins. Unmatched spans are added unless
+     * they overlap one already kept.
+     * @param {Array} localSpans - Local spans
+     * @param {Array} incomingSpans - Incoming spans
+     * @param {Object} fields - INTERVAL_FIELDS or BREAK_FIELDS
+     * @param {Object} context - {key, date, timeZone, field, newer}
+     * @param {Array} conflicts - Conflict report to append to
+     * @returns {Object} {spans, changed}
+     */
+    mergeSpans(localSpans, incomingSpans, fields, context, conflicts) {
+        const spans = localSpans.map(span => ({ ...span }));
+        const keyOf = span => span[fields.startTimestamp] || span[fields.start];
+        let changed = false;
+
+        incomingSpans.forEach(incoming => {
+            const index = spans.findIndex(span => keyOf(span) === keyOf(incoming));
+            if (index !== -1) {
+                const local = spans[index];
+                if (this.isEqual(local, incoming)) return;
+
+                let winner = context.newer;
+                if (!local[fields.end] !== !incoming[fields.end]) {
+                    winner = incoming[fields.end] ? 'incoming' : 'local';
+                } else if (!local.autoClosed !== !incoming.autoClosed) {
+                    winner = incoming.autoClosed ? 'local' : 'incoming';
+                }
+
+                if (winner === 'incoming') {
+                    spans[index] = { ...incoming };
+                    changed = true;
+                } else if (winner === null) {
+                    conflicts.push({
+                        section: 'attendance',
+                        key: context.key,
+                        field: context.field,
+                        local: local,
+                        incoming: incoming,
+                        ...this.conflictReason('merge.conflict.entry_changed')
+                    });
+                }
+                return;
+            }
+
+            const range = this.getSpanRange(incoming, fields, context.date, context.timeZone);
+            const overlap = spans.find(span => {
+                const other = this.getSpanRange(span, fields, context.date, context.timeZone);
+                return range.start < other.end && other.start < range.end;
+            });
+            if (overlap) {
+                conflicts.push({
+                    section: 'attendance',
+                    key: context.key,
+                    field: context.field,
+                    local: overlap,
+                    incoming: incoming,
+                    ...this.conflictReason('merge.conflict.overlap')
+                });
+                return;
+            }
+
+            spans.push({ ...incoming });
+            changed = true;
+        });
+
+        const startOf = span => this.getSpanRange(span, fields, context.date, context.timeZone).start;
+        spans.sort((a, b) => startOf(a) - startOf(b));
+        return { spans: spans, changed: changed };
+    }
+
+    /**
+     * Merge one attendance record present in both datasets
+     * @param {string} email - Employee email
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {Object} local - Local record
+     * @param {Object} incoming - Incoming record
+     * @param {Array} conflicts - Conflict report to append to
+     * @returns {Object} {record, changed}
+     */
+    mergeRecord(email, date, local, incoming, conflicts) {
+        const handler = this.attendanceHandler;
+        if (this.isEqual(local, incoming)) return { record: local, changed: false };
+
+        const key = `${email}/${date}`;
+        const newer = this.getNewer(local, incoming);
+        // Both copies of a day were kept in the same zone unless the employee's zone changed in between
+        const timeZone = handler.getRecordTimeZone(local.timeZone ? local : incoming, email);
+        const intervals = this.mergeSpans(handler.getIntervals(local), handler.getIntervals(incoming),
+            this.INTERVAL_FIELDS, { key: key, date: date, timeZone: timeZone, field: 'intervals', newer: newer }, conflicts);
+        const breaks = this.mergeSpans(handler.getBreaks(local), handler.getBreaks(incoming),
+            this.BREAK_FIELDS, { key: key, date: date, timeZone: timeZone, field: 'breaks', newer: newer }, conflicts);
+        const record = handler.snapshotRecord(local);
+        let changed = intervals.changed || breaks.changed;
+
+        record.intervals = intervals.spans;
+        record.breaks = breaks.spans;
+
+        // Notes and the forgotten punch-out review: an empty side takes the other value,
+        // a resolved review beats an open one, and otherwise the newer record wins
+        ['notes', 'review'].forEach(field => {
+            const localValue = local[field] || null;
+            const incomingValue = incoming[field] || null;
+            if (this.isEqual(localValue, incomingValue) || !incomingValue) return;
+
+            let winner = localValue ? newer : 'incoming';
+            if (field === 'review' && localValue && !localValue.resolvedAt !== !incomingValue.resolvedAt) {
+                winner = incomingValue.resolvedAt ? 'incoming' : 'local';
+            }
+
+            if (winner === 'incoming') {
+                record[field] = incomingValue;
+                changed = true;
+            } else if (winner === null) {
+                conflicts.push({
+                    section: 'attendance',
+                    key: key,
+                    field: field,
+                    local: localValue,
+                    incoming: incomingValue,
+                    ...this.conflictReason('merge.conflict.both_changed')
+                });
+            }
+        });
+
+        return { record: changed ? handler.refreshRecord(record) : local, changed: changed };
+    }
+
+    /**
+     * Merge keyed entries (holidays, leave and correction requests, leave allowances).
+     * Missing entries are added; a pending request takes its reviewed counterpart;
+     * any other difference is reported.
+     * @param {string} section - Section name for the report
+     * @param {Object} local - Local entries by key
+     * @param {Object} incoming - Incoming entries by key
+     * @param {Array} conflicts - Conflict report to append to
+     * @returns {Object} {entries, added, updated}
+     */
+    mergeEntries(section, local, incoming, conflicts) {
+        const entries = { ...local };
+        let added = 0;
+        let updated = 0;
+
+        Object.keys(incoming).forEach(key => {
+            const localEntry = local[key];
+            const incomingEntry = incoming[key];
+            if (localEntry === undefined) {
+                entries[key] = incomingEntry;
+                added++;
+            } else if (this.isEqual(localEntry, incomingEntry)) {
+                return;
+            } else if (localEntry.status === 'pending' && incomingEntry.status && incomingEntry.status !== 'pending') {
+                entries[key] = incomingEntry;
+                updated++;
+            } else if (!(incomingEntry.status === 'pending' && localEntry.status && localEntry.status !== 'pending')) {
+                conflicts.push({
+                    section: section,
+                    key: key,
+                    field: null,
+                    local: localEntry,
+                    incoming: incomingEntry,
+                    ...this.conflictReason('merge.conflict.differ')
+                });
+            }
+        });
+
+        return { entries: entries, added: added, updated: updated };
+    }
+
+    /**
+     * Merge a backup into the current data. Settings, sessions and the audit log stay local.
+     * @param {Object|string} backup - Backup object or JSON text (any supported version)
+     * @param {Object} options - {dryRun: report what would change without saving (default false),
+     *     trustUnverified: merge a backup from another installation, whose signature cannot be checked here}
+     * @returns {Object} {success, message, dryRun, summary, conflicts}
+     */
+    merge(backup, options = {}) {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.IMPORT_DATA);
+        if (denied) return denied;
+
+        const verified = this.dataManager.verifyBackup(backup, { trustUnverified: !!options.trustUnverified });
+        if (!verified.success) return verified;
+
+        const { dryRun = false } = options;
+        const incoming = verified.backup.data;
+        const local = this.dataManager.collectSections();
+        const conflicts = [];
+        const changes = [];
+        const summary = {
+            users: { added: 0, updated: 0 },
+            attendance: { added: 0, merged: 0 },
+            holidays: { added: 0, updated: 0 },
+            leave: { added: 0, updated: 0 },
+            corrections: { added: 0, updated: 0 }
+        };
+
+        const roles = this.accessControl.ROLES;
+        const canManageRoles = this.accessControl.hasPermission(
+            this.accessControl.getActor(), this.accessControl.PERMISSIONS.MANAGE_ROLES);
+        const users = { ...local.users };
+        const ids = {};
+        Object.values(users).forEach(user => {
+            if (user.id) ids[user.id] = user.email;
+        });
+        Object.keys(incoming.users).forEach(email => {
+            const incomingUser = incoming.users[email];
+            if (!users[email]) {
+                if (incomingUser.id && ids[incomingUser.id]) {
+                    conflicts.push({
+                        section: 'users',
+                        key: email,
+                        field: 'id',
+                        local: ids[incomingUser.id],
+                        incoming: incomingUser.id,
+                        ...this.conflictReason('merge.conflict.id_taken')
+                    });
+                    return;
+                }
+                users[email] = incomingUser;
+                // Like a roster import, only someone who may manage roles brings in managers and admins
+                const role = this.accessControl.getRole(incomingUser);
+                if (role !== roles.EMPLOYEE && !canManageRoles) {
+                    users[email] = { ...incomingUser, role: roles.EMPLOYEE };
+                    conflicts.push({
+                        section: 'users',
+                        key: email,
+                        field: 'role',
+                        local: roles.EMPLOYEE,
+                        incoming: role,
+                        ...this.conflictReason('merge.conflict.role_downgraded')
+                    });
+                }
+                if (incomingUser.id) ids[incomingUser.id] = email;
+                summary.users.added++;
+                return;
+            }
+
+            const merged = this.mergeUser(users[email], incomingUser, conflicts);
+            users[email] = merged.user;
+            if (merged.changed) summary.users.updated++;
+        });
+
+        const attendance = {};
+        Object.keys(local.attendance).forEach(email => {
+            attendance[email] = { ...local.attendance[email] };
+        });
+        Object.keys(incoming.attendance).forEach(email => {
+            if (!users[email]) {
+                conflicts.push({
+                    section: 'attendance',
+                    key: email,
+                    field: null,
+                    local: null,
+                    incoming: Object.keys(incoming.attendance[email]).length,
+                    ...this.conflictReason('merge.conflict.attendance_skipped')
+                });
+                return;
+            }
+
+            const userRecords = attendance[email] = attendance[email] || {};
+            Object.keys(incoming.attendance[email]).forEach(date => {
+                const incomingRecord = incoming.attendance[email][date];
+                const before = userRecords[date];
+                if (!before) {
+                    userRecords[date] = incomingRecord;
+                    changes.push({ email: email, date: date, before: null });
+                    summary.attendance.added++;
+                    return;
+                }
+
+                const merged = this.mergeRecord(email, date, before, incomingRecord, conflicts);
+                if (merged.changed) {
+                    userRecords[date] = merged.record;
+                    changes.push({ email: email, date: date, before: before });
+                    summary.attendance.merged++;
+                }
+            });
+        });
+
+        const holidays = this.mergeEntries('holidays', local.holidays, incoming.holidays, conflicts);
+        const leaveRequests = this.mergeEntries('leave', local.leave.requests, incoming.leave.requests, conflicts);
+        const allowances = this.mergeEntries('leave', local.leave.allowances, incoming.leave.allowances, conflicts);
+        const corrections = this.mergeEntries('corrections', local.corrections, incoming.corrections, conflicts);
+        summary.holidays = { added: holidays.added, updated: holidays.updated };
+        summary.leave = { added: leaveRequests.added + allowances.added, updated: leaveRequests.updated + allowances.updated };
+        summary.corrections = { added: corrections.added, updated: corrections.updated };
+
+        const total = Object.values(summary).reduce((sum, counts) =>
+            sum + Object.values(counts).reduce((a, b) => a + b, 0), 0);
+        const result = {
+            success: true,
+            dryRun: dryRun,
+            ...this.messageCatalog.message(dryRun ? 'merge.preview' : 'merge.done', {
+                changes: this.messageCatalog.translate('merge.changes', { count: total }),
+                conflicts: this.messageCatalog.translate('merge.conflicts', { count: conflicts.length })
+            }),
+            fromVersion: verified.fromVersion,
+            warnings: verified.warnings,
+            summary: summary,
+            conflicts: conflicts
+        };
+        if (dryRun || total === 0) return result;
+
+        const actor = this.dataManager.getAuditActor();
+        if (!this.dataManager.saveSnapshot('pre-merge', actor)) {
+            return { success: false, ...this.messageCatalog.message('merge.snapshot_failed') };
+        }
+
+        let saved = false;
+        try {
+            saved = this.dataManager.applySections({
+                users: users,
+                attendance: attendance,
+                holidays: holidays.entries,
+                leave: { requests: leaveRequests.entries, allowances: allowances.entries },
+                corrections: corrections.entries
+            });
+        } catch (error) {
+            console.error('Error merging data:', error);
+        }
+
+        if (!saved) {
+            const restored = this.dataManager.applySections(this.dataManager.getSnapshot().backup.data);
+            return {
+                success: false,
+                ...this.messageCatalog.message(restored ? 'merge.failed_restored' : 'merge.failed')
+            };
+        }
+
+        changes.forEach(({ email, date, before }) => {
+            this.attendanceHandler.auditLog.record('attendance_merged', email, date, before, attendance[email][date]);
+        });
+        this.dataManager.appendAuditEntry({
+            actor: actor,
+            action: 'data_merged',
+            details: {
+                version: verified.fromVersion,
+                summary: summary,
+                conflicts: conflicts.length
+            }
+        });
+        return result;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatasetMerger;
+} else {
+    window.DatasetMerger = DatasetMerger;
+}
@@ -0,0 +1,530 @@
+/**
+ * SparrowTrack - Export Manager
+ * Attendance exports for one or many employees over a date range:
+ * CSV (RFC 4180), XLSX, JSON Lines, a printable PDF timesheet and iCalendar shifts
+ */
+
+class ExportManager {
+    /**
+     * @param {AttendanceHandler} attendanceHandler - Supplies the attendance history being exported
+     */
+    constructor(attendanceHandler) {
+        // Browsers load these as globals via <script> tags; Node resolves the sibling modules
+        const deps = typeof module !== 'undefined' && module.exports
+            ? {
+                XlsxWriter: require('./xlsx-writer'),
+                PdfWriter: require('./pdf-writer')
+            }
+            : window;
+
+        this.XlsxWriter = deps.XlsxWriter;
+        this.PdfWriter = deps.PdfWriter;
+        this.attendanceHandler = attendanceHandler;
+        this.dataManager = attendanceHandler.dataManager;
+        this.userHandler = attendanceHandler.userHandler;
+        this.accessControl = attendanceHandler.userHandler.accessControl;
+        this.messageCatalog = attendanceHandler.messageCatalog;
+        this.FORMATS = {
+            csv: { extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+            xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+            jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson; charset=utf-8' },
+            pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+            ics: { extension: 'ics', mimeType: 'text/calendar; charset=utf-8' }
+        };
+        // Relative to the app root (index.html), which is one level above Backend/
+        this.LOGO_FILE = 'flying-sparrow-logo.png.jpeg';
+        this.logo = undefined;
+    }
+
+    /**
+     * Quote a CSV field, doubling embedded quotes (RFC 4180). Text that a spreadsheet
+     * would run as a formula (names and notes typed by employees) gets a leading '
+     * @param {*} value - Field value
+     * @returns {string} Quoted field
+     */
+    formatCSVField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Build CSV text with CRLF line breaks (RFC 4180)
+     * @param {Array} rows - Rows of field values, header first
+     * @returns {string} CSV text
+     */
+    buildCSV(rows) {
+        return rows.map(row => row.map(field => this.formatCSVField(field)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Resolve and load what an export covers
+     * @param {Object} selection - {emails, startDate, endDate}; emails is a list of users,
+     *     'all' for every active user, or omitted for the current user
+     * @returns {Object} {success, startDate, endDate, employees: [{id, name, email, department, history}]}
+     */
+    collect(selection = {}) {
+        const { emails = null, startDate, endDate } = selection;
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '')) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('export.dates_required')
+            };
+        }
+        if (startDate > endDate) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('export.start_after_end')
+            };
+        }
+
+        const users = this.dataManager.getUsers();
+        let selected;
+
+        if (emails === 'all') {
+            const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.READ_ANY_ATTENDANCE);
+            if (denied) return denied;
+            selected = Object.values(users).filter(user => user.isActive);
+        } else if (Array.isArray(emails) && emails.length > 0) {
+            selected = [];
+            for (const email of new Set(emails.map(email => String(email).trim().toLowerCase()))) {
+                // Check access first so the result does not reveal which accounts exist
+                const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.READ_ANY_ATTENDANCE, email);
+                if (denied) return denied;
+                if (!users[email]) {
+                    return {
+                        success: false,
+                        code: 'NOT_FOUND',
+                        ...this.messageCatalog.message('export.user_not_found', { email: email })
+                    };
+                }
+                selected.push(users[email]);
+            }
+        } else {
+            const currentUser = this.userHandler.getCurrentUser();
+            if (!currentUser) {
+                return {
+                    success: false,
+                    code: 'UNAUTHENTICATED',
+                    ...this.messageCatalog.message('auth.login_required')
+                };
+            }
+            selected = [users[currentUser.email] || currentUser];
+        }
+
+        const employees = [];
+        for (const user of selected.sort((a, b) => (a.name || '').localeCompare(b.name || ''))) {
+            const history = this.attendanceHandler.getAttendanceHistory(user.email, startDate, endDate);
+            if (!Array.isArray(history)) return history;
+            employees.push({
+                id: user.id || '',
+                name: user.name || '',
+                email: user.email,
+                department: user.department || '',
+                history: history.sort((a, b) => a.date.localeCompare(b.date))
+            });
+        }
+
+        return {
+            success: true,
+            startDate: startDate,
+            endDate: endDate,
+            employees: employees
+        };
+    }
+
+    /**
+     * Totals for one employee's exported history
+     * @param {Array} history - History entries
+     * @returns {Object} {workedHours, breakHours, daysPresent}
+     */
+    getTotals(history) {
+        return history.reduce((totals, entry) => ({
+            workedHours: totals.workedHours + entry.workingHours,
+            breakHours: totals.breakHours + entry.breakHours,
+            daysPresent: totals.daysPresent + (entry.intervals.length > 0 ? 1 : 0)
+        }), { workedHours: 0, breakHours: 0, daysPresent: 0 });
+    }
+
+    /**
+     * Attendance rows shared by the CSV and XLSX exports: the attendance CSV columns
+     * followed by the employee
+     * @param {Object} collection - Result of collect()
+     * @param {boolean} numericHours - Hours as decimal numbers instead of formatted text
+     * @returns {Array} Rows, header first
+     */
+    getRows(collection, numericHours = false) {
+        const handler = this.attendanceHandler;
+        const rows = [[...handler.CSV_COLUMNS, 'Employee', 'Employee ID']];
+
+        collection.employees.forEach(employee => {
+            employee.history.forEach(entry => {
+                const fields = handler.getCSVFields(entry);
+                if (numericHours) {
+                    fields[4] = Math.round(entry.workingHours * 100) / 100;
+                    fields[5] = Math.round(entry.breakHours * 100) / 100;
+                }
+                rows.push([...fields, employee.name, employee.id]);
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Export as CSV
+     * @param {Object} collection - Result of collect()
+     * @returns {string} CSV text
+     */
+    toCSV(collection) {
+        return this.buildCSV(this.getRows(collection));
+    }
+
+    /**
+     * Export as an XLSX workbook with an attendance sheet and a per-employee summary
+     * @param {Object} collection - Result of collect()
+     * @returns {Uint8Array} Workbook bytes
+     */
+    toXLSX(collection) {
+        const round = hours => Math.round(hours * 100) / 100;
+        const workbook = new this.XlsxWriter();
+        workbook.addSheet('Attendance', this.getRows(collection, true));
+        workbook.addSheet('Summary', [
+            ['Employee', 'Employee ID', 'Email', 'Department', 'Start Date', 'End Date', 'Days Present', 'Worked Hours', 'Break Hours'],
+            ...collection.employees.map(employee => {
+                const totals = this.getTotals(employee.history);
+                return [
+                    employee.name, employee.id, employee.email, employee.department,
+                    collection.startDate, collection.endDate,
+                    totals.daysPresent, round(totals.workedHours), round(totals.breakHours)
+                ];
+            })
+        ]);
+        return workbook.toBytes();
+    }
+
+    /**
+     * Export as JSON Lines: one history entry per line, tagged with its employee
+     * @param {Object} collection - Result of collect()
+     * @returns {string} JSON Lines text
+     */
+    toJSONLines(collection) {
+        const lines = [];
+        collection.employees.forEach(employee => {
+            employee.history.forEach(entry => {
+                lines.push(JSON.stringify({
+                    email: employee.email,
+                    employeeId: employee.id,
+                    name: employee.name,
+                    department: employee.department,
+                    ...entry
+                }));
+            });
+        });
+        return lines.map(line => `${line}\n`).join('');
+    }
+
+    /**
+     * Export a printable timesheet: one or more pages per employee with the logo,
+     * daily rows, totals and signature lines
+     * @param {Object} collection - Result of collect()
+     * @param {Uint8Array|null} logo - JPEG logo (optional)
+     * @returns {Uint8Array} PDF bytes
+     */
+    toPDF(collection, logo = null) {
+        const pdf = new this.PdfWriter({ title: `SparrowTrack Timesheet ${collection.startDate} to ${collection.endDate}` });
+        const margin = 40;
+        const right = pdf.width - margin;
+        const bottom = pdf.height - margin;
+        const columns = [
+            { title: 'Date', x: margin, width: 62 },
+            { title: 'Day', x: 106, width: 30 },
+            { title: 'Punch In', x: 140, width: 52 },
+            { title: 'Punch Out', x: 196, width: 52 },
+            { title: 'Break', x: 252, width: 40, align: 'right' },
+            { title: 'Hours', x: 298, width: 40, align: 'right' },
+            { title: 'Status', x: 348, width: 80 },
+            { title: 'Notes', x: 432, width: right - 432 }
+        ];
+        // Text from the catalog, in English where the built-in fonts cannot show the chosen language
+        const translate = (code, params = {}) => {
+            const text = this.messageCatalog.translate(code, params);
+            return pdf.canShow(text) ? text : this.messageCatalog.translate(code, params, 'en');
+        };
+        const employees = collection.employees.length > 0
+            ? collection.employees
+            : [{ id: '', name: '', email: '', department: '', history: [] }];
+
+        const drawCell = (column, y, value, bold = false) => {
+            const text = pdf.fitText(value, 9, column.width, bold);
+            if (column.align === 'right') {
+                pdf.text(column.x + column.width, y, text, { size: 9, bold: bold, align: 'right' });
+            } else {
+                pdf.text(column.x, y, text, { size: 9, bold: bold });
+            }
+        };
+
+        const startPage = (employee, continued) => {
+            pdf.addPage();
+            if (logo) pdf.image(logo, margin, margin, 50, 40);
+            pdf.text(logo ? margin + 62 : margin, margin + 26, `SparrowTrack Timesheet${continued ? ' (continued)' : ''}`, { size: 18, bold: true });
+            pdf.text(right, margin + 12, `Generated ${this.attendanceHandler.getCurrentDate()}`, { size: 8, align: 'right' });
+            pdf.line(margin, margin + 50, right, margin + 50, 1);
+
+            pdf.text(margin, margin + 70, `Employee: ${employee.name}`, { size: 10, bold: true });
+            pdf.text(margin, margin + 84, `Employee ID: ${employee.id || '-'}`, { size: 9 });
+            pdf.text(300, margin + 70, `Period: ${collection.startDate} to ${collection.endDate}`, { size: 10 });
+            pdf.text(300, margin + 84, `Department: ${employee.department || '-'}`, { size: 9 });
+
+            const headerY = margin + 112;
+            columns.forEach(column => drawCell(column, headerY, column.title, true));
+            pdf.line(margin, headerY + 5, right, headerY + 5);
+            return headerY + 19;
+        };
+
+        employees.forEach(employee => {
+            let y = startPage(employee, false);
+
+            employee.history.forEach(entry => {
+                if (y > bottom - 20) y = startPage(employee, true);
+                const fields = this.attendanceHandler.getCSVFields(entry);
+                [fields[0], fields[1], fields[2], fields[3],
+                    entry.breakHours.toFixed(2), entry.workingHours.toFixed(2), fields[6], fields[7]]
+                    .forEach((value, index) => drawCell(columns[index], y, value));
+                y += 14;
+            });
+
+            if (employee.history.length === 0) {
+                pdf.text(margin, y, translate('export.pdf_no_attendance'), { size: 9 });
+                y += 14;
+            }
+
+            // Totals and signatures stay together at the end of the employee's timesheet
+            if (y > bottom - 150) y = startPage(employee, true);
+            const totals = this.getTotals(employee.history);
+            pdf.line(margin, y - 8, right, y - 8);
+            pdf.text(margin, y + 6, `Days present: ${totals.daysPresent}`, { size: 10, bold: true });
+            pdf.text(columns[4].x + columns[4].width, y + 6, totals.breakHours.toFixed(2), { size: 10, bold: true, align: 'right' });
+            pdf.text(columns[5].x + columns[5].width, y + 6, totals.workedHours.toFixed(2), { size: 10, bold: true, align: 'right' });
+            // The timesheet is laid out in English; its built-in fonts cannot show other scripts
+            pdf.text(columns[6].x, y + 6, `Total: ${this.attendanceHandler.formatHours(totals.workedHours, 'en')}`, { size: 10, bold: true });
+
+            const signatureY = y + 80;
+            [['Employee signature', margin], ['Manager signature', 310]].forEach(([label, x]) => {
+                pdf.line(x, signatureY, x + 150, signatureY);
+                pdf.text(x, signatureY + 12, label, { size: 8 });
+                pdf.line(x + 165, signatureY, x + 245, signatureY);
+                pdf.text(x + 165, signatureY + 12, 'Date', { size: 8 });
+            });
+        });
+
+        return pdf.toBytes();
+    }
+
+    /**
+     * Format an instant as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+     * @param {Date} date - Instant
+     * @returns {string} Date-time
+     */
+    formatICSDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape an iCalendar TEXT value (RFC 5545 3.3.11)
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escapeICSText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 octets (RFC 5545 3.1), without splitting UTF-8 characters
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    foldICSLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        Array.from(line).forEach(char => {
+            const charSize = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts toward their 75 octets
+            const limit = parts.length === 0 ? 75 : 74;
+            if (size + charSize > limit) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += charSize;
+        });
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Export every completed work interval as an iCalendar event
+     * @param {Object} collection - Result of collect()
+     * @returns {string} iCalendar text
+     */
+    toICS(collection) {
+        const handler = this.attendanceHandler;
+        const stamp = this.formatICSDate(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//SparrowTrack//Attendance Export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:SparrowTrack shifts'
+        ];
+
+        collection.employees.forEach(employee => {
+            employee.history.forEach(entry => {
+                entry.intervals.forEach((interval, index) => {
+                    if (!interval.punchOut) return;
+
+                    const start = handler.getIntervalStart(interval, entry.date, entry.timeZone);
+                    let end = interval.punchOutTimestamp
+                        ? new Date(interval.punchOutTimestamp)
+                        : handler.timeZoneManager.toInstant(entry.date, interval.punchOut, entry.timeZone);
+                    if (!interval.punchOutTimestamp && end <= start) {
+                        end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+                    }
+                    const hours = handler.calculateDuration(start, end);
+                    const description = [`Worked ${handler.formatHours(hours)}`, `Status: ${entry.status}`];
+                    if (entry.notes) description.push(`Notes: ${entry.notes}`);
+
+                    lines.push(
+                        'BEGIN:VEVENT',
+                        `UID:${entry.date}-${index + 1}-${employee.email}@sparrowtrack`,
+                        `DTSTAMP:${stamp}`,
+                        `DTSTART:${this.formatICSDate(start)}`,
+                        `DTEND:${this.formatICSDate(end)}`,
+                        `SUMMARY:${this.escapeICSText(`Shift: ${employee.name || employee.email}`)}`,
+                        `DESCRIPTION:${this.escapeICSText(description.join('\n'))}`,
+                        'CATEGORIES:Work',
+                        'TRANSP:OPAQUE',
+                        'END:VEVENT'
+                    );
+                });
+            });
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => `${this.foldICSLine(line)}\r\n`).join('');
+    }
+
+    /**
+     * Load the SparrowTrack logo: from disk under Node, over HTTP in the browser.
+     * The result is cached; exports go on without a logo if it cannot be read.
+     * @returns {Promise<Uint8Array|null>} JPEG bytes
+     */
+    async loadLogo() {
+        if (this.logo !== undefined) return this.logo;
+
+        try {
+            if (typeof module !== 'undefined' && module.exports) {
+                const fs = require('fs');
+                const path = require('path');
+                this.logo = new Uint8Array(fs.readFileSync(path.join(__dirname, '..', this.LOGO_FILE)));
+            } else {
+                const response = await fetch(this.LOGO_FILE);
+                this.logo = response.ok ? new Uint8Array(await response.arrayBuffer()) : null;
+            }
+        } catch (error) {
+            console.error('Error loading logo:', error);
+            this.logo = null;
+        }
+        return this.logo;
+    }
+
+    /**
+     * Create an export file
+     * @param {string} format - One of csv, xlsx, jsonl, pdf, ics
+     * @param {Object} selection - {emails, startDate, endDate} (see collect())
+     * @returns {Promise<Object>} {success, format, filename, mimeType, content}; content is
+     *     a string for text formats and a Uint8Array for xlsx and pdf
+     */
+    async createExport(format, selection = {}) {
+        const type = this.FORMATS[format];
+        if (!type) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('export.invalid_format', { formats: Object.keys(this.FORMATS).join(', ') })
+            };
+        }
+
+        const collection = this.collect(selection);
+        if (!collection.success) return collection;
+
+        let content;
+        switch (format) {
+            case 'csv':
+                content = this.toCSV(collection);
+                break;
+            case 'xlsx':
+                content = this.toXLSX(collection);
+                break;
+            case 'jsonl':
+                content = this.toJSONLines(collection);
+                break;
+            case 'pdf':
+                content = this.toPDF(collection, await this.loadLogo());
+                break;
+            case 'ics':
+                content = this.toICS(collection);
+                break;
+        }
+
+        const subject = collection.employees.length === 1 && collection.employees[0].id
+            ? collection.employees[0].id
+            : 'attendance';
+
+        return {
+            success: true,
+            format: format,
+            filename: `sparrowtrack-${subject}-${collection.startDate}-to-${collection.endDate}.${type.extension}`,
+            mimeType: type.mimeType,
+            content: content
+        };
+    }
+
+    /**
+     * Save an export in the browser by triggering a file download
+     * @param {Object} exportResult - Result of createExport()
+     * @returns {boolean} Whether the download was started
+     */
+    download(exportResult) {
+        if (!exportResult || !exportResult.success || typeof document === 'undefined') return false;
+
+        const url = URL.createObjectURL(new Blob([exportResult.content], { type: exportResult.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = exportResult.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportManager;
+} else {
+    window.ExportManager = ExportManager;
+}
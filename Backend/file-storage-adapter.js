@@ -0,0 +1,84 @@
+/**
+ * SparrowTrack - File Storage Adapter
+ * Storage adapter persisting to a JSON file on disk (Node only)
+ */
+
+class FileStorageAdapter {
+    /**
+     * @param {string} filePath - Path of the JSON data file (created if missing)
+     */
+    constructor(filePath) {
+        this.fs = require('fs');
+        this.path = require('path');
+        this.filePath = this.path.resolve(filePath);
+        this.data = this.load();
+    }
+
+    /**
+     * Read the data file into memory
+     * @returns {Object} Stored values keyed by storage key
+     */
+    load() {
+        if (!this.fs.existsSync(this.filePath)) {
+            return {};
+        }
+        const content = this.fs.readFileSync(this.filePath, 'utf8');
+        return content.trim() ? JSON.parse(content) : {};
+    }
+
+    /**
+     * Write the in-memory data back to disk.
+     * Writes go to a temporary file first so a crash never leaves a truncated data file.
+     */
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        this.fs.mkdirSync(this.path.dirname(this.filePath), { recursive: true });
+        this.fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        this.fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value
+     */
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.data[key] = String(value);
+        this.save();
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        if (Object.prototype.hasOwnProperty.call(this.data, key)) {
+            delete this.data[key];
+            this.save();
+        }
+    }
+
+    /**
+     * List stored keys
+     * @returns {Array} Storage keys
+     */
+    keys() {
+        return Object.keys(this.data);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileStorageAdapter;
+} else {
+    window.FileStorageAdapter = FileStorageAdapter;
+}
@@ -0,0 +1,277 @@
+/**
+ * SparrowTrack - Holiday Calendar
+ * Public holidays, maintained by admins or imported from iCalendar (.ics) files
+ */
+
+class HolidayCalendar {
+    /**
+     * @param {DataManager} dataManager - Data manager
+     * @param {AccessControl} accessControl - Guards calendar changes (optional; unrestricted without it)
+     */
+    constructor(dataManager, accessControl = null) {
+        // Browsers load DataManager as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { DataManager: require('./data-manager') }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.accessControl = accessControl;
+        this.messageCatalog = this.dataManager.messageCatalog;
+    }
+
+    /**
+     * Authorize a calendar change
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize() {
+        if (!this.accessControl) return null;
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_SETTINGS);
+    }
+
+    /**
+     * Get the holiday on a date
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Object|null} Holiday ({date, name, source})
+     */
+    getHoliday(date) {
+        return this.dataManager.getHolidays()[date] || null;
+    }
+
+    /**
+     * Check whether a date is a holiday
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {boolean} Is holiday
+     */
+    isHoliday(date) {
+        return this.getHoliday(date) !== null;
+    }
+
+    /**
+     * Get holidays within a date range
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Array} Holidays sorted by date
+     */
+    getHolidays(startDate, endDate) {
+        return Object.values(this.dataManager.getHolidays())
+            .filter(holiday => holiday.date >= startDate && holiday.date <= endDate)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Add or replace a holiday (admin function)
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} name - Holiday name
+     * @returns {Object} Save result
+     */
+    addHoliday(date, name) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || isNaN(new Date(`${date}T00:00:00`).getTime())) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('holiday.invalid_date')
+            };
+        }
+        if (!name || !name.trim()) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('holiday.name_required')
+            };
+        }
+
+        const holidays = this.dataManager.getHolidays();
+        holidays[date] = { date: date, name: name.trim(), source: 'manual' };
+
+        if (this.dataManager.setHolidays(holidays)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('holiday.saved'),
+                holiday: holidays[date]
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('holiday.save_failed')
+            };
+        }
+    }
+
+    /**
+     * Remove a holiday (admin function)
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Object} Remove result
+     */
+    removeHoliday(date) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const holidays = this.dataManager.getHolidays();
+        if (!holidays[date]) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('holiday.not_found')
+            };
+        }
+
+        delete holidays[date];
+        if (this.dataManager.setHolidays(holidays)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('holiday.removed')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('holiday.remove_failed')
+            };
+        }
+    }
+
+    /**
+     * Import holidays from iCalendar text (admin function). Each all-day VEVENT
+     * becomes one holiday per covered date; existing manual entries are kept.
+     * @param {string} icsText - Contents of a .ics file
+     * @returns {Object} Import result ({imported, skipped})
+     */
+    importICS(icsText) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const events = this.parseICS(icsText || '');
+        if (events.length === 0) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('holiday.no_events')
+            };
+        }
+
+        const holidays = this.dataManager.getHolidays();
+        let imported = 0;
+        let skipped = 0;
+
+        events.forEach(event => {
+            if (!event.start || !event.summary || event.recurring) {
+                skipped++;
+                return;
+            }
+
+            this.eachDate(event.start, event.end).forEach(date => {
+                if (holidays[date] && holidays[date].source === 'manual') {
+                    skipped++;
+                    return;
+                }
+                holidays[date] = { date: date, name: event.summary, source: 'ics', uid: event.uid || null };
+                imported++;
+            });
+        });
+
+        if (this.dataManager.setHolidays(holidays)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('holiday.imported', { count: imported }),
+                imported: imported,
+                skipped: skipped
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('holiday.import_failed')
+            };
+        }
+    }
+
+    /**
+     * Parse VEVENT blocks from iCalendar text
+     * @param {string} icsText - iCalendar text
+     * @returns {Array} Events ({uid, summary, start, end, recurring}); end is inclusive
+     */
+    parseICS(icsText) {
+        // Unfold continuation lines (RFC 5545 §3.1)
+        const lines = icsText.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const events = [];
+        let event = null;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                event = {};
+                return;
+            }
+            if (line === 'END:VEVENT') {
+                if (event) events.push(event);
+                event = null;
+                return;
+            }
+            if (!event) return;
+
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+            const name = line.slice(0, separator).split(';')[0].toUpperCase();
+            const value = line.slice(separator + 1);
+
+            if (name === 'UID') event.uid = value;
+            if (name === 'SUMMARY') event.summary = this.unescapeText(value).trim();
+            if (name === 'DTSTART') event.start = this.parseICSDate(value);
+            if (name === 'DTEND') event.endExclusive = this.parseICSDate(value);
+            if (name === 'RRULE') event.recurring = true;
+        });
+
+        return events.map(item => {
+            let end = item.start;
+            // DTEND of an all-day event is exclusive
+            if (item.endExclusive && item.endExclusive > item.start) {
+                const last = new Date(`${item.endExclusive}T00:00:00`);
+                last.setDate(last.getDate() - 1);
+                end = last.toLocaleDateString('en-CA');
+            }
+            return { uid: item.uid, summary: item.summary, start: item.start, end: end, recurring: !!item.recurring };
+        });
+    }
+
+    /**
+     * Parse an iCalendar DATE or DATE-TIME value to YYYY-MM-DD
+     * @param {string} value - e.g. 20261225 or 20261225T000000Z
+     * @returns {string|null} Date
+     */
+    parseICSDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+        if (match[8]) {
+            const utc = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +match[5], +match[6], +match[7]));
+            return utc.toLocaleDateString('en-CA');
+        }
+        return `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    /**
+     * Unescape an iCalendar TEXT value
+     * @param {string} value - Escaped text
+     * @returns {string} Text
+     */
+    unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * List the dates from start to end inclusive
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Array} Dates (YYYY-MM-DD)
+     */
+    eachDate(startDate, endDate) {
+        const dates = [];
+        const end = new Date(`${endDate}T00:00:00`);
+        for (let date = new Date(`${startDate}T00:00:00`); date <= end; date.setDate(date.getDate() + 1)) {
+            dates.push(date.toLocaleDateString('en-CA'));
+        }
+        return dates;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HolidayCalendar;
+} else {
+    window.HolidayCalendar = HolidayCalendar;
+}
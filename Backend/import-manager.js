@@ -0,0 +1,538 @@
+/**
+ * SparrowTrack - Import Manager
+ * Bulk import of employee rosters and historical attendance from CSV or XLSX files,
+ * with column mapping, dry-run previews, row-level validation and duplicate handling
+ */
+
+class ImportManager {
+    /**
+     * @param {AttendanceHandler} attendanceHandler - Supplies attendance records and the user handler
+     */
+    constructor(attendanceHandler) {
+        // Browsers load these as globals via <script> tags; Node resolves the sibling modules
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { XlsxReader: require('./xlsx-reader') }
+            : window;
+
+        this.xlsxReader = new deps.XlsxReader();
+        this.attendanceHandler = attendanceHandler;
+        this.dataManager = attendanceHandler.dataManager;
+        this.userHandler = attendanceHandler.userHandler;
+        this.accessControl = attendanceHandler.userHandler.accessControl;
+        this.messageCatalog = attendanceHandler.messageCatalog;
+        this.KINDS = ['roster', 'attendance'];
+        this.DUPLICATE_STRATEGIES = ['skip', 'merge'];
+        // Importable fields and the header names (lowercase, letters and digits only) that map to them
+        this.FIELDS = {
+            roster: {
+                name: { required: true, aliases: ['name', 'fullname', 'employeename', 'employee'] },
+                email: { required: true, aliases: ['email', 'emailaddress', 'workemail', 'mail'] },
+                department: { required: true, aliases: ['department', 'dept', 'team'] },
+                position: { required: true, aliases: ['position', 'title', 'jobtitle', 'designation'] },
+                role: { required: false, aliases: ['role', 'accessrole'] },
+                password: { required: false, aliases: ['password', 'initialpassword', 'temporarypassword'] }
+            },
+            attendance: {
+                email: { required: false, aliases: ['email', 'employeeemail', 'emailaddress'] },
+                employeeId: { required: false, aliases: ['employeeid', 'empid', 'id'] },
+                date: { required: true, aliases: ['date', 'workdate', 'day'] },
+                punchIn: { required: true, aliases: ['punchin', 'clockin', 'timein', 'in', 'starttime', 'start'] },
+                punchOut: { required: true, aliases: ['punchout', 'clockout', 'timeout', 'out', 'endtime', 'end'] },
+                notes: { required: false, aliases: ['notes', 'note', 'comments', 'comment', 'remarks'] }
+            }
+        };
+    }
+
+    /**
+     * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line breaks)
+     * @param {string} text - CSV text
+     * @returns {Array} Rows ({line, values}); blank lines are dropped
+     */
+    parseCSV(text) {
+        const rows = [];
+        let values = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        const input = text.replace(/^\uFEFF/, '');
+
+        const endRow = () => {
+            values.push(field);
+            if (values.some(value => value.trim() !== '')) rows.push({ line: rowLine, values: values });
+            values = [];
+            field = '';
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || values.length > 0) endRow();
+
+        return rows;
+    }
+
+    /**
+     * Read an uploaded CSV or XLSX file into a table
+     * @param {string|Uint8Array|ArrayBuffer} content - File content (text for CSV, bytes for either)
+     * @returns {Promise<Object>} {success, headers, rows: [{line, values}]}
+     */
+    async readTable(content) {
+        let rows;
+        try {
+            const bytes = typeof content === 'string'
+                ? null
+                : content instanceof Uint8Array ? content : new Uint8Array(content);
+
+            // XLSX files are ZIP archives, which start with "PK"
+            if (bytes && bytes[0] === 0x50 && bytes[1] === 0x4B) {
+                rows = (await this.xlsxReader.read(bytes))
+                    .map((values, index) => ({ line: index + 1, values: values }))
+                    .filter(row => row.values.some(value => String(value).trim() !== ''));
+            } else {
+                rows = this.parseCSV(bytes ? new TextDecoder().decode(bytes) : content);
+            }
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            return {
+                success: false,
+                ...this.messageCatalog.message('import.unreadable')
+            };
+        }
+
+        if (rows.length === 0) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('import.empty')
+            };
+        }
+
+        return {
+            success: true,
+            headers: rows[0].values.map(header => String(header).trim()),
+            rows: rows.slice(1)
+        };
+    }
+
+    /**
+     * Reduce a header to lowercase letters and digits for matching
+     * @param {string} header - Column header
+     * @returns {string} Normalized header
+     */
+    normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Guess which column holds each field from the headers
+     * @param {string} kind - 'roster' or 'attendance'
+     * @param {Array} headers - Column headers
+     * @returns {Object} Column index per field (null when no header matches)
+     */
+    suggestMapping(kind, headers) {
+        const normalized = headers.map(header => this.normalizeHeader(header));
+        const mapping = {};
+        Object.entries(this.FIELDS[kind]).forEach(([field, definition]) => {
+            const alias = definition.aliases.find(name => normalized.includes(name));
+            mapping[field] = alias ? normalized.indexOf(alias) : null;
+        });
+        return mapping;
+    }
+
+    /**
+     * Resolve a column mapping given as header names or column indexes
+     * @param {string} kind - 'roster' or 'attendance'
+     * @param {Array} headers - Column headers
+     * @param {Object|null} mapping - Field to header name or column index; suggested when omitted
+     * @returns {Object} {success, mapping} with column indexes, or a failure result
+     */
+    resolveMapping(kind, headers, mapping) {
+        const resolved = {};
+        const source = mapping || this.suggestMapping(kind, headers);
+
+        for (const [field, column] of Object.entries(source)) {
+            if (!this.FIELDS[kind][field]) {
+                return {
+                    success: false,
+                    ...this.messageCatalog.message('import.unknown_field', { field: field })
+                };
+            }
+            if (column === null || column === undefined || column === '') continue;
+
+            const index = typeof column === 'number' ? column : headers.indexOf(column);
+            if (index < 0 || index >= headers.length) {
+                return {
+                    success: false,
+                    ...this.messageCatalog.message('import.column_not_found', { field: field, column: String(column) })
+                };
+            }
+            resolved[field] = index;
+        }
+
+        const missing = Object.keys(this.FIELDS[kind])
+            .filter(field => this.FIELDS[kind][field].required && resolved[field] === undefined);
+        if (kind === 'attendance' && resolved.email === undefined && resolved.employeeId === undefined) {
+            missing.unshift('email or employeeId');
+        }
+        if (missing.length > 0) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('import.unmapped', { fields: missing.join(', ') })
+            };
+        }
+
+        return { success: true, mapping: resolved };
+    }
+
+    /**
+     * Pick the mapped fields out of a row
+     * @param {Array} values - Row values
+     * @param {Object} mapping - Column index per field
+     * @param {Array} numericFields - Fields whose numbers are kept as numbers (XLSX dates and times)
+     * @returns {Object} Values per field, as trimmed strings unless kept as numbers
+     */
+    getRowValues(values, mapping, numericFields = []) {
+        const row = {};
+        Object.entries(mapping).forEach(([field, index]) => {
+            const value = values[index];
+            row[field] = typeof value === 'number' && numericFields.includes(field) ? value
+                : value === undefined || value === null ? '' : String(value).trim();
+        });
+        return row;
+    }
+
+    /**
+     * Parse a date cell: YYYY-MM-DD (or YYYY/MM/DD) text, or an Excel date serial
+     * @param {string|number} value - Cell value
+     * @returns {string|null} YYYY-MM-DD, or null if it is not a valid date
+     */
+    parseDate(value) {
+        if (typeof value === 'number') {
+            // Excel serials count days from 1899-12-30
+            const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 24 * 60 * 60 * 1000);
+            return isNaN(date) ? null : date.toISOString().slice(0, 10);
+        }
+
+        const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(value);
+        if (!match) return null;
+        const date = `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+        const check = new Date(`${date}T00:00:00Z`);
+        return !isNaN(check) && check.toISOString().slice(0, 10) === date ? date : null;
+    }
+
+    /**
+     * Parse a time cell: 24-hour H:MM[:SS], 12-hour with AM/PM, or an Excel time fraction
+     * @param {string|number} value - Cell value
+     * @returns {string|null} HH:MM:SS, or null if it is not a valid time
+     */
+    parseTime(value) {
+        if (typeof value === 'number') {
+            const seconds = Math.round((value - Math.floor(value)) * 24 * 60 * 60) % (24 * 60 * 60);
+            const pad = number => String(number).padStart(2, '0');
+            return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+        }
+
+        const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/.exec(value);
+        if (!match) return null;
+        let hours = parseInt(match[1], 10);
+        if (match[4]) {
+            if (hours < 1 || hours > 12) return null;
+            hours = (hours % 12) + (match[4].toLowerCase() === 'pm' ? 12 : 0);
+        }
+        const time = `${String(hours).padStart(2, '0')}:${match[2]}${match[3] ? `:${match[3]}` : ''}`;
+        return this.attendanceHandler.correctionManager.parseTime(time);
+    }
+
+    /**
+     * Check the shared import options
+     * @param {string} kind - 'roster' or 'attendance'
+     * @param {Object} table - Result of readTable()
+     * @param {Object} options - {mapping, dryRun, onDuplicate}
+     * @returns {Object} {success, mapping}, or a failure result
+     */
+    prepare(kind, table, options) {
+        if (!table || !Array.isArray(table.headers) || !Array.isArray(table.rows)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('import.nothing')
+            };
+        }
+        if (!this.DUPLICATE_STRATEGIES.includes(options.onDuplicate || 'skip')) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('import.invalid_strategy', { strategies: this.DUPLICATE_STRATEGIES.join(', ') })
+            };
+        }
+        return this.resolveMapping(kind, table.headers, options.mapping || null);
+    }
+
+    /**
+     * Summarize planned or applied rows
+     * @param {Array} rows - Row results ({action})
+     * @param {boolean} dryRun - Whether anything was written
+     * @returns {Object} {success, dryRun, message, summary, rows}
+     */
+    buildResult(rows, dryRun) {
+        const count = action => rows.filter(row => row.action === action).length;
+        const summary = {
+            total: rows.length,
+            created: count('create'),
+            merged: count('merge'),
+            skipped: count('skip'),
+            errors: count('error')
+        };
+
+        return {
+            success: true,
+            dryRun: dryRun,
+            ...this.messageCatalog.message(dryRun ? 'import.preview' : 'import.done', {
+                created: summary.created,
+                merged: summary.merged,
+                skipped: summary.skipped,
+                errors: summary.errors
+            }),
+            summary: summary,
+            rows: rows
+        };
+    }
+
+    /**
+     * Import employees. New accounts need a password that passes UserHandler's rules;
+     * existing accounts are skipped or have their profile and role merged (never their password).
+     * @param {Object} table - Result of readTable()
+     * @param {Object} options - {mapping, dryRun (default true), onDuplicate: 'skip' | 'merge'}
+     * @returns {Promise<Object>} Per-row results and a summary, or a failure result
+     */
+    async importRoster(table, options = {}) {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_USERS);
+        if (denied) return denied;
+
+        const prepared = this.prepare('roster', table, options);
+        if (!prepared.success) return prepared;
+
+        const { dryRun = true, onDuplicate = 'skip' } = options;
+        const accessControl = this.accessControl;
+        const roles = accessControl.ROLES;
+        const canManageRoles = accessControl.hasPermission(accessControl.getActor(), accessControl.PERMISSIONS.MANAGE_ROLES);
+        const users = this.dataManager.getUsers();
+        const seen = {};
+
+        const plans = table.rows.map(row => {
+            const values = this.getRowValues(row.values, prepared.mapping);
+            const email = (values.email || '').toLowerCase();
+            const role = (values.role || '').toLowerCase();
+            const existing = users[email];
+            const errors = [];
+            const fail = (code, params = {}) => errors.push(this.messageCatalog.translate(code, params));
+
+            ['name', 'email', 'department', 'position'].forEach(field => {
+                if (!values[field]) fail(`import.${field}_required`);
+            });
+            if (email && !this.userHandler.validateEmail(email)) {
+                fail('user.invalid_email');
+            }
+            if (email && seen[email]) {
+                fail('import.duplicate_email', { line: seen[email] });
+            }
+            if (role && !accessControl.isValidRole(role)) {
+                fail('user.invalid_role');
+            } else if (role && role !== roles.EMPLOYEE && !canManageRoles) {
+                fail('import.no_role_permission');
+            }
+
+            if (existing && onDuplicate === 'merge' && role && role !== roles.ADMIN &&
+                accessControl.getRole(existing) === roles.ADMIN) {
+                fail('import.admin_role_locked');
+            }
+            if (!existing) {
+                if (!values.password) {
+                    fail('import.password_required');
+                } else {
+                    errors.push(...this.userHandler.validatePassword(values.password).errors);
+                }
+            }
+            if (email && !seen[email]) seen[email] = row.line;
+
+            return {
+                line: row.line,
+                email: email,
+                action: errors.length > 0 ? 'error' : existing ? onDuplicate : 'create',
+                errors: errors,
+                values: { ...values, email: email, role: role }
+            };
+        });
+
+        if (!dryRun) {
+            // Hash before reading the store again so the read-modify-write below doesn't span an await
+            const hasher = this.userHandler.passwordHasher;
+            const credentials = {};
+            for (const plan of plans.filter(item => item.action === 'create')) {
+                credentials[plan.email] = await hasher.hash(plan.values.password);
+            }
+
+            const current = this.dataManager.getUsers();
+            const usedIds = new Set(Object.values(current).map(user => user.id));
+            plans.forEach(plan => {
+                if (plan.action === 'create') {
+                    if (current[plan.email]) {
+                        plan.action = 'skip';
+                        return;
+                    }
+                    const user = this.userHandler.createUserRecord(plan.values, credentials[plan.email], plan.values.role || roles.EMPLOYEE);
+                    // IDs are time-based, so a fast batch can produce repeats
+                    while (usedIds.has(user.id)) user.id = this.userHandler.generateEmployeeId();
+                    usedIds.add(user.id);
+                    current[plan.email] = user;
+                } else if (plan.action === 'merge' && current[plan.email]) {
+                    const user = current[plan.email];
+                    ['name', 'department', 'position', 'role'].forEach(field => {
+                        if (plan.values[field]) user[field] = plan.values[field];
+                    });
+                    user.lastUpdated = new Date().toISOString();
+                }
+            });
+
+            if (!this.dataManager.setUsers(current)) {
+                return {
+                    success: false,
+                    ...this.messageCatalog.message('import.employees_save_failed')
+                };
+            }
+        }
+
+        return this.buildResult(plans.map(({ values, ...plan }) => plan), dryRun);
+    }
+
+    /**
+     * Import historical attendance, one work interval per row. Rows for the same employee
+     * and date become one record; a day that already has attendance is skipped, or
+     * replaced by the imported punches with 'merge'.
+     * @param {Object} table - Result of readTable()
+     * @param {Object} options - {mapping, dryRun (default true), onDuplicate: 'skip' | 'merge'}
+     * @returns {Object} Per-row results and a summary, or a failure result
+     */
+    importAttendance(table, options = {}) {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.WRITE_ANY_ATTENDANCE);
+        if (denied) return denied;
+
+        const prepared = this.prepare('attendance', table, options);
+        if (!prepared.success) return prepared;
+
+        const { dryRun = true, onDuplicate = 'skip' } = options;
+        const handler = this.attendanceHandler;
+        const maxShiftHours = handler.getAttendanceSettings().maxShiftHours;
+        const users = this.dataManager.getUsers();
+        const records = this.dataManager.getAttendanceRecords();
+        const usersById = {};
+        Object.values(users).forEach(user => {
+            if (user.id) usersById[String(user.id).toLowerCase()] = user;
+        });
+        const days = {};
+
+        const plans = table.rows.map(row => {
+            const values = this.getRowValues(row.values, prepared.mapping, ['date', 'punchIn', 'punchOut']);
+            const user = values.email
+                ? users[values.email.toLowerCase()]
+                : usersById[String(values.employeeId || '').toLowerCase()];
+            const date = this.parseDate(values.date);
+            const punchIn = this.parseTime(values.punchIn);
+            const punchOut = this.parseTime(values.punchOut);
+            const errors = [];
+            const fail = (code, params = {}) => errors.push(this.messageCatalog.translate(code, params));
+
+            if (!user) fail('import.unknown_employee');
+            if (!date) fail('import.invalid_date');
+            if (!punchIn) fail('import.invalid_punch_in');
+            if (!punchOut) fail('import.invalid_punch_out');
+
+            const plan = { line: row.line, email: user ? user.email : values.email || '', date: date, errors: errors };
+            if (errors.length > 0) return { ...plan, action: 'error' };
+
+            // Imported times are wall-clock times in the employee's time zone
+            const interval = handler.correctionManager.buildInterval(date, punchIn, punchOut, handler.getTimeZone(user.email));
+            const start = new Date(interval.punchInTimestamp).getTime();
+            const end = new Date(interval.punchOutTimestamp).getTime();
+            if (end > Date.now()) {
+                fail('import.in_future');
+            } else if ((end - start) / (1000 * 60 * 60) > maxShiftHours) {
+                fail('attendance.shift_too_long', { count: maxShiftHours });
+            }
+
+            const key = `${user.email}|${date}`;
+            const day = days[key] || { email: user.email, date: date, intervals: [], notes: [] };
+            const overlap = day.intervals.find(other =>
+                start < new Date(other.punchOutTimestamp).getTime() && end > new Date(other.punchInTimestamp).getTime());
+            if (overlap) fail('import.overlap', { line: overlap.line });
+            if (errors.length > 0) return { ...plan, action: 'error' };
+
+            const existing = (records[user.email] || {})[date];
+            day.intervals.push({ ...interval, line: row.line });
+            if (values.notes) day.notes.push(values.notes);
+            days[key] = day;
+            return { ...plan, action: existing && handler.getIntervals(existing).length > 0 ? onDuplicate : 'create' };
+        });
+
+        if (!dryRun) {
+            const changes = [];
+            Object.values(days).forEach(day => {
+                const userRecords = records[day.email] = records[day.email] || {};
+                const existing = userRecords[day.date];
+                if (existing && handler.getIntervals(existing).length > 0 && onDuplicate === 'skip') return;
+
+                const record = handler.createRecord(day.date, handler.getTimeZone(day.email));
+                record.intervals = day.intervals
+                    .map(({ line, ...interval }) => interval)
+                    .sort((a, b) => a.punchInTimestamp.localeCompare(b.punchInTimestamp));
+                record.breaks = [];
+                record.notes = day.notes.length > 0 ? day.notes.join('; ') : (existing && existing.notes) || '';
+                changes.push({ day: day, before: handler.snapshotRecord(existing) });
+                userRecords[day.date] = handler.refreshRecord(record);
+            });
+
+            if (changes.length > 0) {
+                if (!this.dataManager.setAttendanceRecords(records)) {
+                    return {
+                        success: false,
+                        ...this.messageCatalog.message('import.attendance_save_failed')
+                    };
+                }
+                changes.forEach(({ day, before }) => {
+                    handler.auditLog.record('attendance_imported', day.email, day.date, before,
+                        records[day.email][day.date], { strategy: before ? onDuplicate : 'create' });
+                });
+            }
+        }
+
+        return this.buildResult(plans, dryRun);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportManager;
+} else {
+    window.ImportManager = ImportManager;
+}
@@ -0,0 +1,120 @@
+/**
+ * SparrowTrack - IndexedDB Storage Adapter
+ * Storage adapter backed by IndexedDB. Values are served from an in-memory
+ * cache so DataManager can stay synchronous; writes persist in the background.
+ */
+
+class IndexedDBStorageAdapter {
+    /**
+     * Use IndexedDBStorageAdapter.open() rather than the constructor directly
+     * @param {IDBDatabase} db - Open database
+     * @param {string} storeName - Object store holding the values
+     * @param {Object} cache - Values already loaded from the store
+     */
+    constructor(db, storeName, cache = {}) {
+        this.db = db;
+        this.storeName = storeName;
+        this.data = new Map(Object.entries(cache));
+        this.pendingWrites = Promise.resolve();
+    }
+
+    /**
+     * Open (or create) the database and load its contents
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     * @returns {Promise<IndexedDBStorageAdapter>} Ready adapter
+     */
+    static async open(dbName = 'sparrowtrack', storeName = 'keyval') {
+        const db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const cache = await new Promise((resolve, reject) => {
+            const values = {};
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    values[cursor.key] = cursor.value;
+                    cursor.continue();
+                } else {
+                    resolve(values);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        return new IndexedDBStorageAdapter(db, storeName, cache);
+    }
+
+    /**
+     * Queue a write against the object store
+     * @param {Function} operation - Receives the object store
+     */
+    persist(operation) {
+        this.pendingWrites = this.pendingWrites.then(() => new Promise(resolve => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error('Error writing to IndexedDB:', transaction.error);
+                resolve();
+            };
+        }));
+    }
+
+    /**
+     * Wait until all queued writes have reached IndexedDB
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.pendingWrites;
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value
+     */
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        const stringValue = String(value);
+        this.data.set(key, stringValue);
+        this.persist(store => store.put(stringValue, key));
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.data.delete(key);
+        this.persist(store => store.delete(key));
+    }
+
+    /**
+     * List stored keys
+     * @returns {Array} Storage keys
+     */
+    keys() {
+        return Array.from(this.data.keys());
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBStorageAdapter;
+} else {
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
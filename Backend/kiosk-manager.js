@@ -0,0 +1,645 @@
+/**
+ * SparrowTrack - Kiosk Manager
+ * Shared punch terminal: employees identify with a per-user PIN or a QR badge built from
+ * their employee ID, and the kiosk punches them in or out. PINs and badge tokens are
+ * stored as keyed hashes on the user record; too many failed attempts within a window lock
+ * the kiosk for a while. A kiosk relays its punches to the API server with a device token
+ * that can only punch employees in and out, so no admin session is left on the device.
+ */
+
+class KioskManager {
+    /**
+     * @param {AttendanceHandler} attendanceHandler - Attendance handler used to punch
+     */
+    constructor(attendanceHandler) {
+        // Browsers load QrCode as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { QrCode: require('./qr-code') }
+            : window;
+
+        this.QrCode = deps.QrCode;
+        this.attendanceHandler = attendanceHandler;
+        this.dataManager = attendanceHandler.dataManager;
+        this.userHandler = attendanceHandler.userHandler;
+        this.accessControl = attendanceHandler.userHandler.accessControl;
+        this.messageCatalog = attendanceHandler.messageCatalog;
+        this.PIN_LENGTH = 6;
+        // Badge text: prefix, employee ID and a random token (hex)
+        this.BADGE_PREFIX = 'SPARROWTRACK';
+        this.BADGE_PATTERN = /^SPARROWTRACK:(EMP\d+):([0-9a-f]{32})$/i;
+        this.DEVICE_TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+        this.DEFAULT_CONFIG = {
+            // The punch screen clears itself after this long without input
+            idleSeconds: 20,
+            // This many failed attempts within the window lock the kiosk for lockoutMinutes
+            maxFailures: 5,
+            failureWindowMinutes: 5,
+            lockoutMinutes: 5
+        };
+    }
+
+    /**
+     * Read the kiosk settings
+     * @returns {Object} {idleSeconds, maxFailures, failureWindowMinutes, lockoutMinutes}
+     */
+    getConfig() {
+        return { ...this.DEFAULT_CONFIG, ...(this.dataManager.getSettings().kiosk || {}) };
+    }
+
+    /**
+     * Write the kiosk settings
+     * @param {Object} config - Kiosk settings
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        const settings = this.dataManager.getSettings();
+        settings.kiosk = config;
+        return this.dataManager.setSettings(settings);
+    }
+
+    /**
+     * Authorize an admin operation (issuing credentials, starting or stopping the kiosk)
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize() {
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS.WRITE_ANY_ATTENDANCE);
+    }
+
+    /**
+     * Random hex string
+     * @param {number} length - Number of random bytes
+     * @returns {string} Hex string
+     */
+    randomHex(length) {
+        return Array.from(this.userHandler.passwordHasher.randomBytes(length))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Get this installation's kiosk secret, created on first use. It is kept with the
+     * installation keys, so backups never carry it and imports never replace it.
+     * @returns {string} Hex secret
+     */
+    getSecret() {
+        // Earlier versions kept the secret in the settings; move it out
+        const settings = this.dataManager.getSettings();
+        const legacy = settings.kiosk && settings.kiosk.secret;
+        const secret = this.dataManager.getInstallationKey('kiosk', legacy || null);
+        if (legacy) {
+            delete settings.kiosk.secret;
+            this.dataManager.setSettings(settings);
+        }
+        return secret;
+    }
+
+    /**
+     * Hash a PIN or badge token with this installation's kiosk secret
+     * @param {string} value - PIN or badge token
+     * @returns {string} Hex digest
+     */
+    hashSecret(value) {
+        return this.dataManager.backupFormat.sha256(`${this.getSecret()}:${value}`);
+    }
+
+    /**
+     * Look up a user for a credential operation
+     * @param {string} email - User email
+     * @returns {Object} {success, users, user} or a failure result
+     */
+    findUser(email) {
+        const users = this.dataManager.getUsers();
+        const user = email ? users[email.toLowerCase()] : null;
+        if (!user) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                ...this.messageCatalog.message('user.not_found')
+            };
+        }
+        return { success: true, users: users, user: user };
+    }
+
+    /**
+     * Which kiosk credentials a user holds, without the hashes (admin function)
+     * @param {string} email - User email
+     * @returns {Object} {success, hasPin, pinIssuedAt, hasBadge, badgeIssuedAt}
+     */
+    getCredentialStatus(email) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const found = this.findUser(email);
+        if (!found.success) return found;
+
+        const kiosk = found.user.kiosk || {};
+        return {
+            success: true,
+            hasPin: !!kiosk.pin,
+            pinIssuedAt: kiosk.pinIssuedAt || null,
+            hasBadge: !!kiosk.badge,
+            badgeIssuedAt: kiosk.badgeIssuedAt || null
+        };
+    }
+
+    /**
+     * Save a change to a user's kiosk credentials and audit it
+     * @param {Object} users - All users
+     * @param {Object} user - User record with the change applied
+     * @param {string} action - Audit action
+     * @returns {boolean} Success status
+     */
+    saveCredentials(users, user, action) {
+        if (!this.dataManager.setUsers(users)) return false;
+        this.dataManager.appendAuditEntry({
+            actor: this.dataManager.getAuditActor(),
+            action: action,
+            userEmail: user.email
+        });
+        return true;
+    }
+
+    /**
+     * Issue a new PIN for a user, replacing any previous one (admin function).
+     * The PIN is only returned here; it cannot be read back later.
+     * @param {string} email - User email
+     * @returns {Object} {success, message, pin}
+     */
+    generatePin(email) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const found = this.findUser(email);
+        if (!found.success) return found;
+        const { users, user } = found;
+
+        // PINs must be unique: the PIN alone identifies the employee
+        const taken = new Set(Object.values(users)
+            .filter(other => other.email !== user.email && other.kiosk && other.kiosk.pin)
+            .map(other => other.kiosk.pin));
+        let pin = null;
+        for (let attempt = 0; attempt < 50 && !pin; attempt++) {
+            const value = this.userHandler.passwordHasher.randomBytes(4)
+                .reduce((total, byte) => total * 256 + byte, 0) % (10 ** this.PIN_LENGTH);
+            const candidate = String(value).padStart(this.PIN_LENGTH, '0');
+            if (!taken.has(this.hashSecret(candidate))) pin = candidate;
+        }
+        if (!pin) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.no_unused_pin')
+            };
+        }
+
+        user.kiosk = { ...user.kiosk, pin: this.hashSecret(pin), pinIssuedAt: new Date().toISOString() };
+        if (!this.saveCredentials(users, user, 'kiosk_pin_issued')) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.pin_save_failed')
+            };
+        }
+        return {
+            success: true,
+            ...this.messageCatalog.message('kiosk.pin_issued', { name: user.name }),
+            pin: pin
+        };
+    }
+
+    /**
+     * Issue a new QR badge for a user, invalidating any previous badge (admin function)
+     * @param {string} email - User email
+     * @returns {Object} {success, message, code, svg}
+     */
+    generateBadge(email) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const found = this.findUser(email);
+        if (!found.success) return found;
+        const { users, user } = found;
+
+        if (!user.id) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.no_employee_id')
+            };
+        }
+
+        const token = this.randomHex(16);
+        const code = `${this.BADGE_PREFIX}:${user.id}:${token}`;
+        user.kiosk = { ...user.kiosk, badge: this.hashSecret(token), badgeIssuedAt: new Date().toISOString() };
+        if (!this.saveCredentials(users, user, 'kiosk_badge_issued')) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.badge_save_failed')
+            };
+        }
+        return {
+            success: true,
+            ...this.messageCatalog.message('kiosk.badge_issued', { name: user.name }),
+            code: code,
+            svg: new this.QrCode(code).toSvg()
+        };
+    }
+
+    /**
+     * Revoke a user's PIN, badge or both (admin function)
+     * @param {string} email - User email
+     * @param {string} credential - 'pin', 'badge' or 'all'
+     * @returns {Object} Revoke result
+     */
+    revoke(email, credential = 'all') {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const revokedMessages = { pin: 'kiosk.pin_revoked', badge: 'kiosk.badge_revoked', all: 'kiosk.credentials_revoked' };
+        if (!revokedMessages[credential]) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.unknown_credential', { credential: String(credential) })
+            };
+        }
+
+        const found = this.findUser(email);
+        if (!found.success) return found;
+        const { users, user } = found;
+
+        const kiosk = { ...user.kiosk };
+        if (credential !== 'badge') {
+            delete kiosk.pin;
+            delete kiosk.pinIssuedAt;
+        }
+        if (credential !== 'pin') {
+            delete kiosk.badge;
+            delete kiosk.badgeIssuedAt;
+        }
+        user.kiosk = kiosk;
+        if (!this.saveCredentials(users, user, `kiosk_${credential}_revoked`)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.revoke_failed')
+            };
+        }
+        return {
+            success: true,
+            ...this.messageCatalog.message(revokedMessages[credential], { name: user.name })
+        };
+    }
+
+    /**
+     * Whether this device is in kiosk mode
+     * @returns {boolean} Kiosk mode is on
+     */
+    isActive() {
+        return !!this.dataManager.getKioskState().active;
+    }
+
+    /**
+     * Current kiosk state for the punch screen
+     * @returns {Object} {active, locked, lockedUntil, idleSeconds}
+     */
+    getStatus() {
+        const state = this.dataManager.getKioskState();
+        const locked = !!state.lockedUntil && state.lockedUntil > Date.now();
+        return {
+            active: !!state.active,
+            locked: locked,
+            lockedUntil: locked ? new Date(state.lockedUntil).toISOString() : null,
+            idleSeconds: this.getConfig().idleSeconds
+        };
+    }
+
+    /**
+     * Put this device in kiosk mode (admin function). The admin should sign out
+     * afterwards; the kiosk keeps working without a session.
+     * @returns {Object} Start result
+     */
+    startKiosk() {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const actor = this.dataManager.getAuditActor();
+        if (!this.dataManager.setKioskState({
+            active: true,
+            startedBy: actor,
+            startedAt: new Date().toISOString(),
+            failures: [],
+            lockedUntil: null
+        })) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.start_failed')
+            };
+        }
+        this.dataManager.appendAuditEntry({ actor: actor, action: 'kiosk_started' });
+        return {
+            success: true,
+            ...this.messageCatalog.message('kiosk.started')
+        };
+    }
+
+    /**
+     * Leave kiosk mode (admin function)
+     * @returns {Object} Stop result
+     */
+    stopKiosk() {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        if (!this.dataManager.setKioskState({ active: false })) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.stop_failed')
+            };
+        }
+        this.dataManager.appendAuditEntry({ actor: this.dataManager.getAuditActor(), action: 'kiosk_stopped' });
+        return {
+            success: true,
+            ...this.messageCatalog.message('kiosk.stopped')
+        };
+    }
+
+    /**
+     * Find the user a PIN or scanned badge belongs to
+     * @param {string} code - PIN digits or badge text
+     * @returns {Object|null} Stored user record
+     */
+    identify(code) {
+        const users = Object.values(this.dataManager.getUsers());
+        const hasher = this.userHandler.passwordHasher;
+
+        if (new RegExp(`^\\d{${this.PIN_LENGTH}}$`).test(code)) {
+            const hash = this.hashSecret(code);
+            return users.find(user => user.kiosk && user.kiosk.pin && hasher.timingSafeEqual(hash, user.kiosk.pin)) || null;
+        }
+
+        const badge = code.match(this.BADGE_PATTERN);
+        if (!badge) return null;
+        const user = users.find(candidate => candidate.id === badge[1].toUpperCase());
+        const hash = this.hashSecret(badge[2].toLowerCase());
+        return user && user.kiosk && user.kiosk.badge && hasher.timingSafeEqual(hash, user.kiosk.badge) ? user : null;
+    }
+
+    /**
+     * Count a failed attempt on this device, locking the kiosk once too many fall within the
+     * sliding window. Failures age out of the window; successful punches do not clear them.
+     * @param {Object} state - Kiosk state
+     * @returns {Object} Failure result
+     */
+    recordFailure(state) {
+        const config = this.getConfig();
+        const now = Date.now();
+        const failures = (state.failures || [])
+            .filter(time => time > now - config.failureWindowMinutes * 60 * 1000)
+            .concat(now);
+
+        if (failures.length >= config.maxFailures) {
+            this.dataManager.setKioskState({ ...state, failures: [], lockedUntil: now + config.lockoutMinutes * 60 * 1000 });
+            this.dataManager.appendAuditEntry({ actor: null, action: 'kiosk_locked', details: { failures: failures.length } });
+            return {
+                success: false,
+                code: 'RATE_LIMITED',
+                ...this.messageCatalog.message('kiosk.locked', { count: config.lockoutMinutes })
+            };
+        }
+
+        this.dataManager.setKioskState({ ...state, failures: failures });
+        return {
+            success: false,
+            code: 'UNAUTHENTICATED',
+            ...this.messageCatalog.message('kiosk.not_recognised')
+        };
+    }
+
+    /**
+     * Punch the employee a PIN or badge identifies: in if they are not working, out if they are
+     * @param {string} code - PIN digits or badge text
+     * @param {Object} options - {location} where the kiosk is, as for punchIn
+     * @returns {Object} Punch result with {email, name, action} of the identified employee
+     */
+    punch(code, options = {}) {
+        const state = this.dataManager.getKioskState();
+        if (!state.active) {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...this.messageCatalog.message('kiosk.not_active')
+            };
+        }
+
+        if (state.lockedUntil && state.lockedUntil > Date.now()) {
+            const minutes = Math.ceil((state.lockedUntil - Date.now()) / (60 * 1000));
+            return {
+                success: false,
+                code: 'RATE_LIMITED',
+                ...this.messageCatalog.message('kiosk.locked_retry', { count: minutes })
+            };
+        }
+
+        // A recognised code does not clear earlier failures: otherwise anyone holding one
+        // valid PIN could interleave it with guesses and never reach the limit
+        const user = this.identify(String(code || '').trim());
+        if (!user) return this.recordFailure(state);
+
+        if (!user.isActive) {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...this.messageCatalog.message('kiosk.account_inactive')
+            };
+        }
+
+        const handler = this.attendanceHandler;
+        return this.accessControl.runAs(user.email, () => {
+            // Reading the status also closes forgotten shifts, as signing in would
+            const status = handler.getAttendanceStatus(user.email);
+            const action = status.canPunchOut ? 'punch_out' : 'punch_in';
+            const punchOptions = { location: options.location || null, via: 'kiosk' };
+            const result = action === 'punch_out'
+                ? handler.punchOut(user.email, '', punchOptions)
+                : handler.punchIn(user.email, punchOptions);
+            return { ...result, email: user.email, name: user.name, action: action };
+        });
+    }
+
+    /**
+     * Devices registered to relay kiosk punches, without their tokens (admin function)
+     * @returns {Object} {success, devices}
+     */
+    listDevices() {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const devices = Object.values(this.dataManager.getKioskDevices())
+            .map(({ token, ...device }) => device)
+            .sort((a, b) => a.registeredAt.localeCompare(b.registeredAt));
+        return { success: true, devices: devices };
+    }
+
+    /**
+     * Register a kiosk device (admin function). The device token can only punch employees
+     * in and out; it is only returned here and cannot be read back later.
+     * @param {string} name - Where the kiosk stands (e.g. Front desk)
+     * @returns {Object} {success, message, device, token}
+     */
+    registerDevice(name) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const token = this.randomHex(32);
+        const device = {
+            id: this.randomHex(8),
+            name: String(name || '').trim().slice(0, 100) || this.messageCatalog.translate('kiosk.device_default_name'),
+            registeredAt: new Date().toISOString(),
+            registeredBy: this.dataManager.getAuditActor()
+        };
+        const devices = this.dataManager.getKioskDevices();
+        devices[device.id] = { ...device, token: this.hashSecret(token) };
+        if (!this.dataManager.setKioskDevices(devices)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.device_save_failed')
+            };
+        }
+        this.dataManager.appendAuditEntry({
+            actor: device.registeredBy,
+            action: 'kiosk_device_registered',
+            details: { device: device.id, name: device.name }
+        });
+        return {
+            success: true,
+            ...this.messageCatalog.message('kiosk.device_registered', { name: device.name }),
+            device: device,
+            token: token
+        };
+    }
+
+    /**
+     * Find the registered device a token belongs to
+     * @param {string} token - Device token
+     * @returns {Object|null} Stored device
+     */
+    findDevice(token) {
+        if (typeof token !== 'string' || !this.DEVICE_TOKEN_PATTERN.test(token)) return null;
+        const hash = this.hashSecret(token);
+        const hasher = this.userHandler.passwordHasher;
+        return Object.values(this.dataManager.getKioskDevices()).find(device => hasher.timingSafeEqual(hash, device.token)) || null;
+    }
+
+    /**
+     * Remove a device so its token no longer relays punches
+     * @param {string} deviceId - Device ID
+     * @param {string} action - Audit action
+     * @returns {Object} Removal result
+     */
+    removeDevice(deviceId, action) {
+        const devices = this.dataManager.getKioskDevices();
+        const device = typeof deviceId === 'string' ? devices[deviceId] : null;
+        if (!device) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                ...this.messageCatalog.message('kiosk.device_not_found')
+            };
+        }
+
+        delete devices[device.id];
+        if (!this.dataManager.setKioskDevices(devices)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('kiosk.device_save_failed')
+            };
+        }
+        this.dataManager.appendAuditEntry({
+            actor: this.dataManager.getAuditActor(),
+            action: action,
+            details: { device: device.id, name: device.name }
+        });
+        return {
+            success: true,
+            ...this.messageCatalog.message('kiosk.device_revoked', { name: device.name })
+        };
+    }
+
+    /**
+     * Revoke a kiosk device (admin function)
+     * @param {string} deviceId - Device ID
+     * @returns {Object} Revoke result
+     */
+    revokeDevice(deviceId) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        return this.removeDevice(deviceId, 'kiosk_device_revoked');
+    }
+
+    /**
+     * Give up a device's own registration, once it leaves kiosk mode
+     * @param {string} token - Device token
+     * @returns {Object} Release result
+     */
+    releaseDevice(token) {
+        const device = this.findDevice(token);
+        if (!device) return this.deviceUnknown();
+
+        return this.removeDevice(device.id, 'kiosk_device_released');
+    }
+
+    /**
+     * Result for a device token that is not (or no longer) registered
+     * @returns {Object} Failure result
+     */
+    deviceUnknown() {
+        return {
+            success: false,
+            code: 'UNAUTHENTICATED',
+            ...this.messageCatalog.message('kiosk.device_unknown')
+        };
+    }
+
+    /**
+     * Record a punch a registered kiosk device made for an employee. The device already
+     * identified the employee by PIN or badge; its token allows nothing but these punches.
+     * @param {string} token - Device token
+     * @param {string} action - 'punch_in' or 'punch_out'
+     * @param {string} email - Employee email
+     * @param {Object} options - {timestamp, punchId, location}, as for punchIn
+     * @returns {Object} Punch result
+     */
+    relayPunch(token, action, email, options = {}) {
+        const device = this.findDevice(token);
+        if (!device) return this.deviceUnknown();
+
+        const found = this.findUser(typeof email === 'string' ? email : null);
+        if (!found.success) return found;
+        const user = found.user;
+        if (!user.isActive) {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...this.messageCatalog.message('kiosk.account_inactive')
+            };
+        }
+
+        const handler = this.attendanceHandler;
+        const punchOptions = {
+            timestamp: options.timestamp || null,
+            punchId: options.punchId || null,
+            location: options.location || null,
+            via: 'kiosk',
+            deviceId: device.id,
+            // Replayed punches may not predate the device, as they may not predate a session
+            credentialIssuedAt: device.registeredAt
+        };
+        return this.accessControl.runAs(user.email, () => (action === 'punch_out'
+            ? handler.punchOut(user.email, '', punchOptions)
+            : handler.punchIn(user.email, punchOptions)));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KioskManager;
+} else {
+    window.KioskManager = KioskManager;
+}
@@ -0,0 +1,499 @@
+/**
+ * SparrowTrack - Leave Manager
+ * Leave requests, approvals and annual balances
+ */
+
+class LeaveManager {
+    /**
+     * @param {DataManager} dataManager - Data manager
+     * @param {AccessControl} accessControl - Resolves the acting user and guards approvals
+     * @param {ScheduleManager} scheduleManager - Decides which dates are working days
+     * @param {HolidayCalendar} holidayCalendar - Holidays are never charged as leave
+     * @param {TimeZoneManager} timeZoneManager - Decides which day it is for each requester
+     */
+    constructor(dataManager, accessControl, scheduleManager = null, holidayCalendar = null, timeZoneManager = null) {
+        // Browsers load these as globals via <script> tags; Node resolves the sibling modules
+        const deps = typeof module !== 'undefined' && module.exports
+            ? {
+                ScheduleManager: require('./schedule-manager'),
+                HolidayCalendar: require('./holiday-calendar'),
+                TimeZoneManager: require('./time-zone-manager')
+            }
+            : window;
+
+        this.dataManager = dataManager;
+        this.accessControl = accessControl;
+        this.messageCatalog = dataManager.messageCatalog;
+        this.scheduleManager = scheduleManager || new deps.ScheduleManager(dataManager, accessControl);
+        this.holidayCalendar = holidayCalendar || new deps.HolidayCalendar(dataManager, accessControl);
+        this.timeZoneManager = timeZoneManager || new deps.TimeZoneManager(dataManager, accessControl);
+
+        this.LEAVE_TYPES = ['vacation', 'sick', 'unpaid'];
+        this.STATUSES = {
+            PENDING: 'pending',
+            APPROVED: 'approved',
+            REJECTED: 'rejected',
+            CANCELLED: 'cancelled'
+        };
+        // Annual allowances in days; null means unlimited
+        this.DEFAULT_ALLOWANCES = {
+            vacation: 20,
+            sick: 10,
+            unpaid: null
+        };
+    }
+
+    /**
+     * Authorize the current actor
+     * @param {string} permission - Permission key in AccessControl.PERMISSIONS
+     * @param {string} ownerEmail - Owner of the data (optional); owners may always act on their own data
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize(permission, ownerEmail = null) {
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS[permission], ownerEmail);
+    }
+
+    /**
+     * Generate unique leave request ID
+     * @returns {string} Request ID
+     */
+    generateRequestId() {
+        const timestamp = Date.now();
+        const random = Math.floor(Math.random() * 1000);
+        return `LV${timestamp}${random}`;
+    }
+
+    /**
+     * Get the annual allowances that apply to a user (settings defaults, then per-user overrides)
+     * @param {string} userEmail - User email
+     * @returns {Object} Allowance in days per leave type (null = unlimited)
+     */
+    getAllowances(userEmail) {
+        const settings = this.dataManager.getSettings().leave || {};
+        const overrides = this.dataManager.getLeave().allowances[userEmail.toLowerCase()] || {};
+        return { ...this.DEFAULT_ALLOWANCES, ...settings.allowances, ...overrides };
+    }
+
+    /**
+     * Set a user's annual allowance for a leave type (admin function)
+     * @param {string} userEmail - User email
+     * @param {string} type - Leave type
+     * @param {number|null} days - Allowance in days, or null for unlimited
+     * @returns {Object} Update result
+     */
+    setAllowance(userEmail, type, days) {
+        const denied = this.authorize('MANAGE_USERS');
+        if (denied) return denied;
+
+        if (!this.LEAVE_TYPES.includes(type)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.invalid_type', { types: this.LEAVE_TYPES.join(', ') })
+            };
+        }
+        if (days !== null && !(days >= 0)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.negative_allowance')
+            };
+        }
+
+        const email = userEmail.toLowerCase();
+        const leave = this.dataManager.getLeave();
+        leave.allowances[email] = { ...leave.allowances[email], [type]: days };
+
+        if (this.dataManager.setLeave(leave)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('leave.allowance_updated')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.allowance_update_failed')
+            };
+        }
+    }
+
+    /**
+     * List the dates in a range that would be charged as leave: the user's
+     * scheduled working days, excluding holidays
+     * @param {string} userEmail - User email
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Array} Dates (YYYY-MM-DD)
+     */
+    getChargeableDates(userEmail, startDate, endDate) {
+        const schedule = this.scheduleManager.getScheduleForUser(userEmail);
+        return this.holidayCalendar.eachDate(startDate, endDate).filter(date =>
+            this.scheduleManager.isWorkingDay(schedule, date) && !this.holidayCalendar.isHoliday(date));
+    }
+
+    /**
+     * Get a user's leave balance for a year
+     * @param {string} userEmail - User email
+     * @param {number} year - Year (defaults to the current year)
+     * @returns {Object} Balance per leave type ({allowance, used, pending, remaining}), or a denial result
+     */
+    getBalance(userEmail, year = new Date().getFullYear()) {
+        const denied = this.authorize('READ_ANY_ATTENDANCE', userEmail);
+        if (denied) return denied;
+
+        const email = userEmail.toLowerCase();
+        const allowances = this.getAllowances(email);
+        const balance = {};
+        this.LEAVE_TYPES.forEach(type => {
+            balance[type] = { allowance: allowances[type], used: 0, pending: 0, remaining: allowances[type] };
+        });
+
+        Object.values(this.dataManager.getLeave().requests).forEach(request => {
+            if (request.email !== email) return;
+            const field = request.status === this.STATUSES.APPROVED ? 'used'
+                : request.status === this.STATUSES.PENDING ? 'pending' : null;
+            if (!field) return;
+            balance[request.type][field] += request.dates.filter(date => date.startsWith(`${year}-`)).length;
+        });
+
+        this.LEAVE_TYPES.forEach(type => {
+            const entry = balance[type];
+            if (entry.allowance !== null) {
+                entry.remaining = entry.allowance - entry.used - entry.pending;
+            }
+        });
+
+        return {
+            success: true,
+            year: year,
+            balance: balance
+        };
+    }
+
+    /**
+     * Check that a request fits within the user's remaining allowance for each year it touches
+     * @param {Object} request - Leave request
+     * @param {boolean} alreadyReserved - Whether the request is already counted as pending
+     * @returns {Object|null} Error result ({messageCode, messageParams, message}), or null if the balance suffices
+     */
+    checkBalance(request, alreadyReserved) {
+        const daysByYear = {};
+        request.dates.forEach(date => {
+            const year = Number(date.slice(0, 4));
+            daysByYear[year] = (daysByYear[year] || 0) + 1;
+        });
+
+        for (const year of Object.keys(daysByYear)) {
+            const result = this.getBalance(request.email, Number(year));
+            if (!result.success) return result;
+            const entry = result.balance[request.type];
+            if (entry.allowance === null) continue;
+
+            const available = entry.remaining + (alreadyReserved ? daysByYear[year] : 0);
+            if (daysByYear[year] > available) {
+                return this.messageCatalog.message('leave.insufficient_balance', {
+                    type: this.messageCatalog.translate(`leave.type.${request.type}`),
+                    year: year,
+                    count: Math.max(0, available)
+                });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Submit a leave request
+     * @param {string} userEmail - User requesting leave
+     * @param {Object} leaveData - {type, startDate, endDate, reason}
+     * @returns {Object} Request result
+     */
+    requestLeave(userEmail, leaveData) {
+        const denied = this.authorize('WRITE_ANY_ATTENDANCE', userEmail);
+        if (denied) return denied;
+
+        const { type, startDate, endDate = startDate, reason = '' } = leaveData || {};
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!this.LEAVE_TYPES.includes(type)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.invalid_type', { types: this.LEAVE_TYPES.join(', ') })
+            };
+        }
+        if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '') ||
+            isNaN(new Date(`${startDate}T00:00:00`).getTime()) || isNaN(new Date(`${endDate}T00:00:00`).getTime())) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.invalid_dates')
+            };
+        }
+        if (endDate < startDate) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.end_before_start')
+            };
+        }
+
+        const email = userEmail.toLowerCase();
+        const dates = this.getChargeableDates(email, startDate, endDate);
+        if (dates.length === 0) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.no_working_days')
+            };
+        }
+
+        const leave = this.dataManager.getLeave();
+        const overlapping = Object.values(leave.requests).some(request =>
+            request.email === email &&
+            (request.status === this.STATUSES.PENDING || request.status === this.STATUSES.APPROVED) &&
+            request.startDate <= endDate && request.endDate >= startDate);
+        if (overlapping) {
+            return {
+                success: false,
+                code: 'CONFLICT',
+                ...this.messageCatalog.message('leave.overlapping')
+            };
+        }
+
+        const request = {
+            id: this.generateRequestId(),
+            email: email,
+            type: type,
+            startDate: startDate,
+            endDate: endDate,
+            dates: dates,
+            days: dates.length,
+            reason: reason.trim(),
+            status: this.STATUSES.PENDING,
+            requestedAt: new Date().toISOString(),
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewComment: ''
+        };
+
+        const balanceError = this.checkBalance(request, false);
+        if (balanceError) {
+            return {
+                success: false,
+                ...balanceError
+            };
+        }
+
+        leave.requests[request.id] = request;
+        if (this.dataManager.setLeave(leave)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('leave.requested', { count: request.days }),
+                request: request
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.save_failed')
+            };
+        }
+    }
+
+    /**
+     * Approve or reject a pending request (manager function). Reviewers cannot decide their own requests.
+     * @param {string} requestId - Request ID
+     * @param {string} status - APPROVED or REJECTED status value
+     * @param {string} comment - Reviewer comment
+     * @returns {Object} Review result
+     */
+    reviewLeave(requestId, status, comment = '') {
+        const denied = this.authorize('APPROVE_LEAVE');
+        if (denied) return denied;
+
+        const leave = this.dataManager.getLeave();
+        const request = leave.requests[requestId];
+        if (!request) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                ...this.messageCatalog.message('leave.not_found')
+            };
+        }
+        if (request.status !== this.STATUSES.PENDING) {
+            return {
+                success: false,
+                code: 'CONFLICT',
+                ...this.messageCatalog.message(`leave.already_${request.status}`)
+            };
+        }
+
+        const reviewer = this.accessControl.getActor();
+        if (reviewer.email === request.email) {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...this.messageCatalog.message('leave.own_request')
+            };
+        }
+
+        if (status === this.STATUSES.APPROVED) {
+            const balanceError = this.checkBalance(request, true);
+            if (balanceError) {
+                return {
+                    success: false,
+                    ...balanceError
+                };
+            }
+        }
+
+        request.status = status;
+        request.reviewedBy = reviewer.email;
+        request.reviewedAt = new Date().toISOString();
+        request.reviewComment = (comment || '').trim();
+
+        if (this.dataManager.setLeave(leave)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message(`leave.${status}`),
+                request: request
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.update_failed')
+            };
+        }
+    }
+
+    /**
+     * Approve a pending leave request (manager function)
+     * @param {string} requestId - Request ID
+     * @param {string} comment - Reviewer comment (optional)
+     * @returns {Object} Review result
+     */
+    approveLeave(requestId, comment = '') {
+        return this.reviewLeave(requestId, this.STATUSES.APPROVED, comment);
+    }
+
+    /**
+     * Reject a pending leave request (manager function)
+     * @param {string} requestId - Request ID
+     * @param {string} comment - Reviewer comment (optional)
+     * @returns {Object} Review result
+     */
+    rejectLeave(requestId, comment = '') {
+        return this.reviewLeave(requestId, this.STATUSES.REJECTED, comment);
+    }
+
+    /**
+     * Cancel a request. Owners may cancel pending requests and approved leave
+     * that has not started; approvers may cancel any pending or approved request.
+     * @param {string} requestId - Request ID
+     * @returns {Object} Cancel result
+     */
+    cancelLeave(requestId) {
+        const leave = this.dataManager.getLeave();
+        const request = leave.requests[requestId];
+        if (!request) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                ...this.messageCatalog.message('leave.not_found')
+            };
+        }
+
+        const denied = this.authorize('APPROVE_LEAVE', request.email);
+        if (denied) return denied;
+
+        if (request.status !== this.STATUSES.PENDING && request.status !== this.STATUSES.APPROVED) {
+            return {
+                success: false,
+                code: 'CONFLICT',
+                ...this.messageCatalog.message(`leave.already_${request.status}`)
+            };
+        }
+
+        const actor = this.accessControl.getActor();
+        const today = this.timeZoneManager.getDate(new Date(), this.timeZoneManager.getTimeZoneForUser(request.email));
+        const isApprover = this.accessControl.hasPermission(actor, this.accessControl.PERMISSIONS.APPROVE_LEAVE);
+        if (request.status === this.STATUSES.APPROVED && request.startDate <= today && !isApprover) {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...this.messageCatalog.message('leave.started')
+            };
+        }
+
+        request.status = this.STATUSES.CANCELLED;
+        request.cancelledBy = actor.email;
+        request.cancelledAt = new Date().toISOString();
+
+        if (this.dataManager.setLeave(leave)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('leave.cancelled'),
+                request: request
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('leave.cancel_failed')
+            };
+        }
+    }
+
+    /**
+     * Get leave requests for a user, or for everyone
+     * @param {string|null} userEmail - User email, or null for all users (requires READ_ANY_ATTENDANCE)
+     * @param {string} status - Only return requests with this status (optional)
+     * @returns {Array|Object} Requests (newest first), or a denial result
+     */
+    getLeaveRequests(userEmail = null, status = null) {
+        const denied = this.authorize('READ_ANY_ATTENDANCE', userEmail);
+        if (denied) return denied;
+
+        const email = userEmail && userEmail.toLowerCase();
+        return Object.values(this.dataManager.getLeave().requests)
+            .filter(request => (!email || request.email === email) && (!status || request.status === status))
+            .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+    }
+
+    /**
+     * Get requests awaiting review by the current actor (manager function)
+     * @returns {Array|Object} Pending requests from other users (oldest first), or a denial result
+     */
+    getPendingApprovals() {
+        const denied = this.authorize('APPROVE_LEAVE');
+        if (denied) return denied;
+
+        const actor = this.accessControl.getActor();
+        return Object.values(this.dataManager.getLeave().requests)
+            .filter(request => request.status === this.STATUSES.PENDING && request.email !== actor.email)
+            .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+    }
+
+    /**
+     * Map a user's approved leave days within a range. Callers are expected to
+     * have authorized access to the user's attendance already.
+     * @param {string} userEmail - User email
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Object} {type, requestId} keyed by date
+     */
+    getApprovedLeaveDates(userEmail, startDate, endDate) {
+        const email = (userEmail || '').toLowerCase();
+        const dates = {};
+
+        Object.values(this.dataManager.getLeave().requests).forEach(request => {
+            if (request.email !== email || request.status !== this.STATUSES.APPROVED) return;
+            request.dates.forEach(date => {
+                if (date >= startDate && date <= endDate) {
+                    dates[date] = { type: request.type, requestId: request.id };
+                }
+            });
+        });
+
+        return dates;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaveManager;
+} else {
+    window.LeaveManager = LeaveManager;
+}
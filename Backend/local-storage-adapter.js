@@ -0,0 +1,58 @@
+/**
+ * SparrowTrack - LocalStorage Adapter
+ * Storage adapter backed by the browser's localStorage
+ */
+
+class LocalStorageAdapter {
+    /**
+     * @param {Storage} storage - Web Storage object (defaults to window.localStorage)
+     */
+    constructor(storage) {
+        this.storage = storage || localStorage;
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value
+     */
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    /**
+     * List stored keys
+     * @returns {Array} Storage keys
+     */
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStorageAdapter;
+} else {
+    window.LocalStorageAdapter = LocalStorageAdapter;
+}
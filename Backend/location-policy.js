@@ -0,0 +1,504 @@
+/**
+ * SparrowTrack - Location Policy
+ * Where punches may come from: office geofences (circles or polygons) and allowed client
+ * IP ranges, with an enforcement mode that rejects or flags punches made elsewhere
+ */
+
+class LocationPolicy {
+    /**
+     * @param {DataManager} dataManager - Data manager (the policy lives in settings)
+     * @param {AccessControl} accessControl - Guards policy changes (optional; unrestricted without it)
+     */
+    constructor(dataManager, accessControl = null) {
+        // Browsers load DataManager as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { DataManager: require('./data-manager') }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.accessControl = accessControl;
+        this.messageCatalog = this.dataManager.messageCatalog;
+        // 'off' records locations without checking them, 'flag' accepts out-of-policy
+        // punches but marks them, 'reject' refuses them
+        this.ENFORCEMENT_MODES = ['off', 'flag', 'reject'];
+        this.GEOFENCE_TYPES = ['circle', 'polygon'];
+        this.DEFAULT_CONFIG = {
+            enforcement: 'off',
+            // Browser fixes less precise than this cannot place a punch inside a geofence
+            maxAccuracyMeters: 200
+        };
+        this.EARTH_RADIUS_METERS = 6371008.8;
+    }
+
+    /**
+     * Read the location policy from settings
+     * @returns {Object} {enforcement, maxAccuracyMeters, geofences, allowedIpRanges}
+     */
+    getConfig() {
+        const config = this.dataManager.getSettings().location || {};
+        return {
+            enforcement: config.enforcement || this.DEFAULT_CONFIG.enforcement,
+            maxAccuracyMeters: config.maxAccuracyMeters || this.DEFAULT_CONFIG.maxAccuracyMeters,
+            geofences: config.geofences || {},
+            allowedIpRanges: config.allowedIpRanges || []
+        };
+    }
+
+    /**
+     * Write the location policy to settings
+     * @param {Object} config - Location policy
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        const settings = this.dataManager.getSettings();
+        settings.location = config;
+        return this.dataManager.setSettings(settings);
+    }
+
+    /**
+     * Authorize a policy change
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize() {
+        if (!this.accessControl) return null;
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_SETTINGS);
+    }
+
+    /**
+     * Whether punches are checked against the policy
+     * @returns {boolean} True unless enforcement is off
+     */
+    isEnabled() {
+        return this.getConfig().enforcement !== 'off';
+    }
+
+    /**
+     * Change the enforcement mode and accuracy limit (admin function)
+     * @param {Object} policy - {enforcement, maxAccuracyMeters}
+     * @returns {Object} Update result
+     */
+    updatePolicy(policy) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const config = this.getConfig();
+        const enforcement = policy.enforcement === undefined ? config.enforcement : policy.enforcement;
+        const maxAccuracyMeters = policy.maxAccuracyMeters === undefined ? config.maxAccuracyMeters : policy.maxAccuracyMeters;
+
+        if (!this.ENFORCEMENT_MODES.includes(enforcement)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.invalid_enforcement', { modes: this.ENFORCEMENT_MODES.join(', ') })
+            };
+        }
+        if (typeof maxAccuracyMeters !== 'number' || !(maxAccuracyMeters > 0)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.invalid_accuracy')
+            };
+        }
+
+        config.enforcement = enforcement;
+        config.maxAccuracyMeters = maxAccuracyMeters;
+        if (this.saveConfig(config)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('location.policy_updated'),
+                policy: { enforcement: enforcement, maxAccuracyMeters: maxAccuracyMeters }
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.policy_update_failed')
+            };
+        }
+    }
+
+    /**
+     * Check that a value is a valid coordinate pair
+     * @param {Object} point - {latitude, longitude}
+     * @returns {boolean} Is valid
+     */
+    isValidPoint(point) {
+        return !!point && typeof point.latitude === 'number' && typeof point.longitude === 'number' &&
+            Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+    }
+
+    /**
+     * Validate a geofence definition
+     * @param {Object} geofence - {id, name, type: 'circle', center, radiusMeters} or {id, name, type: 'polygon', points}
+     * @returns {Object} Validation result ({isValid, errors, codes})
+     */
+    validateGeofence(geofence) {
+        const result = {
+            isValid: true,
+            errors: [],
+            codes: []
+        };
+        const fail = (code, params = {}) => {
+            result.codes.push(code);
+            result.errors.push(this.messageCatalog.translate(code, params));
+        };
+
+        if (!geofence.id || !/^[a-z0-9-]+$/.test(geofence.id)) {
+            fail('location.invalid_geofence_id');
+        }
+        if (!geofence.name || !String(geofence.name).trim()) {
+            fail('location.geofence_name_required');
+        }
+        if (!this.GEOFENCE_TYPES.includes(geofence.type)) {
+            fail('location.invalid_geofence_type', { types: this.GEOFENCE_TYPES.join(', ') });
+        } else if (geofence.type === 'circle') {
+            if (!this.isValidPoint(geofence.center)) {
+                fail('location.invalid_circle_center');
+            }
+            if (typeof geofence.radiusMeters !== 'number' || !(geofence.radiusMeters > 0)) {
+                fail('location.invalid_circle_radius');
+            }
+        } else if (!Array.isArray(geofence.points) || geofence.points.length < 3) {
+            fail('location.polygon_too_small');
+        } else if (!geofence.points.every(point => this.isValidPoint(point))) {
+            fail('location.invalid_polygon_point');
+        }
+
+        result.isValid = result.errors.length === 0;
+        return result;
+    }
+
+    /**
+     * Create or update an office geofence (admin function)
+     * @param {Object} geofence - Geofence definition
+     * @returns {Object} Save result
+     */
+    saveGeofence(geofence) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const validation = this.validateGeofence(geofence);
+        if (!validation.isValid) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.invalid_geofence', { reasons: validation.errors.join('. ') })
+            };
+        }
+
+        const definition = geofence.type === 'circle'
+            ? {
+                id: geofence.id,
+                name: String(geofence.name).trim(),
+                type: 'circle',
+                center: { latitude: geofence.center.latitude, longitude: geofence.center.longitude },
+                radiusMeters: geofence.radiusMeters
+            }
+            : {
+                id: geofence.id,
+                name: String(geofence.name).trim(),
+                type: 'polygon',
+                points: geofence.points.map(point => ({ latitude: point.latitude, longitude: point.longitude }))
+            };
+        const config = this.getConfig();
+        config.geofences[definition.id] = definition;
+
+        if (this.saveConfig(config)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('location.geofence_saved'),
+                geofence: definition
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.geofence_save_failed')
+            };
+        }
+    }
+
+    /**
+     * Delete an office geofence (admin function)
+     * @param {string} geofenceId - Geofence ID
+     * @returns {Object} Delete result
+     */
+    deleteGeofence(geofenceId) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const config = this.getConfig();
+        if (!config.geofences[geofenceId]) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.geofence_not_found')
+            };
+        }
+
+        delete config.geofences[geofenceId];
+        if (this.saveConfig(config)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('location.geofence_deleted')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.geofence_delete_failed')
+            };
+        }
+    }
+
+    /**
+     * Parse an IPv4 or IPv6 address. IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) count as IPv4.
+     * @param {string} ip - Address
+     * @returns {Object|null} {version: 4 | 6, value: BigInt}, or null if it is not an address
+     */
+    parseIp(ip) {
+        let text = String(ip || '').trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+
+        const v4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(text);
+        if (v4) {
+            const octets = v4.slice(1).map(Number);
+            if (octets.some(octet => octet > 255)) return null;
+            return { version: 4, value: octets.reduce((value, octet) => (value << 8n) + BigInt(octet), 0n) };
+        }
+        if (!text.includes(':')) return null;
+
+        // A trailing dotted quad stands for the last two groups
+        const dotted = /(\d{1,3}(?:\.\d{1,3}){3})$/.exec(text);
+        if (dotted) {
+            const embedded = this.parseIp(dotted[1]);
+            if (!embedded) return null;
+            text = `${text.slice(0, -dotted[1].length)}${(embedded.value >> 16n).toString(16)}:${(embedded.value & 0xFFFFn).toString(16)}`;
+        }
+
+        const halves = text.split('::');
+        if (halves.length > 2) return null;
+        const toGroups = part => (part ? part.split(':') : []);
+        let groups = toGroups(halves[0]);
+        if (halves.length === 2) {
+            const tail = toGroups(halves[1]);
+            const missing = 8 - groups.length - tail.length;
+            if (missing < 1) return null;
+            groups = [...groups, ...Array(missing).fill('0'), ...tail];
+        }
+        if (groups.length !== 8 || !groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+
+        const value = groups.reduce((total, group) => (total << 16n) + BigInt(parseInt(group, 16)), 0n);
+        if (value >> 32n === 0xFFFFn) return { version: 4, value: value & 0xFFFFFFFFn };
+        return { version: 6, value: value };
+    }
+
+    /**
+     * Parse an address or CIDR range (e.g. 203.0.113.7, 10.0.0.0/8, 2001:db8::/32)
+     * @param {string} range - Range
+     * @returns {Object|null} {version, prefix, network}, or null if it is not a valid range
+     */
+    parseIpRange(range) {
+        const [address, prefixText, extra] = String(range || '').trim().split('/');
+        const ip = this.parseIp(address);
+        if (!ip || extra !== undefined) return null;
+
+        const bits = ip.version === 4 ? 32 : 128;
+        if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+        const prefix = prefixText === undefined ? bits : parseInt(prefixText, 10);
+        if (prefix > bits) return null;
+
+        return { version: ip.version, prefix: prefix, network: ip.value >> BigInt(bits - prefix) };
+    }
+
+    /**
+     * Check whether an address falls inside a range
+     * @param {string} ip - Address
+     * @param {string} range - Address or CIDR range
+     * @returns {boolean} Is inside
+     */
+    isIpInRange(ip, range) {
+        const address = this.parseIp(ip);
+        const parsed = this.parseIpRange(range);
+        if (!address || !parsed || address.version !== parsed.version) return false;
+
+        const bits = address.version === 4 ? 32 : 128;
+        return address.value >> BigInt(bits - parsed.prefix) === parsed.network;
+    }
+
+    /**
+     * Replace the allowed client IP ranges (admin function)
+     * @param {Array} ranges - Addresses or CIDR ranges
+     * @returns {Object} Update result
+     */
+    setAllowedIpRanges(ranges) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const list = (Array.isArray(ranges) ? ranges : []).map(range => String(range).trim()).filter(Boolean);
+        const invalid = list.filter(range => !this.parseIpRange(range));
+        if (invalid.length > 0) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.invalid_ip_ranges', { count: invalid.length, ranges: invalid.join(', ') })
+            };
+        }
+
+        const config = this.getConfig();
+        config.allowedIpRanges = list;
+        if (this.saveConfig(config)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('location.ip_ranges_updated'),
+                allowedIpRanges: list
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('location.ip_ranges_update_failed')
+            };
+        }
+    }
+
+    /**
+     * Great-circle distance between two points (haversine)
+     * @param {Object} a - {latitude, longitude}
+     * @param {Object} b - {latitude, longitude}
+     * @returns {number} Distance in meters
+     */
+    distanceMeters(a, b) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLatitude = toRadians(b.latitude - a.latitude);
+        const dLongitude = toRadians(b.longitude - a.longitude);
+        const h = Math.sin(dLatitude / 2) ** 2 +
+            Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLongitude / 2) ** 2;
+        return 2 * this.EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    /**
+     * Check whether a point lies inside a geofence. Polygons are tested on plain
+     * latitude/longitude (ray casting), which is accurate at office scale.
+     * @param {Object} geofence - Geofence
+     * @param {Object} point - {latitude, longitude}
+     * @returns {boolean} Is inside
+     */
+    containsPoint(geofence, point) {
+        if (geofence.type === 'circle') {
+            return this.distanceMeters(geofence.center, point) <= geofence.radiusMeters;
+        }
+
+        let inside = false;
+        const points = geofence.points;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+                point.longitude < (b.longitude - a.longitude) * (point.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Check a punch location against the policy
+     * @param {Object} location - {latitude, longitude, accuracy} from the browser and/or {ip} from the server (optional)
+     * @returns {Object} {success, location}: location is what to keep on the record (null if none was captured);
+     *     a failure result if the punch is not allowed
+     */
+    evaluate(location) {
+        const captured = {
+            latitude: null,
+            longitude: null,
+            accuracy: null,
+            ip: location && location.ip ? String(location.ip) : null
+        };
+        const isSet = value => value !== undefined && value !== null;
+        const hasCoordinates = !!location && (isSet(location.latitude) || isSet(location.longitude));
+
+        if (hasCoordinates) {
+            const accuracy = isSet(location.accuracy) ? location.accuracy : null;
+            if (!this.isValidPoint(location) || (accuracy !== null && (typeof accuracy !== 'number' || !(accuracy >= 0)))) {
+                return {
+                    success: false,
+                    ...this.messageCatalog.message('location.invalid_location')
+                };
+            }
+            captured.latitude = location.latitude;
+            captured.longitude = location.longitude;
+            captured.accuracy = accuracy;
+        }
+
+        const config = this.getConfig();
+        const geofences = Object.values(config.geofences);
+        if (!hasCoordinates && !captured.ip && config.enforcement === 'off') {
+            return { success: true, location: null };
+        }
+
+        const preciseEnough = hasCoordinates && (captured.accuracy === null || captured.accuracy <= config.maxAccuracyMeters);
+        const geofence = preciseEnough ? geofences.find(item => this.containsPoint(item, captured)) : null;
+        const ipRange = !geofence && captured.ip
+            ? config.allowedIpRanges.find(range => this.isIpInRange(captured.ip, range))
+            : null;
+
+        // Without geofences or IP ranges every location is allowed
+        let reason = null;
+        if ((geofences.length > 0 || config.allowedIpRanges.length > 0) && !geofence && !ipRange) {
+            if (!hasCoordinates && !captured.ip) {
+                reason = this.messageCatalog.message('location.not_provided');
+            } else if (hasCoordinates && !preciseEnough && geofences.length > 0) {
+                reason = this.messageCatalog.message('location.inaccurate', {
+                    accuracy: Math.round(captured.accuracy),
+                    max: config.maxAccuracyMeters
+                });
+            } else {
+                reason = this.messageCatalog.message('location.outside');
+            }
+        }
+
+        if (reason && config.enforcement === 'reject') {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...reason
+            };
+        }
+
+        return {
+            success: true,
+            location: {
+                ...captured,
+                geofence: geofence ? geofence.id : null,
+                ipRange: ipRange || null,
+                flagged: !!reason && config.enforcement === 'flag',
+                // The text is kept for older readers; the code lets reports show it in the current language
+                reason: reason ? reason.message : null,
+                reasonCode: reason ? reason.messageCode : null,
+                reasonParams: reason ? reason.messageParams : null
+            }
+        };
+    }
+
+    /**
+     * Describe where a record's punches were made, for reports
+     * @param {Object} record - Attendance record
+     * @returns {string} Summary (e.g. "Head Office; Flagged: Punch is outside the allowed locations")
+     */
+    describe(record) {
+        const geofences = this.getConfig().geofences;
+        const labels = [];
+        ((record && record.intervals) || []).forEach(interval => {
+            [interval.punchInLocation, interval.punchOutLocation].forEach(location => {
+                if (!location) return;
+                const catalog = this.messageCatalog;
+                let label = location.geofence
+                    ? (geofences[location.geofence] || { name: location.geofence }).name
+                    : location.ipRange ? catalog.translate('location.ip_label', { range: location.ipRange })
+                        : location.reasonCode ? catalog.translate(location.reasonCode, location.reasonParams || {})
+                            : location.reason || catalog.translate('location.unverified');
+                if (location.flagged) label = catalog.translate('location.flagged', { label: label });
+                if (!labels.includes(label)) labels.push(label);
+            });
+        });
+        return labels.join('; ');
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationPolicy;
+} else {
+    window.LocationPolicy = LocationPolicy;
+}
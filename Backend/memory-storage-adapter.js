@@ -0,0 +1,54 @@
+/**
+ * SparrowTrack - Memory Storage Adapter
+ * Non-persistent storage adapter for tests and throwaway sessions
+ */
+
+class MemoryStorageAdapter {
+    /**
+     * @param {Object} initialData - Optional initial values keyed by storage key
+     */
+    constructor(initialData = {}) {
+        this.data = new Map(Object.entries(initialData));
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value
+     */
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    /**
+     * List stored keys
+     * @returns {Array} Storage keys
+     */
+    keys() {
+        return Array.from(this.data.keys());
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStorageAdapter;
+} else {
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+}
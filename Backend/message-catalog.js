@@ -0,0 +1,1290 @@
+/**
+ * SparrowTrack - Message Catalog
+ * Translations of user-facing messages, keyed by stable message codes, and the
+ * language the app is shown in
+ */
+
+class MessageCatalog {
+    /**
+     * @param {DataManager} dataManager - Data manager (the chosen language lives in settings)
+     */
+    constructor(dataManager) {
+        // Browsers load DataManager as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { DataManager: require('./data-manager') }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.DEFAULT_LANGUAGE = 'en';
+        this.LANGUAGES = {
+            en: { name: 'English', locale: 'en-US' },
+            hi: { name: 'हिन्दी', locale: 'hi-IN' }
+        };
+
+        // Entries with {one, other} forms are chosen by the count parameter; a zero form,
+        // where given, wins for a count of 0 (Hindi counts 0 as singular otherwise)
+        this.MESSAGES = {
+            en: {
+                'auth.login_required': 'Please login first',
+                'auth.forbidden': 'You do not have permission to perform this action',
+
+                'user.fields_required': 'All fields are required',
+                'user.invalid_email': 'Please enter a valid email address',
+                'user.password_invalid': '{reasons}',
+                'user.password_too_short': 'Password must be at least {min} characters long',
+                'user.password_needs_letter': 'Password must contain at least one letter',
+                'user.exists': 'User already exists with this email',
+                'user.registered': 'Account created successfully',
+                'user.register_failed': 'Failed to create account. Please try again.',
+                'user.credentials_required': 'Email and password are required',
+                'user.no_account': 'No account found with this email',
+                'user.incorrect_password': 'Incorrect password',
+                'user.account_inactive': 'Account is deactivated. Please contact administrator.',
+                'user.session_failed': 'Failed to start session. Please try again.',
+                'user.logged_in': 'Login successful',
+                'user.logged_out': 'Logged out successfully',
+                'user.email_required': 'User email is required',
+                'user.sessions_revoked': {
+                    one: 'Logged out of {count} session',
+                    other: 'Logged out of {count} sessions'
+                },
+                'user.not_found': 'User not found',
+                'user.no_changes': 'No changes detected',
+                'user.profile_updated': 'Profile updated successfully',
+                'user.profile_update_failed': 'Failed to update profile',
+                'user.passwords_required': 'Current and new password are required',
+                'user.current_password_incorrect': 'Current password is incorrect',
+                'user.password_changed': 'Password changed successfully',
+                'user.password_change_failed': 'Failed to change password',
+                'user.account_deactivated': 'User account deactivated',
+                'user.deactivate_failed': 'Failed to deactivate user',
+                'user.account_activated': 'User account activated',
+                'user.activate_failed': 'Failed to activate user',
+                'user.admin_exists': 'An administrator already exists',
+                'user.now_admin': 'You are now the administrator',
+                'user.admin_assign_failed': 'Failed to assign administrator role',
+                'user.invalid_role': 'Invalid role',
+                'user.last_admin': 'Cannot remove the last administrator',
+                'user.role_updated': 'Role updated to {role}',
+                'user.role_update_failed': 'Failed to update role',
+                'user.reporting_cycle': 'A user cannot report to themselves or to someone who reports to them',
+                'user.reports_to': '{name} now reports to {manager}',
+                'user.reporting_cleared': 'Reporting line cleared',
+                'user.reporting_failed': 'Failed to update reporting line',
+
+                'attendance.no_unresolved_session': 'No unresolved session on this date',
+                'attendance.session_still_open': 'This session has no punch out yet. Please request a correction.',
+                'attendance.auto_punch_out_accepted': 'Automatic punch out accepted',
+                'attendance.auto_punch_out_note.cap': 'Punch out set automatically to {time} (shift cap)',
+                'attendance.auto_punch_out_note.schedule_end': 'Punch out set automatically to {time} (scheduled end)',
+                'attendance.update_failed': 'Failed to update record. Please try again.',
+                'attendance.status_not_punched_in': 'Not Punched In',
+                'attendance.status_on_break': 'On Break',
+                'attendance.status_working': 'Currently Working',
+                'attendance.status_completed': 'Work Completed',
+                'attendance.invalid_punch_time': 'Punch time must be a valid time that is not in the future',
+                'attendance.already_punched_in': 'You have already punched in today',
+                'attendance.punched_in': 'Punched in successfully',
+                'attendance.punch_in_failed': 'Failed to record punch in. Please try again.',
+                'attendance.already_punched_out': 'You have already punched out',
+                'attendance.no_punch_in_today': 'No punch in record found for today',
+                'attendance.punch_in_first': 'Please punch in first',
+                'attendance.punch_out_before_in': 'Punch out time is before the punch in time',
+                'attendance.punched_out': 'Punched out successfully',
+                'attendance.punch_out_failed': 'Failed to record punch out. Please try again.',
+                'attendance.punch_already_received': 'This punch was already received',
+                'attendance.punch_sent_for_approval': 'This punch was made too long ago to record directly; it was sent for approval as a correction request',
+                'attendance.late_punch_in_reason': 'Punch in at {time} made offline and received too late to record directly',
+                'attendance.late_punch_out_reason': 'Punch out at {time} made offline and received too late to record directly',
+                'attendance.invalid_break_type': 'Break type must be one of: {types}',
+                'attendance.already_on_break': 'You are already on a break',
+                'attendance.break_started': 'Break started',
+                'attendance.break_failed': 'Failed to record break. Please try again.',
+                'attendance.not_on_break': 'You are not on a break',
+                'attendance.break_ended': 'Break ended',
+
+                'duration.minutes': {
+                    one: '{count} minute',
+                    other: '{count} minutes'
+                },
+                'duration.hours': {
+                    one: '{count} hour',
+                    other: '{count} hours'
+                },
+                'duration.hours_minutes': '{hours}h {minutes}m',
+
+                'language.changed': 'Language set to {language}',
+                'language.unsupported': 'Unsupported language: {language}',
+                'language.save_failed': 'Failed to save the language',
+
+                'analytics.invalid_range': 'Start and end dates must be valid (YYYY-MM-DD) and in order',
+                'analytics.long_shift': 'Unusually long shift on {date}: {hours}',
+                'analytics.missing_punch_outs': '{count} missing punch outs in the last {days} days',
+                'analytics.hours_drop': 'Hours down {percent}% over the last {days} days ({recent} a day, against {earlier} before)',
+
+                'sync.unknown_action': 'Unknown punch action: {action}',
+                'sync.server_unreachable': 'The server could not be reached; punches will be kept until you sign in online',
+                'sync.queue_failed': 'Failed to queue the punch for the server',
+                'sync.sign_in_required': 'Sign in online to send queued punches',
+                'sync.offline': 'Offline; punches will be sent when the connection returns',
+                'sync.session_expired': 'Your server session has expired; sign in again to send queued punches',
+                'sync.kiosk_waiting': 'Kiosk punches are waiting for this kiosk to be registered with the server',
+                'sync.kiosk_revoked': 'The server no longer accepts this kiosk; an admin must start kiosk mode again to send its punches',
+                'sync.synced': 'All punches are synced',
+                'sync.rejected': {
+                    one: '{count} queued punch was rejected by the server',
+                    other: '{count} queued punches were rejected by the server'
+                },
+                'sync.sent_for_approval': {
+                    one: '{count} queued punch was too old to record and was sent for approval',
+                    other: '{count} queued punches were too old to record and were sent for approval'
+                },
+                'sync.pending': {
+                    one: '{count} punch waiting to sync.',
+                    other: '{count} punches waiting to sync.'
+                },
+                'sync.rejected_entry': 'The server rejected the {action} at {time}: {reason}',
+                'sync.action.punch_in': 'punch in',
+                'sync.action.punch_out': 'punch out',
+                'sync.dismiss': 'Dismiss',
+
+                'location.invalid_enforcement': 'Enforcement must be one of: {modes}',
+                'location.invalid_accuracy': 'Maximum accuracy must be a positive number of meters',
+                'location.policy_updated': 'Location policy updated',
+                'location.policy_update_failed': 'Failed to update location policy',
+                'location.invalid_geofence': '{reasons}',
+                'location.invalid_geofence_id': 'Geofence ID must use lowercase letters, digits and hyphens',
+                'location.geofence_name_required': 'Geofence name is required',
+                'location.invalid_geofence_type': 'Geofence type must be one of: {types}',
+                'location.invalid_circle_center': 'Circle center must have a valid latitude and longitude',
+                'location.invalid_circle_radius': 'Circle radius must be a positive number of meters',
+                'location.polygon_too_small': 'A polygon needs at least three points',
+                'location.invalid_polygon_point': 'Every polygon point must have a valid latitude and longitude',
+                'location.geofence_saved': 'Geofence saved',
+                'location.geofence_save_failed': 'Failed to save geofence',
+                'location.geofence_not_found': 'Geofence not found',
+                'location.geofence_deleted': 'Geofence deleted',
+                'location.geofence_delete_failed': 'Failed to delete geofence',
+                'location.invalid_ip_ranges': {
+                    one: 'Invalid IP range: {ranges}',
+                    other: 'Invalid IP ranges: {ranges}'
+                },
+                'location.ip_ranges_updated': 'Allowed IP ranges updated',
+                'location.ip_ranges_update_failed': 'Failed to update allowed IP ranges',
+                'location.invalid_location': 'Location must have a valid latitude, longitude and accuracy',
+                'location.not_provided': 'No location was provided',
+                'location.inaccurate': 'Location accuracy ({accuracy} m) is worse than the {max} m allowed',
+                'location.outside': 'Punch is outside the allowed locations',
+                'location.ip_label': 'IP {range}',
+                'location.unverified': 'Unverified location',
+                'location.flagged': 'Flagged: {label}',
+
+                'kiosk.no_unused_pin': 'Could not find an unused PIN. Please try again.',
+                'kiosk.pin_save_failed': 'Failed to save the PIN',
+                'kiosk.pin_issued': 'New kiosk PIN issued for {name}',
+                'kiosk.no_employee_id': 'This user has no employee ID to put on a badge',
+                'kiosk.badge_save_failed': 'Failed to save the badge',
+                'kiosk.badge_issued': 'New badge issued for {name}',
+                'kiosk.unknown_credential': 'Unknown kiosk credential: {credential}',
+                'kiosk.revoke_failed': 'Failed to revoke the kiosk credentials',
+                'kiosk.pin_revoked': 'Kiosk PIN revoked for {name}',
+                'kiosk.badge_revoked': 'Kiosk badge revoked for {name}',
+                'kiosk.credentials_revoked': 'Kiosk PIN and badge revoked for {name}',
+                'kiosk.start_failed': 'Failed to start kiosk mode',
+                'kiosk.started': 'Kiosk mode started',
+                'kiosk.stop_failed': 'Failed to stop kiosk mode',
+                'kiosk.stopped': 'Kiosk mode stopped',
+                'kiosk.locked': {
+                    one: 'Too many failed attempts. The kiosk is locked for {count} minute.',
+                    other: 'Too many failed attempts. The kiosk is locked for {count} minutes.'
+                },
+                'kiosk.not_recognised': 'PIN or badge not recognised',
+                'kiosk.not_active': 'Kiosk mode is not active on this device',
+                'kiosk.locked_retry': {
+                    one: 'Too many failed attempts. Try again in {count} minute.',
+                    other: 'Too many failed attempts. Try again in {count} minutes.'
+                },
+                'kiosk.account_inactive': 'This account is deactivated',
+                'kiosk.device_default_name': 'Kiosk',
+                'kiosk.device_save_failed': 'Failed to save the kiosk device',
+                'kiosk.device_registered': 'Kiosk device {name} registered',
+                'kiosk.device_not_found': 'Kiosk device not found',
+                'kiosk.device_revoked': 'Kiosk device {name} revoked',
+                'kiosk.device_unknown': 'This kiosk device is not registered',
+
+                'attendance.shift_too_long': {
+                    one: 'A shift cannot be longer than {count} hour',
+                    other: 'A shift cannot be longer than {count} hours'
+                },
+                'correction.in_future': 'Corrections cannot be in the future',
+                'correction.overlaps': 'The corrected times overlap another work interval',
+                'correction.invalid_date': 'Date must use YYYY-MM-DD format',
+                'correction.reason_required': 'Please give a reason for the correction',
+                'correction.time_required': 'Please propose a punch in or punch out time',
+                'correction.invalid_time': 'Times must use HH:MM format',
+                'correction.interval_not_found': 'Work interval not found',
+                'correction.punch_in_required': 'Please propose a punch in time',
+                'correction.already_pending': 'A correction for this day is already awaiting review',
+                'correction.submitted': 'Correction submitted for review',
+                'correction.save_failed': 'Failed to save correction request. Please try again.',
+                'correction.record_changed': 'The record has changed since this correction was requested',
+                'correction.not_found': 'Correction request not found',
+                'correction.already_approved': 'Correction request is already approved',
+                'correction.already_rejected': 'Correction request is already rejected',
+                'correction.already_cancelled': 'Correction request is already cancelled',
+                'correction.own_request': 'You cannot review your own correction request',
+                'correction.approved': 'Correction approved',
+                'correction.rejected': 'Correction rejected',
+                'correction.update_failed': 'Failed to update correction request. Please try again.',
+                'correction.cancelled': 'Correction request cancelled',
+                'correction.cancel_failed': 'Failed to cancel correction request. Please try again.',
+
+                'leave.type.vacation': 'vacation',
+                'leave.type.sick': 'sick',
+                'leave.type.unpaid': 'unpaid',
+                'leave.label.vacation': 'Vacation leave',
+                'leave.label.sick': 'Sick leave',
+                'leave.label.unpaid': 'Unpaid leave',
+                'leave.invalid_type': 'Leave type must be one of: {types}',
+                'leave.negative_allowance': 'Allowance cannot be negative',
+                'leave.allowance_updated': 'Leave allowance updated',
+                'leave.allowance_update_failed': 'Failed to update leave allowance',
+                'leave.insufficient_balance': {
+                    one: 'Insufficient {type} balance for {year}: {count} day remaining',
+                    other: 'Insufficient {type} balance for {year}: {count} days remaining'
+                },
+                'leave.invalid_dates': 'Start and end dates must use YYYY-MM-DD format',
+                'leave.end_before_start': 'End date cannot be before start date',
+                'leave.no_working_days': 'The selected dates contain no working days',
+                'leave.overlapping': 'You already have leave requested for these dates',
+                'leave.requested': {
+                    one: 'Leave requested for {count} day',
+                    other: 'Leave requested for {count} days'
+                },
+                'leave.save_failed': 'Failed to save leave request. Please try again.',
+                'leave.not_found': 'Leave request not found',
+                'leave.already_approved': 'Leave request is already approved',
+                'leave.already_rejected': 'Leave request is already rejected',
+                'leave.already_cancelled': 'Leave request is already cancelled',
+                'leave.own_request': 'You cannot review your own leave request',
+                'leave.approved': 'Leave request approved',
+                'leave.rejected': 'Leave request rejected',
+                'leave.update_failed': 'Failed to update leave request. Please try again.',
+                'leave.started': 'Leave that has already started can only be cancelled by a manager',
+                'leave.cancelled': 'Leave request cancelled',
+                'leave.cancel_failed': 'Failed to cancel leave request. Please try again.',
+
+                'holiday.invalid_date': 'Holiday date must use YYYY-MM-DD format',
+                'holiday.name_required': 'Holiday name is required',
+                'holiday.saved': 'Holiday saved',
+                'holiday.save_failed': 'Failed to save holiday',
+                'holiday.not_found': 'Holiday not found',
+                'holiday.removed': 'Holiday removed',
+                'holiday.remove_failed': 'Failed to remove holiday',
+                'holiday.no_events': 'No events found in calendar file',
+                'holiday.imported': {
+                    one: 'Imported {count} holiday',
+                    other: 'Imported {count} holidays'
+                },
+                'holiday.import_failed': 'Failed to save imported holidays',
+
+                'schedule.invalid': '{reasons}',
+                'schedule.invalid_id': 'Schedule ID must use lowercase letters, numbers and dashes',
+                'schedule.name_required': 'Schedule name is required',
+                'schedule.invalid_working_days': 'Working days must be a list of weekday numbers (0 = Sunday to 6 = Saturday)',
+                'schedule.invalid_times': 'Start and end times must use HH:MM format',
+                'schedule.invalid_required_hours': 'Required hours must be between 0 and 24',
+                'schedule.invalid_minimum_hours': 'Minimum hours must be between 0 and the required hours',
+                'schedule.negative_grace': 'Grace periods cannot be negative',
+                'schedule.saved': 'Schedule saved',
+                'schedule.save_failed': 'Failed to save schedule',
+                'schedule.not_found': 'Schedule not found',
+                'schedule.deleted': 'Schedule deleted',
+                'schedule.delete_failed': 'Failed to delete schedule',
+                'schedule.invalid_target': 'Assignment target must be default, department or user',
+                'schedule.assigned': 'Schedule assigned',
+                'schedule.assign_failed': 'Failed to assign schedule',
+
+                'import.unreadable': 'The file could not be read as CSV or XLSX',
+                'import.empty': 'The file is empty',
+                'import.unknown_field': 'Unknown field: {field}',
+                'import.column_not_found': 'Column not found for {field}: {column}',
+                'import.unmapped': 'Map a column to: {fields}',
+                'import.nothing': 'Nothing to import',
+                'import.invalid_strategy': 'Duplicate strategy must be one of: {strategies}',
+                'import.preview': 'Preview: {created} to create, {merged} to merge, {skipped} to skip, {errors} with errors',
+                'import.done': 'Imported: {created} created, {merged} merged, {skipped} skipped, {errors} with errors',
+                'import.name_required': 'Name is required',
+                'import.email_required': 'Email is required',
+                'import.department_required': 'Department is required',
+                'import.position_required': 'Position is required',
+                'import.duplicate_email': 'Email also appears on line {line}',
+                'import.no_role_permission': 'You do not have permission to assign roles',
+                'import.admin_role_locked': 'An administrator\'s role cannot be changed by import',
+                'import.password_required': 'Password is required for new employees',
+                'import.employees_save_failed': 'Failed to save imported employees',
+                'import.unknown_employee': 'Unknown employee',
+                'import.invalid_date': 'Invalid date (use YYYY-MM-DD)',
+                'import.invalid_punch_in': 'Invalid punch in time',
+                'import.invalid_punch_out': 'Invalid punch out time',
+                'import.in_future': 'Attendance cannot be in the future',
+                'import.overlap': 'Overlaps the shift on line {line}',
+                'import.attendance_save_failed': 'Failed to save imported attendance',
+
+                'timezone.unknown': 'Unknown time zone: {timeZone}',
+                'timezone.site_save_failed': 'Failed to save the site time zone',
+                'timezone.site_updated': 'Site time zone set to {timeZone}',
+                'timezone.save_failed': 'Failed to save the time zone',
+                'timezone.updated': 'Time zone set to {timeZone}',
+                'timezone.follows_site': 'Time zone now follows the site',
+                'backup.unknown_version': 'Unrecognized backup version: {version}',
+                'backup.version_too_new': 'Backup version {version} is newer than this app supports ({supported})',
+                'backup.no_upgrade_path': 'No upgrade path from backup version {version}',
+                'backup.upgrade_failed': 'Could not upgrade backup from version {from} to {to}',
+                'backup.schema.type': 'expected {expected}, got {actual}',
+                'backup.schema.enum': 'must be one of {values}',
+                'backup.schema.pattern': 'invalid value "{value}"',
+                'backup.schema.date_time': 'invalid date-time "{value}"',
+                'backup.schema.required': 'is required',
+                'backup.schema.key_mismatch': 'does not match its key "{key}"',
+                'backup.schema.key': 'invalid key',
+
+                'backup.invalid_json': 'Backup is not valid JSON; the file may be truncated',
+                'backup.not_object': 'Backup must be a JSON object',
+                'backup.no_checksum': 'Backup version {version} has no checksum; its integrity could not be verified',
+                'backup.checksum_mismatch': 'Backup checksum does not match; the file is damaged or was modified',
+                'backup.unverified': 'Backup was not signed by this installation, so changes to it cannot be ruled out; confirm its source to import it anyway',
+                'backup.accepted_unverified': 'Backup was not signed by this installation; it was accepted unverified',
+                'backup.invalid': {
+                    one: 'Backup is invalid ({count} problem): {problems}',
+                    other: 'Backup is invalid ({count} problems): {problems}'
+                },
+                'backup.snapshot_failed': 'Could not save a snapshot of the current data; nothing was imported',
+                'backup.import_failed_restored': 'Failed to import data; the previous data was restored',
+                'backup.import_failed': 'Failed to import data, and the previous data could not be restored; restore the snapshot to retry',
+                'backup.imported': 'Data imported successfully',
+                'backup.no_snapshot': 'No snapshot to restore',
+                'backup.snapshot_invalid': 'Snapshot cannot be restored: {reason}',
+                'backup.restore_failed': 'Failed to restore snapshot',
+                'backup.restored': 'Restored the data from {createdAt}',
+                'data.cleared': 'All data cleared',
+                'data.clear_failed': 'Failed to clear data',
+
+                'merge.conflict.local_field': 'This field is never changed by a merge',
+                'merge.conflict.both_changed': 'Both records changed it and neither is known to be newer',
+                'merge.conflict.entry_changed': 'Both records changed this entry and neither is known to be newer',
+                'merge.conflict.overlap': 'The entries overlap but start at different times',
+                'merge.conflict.differ': 'The entries differ',
+                'merge.conflict.id_taken': 'The employee ID belongs to another local user; the user was not added',
+                'merge.conflict.role_downgraded': 'Added as an employee: you do not have permission to assign roles',
+                'merge.conflict.attendance_skipped': 'The employee was not merged; their attendance was skipped',
+                'merge.changes': {
+                    one: '{count} change',
+                    other: '{count} changes'
+                },
+                'merge.conflicts': {
+                    one: '{count} conflict',
+                    other: '{count} conflicts'
+                },
+                'merge.preview': 'Merge preview: {changes}, {conflicts}',
+                'merge.done': 'Merge complete: {changes}, {conflicts}',
+                'merge.snapshot_failed': 'Could not save a snapshot of the current data; nothing was merged',
+                'merge.failed_restored': 'Failed to merge data; the previous data was restored',
+                'merge.failed': 'Failed to merge data, and the previous data could not be restored; restore the snapshot to retry',
+
+                'export.dates_required': 'Start and end dates are required (YYYY-MM-DD)',
+                'export.start_after_end': 'Start date must not be after the end date',
+                'export.user_not_found': 'User not found: {email}',
+                'export.invalid_format': 'Format must be one of: {formats}',
+                'export.pdf_no_attendance': 'No attendance recorded in this period.',
+                'payroll.period': '{start} to {end}',
+                'payroll.total': 'Total',
+                'team.invalid_options': 'Period must be one of: {periods}; grouping must be one of: {groupings}',
+
+                'server.method_not_allowed': 'Method not allowed',
+                'server.not_found': 'Endpoint not found',
+                'server.internal_error': 'Internal server error',
+                'server.body_too_large': 'Request body too large',
+                'server.invalid_json': 'Request body must be valid JSON',
+                'server.missing_params': {
+                    one: 'Missing query parameter: {names}',
+                    other: 'Missing query parameters: {names}'
+                },
+
+                'ui.subtitle': 'Attendance System',
+                'ui.language': 'Language',
+                'ui.email': 'Email',
+                'ui.email_placeholder': 'Enter your email',
+                'ui.password': 'Password',
+                'ui.password_placeholder': 'Enter your password',
+                'ui.sign_in': 'Sign In',
+                'ui.new_account': 'Create New Account',
+                'ui.full_name': 'Full Name',
+                'ui.full_name_placeholder': 'Enter your full name',
+                'ui.new_password_placeholder': 'Create a password',
+                'ui.department': 'Department',
+                'ui.department_placeholder': 'Enter your department',
+                'ui.position': 'Position',
+                'ui.position_placeholder': 'Enter your position',
+                'ui.create_account': 'Create Account',
+                'ui.back_to_login': 'Back to Login',
+                'ui.registered': '{message}! You can now login.',
+                'ui.session_expired': 'Your session has expired. Please sign in again.',
+                'ui.user_details': '{position} | {department} | ID: {id}',
+                'ui.current_status': 'Current Status:',
+                'ui.punch_in': 'Punch In',
+                'ui.punch_out': 'Punch Out',
+                'ui.break.lunch': 'Lunch',
+                'ui.break.personal': 'Personal',
+                'ui.break.meeting': 'Meeting',
+                'ui.break.lunch_break': 'Lunch Break',
+                'ui.break.personal_break': 'Personal Break',
+                'ui.break.meeting_break': 'Meeting Break',
+                'ui.break.ongoing': 'ongoing',
+                'ui.start_break': 'Start Break',
+                'ui.end_break': 'End Break',
+                'ui.working_hours': 'Working Hours',
+                'ui.minutes': {
+                    one: '{count} min',
+                    other: '{count} min'
+                },
+                'ui.unresolved.title': 'Previous shifts need your attention',
+                'ui.unresolved.auto_closed': 'Punch out set automatically to {time}',
+                'ui.unresolved.no_punch_out': 'No punch out recorded',
+                'ui.unresolved.punched_in': 'In {time} · {summary}',
+                'ui.accept': 'Accept',
+                'ui.correct': 'Correct',
+                'ui.today.title': 'Today\'s Records',
+                'ui.today.none': 'No records for today',
+                'ui.history.title': 'History',
+                'ui.history.previous_month': 'Previous month',
+                'ui.history.next_month': 'Next month',
+                'ui.from': 'From',
+                'ui.to': 'To',
+                'ui.date': 'Date',
+                'ui.history.weekly': 'Weekly Hours',
+                'ui.history.monthly': 'Monthly Hours',
+                'ui.history.download_csv': 'Download CSV',
+                'ui.history.status.full_day': 'Full Day',
+                'ui.history.status.partial_day': 'Partial Day',
+                'ui.history.status.short_day': 'Short Day',
+                'ui.history.status.missing_punch_out': 'Missing Punch Out',
+                'ui.history.status.no_punch_in': 'No Punch In',
+                'ui.history.status.holiday': 'Holiday',
+                'ui.history.status.on_leave': 'On Leave',
+                'ui.history.none': 'No attendance recorded',
+                'ui.history.worked': 'Worked',
+                'ui.history.no_punch_out': 'no punch out',
+                'ui.history.break_time': 'Break Time',
+                'ui.history.late_arrival': 'Late Arrival',
+                'ui.history.early_departure': 'Early Departure',
+                'ui.history.needs_review': 'Needs Review',
+                'ui.history.needs_review_detail': 'Closed automatically; request a correction if the times are wrong',
+                'ui.history.notes': 'Notes',
+                'ui.history.no_data': 'Nothing to show for this range',
+                'ui.history.invalid_range': 'Choose a start date on or before the end date',
+                'ui.anomaly.attention': 'Attention',
+                'ui.anomaly.worth_a_look': 'Worth a look',
+                'ui.insights.title': 'Insights',
+                'ui.insights.punctuality': 'Punctuality Score',
+                'ui.insights.no_schedule': 'No scheduled days yet',
+                'ui.insights.score': '{score}/100 · {late} late, {early} early',
+                'ui.insights.arrival': 'Usual Arrival',
+                'ui.insights.departure': 'Usual Departure',
+                'ui.insights.spread': '{time} ± {count} min',
+                'ui.insights.average': '7-Day Average',
+                'ui.insights.streak': 'Attendance Streak',
+                'ui.insights.streak_detail': {
+                    one: '{count} day (best {longest}) · {onTime} on time',
+                    other: '{count} days (best {longest}) · {onTime} on time'
+                },
+                'ui.leave.title': 'Leave',
+                'ui.leave_type.vacation': 'Vacation',
+                'ui.leave_type.sick': 'Sick',
+                'ui.leave_type.unpaid': 'Unpaid',
+                'ui.reason': 'Reason',
+                'ui.leave.request': 'Request Leave',
+                'ui.leave.days': '{count}d',
+                'ui.leave.remaining': {
+                    one: '{type}: {count} day left',
+                    other: '{type}: {count} days left'
+                },
+                'ui.leave.none_pending': 'No requests awaiting approval',
+                'ui.leave.approvals': 'Leave Approvals',
+                'ui.request_status.pending': 'pending',
+                'ui.request_status.approved': 'approved',
+                'ui.request_status.rejected': 'rejected',
+                'ui.request_status.cancelled': 'cancelled',
+                'ui.cancel': 'Cancel',
+                'ui.approve': 'Approve',
+                'ui.reject': 'Reject',
+                'ui.approval_comment': 'Approval comment (optional)',
+                'ui.rejection_reason': 'Reason for rejection',
+                'ui.corrections.title': 'Attendance Corrections',
+                'ui.corrections.request': 'Request Correction',
+                'ui.corrections.open': 'open',
+                'ui.corrections.no_punch': 'no punch',
+                'ui.corrections.none_pending': 'No corrections awaiting approval',
+                'ui.corrections.approvals': 'Correction Approvals',
+                'ui.export.title': 'Export',
+                'ui.export.xlsx': 'Excel (XLSX)',
+                'ui.export.pdf': 'PDF timesheet',
+                'ui.export.ics': 'Calendar (ICS)',
+                'ui.export.download': 'Download',
+                'ui.export.downloaded': 'Downloaded {filename}',
+                'ui.scope.me': 'Just me',
+                'ui.scope.mine': 'My reporting line',
+                'ui.scope.all': 'Everyone',
+                'ui.timezone.title': 'Time Zone',
+                'ui.timezone.site': 'Site',
+                'ui.timezone.same_as_site': 'Same as site ({timeZone})',
+                'ui.team.title': 'Team',
+                'ui.team.by_department': 'By department',
+                'ui.team.by_manager': 'By manager',
+                'ui.team.this_week': 'This week',
+                'ui.team.this_month': 'This month',
+                'ui.team.in_now': 'In now ({count})',
+                'ui.team.on_break': 'On break ({count})',
+                'ui.team.late': 'Late today ({count})',
+                'ui.team.absent': 'Absent ({count})',
+                'ui.team.not_yet_in': 'Not yet in ({count})',
+                'ui.team.on_leave': 'On leave ({count})',
+                'ui.team.since': 'since {time}',
+                'ui.team.due': '(due {time})',
+                'ui.team.column.hours': 'Hours',
+                'ui.team.column.days': 'Days',
+                'ui.team.column.late': 'Late',
+                'ui.team.column.early': 'Early',
+                'ui.team.column.leave': 'Leave',
+                'ui.team.total': 'Total',
+                'ui.import.title': 'Import',
+                'ui.import.roster': 'Employees',
+                'ui.import.attendance': 'Attendance',
+                'ui.import.skip_existing': 'Skip existing',
+                'ui.import.merge_existing': 'Merge into existing',
+                'ui.import.preview': 'Preview',
+                'ui.import.run': 'Import',
+                'ui.import.rows_read': {
+                    one: '{count} row read from {file}',
+                    other: '{count} rows read from {file}'
+                },
+                'ui.import.not_imported': '(not imported)',
+                'ui.import.line': 'Line {line}',
+                'ui.import.action.create': 'create',
+                'ui.import.action.merge': 'merge',
+                'ui.import.action.skip': 'skip',
+                'ui.import.action.error': 'error',
+                'ui.kiosk.title': 'Kiosk',
+                'ui.kiosk.new_pin': 'New PIN',
+                'ui.kiosk.new_badge': 'New Badge',
+                'ui.kiosk.revoke_pin': 'Revoke PIN',
+                'ui.kiosk.revoke_badge': 'Revoke Badge',
+                'ui.kiosk.start': 'Start Kiosk Mode on This Device',
+                'ui.kiosk.pin_issued': 'PIN issued {date}',
+                'ui.kiosk.no_pin': 'No PIN',
+                'ui.kiosk.badge_issued': 'Badge issued {date}',
+                'ui.kiosk.no_badge': 'No badge',
+                'ui.kiosk.print_badge': 'Print Badge',
+                'ui.kiosk.badge_title': 'SparrowTrack Badge',
+                'ui.kiosk.prompt': 'Enter your PIN or scan your badge',
+                'ui.kiosk.code_placeholder': 'PIN or badge',
+                'ui.kiosk.punch': 'Punch',
+                'ui.kiosk.scan': 'Scan Badge with Camera',
+                'ui.kiosk.exit': 'Exit Kiosk',
+                'ui.kiosk.admin_email': 'Admin Email',
+                'ui.kiosk.admin_email_placeholder': 'Enter admin email',
+                'ui.kiosk.admin_password_placeholder': 'Enter password',
+                'ui.kiosk.exit_mode': 'Exit Kiosk Mode',
+                'ui.kiosk.punched': '{name}: {message} at {time}',
+                'ui.kiosk.no_camera': 'The camera is not available',
+                'ui.holidays.title': 'Holiday Calendar',
+                'ui.logout': 'Logout',
+
+                'analytics.range_too_long': {
+                    one: 'The range can be at most {count} day long',
+                    other: 'The range can be at most {count} days long'
+                },
+                'server.invalid_date': 'Query parameter {name} must be a real date (YYYY-MM-DD)',
+                'server.invalid_range': 'Query parameter start must not be after end',
+                'server.range_too_long': {
+                    one: 'The range can be at most {count} day long',
+                    other: 'The range can be at most {count} days long'
+                },
+                'server.invalid_field': 'Field {name} must be text',
+                'server.invalid_body': 'Request body must be a JSON object',
+                'server.invalid_month': 'Query parameters year and month must be a four-digit year and a month from 1 to 12'
+            },
+            hi: {
+                'auth.login_required': 'कृपया पहले लॉग इन करें',
+                'auth.forbidden': 'आपको यह कार्य करने की अनुमति नहीं है',
+
+                'user.fields_required': 'सभी फ़ील्ड आवश्यक हैं',
+                'user.invalid_email': 'कृपया एक मान्य ईमेल पता दर्ज करें',
+                'user.password_invalid': '{reasons}',
+                'user.password_too_short': 'पासवर्ड कम से कम {min} अक्षरों का होना चाहिए',
+                'user.password_needs_letter': 'पासवर्ड में कम से कम एक अक्षर होना चाहिए',
+                'user.exists': 'इस ईमेल से एक उपयोगकर्ता पहले से मौजूद है',
+                'user.registered': 'खाता सफलतापूर्वक बनाया गया',
+                'user.register_failed': 'खाता नहीं बन सका। कृपया फिर से प्रयास करें।',
+                'user.credentials_required': 'ईमेल और पासवर्ड आवश्यक हैं',
+                'user.no_account': 'इस ईमेल से कोई खाता नहीं मिला',
+                'user.incorrect_password': 'गलत पासवर्ड',
+                'user.account_inactive': 'खाता निष्क्रिय है। कृपया व्यवस्थापक से संपर्क करें।',
+                'user.session_failed': 'सत्र शुरू नहीं हो सका। कृपया फिर से प्रयास करें।',
+                'user.logged_in': 'लॉग इन सफल रहा',
+                'user.logged_out': 'सफलतापूर्वक लॉग आउट किया गया',
+                'user.email_required': 'उपयोगकर्ता का ईमेल आवश्यक है',
+                'user.sessions_revoked': {
+                    one: '{count} सत्र से लॉग आउट किया गया',
+                    other: '{count} सत्रों से लॉग आउट किया गया'
+                },
+                'user.not_found': 'उपयोगकर्ता नहीं मिला',
+                'user.no_changes': 'कोई बदलाव नहीं मिला',
+                'user.profile_updated': 'प्रोफ़ाइल सफलतापूर्वक अपडेट की गई',
+                'user.profile_update_failed': 'प्रोफ़ाइल अपडेट नहीं हो सकी',
+                'user.passwords_required': 'वर्तमान और नया पासवर्ड आवश्यक हैं',
+                'user.current_password_incorrect': 'वर्तमान पासवर्ड गलत है',
+                'user.password_changed': 'पासवर्ड सफलतापूर्वक बदला गया',
+                'user.password_change_failed': 'पासवर्ड नहीं बदला जा सका',
+                'user.account_deactivated': 'उपयोगकर्ता खाता निष्क्रिय किया गया',
+                'user.deactivate_failed': 'उपयोगकर्ता को निष्क्रिय नहीं किया जा सका',
+                'user.account_activated': 'उपयोगकर्ता खाता सक्रिय किया गया',
+                'user.activate_failed': 'उपयोगकर्ता को सक्रिय नहीं किया जा सका',
+                'user.admin_exists': 'एक व्यवस्थापक पहले से मौजूद है',
+                'user.now_admin': 'अब आप व्यवस्थापक हैं',
+                'user.admin_assign_failed': 'व्यवस्थापक की भूमिका नहीं दी जा सकी',
+                'user.invalid_role': 'अमान्य भूमिका',
+                'user.last_admin': 'अंतिम व्यवस्थापक को हटाया नहीं जा सकता',
+                'user.role_updated': 'भूमिका बदलकर {role} की गई',
+                'user.role_update_failed': 'भूमिका अपडेट नहीं हो सकी',
+                'user.reporting_cycle': 'कोई उपयोगकर्ता स्वयं को या अपने अधीनस्थ को रिपोर्ट नहीं कर सकता',
+                'user.reports_to': '{name} अब {manager} को रिपोर्ट करते हैं',
+                'user.reporting_cleared': 'रिपोर्टिंग लाइन हटाई गई',
+                'user.reporting_failed': 'रिपोर्टिंग लाइन अपडेट नहीं हो सकी',
+
+                'attendance.no_unresolved_session': 'इस तारीख का कोई अनसुलझा सत्र नहीं है',
+                'attendance.session_still_open': 'इस सत्र में अभी पंच आउट नहीं है। कृपया सुधार का अनुरोध करें।',
+                'attendance.auto_punch_out_accepted': 'स्वचालित पंच आउट स्वीकार किया गया',
+                'attendance.auto_punch_out_note.cap': 'पंच आउट स्वचालित रूप से {time} पर सेट किया गया (शिफ्ट सीमा)',
+                'attendance.auto_punch_out_note.schedule_end': 'पंच आउट स्वचालित रूप से {time} पर सेट किया गया (निर्धारित समाप्ति)',
+                'attendance.update_failed': 'रिकॉर्ड अपडेट नहीं हो सका। कृपया फिर से प्रयास करें।',
+                'attendance.status_not_punched_in': 'पंच इन नहीं किया',
+                'attendance.status_on_break': 'ब्रेक पर',
+                'attendance.status_working': 'अभी काम पर',
+                'attendance.status_completed': 'काम पूरा हुआ',
+                'attendance.invalid_punch_time': 'पंच का समय मान्य होना चाहिए और भविष्य का नहीं हो सकता',
+                'attendance.already_punched_in': 'आप आज पहले ही पंच इन कर चुके हैं',
+                'attendance.punched_in': 'सफलतापूर्वक पंच इन किया गया',
+                'attendance.punch_in_failed': 'पंच इन दर्ज नहीं हो सका। कृपया फिर से प्रयास करें।',
+                'attendance.already_punched_out': 'आप पहले ही पंच आउट कर चुके हैं',
+                'attendance.no_punch_in_today': 'आज का कोई पंच इन रिकॉर्ड नहीं मिला',
+                'attendance.punch_in_first': 'कृपया पहले पंच इन करें',
+                'attendance.punch_out_before_in': 'पंच आउट का समय पंच इन के समय से पहले है',
+                'attendance.punched_out': 'सफलतापूर्वक पंच आउट किया गया',
+                'attendance.punch_out_failed': 'पंच आउट दर्ज नहीं हो सका। कृपया फिर से प्रयास करें।',
+                'attendance.punch_already_received': 'यह पंच पहले ही मिल चुका है',
+                'attendance.punch_sent_for_approval': 'यह पंच सीधे दर्ज करने के लिए बहुत पुराना है; इसे सुधार अनुरोध के रूप में मंज़ूरी के लिए भेजा गया',
+                'attendance.late_punch_in_reason': '{time} पर ऑफ़लाइन किया गया पंच इन, सीधे दर्ज करने के लिए बहुत देर से मिला',
+                'attendance.late_punch_out_reason': '{time} पर ऑफ़लाइन किया गया पंच आउट, सीधे दर्ज करने के लिए बहुत देर से मिला',
+                'attendance.invalid_break_type': 'ब्रेक का प्रकार इनमें से एक होना चाहिए: {types}',
+                'attendance.already_on_break': 'आप पहले से ब्रेक पर हैं',
+                'attendance.break_started': 'ब्रेक शुरू हुआ',
+                'attendance.break_failed': 'ब्रेक दर्ज नहीं हो सका। कृपया फिर से प्रयास करें।',
+                'attendance.not_on_break': 'आप ब्रेक पर नहीं हैं',
+                'attendance.break_ended': 'ब्रेक समाप्त हुआ',
+
+                'duration.minutes': '{count} मिनट',
+                'duration.hours': {
+                    zero: '{count} घंटे',
+                    one: '{count} घंटा',
+                    other: '{count} घंटे'
+                },
+                'duration.hours_minutes': '{hours} घं {minutes} मि',
+
+                'language.changed': 'भाषा {language} पर सेट की गई',
+                'language.unsupported': 'असमर्थित भाषा: {language}',
+                'language.save_failed': 'भाषा सहेजी नहीं जा सकी',
+
+                'analytics.invalid_range': 'आरंभ और समाप्ति तिथियाँ मान्य (YYYY-MM-DD) और क्रम में होनी चाहिए',
+                'analytics.long_shift': '{date} को असामान्य रूप से लंबी शिफ्ट: {hours}',
+                'analytics.missing_punch_outs': 'पिछले {days} दिनों में {count} बार पंच आउट छूटा',
+                'analytics.hours_drop': 'पिछले {days} दिनों में घंटे {percent}% कम ({recent} प्रतिदिन, पहले {earlier})',
+
+                'sync.unknown_action': 'अज्ञात पंच क्रिया: {action}',
+                'sync.server_unreachable': 'सर्वर तक नहीं पहुँचा जा सका; ऑनलाइन साइन इन करने तक पंच सहेजे रहेंगे',
+                'sync.queue_failed': 'पंच को सर्वर के लिए कतार में नहीं रखा जा सका',
+                'sync.sign_in_required': 'कतार में रखे पंच भेजने के लिए ऑनलाइन साइन इन करें',
+                'sync.offline': 'ऑफ़लाइन; कनेक्शन लौटने पर पंच भेजे जाएँगे',
+                'sync.session_expired': 'आपका सर्वर सत्र समाप्त हो गया है; कतार में रखे पंच भेजने के लिए फिर से साइन इन करें',
+                'sync.kiosk_waiting': 'कियोस्क पंच इस कियोस्क के सर्वर पर पंजीकृत होने की प्रतीक्षा में हैं',
+                'sync.kiosk_revoked': 'सर्वर अब इस कियोस्क को स्वीकार नहीं करता; इसके पंच भेजने के लिए किसी एडमिन को कियोस्क मोड फिर से शुरू करना होगा',
+                'sync.synced': 'सभी पंच सिंक हो गए हैं',
+                'sync.rejected': '{count} कतारबद्ध पंच सर्वर ने अस्वीकार किए',
+                'sync.sent_for_approval': '{count} कतारबद्ध पंच दर्ज करने के लिए बहुत पुराने थे और मंज़ूरी के लिए भेजे गए',
+                'sync.pending': '{count} पंच सिंक होने की प्रतीक्षा में।',
+                'sync.rejected_entry': 'सर्वर ने {time} का {action} अस्वीकार किया: {reason}',
+                'sync.action.punch_in': 'पंच इन',
+                'sync.action.punch_out': 'पंच आउट',
+                'sync.dismiss': 'हटाएँ',
+
+                'location.invalid_enforcement': 'प्रवर्तन इनमें से एक होना चाहिए: {modes}',
+                'location.invalid_accuracy': 'अधिकतम सटीकता मीटर में एक धनात्मक संख्या होनी चाहिए',
+                'location.policy_updated': 'स्थान नीति अपडेट की गई',
+                'location.policy_update_failed': 'स्थान नीति अपडेट नहीं की जा सकी',
+                'location.invalid_geofence': '{reasons}',
+                'location.invalid_geofence_id': 'जियोफ़ेंस ID में केवल छोटे अक्षर, अंक और हाइफ़न हो सकते हैं',
+                'location.geofence_name_required': 'जियोफ़ेंस का नाम आवश्यक है',
+                'location.invalid_geofence_type': 'जियोफ़ेंस का प्रकार इनमें से एक होना चाहिए: {types}',
+                'location.invalid_circle_center': 'वृत्त के केंद्र का अक्षांश और देशांतर मान्य होना चाहिए',
+                'location.invalid_circle_radius': 'वृत्त की त्रिज्या मीटर में एक धनात्मक संख्या होनी चाहिए',
+                'location.polygon_too_small': 'बहुभुज में कम से कम तीन बिंदु होने चाहिए',
+                'location.invalid_polygon_point': 'बहुभुज के हर बिंदु का अक्षांश और देशांतर मान्य होना चाहिए',
+                'location.geofence_saved': 'जियोफ़ेंस सहेजा गया',
+                'location.geofence_save_failed': 'जियोफ़ेंस सहेजा नहीं जा सका',
+                'location.geofence_not_found': 'जियोफ़ेंस नहीं मिला',
+                'location.geofence_deleted': 'जियोफ़ेंस हटाया गया',
+                'location.geofence_delete_failed': 'जियोफ़ेंस हटाया नहीं जा सका',
+                'location.invalid_ip_ranges': 'अमान्य IP रेंज: {ranges}',
+                'location.ip_ranges_updated': 'अनुमत IP रेंज अपडेट की गईं',
+                'location.ip_ranges_update_failed': 'अनुमत IP रेंज अपडेट नहीं की जा सकीं',
+                'location.invalid_location': 'स्थान का अक्षांश, देशांतर और सटीकता मान्य होनी चाहिए',
+                'location.not_provided': 'कोई स्थान नहीं दिया गया',
+                'location.inaccurate': 'स्थान की सटीकता ({accuracy} मी) अनुमत {max} मी से कम है',
+                'location.outside': 'पंच अनुमत स्थानों से बाहर है',
+                'location.ip_label': 'IP {range}',
+                'location.unverified': 'असत्यापित स्थान',
+                'location.flagged': 'चिह्नित: {label}',
+
+                'kiosk.no_unused_pin': 'कोई अप्रयुक्त PIN नहीं मिला। कृपया फिर से प्रयास करें।',
+                'kiosk.pin_save_failed': 'PIN सहेजा नहीं जा सका',
+                'kiosk.pin_issued': '{name} के लिए नया कियोस्क PIN जारी किया गया',
+                'kiosk.no_employee_id': 'इस उपयोगकर्ता के पास बैज पर लगाने के लिए कर्मचारी ID नहीं है',
+                'kiosk.badge_save_failed': 'बैज सहेजा नहीं जा सका',
+                'kiosk.badge_issued': '{name} के लिए नया बैज जारी किया गया',
+                'kiosk.unknown_credential': 'अज्ञात कियोस्क क्रेडेंशियल: {credential}',
+                'kiosk.revoke_failed': 'कियोस्क क्रेडेंशियल रद्द नहीं किए जा सके',
+                'kiosk.pin_revoked': '{name} का कियोस्क PIN रद्द किया गया',
+                'kiosk.badge_revoked': '{name} का कियोस्क बैज रद्द किया गया',
+                'kiosk.credentials_revoked': '{name} का कियोस्क PIN और बैज रद्द किए गए',
+                'kiosk.start_failed': 'कियोस्क मोड शुरू नहीं किया जा सका',
+                'kiosk.started': 'कियोस्क मोड शुरू हुआ',
+                'kiosk.stop_failed': 'कियोस्क मोड बंद नहीं किया जा सका',
+                'kiosk.stopped': 'कियोस्क मोड बंद हुआ',
+                'kiosk.locked': 'बहुत अधिक विफल प्रयास। कियोस्क {count} मिनट के लिए लॉक है।',
+                'kiosk.not_recognised': 'PIN या बैज पहचाना नहीं गया',
+                'kiosk.not_active': 'इस डिवाइस पर कियोस्क मोड सक्रिय नहीं है',
+                'kiosk.locked_retry': 'बहुत अधिक विफल प्रयास। {count} मिनट बाद फिर से प्रयास करें।',
+                'kiosk.account_inactive': 'यह खाता निष्क्रिय है',
+                'kiosk.device_default_name': 'कियोस्क',
+                'kiosk.device_save_failed': 'कियोस्क डिवाइस सहेजा नहीं जा सका',
+                'kiosk.device_registered': 'कियोस्क डिवाइस {name} पंजीकृत किया गया',
+                'kiosk.device_not_found': 'कियोस्क डिवाइस नहीं मिला',
+                'kiosk.device_revoked': 'कियोस्क डिवाइस {name} रद्द किया गया',
+                'kiosk.device_unknown': 'यह कियोस्क डिवाइस पंजीकृत नहीं है',
+
+                'attendance.shift_too_long': 'कोई शिफ्ट {count} घंटे से लंबी नहीं हो सकती',
+                'correction.in_future': 'सुधार भविष्य के लिए नहीं हो सकते',
+                'correction.overlaps': 'सुधारे गए समय किसी अन्य कार्य अंतराल से टकराते हैं',
+                'correction.invalid_date': 'तिथि YYYY-MM-DD प्रारूप में होनी चाहिए',
+                'correction.reason_required': 'कृपया सुधार का कारण बताएँ',
+                'correction.time_required': 'कृपया पंच इन या पंच आउट का समय प्रस्तावित करें',
+                'correction.invalid_time': 'समय HH:MM प्रारूप में होना चाहिए',
+                'correction.interval_not_found': 'कार्य अंतराल नहीं मिला',
+                'correction.punch_in_required': 'कृपया पंच इन का समय प्रस्तावित करें',
+                'correction.already_pending': 'इस दिन का एक सुधार पहले से समीक्षा की प्रतीक्षा में है',
+                'correction.submitted': 'सुधार समीक्षा के लिए भेजा गया',
+                'correction.save_failed': 'सुधार अनुरोध सहेजा नहीं जा सका। कृपया फिर से प्रयास करें।',
+                'correction.record_changed': 'यह सुधार माँगे जाने के बाद रिकॉर्ड बदल गया है',
+                'correction.not_found': 'सुधार अनुरोध नहीं मिला',
+                'correction.already_approved': 'सुधार अनुरोध पहले ही स्वीकृत हो चुका है',
+                'correction.already_rejected': 'सुधार अनुरोध पहले ही अस्वीकृत हो चुका है',
+                'correction.already_cancelled': 'सुधार अनुरोध पहले ही रद्द हो चुका है',
+                'correction.own_request': 'आप अपने स्वयं के सुधार अनुरोध की समीक्षा नहीं कर सकते',
+                'correction.approved': 'सुधार स्वीकृत',
+                'correction.rejected': 'सुधार अस्वीकृत',
+                'correction.update_failed': 'सुधार अनुरोध अपडेट नहीं हो सका। कृपया फिर से प्रयास करें।',
+                'correction.cancelled': 'सुधार अनुरोध रद्द किया गया',
+                'correction.cancel_failed': 'सुधार अनुरोध रद्द नहीं हो सका। कृपया फिर से प्रयास करें।',
+
+                'leave.type.vacation': 'अवकाश',
+                'leave.type.sick': 'बीमारी',
+                'leave.type.unpaid': 'अवैतनिक',
+                'leave.label.vacation': 'अवकाश छुट्टी',
+                'leave.label.sick': 'बीमारी की छुट्टी',
+                'leave.label.unpaid': 'अवैतनिक छुट्टी',
+                'leave.invalid_type': 'छुट्टी का प्रकार इनमें से एक होना चाहिए: {types}',
+                'leave.negative_allowance': 'छुट्टी का कोटा ऋणात्मक नहीं हो सकता',
+                'leave.allowance_updated': 'छुट्टी का कोटा अपडेट किया गया',
+                'leave.allowance_update_failed': 'छुट्टी का कोटा अपडेट नहीं हो सका',
+                'leave.insufficient_balance': '{year} के लिए {type} छुट्टी का शेष अपर्याप्त: {count} दिन शेष',
+                'leave.invalid_dates': 'आरंभ और समाप्ति तिथियाँ YYYY-MM-DD प्रारूप में होनी चाहिए',
+                'leave.end_before_start': 'समाप्ति तिथि आरंभ तिथि से पहले नहीं हो सकती',
+                'leave.no_working_days': 'चुनी गई तिथियों में कोई कार्य दिवस नहीं है',
+                'leave.overlapping': 'इन तिथियों के लिए आपने पहले ही छुट्टी माँगी है',
+                'leave.requested': '{count} दिन की छुट्टी माँगी गई',
+                'leave.save_failed': 'छुट्टी अनुरोध सहेजा नहीं जा सका। कृपया फिर से प्रयास करें।',
+                'leave.not_found': 'छुट्टी अनुरोध नहीं मिला',
+                'leave.already_approved': 'छुट्टी अनुरोध पहले ही स्वीकृत हो चुका है',
+                'leave.already_rejected': 'छुट्टी अनुरोध पहले ही अस्वीकृत हो चुका है',
+                'leave.already_cancelled': 'छुट्टी अनुरोध पहले ही रद्द हो चुका है',
+                'leave.own_request': 'आप अपने स्वयं के छुट्टी अनुरोध की समीक्षा नहीं कर सकते',
+                'leave.approved': 'छुट्टी अनुरोध स्वीकृत',
+                'leave.rejected': 'छुट्टी अनुरोध अस्वीकृत',
+                'leave.update_failed': 'छुट्टी अनुरोध अपडेट नहीं हो सका। कृपया फिर से प्रयास करें।',
+                'leave.started': 'शुरू हो चुकी छुट्टी केवल प्रबंधक रद्द कर सकते हैं',
+                'leave.cancelled': 'छुट्टी अनुरोध रद्द किया गया',
+                'leave.cancel_failed': 'छुट्टी अनुरोध रद्द नहीं हो सका। कृपया फिर से प्रयास करें।',
+
+                'holiday.invalid_date': 'अवकाश की तिथि YYYY-MM-DD प्रारूप में होनी चाहिए',
+                'holiday.name_required': 'अवकाश का नाम आवश्यक है',
+                'holiday.saved': 'अवकाश सहेजा गया',
+                'holiday.save_failed': 'अवकाश सहेजा नहीं जा सका',
+                'holiday.not_found': 'अवकाश नहीं मिला',
+                'holiday.removed': 'अवकाश हटाया गया',
+                'holiday.remove_failed': 'अवकाश हटाया नहीं जा सका',
+                'holiday.no_events': 'कैलेंडर फ़ाइल में कोई कार्यक्रम नहीं मिला',
+                'holiday.imported': '{count} अवकाश आयात किए गए',
+                'holiday.import_failed': 'आयात किए गए अवकाश सहेजे नहीं जा सके',
+
+                'schedule.invalid': '{reasons}',
+                'schedule.invalid_id': 'शेड्यूल ID में केवल छोटे अक्षर, अंक और डैश हो सकते हैं',
+                'schedule.name_required': 'शेड्यूल का नाम आवश्यक है',
+                'schedule.invalid_working_days': 'कार्य दिवस सप्ताह के दिनों की संख्याओं की सूची होने चाहिए (0 = रविवार से 6 = शनिवार)',
+                'schedule.invalid_times': 'आरंभ और समाप्ति समय HH:MM प्रारूप में होने चाहिए',
+                'schedule.invalid_required_hours': 'आवश्यक घंटे 0 और 24 के बीच होने चाहिए',
+                'schedule.invalid_minimum_hours': 'न्यूनतम घंटे 0 और आवश्यक घंटों के बीच होने चाहिए',
+                'schedule.negative_grace': 'छूट अवधि ऋणात्मक नहीं हो सकती',
+                'schedule.saved': 'शेड्यूल सहेजा गया',
+                'schedule.save_failed': 'शेड्यूल सहेजा नहीं जा सका',
+                'schedule.not_found': 'शेड्यूल नहीं मिला',
+                'schedule.deleted': 'शेड्यूल हटाया गया',
+                'schedule.delete_failed': 'शेड्यूल हटाया नहीं जा सका',
+                'schedule.invalid_target': 'असाइनमेंट का लक्ष्य default, department या user होना चाहिए',
+                'schedule.assigned': 'शेड्यूल असाइन किया गया',
+                'schedule.assign_failed': 'शेड्यूल असाइन नहीं किया जा सका',
+
+                'import.unreadable': 'फ़ाइल को CSV या XLSX के रूप में नहीं पढ़ा जा सका',
+                'import.empty': 'फ़ाइल खाली है',
+                'import.unknown_field': 'अज्ञात फ़ील्ड: {field}',
+                'import.column_not_found': '{field} के लिए कॉलम नहीं मिला: {column}',
+                'import.unmapped': 'इनके लिए एक कॉलम चुनें: {fields}',
+                'import.nothing': 'आयात करने के लिए कुछ नहीं है',
+                'import.invalid_strategy': 'डुप्लिकेट रणनीति इनमें से एक होनी चाहिए: {strategies}',
+                'import.preview': 'पूर्वावलोकन: {created} बनाए जाएँगे, {merged} मिलाए जाएँगे, {skipped} छोड़े जाएँगे, {errors} में त्रुटियाँ',
+                'import.done': 'आयात हुआ: {created} बनाए गए, {merged} मिलाए गए, {skipped} छोड़े गए, {errors} में त्रुटियाँ',
+                'import.name_required': 'नाम आवश्यक है',
+                'import.email_required': 'ईमेल आवश्यक है',
+                'import.department_required': 'विभाग आवश्यक है',
+                'import.position_required': 'पद आवश्यक है',
+                'import.duplicate_email': 'यह ईमेल पंक्ति {line} पर भी है',
+                'import.no_role_permission': 'आपको भूमिकाएँ देने की अनुमति नहीं है',
+                'import.admin_role_locked': 'आयात से किसी व्यवस्थापक की भूमिका नहीं बदली जा सकती',
+                'import.password_required': 'नए कर्मचारियों के लिए पासवर्ड आवश्यक है',
+                'import.employees_save_failed': 'आयात किए गए कर्मचारी सहेजे नहीं जा सके',
+                'import.unknown_employee': 'अज्ञात कर्मचारी',
+                'import.invalid_date': 'अमान्य तिथि (YYYY-MM-DD का उपयोग करें)',
+                'import.invalid_punch_in': 'अमान्य पंच इन समय',
+                'import.invalid_punch_out': 'अमान्य पंच आउट समय',
+                'import.in_future': 'उपस्थिति भविष्य की नहीं हो सकती',
+                'import.overlap': 'पंक्ति {line} की शिफ्ट से टकराती है',
+                'import.attendance_save_failed': 'आयात की गई उपस्थिति सहेजी नहीं जा सकी',
+
+                'timezone.unknown': 'अज्ञात समय क्षेत्र: {timeZone}',
+                'timezone.site_save_failed': 'साइट का समय क्षेत्र सहेजा नहीं जा सका',
+                'timezone.site_updated': 'साइट का समय क्षेत्र {timeZone} किया गया',
+                'timezone.save_failed': 'समय क्षेत्र सहेजा नहीं जा सका',
+                'timezone.updated': 'समय क्षेत्र {timeZone} किया गया',
+                'timezone.follows_site': 'समय क्षेत्र अब साइट के अनुसार है',
+                'backup.unknown_version': 'अज्ञात बैकअप संस्करण: {version}',
+                'backup.version_too_new': 'बैकअप संस्करण {version} इस ऐप ({supported}) से नया है',
+                'backup.no_upgrade_path': 'बैकअप संस्करण {version} से अपग्रेड का कोई रास्ता नहीं है',
+                'backup.upgrade_failed': 'बैकअप को संस्करण {from} से {to} में अपग्रेड नहीं किया जा सका',
+                'backup.schema.type': '{expected} अपेक्षित था, {actual} मिला',
+                'backup.schema.enum': 'इनमें से एक होना चाहिए: {values}',
+                'backup.schema.pattern': 'अमान्य मान "{value}"',
+                'backup.schema.date_time': 'अमान्य दिनांक-समय "{value}"',
+                'backup.schema.required': 'आवश्यक है',
+                'backup.schema.key_mismatch': 'अपनी कुंजी "{key}" से मेल नहीं खाता',
+                'backup.schema.key': 'अमान्य कुंजी',
+
+                'backup.invalid_json': 'बैकअप मान्य JSON नहीं है; फ़ाइल अधूरी हो सकती है',
+                'backup.not_object': 'बैकअप एक JSON ऑब्जेक्ट होना चाहिए',
+                'backup.no_checksum': 'बैकअप संस्करण {version} में चेकसम नहीं है; इसकी अखंडता जाँची नहीं जा सकी',
+                'backup.checksum_mismatch': 'बैकअप का चेकसम मेल नहीं खाता; फ़ाइल खराब है या बदली गई है',
+                'backup.unverified': 'यह बैकअप इस इंस्टॉलेशन द्वारा हस्ताक्षरित नहीं है, इसलिए इसमें बदलाव से इनकार नहीं किया जा सकता; फिर भी आयात करने के लिए इसके स्रोत की पुष्टि करें',
+                'backup.accepted_unverified': 'यह बैकअप इस इंस्टॉलेशन द्वारा हस्ताक्षरित नहीं है; इसे बिना सत्यापन के स्वीकार किया गया',
+                'backup.invalid': {
+                    one: 'बैकअप अमान्य है ({count} समस्या): {problems}',
+                    other: 'बैकअप अमान्य है ({count} समस्याएँ): {problems}'
+                },
+                'backup.snapshot_failed': 'वर्तमान डेटा का स्नैपशॉट सहेजा नहीं जा सका; कुछ भी आयात नहीं हुआ',
+                'backup.import_failed_restored': 'डेटा आयात नहीं हो सका; पिछला डेटा बहाल कर दिया गया',
+                'backup.import_failed': 'डेटा आयात नहीं हो सका, और पिछला डेटा बहाल नहीं हो सका; फिर से प्रयास करने के लिए स्नैपशॉट बहाल करें',
+                'backup.imported': 'डेटा सफलतापूर्वक आयात हुआ',
+                'backup.no_snapshot': 'बहाल करने के लिए कोई स्नैपशॉट नहीं है',
+                'backup.snapshot_invalid': 'स्नैपशॉट बहाल नहीं किया जा सकता: {reason}',
+                'backup.restore_failed': 'स्नैपशॉट बहाल नहीं हो सका',
+                'backup.restored': '{createdAt} का डेटा बहाल किया गया',
+                'data.cleared': 'सारा डेटा मिटा दिया गया',
+                'data.clear_failed': 'डेटा मिटाया नहीं जा सका',
+
+                'merge.conflict.local_field': 'यह फ़ील्ड मर्ज से कभी नहीं बदलता',
+                'merge.conflict.both_changed': 'दोनों रिकॉर्ड में यह बदला गया और यह ज्ञात नहीं कि कौन नया है',
+                'merge.conflict.entry_changed': 'दोनों रिकॉर्ड में यह प्रविष्टि बदली गई और यह ज्ञात नहीं कि कौन नई है',
+                'merge.conflict.overlap': 'प्रविष्टियाँ एक-दूसरे से टकराती हैं पर अलग समय पर शुरू होती हैं',
+                'merge.conflict.differ': 'प्रविष्टियाँ अलग हैं',
+                'merge.conflict.id_taken': 'यह कर्मचारी ID किसी दूसरे स्थानीय उपयोगकर्ता की है; उपयोगकर्ता नहीं जोड़ा गया',
+                'merge.conflict.role_downgraded': 'कर्मचारी के रूप में जोड़ा गया: आपको भूमिकाएँ देने की अनुमति नहीं है',
+                'merge.conflict.attendance_skipped': 'कर्मचारी मर्ज नहीं हुआ; उसकी उपस्थिति छोड़ दी गई',
+                'merge.changes': {
+                    one: '{count} बदलाव',
+                    other: '{count} बदलाव'
+                },
+                'merge.conflicts': {
+                    one: '{count} टकराव',
+                    other: '{count} टकराव'
+                },
+                'merge.preview': 'मर्ज पूर्वावलोकन: {changes}, {conflicts}',
+                'merge.done': 'मर्ज पूरा: {changes}, {conflicts}',
+                'merge.snapshot_failed': 'वर्तमान डेटा का स्नैपशॉट सहेजा नहीं जा सका; कुछ भी मर्ज नहीं हुआ',
+                'merge.failed_restored': 'डेटा मर्ज नहीं हो सका; पिछला डेटा बहाल कर दिया गया',
+                'merge.failed': 'डेटा मर्ज नहीं हो सका, और पिछला डेटा बहाल नहीं हो सका; फिर से प्रयास करने के लिए स्नैपशॉट बहाल करें',
+
+                'export.dates_required': 'आरंभ और समाप्ति तिथियाँ आवश्यक हैं (YYYY-MM-DD)',
+                'export.start_after_end': 'आरंभ तिथि समाप्ति तिथि के बाद नहीं हो सकती',
+                'export.user_not_found': 'उपयोगकर्ता नहीं मिला: {email}',
+                'export.invalid_format': 'प्रारूप इनमें से एक होना चाहिए: {formats}',
+                'export.pdf_no_attendance': 'इस अवधि में कोई उपस्थिति दर्ज नहीं है।',
+                'payroll.period': '{start} से {end}',
+                'payroll.total': 'कुल',
+                'team.invalid_options': 'अवधि इनमें से एक होनी चाहिए: {periods}; समूहीकरण इनमें से एक होना चाहिए: {groupings}',
+
+                'server.method_not_allowed': 'यह मेथड अनुमत नहीं है',
+                'server.not_found': 'एंडपॉइंट नहीं मिला',
+                'server.internal_error': 'आंतरिक सर्वर त्रुटि',
+                'server.body_too_large': 'अनुरोध का आकार बहुत बड़ा है',
+                'server.invalid_json': 'अनुरोध मान्य JSON होना चाहिए',
+                'server.missing_params': {
+                    one: 'क्वेरी पैरामीटर अनुपलब्ध है: {names}',
+                    other: 'क्वेरी पैरामीटर अनुपलब्ध हैं: {names}'
+                },
+
+                'ui.subtitle': 'उपस्थिति प्रणाली',
+                'ui.language': 'भाषा',
+                'ui.email': 'ईमेल',
+                'ui.email_placeholder': 'अपना ईमेल दर्ज करें',
+                'ui.password': 'पासवर्ड',
+                'ui.password_placeholder': 'अपना पासवर्ड दर्ज करें',
+                'ui.sign_in': 'साइन इन करें',
+                'ui.new_account': 'नया खाता बनाएँ',
+                'ui.full_name': 'पूरा नाम',
+                'ui.full_name_placeholder': 'अपना पूरा नाम दर्ज करें',
+                'ui.new_password_placeholder': 'एक पासवर्ड बनाएँ',
+                'ui.department': 'विभाग',
+                'ui.department_placeholder': 'अपना विभाग दर्ज करें',
+                'ui.position': 'पद',
+                'ui.position_placeholder': 'अपना पद दर्ज करें',
+                'ui.create_account': 'खाता बनाएँ',
+                'ui.back_to_login': 'लॉगिन पर वापस जाएँ',
+                'ui.registered': '{message}! अब आप लॉग इन कर सकते हैं।',
+                'ui.session_expired': 'आपका सत्र समाप्त हो गया है। कृपया फिर से साइन इन करें।',
+                'ui.user_details': '{position} | {department} | ID: {id}',
+                'ui.current_status': 'वर्तमान स्थिति:',
+                'ui.punch_in': 'पंच इन',
+                'ui.punch_out': 'पंच आउट',
+                'ui.break.lunch': 'लंच',
+                'ui.break.personal': 'निजी',
+                'ui.break.meeting': 'मीटिंग',
+                'ui.break.lunch_break': 'लंच ब्रेक',
+                'ui.break.personal_break': 'निजी ब्रेक',
+                'ui.break.meeting_break': 'मीटिंग ब्रेक',
+                'ui.break.ongoing': 'जारी',
+                'ui.start_break': 'ब्रेक शुरू करें',
+                'ui.end_break': 'ब्रेक समाप्त करें',
+                'ui.working_hours': 'कार्य घंटे',
+                'ui.minutes': {
+                    one: '{count} मिनट',
+                    other: '{count} मिनट'
+                },
+                'ui.unresolved.title': 'पिछली शिफ्टों पर आपका ध्यान चाहिए',
+                'ui.unresolved.auto_closed': 'पंच आउट अपने-आप {time} पर सेट किया गया',
+                'ui.unresolved.no_punch_out': 'कोई पंच आउट दर्ज नहीं',
+                'ui.unresolved.punched_in': 'इन {time} · {summary}',
+                'ui.accept': 'स्वीकार करें',
+                'ui.correct': 'सुधारें',
+                'ui.today.title': 'आज के रिकॉर्ड',
+                'ui.today.none': 'आज के लिए कोई रिकॉर्ड नहीं',
+                'ui.history.title': 'इतिहास',
+                'ui.history.previous_month': 'पिछला महीना',
+                'ui.history.next_month': 'अगला महीना',
+                'ui.from': 'से',
+                'ui.to': 'तक',
+                'ui.date': 'तिथि',
+                'ui.history.weekly': 'साप्ताहिक घंटे',
+                'ui.history.monthly': 'मासिक घंटे',
+                'ui.history.download_csv': 'CSV डाउनलोड करें',
+                'ui.history.status.full_day': 'पूरा दिन',
+                'ui.history.status.partial_day': 'आंशिक दिन',
+                'ui.history.status.short_day': 'कम दिन',
+                'ui.history.status.missing_punch_out': 'पंच आउट नहीं हुआ',
+                'ui.history.status.no_punch_in': 'पंच इन नहीं हुआ',
+                'ui.history.status.holiday': 'अवकाश दिवस',
+                'ui.history.status.on_leave': 'छुट्टी पर',
+                'ui.history.none': 'कोई उपस्थिति दर्ज नहीं',
+                'ui.history.worked': 'काम किया',
+                'ui.history.no_punch_out': 'पंच आउट नहीं',
+                'ui.history.break_time': 'ब्रेक का समय',
+                'ui.history.late_arrival': 'देर से आगमन',
+                'ui.history.early_departure': 'जल्दी प्रस्थान',
+                'ui.history.needs_review': 'समीक्षा आवश्यक',
+                'ui.history.needs_review_detail': 'अपने-आप बंद किया गया; समय गलत हो तो सुधार का अनुरोध करें',
+                'ui.history.notes': 'टिप्पणियाँ',
+                'ui.history.no_data': 'इस अवधि के लिए दिखाने को कुछ नहीं है',
+                'ui.history.invalid_range': 'समाप्ति तिथि से पहले या उसी दिन की आरंभ तिथि चुनें',
+                'ui.anomaly.attention': 'ध्यान दें',
+                'ui.anomaly.worth_a_look': 'देखने योग्य',
+                'ui.insights.title': 'अंतर्दृष्टि',
+                'ui.insights.punctuality': 'समय की पाबंदी का स्कोर',
+                'ui.insights.no_schedule': 'अभी तक कोई निर्धारित दिन नहीं',
+                'ui.insights.score': '{score}/100 · {late} देर से, {early} जल्दी',
+                'ui.insights.arrival': 'सामान्य आगमन',
+                'ui.insights.departure': 'सामान्य प्रस्थान',
+                'ui.insights.spread': '{time} ± {count} मिनट',
+                'ui.insights.average': '7-दिन का औसत',
+                'ui.insights.streak': 'उपस्थिति का सिलसिला',
+                'ui.insights.streak_detail': {
+                    one: '{count} दिन (सर्वश्रेष्ठ {longest}) · {onTime} समय पर',
+                    other: '{count} दिन (सर्वश्रेष्ठ {longest}) · {onTime} समय पर'
+                },
+                'ui.leave.title': 'छुट्टी',
+                'ui.leave_type.vacation': 'अवकाश',
+                'ui.leave_type.sick': 'बीमारी',
+                'ui.leave_type.unpaid': 'अवैतनिक',
+                'ui.reason': 'कारण',
+                'ui.leave.request': 'छुट्टी का अनुरोध करें',
+                'ui.leave.days': '{count} दिन',
+                'ui.leave.remaining': {
+                    one: '{type}: {count} दिन शेष',
+                    other: '{type}: {count} दिन शेष'
+                },
+                'ui.leave.none_pending': 'स्वीकृति के लिए कोई अनुरोध लंबित नहीं',
+                'ui.leave.approvals': 'छुट्टी स्वीकृतियाँ',
+                'ui.request_status.pending': 'लंबित',
+                'ui.request_status.approved': 'स्वीकृत',
+                'ui.request_status.rejected': 'अस्वीकृत',
+                'ui.request_status.cancelled': 'रद्द',
+                'ui.cancel': 'रद्द करें',
+                'ui.approve': 'स्वीकार करें',
+                'ui.reject': 'अस्वीकार करें',
+                'ui.approval_comment': 'स्वीकृति टिप्पणी (वैकल्पिक)',
+                'ui.rejection_reason': 'अस्वीकृति का कारण',
+                'ui.corrections.title': 'उपस्थिति सुधार',
+                'ui.corrections.request': 'सुधार का अनुरोध करें',
+                'ui.corrections.open': 'खुला',
+                'ui.corrections.no_punch': 'कोई पंच नहीं',
+                'ui.corrections.none_pending': 'स्वीकृति के लिए कोई सुधार लंबित नहीं',
+                'ui.corrections.approvals': 'सुधार स्वीकृतियाँ',
+                'ui.export.title': 'निर्यात',
+                'ui.export.xlsx': 'Excel (XLSX)',
+                'ui.export.pdf': 'PDF टाइमशीट',
+                'ui.export.ics': 'कैलेंडर (ICS)',
+                'ui.export.download': 'डाउनलोड करें',
+                'ui.export.downloaded': '{filename} डाउनलोड हुआ',
+                'ui.scope.me': 'केवल मैं',
+                'ui.scope.mine': 'मेरी रिपोर्टिंग लाइन',
+                'ui.scope.all': 'सभी',
+                'ui.timezone.title': 'समय क्षेत्र',
+                'ui.timezone.site': 'साइट',
+                'ui.timezone.same_as_site': 'साइट के समान ({timeZone})',
+                'ui.team.title': 'टीम',
+                'ui.team.by_department': 'विभाग के अनुसार',
+                'ui.team.by_manager': 'प्रबंधक के अनुसार',
+                'ui.team.this_week': 'यह सप्ताह',
+                'ui.team.this_month': 'यह महीना',
+                'ui.team.in_now': 'अभी मौजूद ({count})',
+                'ui.team.on_break': 'ब्रेक पर ({count})',
+                'ui.team.late': 'आज देर से ({count})',
+                'ui.team.absent': 'अनुपस्थित ({count})',
+                'ui.team.not_yet_in': 'अभी नहीं आए ({count})',
+                'ui.team.on_leave': 'छुट्टी पर ({count})',
+                'ui.team.since': '{time} से',
+                'ui.team.due': '({time} तक आना है)',
+                'ui.team.column.hours': 'घंटे',
+                'ui.team.column.days': 'दिन',
+                'ui.team.column.late': 'देर',
+                'ui.team.column.early': 'जल्दी',
+                'ui.team.column.leave': 'छुट्टी',
+                'ui.team.total': 'कुल',
+                'ui.import.title': 'आयात',
+                'ui.import.roster': 'कर्मचारी',
+                'ui.import.attendance': 'उपस्थिति',
+                'ui.import.skip_existing': 'मौजूदा छोड़ें',
+                'ui.import.merge_existing': 'मौजूदा में मिलाएँ',
+                'ui.import.preview': 'पूर्वावलोकन',
+                'ui.import.run': 'आयात करें',
+                'ui.import.rows_read': {
+                    one: '{file} से {count} पंक्ति पढ़ी गई',
+                    other: '{file} से {count} पंक्तियाँ पढ़ी गईं'
+                },
+                'ui.import.not_imported': '(आयात नहीं होगा)',
+                'ui.import.line': 'पंक्ति {line}',
+                'ui.import.action.create': 'बनाएँ',
+                'ui.import.action.merge': 'मिलाएँ',
+                'ui.import.action.skip': 'छोड़ें',
+                'ui.import.action.error': 'त्रुटि',
+                'ui.kiosk.title': 'कियोस्क',
+                'ui.kiosk.new_pin': 'नया PIN',
+                'ui.kiosk.new_badge': 'नया बैज',
+                'ui.kiosk.revoke_pin': 'PIN रद्द करें',
+                'ui.kiosk.revoke_badge': 'बैज रद्द करें',
+                'ui.kiosk.start': 'इस डिवाइस पर कियोस्क मोड शुरू करें',
+                'ui.kiosk.pin_issued': 'PIN {date} को जारी',
+                'ui.kiosk.no_pin': 'कोई PIN नहीं',
+                'ui.kiosk.badge_issued': 'बैज {date} को जारी',
+                'ui.kiosk.no_badge': 'कोई बैज नहीं',
+                'ui.kiosk.print_badge': 'बैज प्रिंट करें',
+                'ui.kiosk.badge_title': 'SparrowTrack बैज',
+                'ui.kiosk.prompt': 'अपना PIN दर्ज करें या अपना बैज स्कैन करें',
+                'ui.kiosk.code_placeholder': 'PIN या बैज',
+                'ui.kiosk.punch': 'पंच करें',
+                'ui.kiosk.scan': 'कैमरे से बैज स्कैन करें',
+                'ui.kiosk.exit': 'कियोस्क से बाहर निकलें',
+                'ui.kiosk.admin_email': 'व्यवस्थापक ईमेल',
+                'ui.kiosk.admin_email_placeholder': 'व्यवस्थापक ईमेल दर्ज करें',
+                'ui.kiosk.admin_password_placeholder': 'पासवर्ड दर्ज करें',
+                'ui.kiosk.exit_mode': 'कियोस्क मोड से बाहर निकलें',
+                'ui.kiosk.punched': '{name}: {message}, {time} पर',
+                'ui.kiosk.no_camera': 'कैमरा उपलब्ध नहीं है',
+                'ui.holidays.title': 'अवकाश कैलेंडर',
+                'ui.logout': 'लॉग आउट',
+
+                'analytics.range_too_long': {
+                    one: 'अवधि अधिकतम {count} दिन की हो सकती है',
+                    other: 'अवधि अधिकतम {count} दिनों की हो सकती है'
+                },
+                'server.invalid_date': 'क्वेरी पैरामीटर {name} एक वास्तविक तिथि (YYYY-MM-DD) होना चाहिए',
+                'server.invalid_range': 'क्वेरी पैरामीटर start, end के बाद का नहीं हो सकता',
+                'server.range_too_long': {
+                    one: 'अवधि अधिकतम {count} दिन की हो सकती है',
+                    other: 'अवधि अधिकतम {count} दिनों की हो सकती है'
+                },
+                'server.invalid_field': 'फ़ील्ड {name} टेक्स्ट होना चाहिए',
+                'server.invalid_body': 'अनुरोध एक JSON ऑब्जेक्ट होना चाहिए',
+                'server.invalid_month': 'क्वेरी पैरामीटर year चार अंकों का वर्ष और month 1 से 12 के बीच का महीना होना चाहिए'
+            }
+        };
+    }
+
+    /**
+     * Language the app is shown in
+     * @returns {string} Language code (e.g. en)
+     */
+    getLanguage() {
+        const language = this.dataManager.getSettings().language;
+        return this.LANGUAGES[language] ? language : this.DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Choose the language the app is shown in. This is a display preference, so
+     * anyone using the app may change it, signed in or not.
+     * @param {string} language - Language code (e.g. hi)
+     * @returns {Object} Update result
+     */
+    setLanguage(language) {
+        if (!this.LANGUAGES[language]) {
+            return {
+                success: false,
+                ...this.message('language.unsupported', { language: String(language) })
+            };
+        }
+
+        const settings = this.dataManager.getSettings();
+        settings.language = language;
+        if (!this.dataManager.setSettings(settings)) {
+            return {
+                success: false,
+                ...this.message('language.save_failed')
+            };
+        }
+        return {
+            success: true,
+            ...this.message('language.changed', { language: this.LANGUAGES[language].name }),
+            language: language
+        };
+    }
+
+    /**
+     * Locale used for dates, times and numbers
+     * @param {string} language - Language code (optional, defaults to the chosen language)
+     * @returns {string} BCP 47 locale
+     */
+    getLocale(language = null) {
+        return this.LANGUAGES[language || this.getLanguage()].locale;
+    }
+
+    /**
+     * Translate a message code. Missing translations fall back to English, then to the code.
+     * Parameters fill {name} placeholders; a numeric count picks the plural form.
+     * @param {string} code - Message code (e.g. attendance.punched_in)
+     * @param {Object} params - Placeholder values (optional)
+     * @param {string} language - Language code (optional, defaults to the chosen language)
+     * @returns {string} Translated text
+     */
+    translate(code, params = {}, language = null) {
+        const lang = this.LANGUAGES[language] ? language : this.getLanguage();
+        const locale = this.getLocale(lang);
+        let entry = this.MESSAGES[lang][code] || this.MESSAGES[this.DEFAULT_LANGUAGE][code] || code;
+
+        if (typeof entry === 'object') {
+            const count = params.count;
+            const form = typeof count === 'number' ? new Intl.PluralRules(locale).select(count) : 'other';
+            entry = (count === 0 && entry.zero) || entry[form] || entry.other;
+        }
+
+        return entry.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined) return placeholder;
+            return typeof params[name] === 'number'
+                ? new Intl.NumberFormat(locale).format(params[name])
+                : String(params[name]);
+        });
+    }
+
+    /**
+     * Message fields for a result: the stable code, its parameters and the translated text
+     * @param {string} code - Message code
+     * @param {Object} params - Placeholder values (optional)
+     * @returns {Object} {messageCode, messageParams, message}
+     */
+    message(code, params = {}) {
+        return {
+            messageCode: code,
+            messageParams: params,
+            message: this.translate(code, params)
+        };
+    }
+
+    /**
+     * Format a number of hours as a duration, e.g. "45 minutes", "2 hours" or "7h 30m"
+     * @param {number} hours - Hours
+     * @param {string} language - Language code (optional, defaults to the chosen language)
+     * @returns {string} Formatted duration
+     */
+    formatDuration(hours, language = null) {
+        const wholeHours = Math.floor(hours);
+        const minutes = Math.round((hours - wholeHours) * 60);
+
+        if (wholeHours === 0) {
+            return this.translate('duration.minutes', { count: minutes }, language);
+        } else if (minutes === 0) {
+            return this.translate('duration.hours', { count: wholeHours }, language);
+        }
+        return this.translate('duration.hours_minutes', { hours: wholeHours, minutes: minutes }, language);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageCatalog;
+} else {
+    window.MessageCatalog = MessageCatalog;
+}
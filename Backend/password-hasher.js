@@ -0,0 +1,146 @@
+/**
+ * SparrowTrack - Password Hasher
+ * Salted PBKDF2 password hashing on top of WebCrypto (browser and Node)
+ */
+
+class PasswordHasher {
+    constructor(options = {}) {
+        this.ALGORITHM = 'PBKDF2-SHA256';
+        this.iterations = options.iterations || 600000;
+        this.saltBytes = options.saltBytes || 16;
+        this.keyBytes = options.keyBytes || 32;
+    }
+
+    /**
+     * Get the WebCrypto implementation for the current runtime
+     * @returns {Object} WebCrypto object (getRandomValues + subtle)
+     */
+    getCrypto() {
+        if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+            return globalThis.crypto;
+        }
+        return require('crypto').webcrypto;
+    }
+
+    /**
+     * Generate random bytes
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} Random bytes
+     */
+    randomBytes(length) {
+        return this.getCrypto().getRandomValues(new Uint8Array(length));
+    }
+
+    /**
+     * Derive a PBKDF2 key from a password and salt
+     * @param {string} password - Plaintext password
+     * @param {Uint8Array} salt - Salt bytes
+     * @param {number} iterations - Iteration count
+     * @returns {Promise<Uint8Array>} Derived key bytes
+     */
+    async derive(password, salt, iterations) {
+        const subtle = this.getCrypto().subtle;
+        const baseKey = await subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = await subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            baseKey,
+            this.keyBytes * 8
+        );
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * Hash a password with a fresh random salt
+     * @param {string} password - Plaintext password
+     * @returns {Promise<Object>} Credential record ({algorithm, iterations, salt, hash})
+     */
+    async hash(password) {
+        const salt = this.randomBytes(this.saltBytes);
+        const hash = await this.derive(password, salt, this.iterations);
+        return {
+            algorithm: this.ALGORITHM,
+            iterations: this.iterations,
+            salt: this.toBase64(salt),
+            hash: this.toBase64(hash)
+        };
+    }
+
+    /**
+     * Verify a password against a stored credential record
+     * @param {string} password - Plaintext password
+     * @param {Object} credentials - Stored credential record
+     * @returns {Promise<boolean>} Password matches
+     */
+    async verify(password, credentials) {
+        if (!credentials || credentials.algorithm !== this.ALGORITHM) {
+            return false;
+        }
+        const expected = this.fromBase64(credentials.hash);
+        const actual = await this.derive(password, this.fromBase64(credentials.salt), credentials.iterations);
+        return this.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Check whether a credential record was hashed with weaker settings than current
+     * @param {Object} credentials - Stored credential record
+     * @returns {boolean} Should be rehashed
+     */
+    needsRehash(credentials) {
+        return !credentials ||
+            credentials.algorithm !== this.ALGORITHM ||
+            credentials.iterations < this.iterations;
+    }
+
+    /**
+     * Compare two strings or byte arrays in constant time
+     * @param {string|Uint8Array} a - First value
+     * @param {string|Uint8Array} b - Second value
+     * @returns {boolean} Values are equal
+     */
+    timingSafeEqual(a, b) {
+        const left = typeof a === 'string' ? new TextEncoder().encode(a) : a;
+        const right = typeof b === 'string' ? new TextEncoder().encode(b) : b;
+        const length = Math.max(left.length, right.length);
+        let diff = left.length ^ right.length;
+
+        for (let i = 0; i < length; i++) {
+            diff |= (left[i] || 0) ^ (right[i] || 0);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 string
+     */
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} value - Base64 string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    fromBase64(value) {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordHasher;
+} else {
+    window.PasswordHasher = PasswordHasher;
+}
@@ -0,0 +1,261 @@
+/**
+ * SparrowTrack - PDF Writer
+ * Minimal PDF 1.4 writer (no dependencies): text in the standard Helvetica fonts,
+ * lines and JPEG images on A4 pages. Coordinates are in points from the top-left corner.
+ */
+
+class PdfWriter {
+    /**
+     * @param {Object} info - Document information ({title}, optional)
+     */
+    constructor(info = {}) {
+        this.info = info;
+        this.width = 595.28;
+        this.height = 841.89;
+        this.pages = [];
+        this.images = [];
+        // Helvetica advance widths (1/1000 em) for characters 32-126
+        this.HELVETICA_WIDTHS = [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ];
+        // Characters outside Latin-1 that WinAnsiEncoding can still show
+        this.WIN_ANSI = {
+            '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+            '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+        };
+    }
+
+    /**
+     * Start a new page; later drawing goes to it
+     */
+    addPage() {
+        this.pages.push([]);
+    }
+
+    /**
+     * Append a content stream operation to the current page
+     * @param {string} operation - PDF operators
+     */
+    draw(operation) {
+        if (this.pages.length === 0) this.addPage();
+        this.pages[this.pages.length - 1].push(operation);
+    }
+
+    /**
+     * Convert text to WinAnsi characters; anything it cannot show becomes '?'
+     * @param {string} text - Text
+     * @returns {string} Single-byte text
+     */
+    encodeText(text) {
+        return Array.from(String(text)).map(char => {
+            const code = char.charCodeAt(0);
+            if (this.WIN_ANSI[char]) return String.fromCharCode(this.WIN_ANSI[char]);
+            if (code < 32 || (code >= 127 && code < 160)) return ' ';
+            return code <= 255 ? char : '?';
+        }).join('');
+    }
+
+    /**
+     * Whether the built-in fonts can show every character of a text
+     * @param {string} text - Text
+     * @returns {boolean} True when nothing would become '?'
+     */
+    canShow(text) {
+        return Array.from(String(text)).every(char => !!this.WIN_ANSI[char] || char.charCodeAt(0) <= 255);
+    }
+
+    /**
+     * Width of text in points
+     * @param {string} text - Text
+     * @param {number} size - Font size
+     * @param {boolean} bold - Bold font (approximated from the regular widths)
+     * @returns {number} Width
+     */
+    textWidth(text, size, bold = false) {
+        const units = Array.from(this.encodeText(text)).reduce((total, char) => {
+            const code = char.charCodeAt(0);
+            return total + (code >= 32 && code <= 126 ? this.HELVETICA_WIDTHS[code - 32] : 556);
+        }, 0);
+        return units * size / 1000 * (bold ? 1.05 : 1);
+    }
+
+    /**
+     * Shorten text with an ellipsis so it fits a width
+     * @param {string} text - Text
+     * @param {number} size - Font size
+     * @param {number} maxWidth - Available width in points
+     * @param {boolean} bold - Bold font
+     * @returns {string} Text that fits
+     */
+    fitText(text, size, maxWidth, bold = false) {
+        let fitted = String(text);
+        if (this.textWidth(fitted, size, bold) <= maxWidth) return fitted;
+        while (fitted.length > 0 && this.textWidth(`${fitted}…`, size, bold) > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}…`;
+    }
+
+    /**
+     * Draw text with its baseline at y
+     * @param {number} x - Left edge (or right edge / centre, depending on align)
+     * @param {number} y - Baseline, from the top of the page
+     * @param {string} text - Text
+     * @param {Object} options - {size, bold, align: 'left' | 'right' | 'center'}
+     */
+    text(x, y, text, options = {}) {
+        const { size = 10, bold = false, align = 'left' } = options;
+        const width = this.textWidth(text, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        const escaped = this.encodeText(text).replace(/[\\()]/g, match => `\\${match}`);
+        this.draw(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${(this.height - y).toFixed(2)} Td (${escaped}) Tj ET`);
+    }
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y, from the top
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y, from the top
+     * @param {number} lineWidth - Stroke width in points
+     */
+    line(x1, y1, x2, y2, lineWidth = 0.5) {
+        this.draw(`${lineWidth} w ${x1.toFixed(2)} ${(this.height - y1).toFixed(2)} m ` +
+            `${x2.toFixed(2)} ${(this.height - y2).toFixed(2)} l S`);
+    }
+
+    /**
+     * Read the size and colour components of a JPEG from its frame header
+     * @param {Uint8Array} bytes - JPEG data
+     * @returns {Object|null} {width, height, components}, or null if it is not a JPEG
+     */
+    getJpegInfo(bytes) {
+        if (!bytes || bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xFF) return null;
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                    width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                    components: bytes[offset + 9]
+                };
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    /**
+     * Draw a JPEG image
+     * @param {Uint8Array} bytes - JPEG data
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge, from the top of the page
+     * @param {number} width - Drawn width in points
+     * @param {number} height - Drawn height in points
+     * @returns {boolean} False if the data is not a usable JPEG
+     */
+    image(bytes, x, y, width, height) {
+        let index = this.images.findIndex(image => image.bytes === bytes);
+        if (index === -1) {
+            const info = this.getJpegInfo(bytes);
+            if (!info || ![1, 3, 4].includes(info.components)) return false;
+            this.images.push({ bytes: bytes, ...info });
+            index = this.images.length - 1;
+        }
+
+        this.draw(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ` +
+            `${(this.height - y - height).toFixed(2)} cm /Im${index + 1} Do Q`);
+        return true;
+    }
+
+    /**
+     * Build the PDF file
+     * @returns {Uint8Array} PDF bytes
+     */
+    toBytes() {
+        if (this.pages.length === 0) this.addPage();
+
+        const toBytes = text => Uint8Array.from(Array.from(text), char => char.charCodeAt(0) & 0xFF);
+        const pdfString = text => `(${this.encodeText(text).replace(/[\\()]/g, match => `\\${match}`)})`;
+        const colorSpaces = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' };
+        const objects = [];
+        const add = parts => {
+            objects.push(parts);
+            return objects.length;
+        };
+
+        const catalog = add([]);
+        const pagesId = add([]);
+        const regular = add(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>']);
+        const bold = add(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>']);
+        const imageIds = this.images.map(image => add([
+            `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            `/ColorSpace /${colorSpaces[image.components]} /BitsPerComponent 8 /Filter /DCTDecode ` +
+            `/Length ${image.bytes.length} >>\nstream\n`,
+            image.bytes,
+            '\nendstream'
+        ]));
+        const xObjects = imageIds.map((id, index) => `/Im${index + 1} ${id} 0 R`).join(' ');
+        const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>` +
+            `${xObjects ? ` /XObject << ${xObjects} >>` : ''} >>`;
+
+        const pageIds = this.pages.map(operations => {
+            const content = operations.join('\n');
+            const contentId = add([`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]);
+            return add([
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+                `/Resources ${resources} /Contents ${contentId} 0 R >>`
+            ]);
+        });
+
+        objects[catalog - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+        objects[pagesId - 1] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`];
+        const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        const infoId = add([
+            `<< /Title ${pdfString(this.info.title || 'SparrowTrack')} /Producer (SparrowTrack) /CreationDate (D:${created}Z) >>`
+        ]);
+
+        const chunks = [toBytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        let length = chunks[0].length;
+        const offsets = objects.map((parts, index) => {
+            const offset = length;
+            [`${index + 1} 0 obj\n`, ...parts, '\nendobj\n'].forEach(part => {
+                const bytes = typeof part === 'string' ? toBytes(part) : part;
+                chunks.push(bytes);
+                length += bytes.length;
+            });
+            return offset;
+        });
+
+        const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+            offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+            `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>\n` +
+            `startxref\n${length}\n%%EOF\n`;
+        chunks.push(toBytes(xref));
+
+        const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let position = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        return output;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+} else {
+    window.PdfWriter = PdfWriter;
+}
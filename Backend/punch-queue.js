@@ -0,0 +1,391 @@
+/**
+ * SparrowTrack - Punch Queue
+ * Sends punches to a SparrowTrack API server. Punches made while offline are kept in
+ * storage with their original timestamps and replayed in order once the server is reachable.
+ * A kiosk relays its punches with a device token from the server instead of a user session.
+ */
+
+class PunchQueue {
+    /**
+     * @param {string} serverUrl - Base URL of the API server (e.g. https://attendance.example.com)
+     * @param {StorageAdapter} storage - Where the queue and server session are kept
+     * @param {MessageCatalog} messageCatalog - Translates the queue's messages
+     * @param {Function} fetchImpl - fetch implementation (defaults to the global fetch)
+     */
+    constructor(serverUrl, storage, messageCatalog, fetchImpl = null) {
+        this.serverUrl = serverUrl.replace(/\/+$/, '');
+        this.storage = storage;
+        this.messageCatalog = messageCatalog;
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+        this.STORAGE_KEYS = {
+            QUEUE: 'sparrowtrack_punch_queue',
+            // Punches the server refused, kept until their user has seen them
+            REJECTED: 'sparrowtrack_punch_rejected',
+            SESSION: 'sparrowtrack_server_session',
+            KIOSK_DEVICE: 'sparrowtrack_kiosk_device'
+        };
+        this.ACTIONS = {
+            punch_in: '/api/attendance/punch-in',
+            punch_out: '/api/attendance/punch-out'
+        };
+        this.KIOSK_ACTIONS = {
+            punch_in: '/api/kiosk/punch-in',
+            punch_out: '/api/kiosk/punch-out'
+        };
+        this.replaying = null;
+    }
+
+    /**
+     * Get the queued punches, oldest first
+     * @returns {Array} Queue entries ({id, action, email, timestamp, notes, location, via, queuedAt})
+     */
+    getQueue() {
+        try {
+            const queue = JSON.parse(this.storage.getItem(this.STORAGE_KEYS.QUEUE));
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            console.error('Error reading punch queue:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the queue
+     * @param {Array} queue - Queue entries
+     * @returns {boolean} Success status
+     */
+    saveQueue(queue) {
+        try {
+            this.storage.setItem(this.STORAGE_KEYS.QUEUE, JSON.stringify(queue));
+            return true;
+        } catch (error) {
+            console.error('Error saving punch queue:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the punches the server refused, oldest first
+     * @param {string} email - Only this user's punches (optional)
+     * @returns {Array} Queue entries with the server's {code, messageCode, messageParams, message}
+     */
+    getRejected(email = null) {
+        let rejected = [];
+        try {
+            rejected = JSON.parse(this.storage.getItem(this.STORAGE_KEYS.REJECTED)) || [];
+        } catch (error) {
+            console.error('Error reading rejected punches:', error);
+        }
+        return email ? rejected.filter(entry => entry.email === email.toLowerCase()) : rejected;
+    }
+
+    /**
+     * Forget the refused punches of a user once they have been shown
+     * @param {string} email - User email
+     */
+    dismissRejected(email) {
+        const remaining = this.getRejected().filter(entry => entry.email !== email.toLowerCase());
+        this.storage.setItem(this.STORAGE_KEYS.REJECTED, JSON.stringify(remaining));
+    }
+
+    /**
+     * Text of a server result in the app's language
+     * @param {Object} result - Server result ({messageCode, messageParams, message})
+     * @returns {string} Message
+     */
+    describe(result) {
+        return result.messageCode
+            ? this.messageCatalog.translate(result.messageCode, result.messageParams || {})
+            : result.message;
+    }
+
+    /**
+     * Get the server session this device holds
+     * @returns {Object|null} {id, email}
+     */
+    getSession() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.SESSION));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the kiosk device registration this device holds
+     * @returns {Object|null} {id, name, token, releasing}
+     */
+    getKioskDevice() {
+        try {
+            return JSON.parse(this.storage.getItem(this.STORAGE_KEYS.KIOSK_DEVICE));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Number of punches waiting for a user
+     * @param {string} email - User email
+     * @returns {number} Pending punches
+     */
+    getPendingCount(email) {
+        return this.getQueue().filter(entry => entry.email === email.toLowerCase()).length;
+    }
+
+    /**
+     * Send a request to the server
+     * @param {string} path - API path
+     * @param {Object} body - JSON body
+     * @param {string} token - Session or device token (optional)
+     * @param {string} scheme - Authorization scheme: 'Bearer' for a session, 'Kiosk' for a device token
+     * @returns {Promise<Object|null>} Parsed result, or null if the server could not be reached
+     */
+    async post(path, body, token = null, scheme = 'Bearer') {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `${scheme} ${token}`;
+
+        try {
+            const response = await this.fetch(`${this.serverUrl}${path}`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body)
+            });
+            // Errors from something other than the API (e.g. a proxy that is down) count as offline
+            const result = await response.json().catch(() => null);
+            return result && typeof result.success === 'boolean' ? result : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Sign in to the server so queued punches can be sent for this user
+     * @param {string} email - User email
+     * @param {string} password - Password
+     * @returns {Promise<Object>} Login result
+     */
+    async login(email, password) {
+        const result = await this.post('/api/auth/login', { email: email, password: password });
+        if (!result) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('sync.server_unreachable')
+            };
+        }
+        if (result.success) {
+            this.storage.setItem(this.STORAGE_KEYS.SESSION, JSON.stringify({
+                id: result.session.id,
+                email: result.user.email
+            }));
+        }
+        return result;
+    }
+
+    /**
+     * End the server session. Queued punches stay until their user signs in again.
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        const session = this.getSession();
+        this.storage.removeItem(this.STORAGE_KEYS.SESSION);
+        if (session) await this.post('/api/auth/logout', {}, session.id);
+    }
+
+    /**
+     * Register this device as a kiosk with the signed-in admin's session, then end that
+     * session: from here on kiosk punches are relayed with the device token, which can do
+     * nothing but punch employees in and out.
+     * @param {string} name - Where the kiosk stands (optional)
+     * @returns {Promise<Object>} Registration result
+     */
+    async enrollKiosk(name = '') {
+        const session = this.getSession();
+        if (!session) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('sync.sign_in_required')
+            };
+        }
+
+        const result = await this.post('/api/kiosk/devices', { name: name }, session.id);
+        if (!result) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('sync.server_unreachable')
+            };
+        }
+        if (result.success) {
+            this.storage.setItem(this.STORAGE_KEYS.KIOSK_DEVICE, JSON.stringify({
+                id: result.device.id,
+                name: result.device.name,
+                token: result.token,
+                releasing: false
+            }));
+            await this.logout();
+        }
+        return result;
+    }
+
+    /**
+     * Give up this device's kiosk registration. The kiosk punches still queued are sent
+     * first; the registration is released once none are left.
+     * @returns {Promise<Object>} Replay result
+     */
+    async releaseKiosk() {
+        const device = this.getKioskDevice();
+        if (device) {
+            this.storage.setItem(this.STORAGE_KEYS.KIOSK_DEVICE, JSON.stringify({ ...device, releasing: true }));
+        }
+        return this.replay();
+    }
+
+    /**
+     * Queue a punch and try to send it along with anything queued before it
+     * @param {string} action - 'punch_in' or 'punch_out'
+     * @param {string} email - User email
+     * @param {string} timestamp - ISO timestamp of the punch
+     * @param {string} notes - Punch out notes (optional)
+     * @param {Object} location - Browser coordinates ({latitude, longitude, accuracy}) where the punch was made (optional)
+     * @param {string} via - 'kiosk' for a punch made on a kiosk, sent with the kiosk device token (optional)
+     * @returns {Promise<Object>} Replay result
+     */
+    async submit(action, email, timestamp, notes = '', location = null, via = null) {
+        if (!this.ACTIONS[action]) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('sync.unknown_action', { action: String(action) })
+            };
+        }
+
+        const queue = this.getQueue();
+        queue.push({
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            action: action,
+            email: email.toLowerCase(),
+            timestamp: timestamp,
+            notes: notes,
+            location: location,
+            via: via,
+            queuedAt: new Date().toISOString()
+        });
+        if (!this.saveQueue(queue)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('sync.queue_failed')
+            };
+        }
+        return this.replay();
+    }
+
+    /**
+     * Send the signed-in user's queued punches with their session, and kiosk punches with the
+     * kiosk device token, in order. A user whose earliest queued punch cannot be sent yet
+     * (signed out, or no kiosk registration) is skipped so their later punches never overtake it;
+     * the replay stops when the server cannot be reached or refuses the credential.
+     * The server recognises a punch it already has by its ID and reports it as a duplicate;
+     * anything else it refuses, conflicts included, is kept in the rejected list for the user.
+     * @returns {Promise<Object>} {success, message, sent, duplicates, forApproval, rejected, pending}
+     */
+    async replay() {
+        // Only one replay at a time, or the same punch could be sent twice
+        if (this.replaying) return this.replaying;
+
+        this.replaying = (async () => {
+            const summary = { sent: 0, duplicates: 0, forApproval: [], rejected: [] };
+            let stopped = null;
+
+            for (;;) {
+                const session = this.getSession();
+                const device = this.getKioskDevice();
+                // Users with an earlier punch that cannot be sent yet
+                const blocked = new Set();
+                const entry = this.getQueue().find(item => {
+                    if (blocked.has(item.email)) return false;
+                    if (item.via === 'kiosk' ? device : session && item.email === session.email) return true;
+                    blocked.add(item.email);
+                    return false;
+                });
+                if (!entry) break;
+
+                const kiosk = entry.via === 'kiosk';
+                const result = await this.post((kiosk ? this.KIOSK_ACTIONS : this.ACTIONS)[entry.action], {
+                    email: entry.email,
+                    punchId: entry.id,
+                    timestamp: entry.timestamp,
+                    notes: entry.notes,
+                    location: entry.location
+                }, kiosk ? device.token : session.id, kiosk ? 'Kiosk' : 'Bearer');
+                if (!result) {
+                    stopped = 'sync.offline';
+                    break;
+                }
+                if (result.code === 'UNAUTHENTICATED') {
+                    this.storage.removeItem(kiosk ? this.STORAGE_KEYS.KIOSK_DEVICE : this.STORAGE_KEYS.SESSION);
+                    stopped = kiosk ? 'sync.kiosk_revoked' : 'sync.session_expired';
+                    break;
+                }
+
+                if (result.success && result.duplicate) {
+                    summary.duplicates++;
+                } else if (result.success && result.pendingApproval) {
+                    summary.forApproval.push(entry);
+                } else if (result.success) {
+                    summary.sent++;
+                } else {
+                    const rejected = {
+                        ...entry,
+                        code: result.code || null,
+                        messageCode: result.messageCode || null,
+                        messageParams: result.messageParams || {},
+                        message: this.describe(result)
+                    };
+                    summary.rejected.push(rejected);
+                    this.storage.setItem(this.STORAGE_KEYS.REJECTED, JSON.stringify(this.getRejected().concat(rejected)));
+                }
+                this.saveQueue(this.getQueue().filter(item => item.id !== entry.id));
+            }
+
+            const remaining = this.getQueue();
+            const device = this.getKioskDevice();
+            if (!stopped && remaining.some(item => item.via === 'kiosk') && !device) {
+                stopped = 'sync.kiosk_waiting';
+            } else if (!stopped && !this.getSession() && remaining.some(item => item.via !== 'kiosk')) {
+                stopped = 'sync.sign_in_required';
+            }
+            // A kiosk that has left kiosk mode keeps its registration until its punches are sent
+            if (!stopped && device && device.releasing && !remaining.some(item => item.via === 'kiosk')) {
+                if (await this.post('/api/kiosk/release', {}, device.token, 'Kiosk')) {
+                    this.storage.removeItem(this.STORAGE_KEYS.KIOSK_DEVICE);
+                }
+            }
+            let messageCode = stopped || 'sync.synced';
+            let count = 0;
+            if (!stopped && summary.rejected.length > 0) {
+                messageCode = 'sync.rejected';
+                count = summary.rejected.length;
+            } else if (!stopped && summary.forApproval.length > 0) {
+                messageCode = 'sync.sent_for_approval';
+                count = summary.forApproval.length;
+            }
+            return {
+                success: !stopped && summary.rejected.length === 0,
+                ...this.messageCatalog.message(messageCode, { count: count }),
+                ...summary,
+                pending: this.getQueue().length
+            };
+        })();
+
+        try {
+            return await this.replaying;
+        } finally {
+            this.replaying = null;
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PunchQueue;
+} else {
+    window.PunchQueue = PunchQueue;
+}
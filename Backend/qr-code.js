@@ -0,0 +1,363 @@
+/**
+ * SparrowTrack - QR Code
+ * Minimal QR code encoder (no dependencies) for kiosk badges: byte mode, error
+ * correction level M, versions 1-10 (up to 213 bytes). Renders to SVG.
+ */
+
+class QrCode {
+    /**
+     * @param {string} text - Text to encode (UTF-8)
+     * @param {Object} options - {mask: force a mask pattern 0-7 instead of picking the best}
+     */
+    constructor(text, options = {}) {
+        // Level M per version: [error correction codewords per block, [blocks, data codewords per block], ...]
+        this.BLOCKS = [
+            null,
+            [10, [1, 16]],
+            [16, [1, 28]],
+            [26, [1, 44]],
+            [18, [2, 32]],
+            [24, [2, 43]],
+            [16, [4, 27]],
+            [18, [4, 31]],
+            [22, [2, 38], [2, 39]],
+            [22, [3, 36], [2, 37]],
+            [26, [4, 43], [1, 44]]
+        ];
+        this.ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+        this.REMAINDER_BITS = [0, 0, 7, 7, 7, 7, 7, 0, 0, 0, 0];
+
+        const bytes = new TextEncoder().encode(text);
+        this.version = this.BLOCKS.findIndex((blocks, version) =>
+            blocks && bytes.length + (version < 10 ? 2 : 3) <= this.getDataCapacity(version));
+        if (this.version === -1) throw new Error('Text is too long for a QR badge');
+
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(this.encodeData(bytes)));
+
+        const masks = options.mask === undefined ? [0, 1, 2, 3, 4, 5, 6, 7] : [options.mask];
+        let best = null;
+        masks.forEach(mask => {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (!best || penalty < best.penalty) best = { mask: mask, penalty: penalty };
+            this.applyMask(mask);
+        });
+        this.mask = best.mask;
+        this.applyMask(this.mask);
+        this.drawFormatBits(this.mask);
+    }
+
+    /**
+     * Number of data codewords a version holds
+     * @param {number} version - Version (1-10)
+     * @returns {number} Data codewords
+     */
+    getDataCapacity(version) {
+        const [, ...groups] = this.BLOCKS[version];
+        return groups.reduce((total, [blocks, codewords]) => total + blocks * codewords, 0);
+    }
+
+    /**
+     * Set a function module (finder, timing, alignment, format and version areas)
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {boolean} dark - Module colour
+     */
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Draw the finder, timing and alignment patterns and reserve the format and version areas
+     */
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = this.ALIGNMENT[this.version];
+        positions.forEach((cy, i) => positions.forEach((cx, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === positions.length - 1) || (i === positions.length - 1 && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        this.drawFormatBits(0);
+
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (this.version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, dark);
+                this.setFunctionModule(b, a, dark);
+            }
+        }
+    }
+
+    /**
+     * Draw both copies of the format information (error correction level M and the mask)
+     * @param {number} mask - Mask pattern (0-7)
+     */
+    drawFormatBits(mask) {
+        const data = mask; // Level M is 00
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const size = this.size;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, bit(i));
+        this.setFunctionModule(8, size - 8, true);
+    }
+
+    /**
+     * Build the data codewords: byte mode header, the data, terminator and padding
+     * @param {Uint8Array} bytes - Data
+     * @returns {Array} Data codewords
+     */
+    encodeData(bytes) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, this.version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = this.getDataCapacity(this.version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((value, bit) => (value << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) codewords.push(pad);
+        return codewords;
+    }
+
+    /**
+     * Multiply two elements of GF(256) (reducing polynomial 0x11D)
+     * @param {number} a - Element
+     * @param {number} b - Element
+     * @returns {number} Product
+     */
+    multiply(a, b) {
+        let result = 0;
+        for (let i = 7; i >= 0; i--) {
+            result = (result << 1) ^ ((result >>> 7) * 0x11D);
+            result ^= ((b >>> i) & 1) * a;
+        }
+        return result;
+    }
+
+    /**
+     * Reed-Solomon error correction codewords for one block
+     * @param {Array} data - Data codewords
+     * @param {number} degree - Number of error correction codewords
+     * @returns {Array} Error correction codewords
+     */
+    reedSolomon(data, degree) {
+        // Generator polynomial (x - 1)(x - 2)(x - 4)...; coefficients from highest to lowest, leading 1 dropped
+        const generator = new Array(degree).fill(0);
+        generator[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                generator[j] = this.multiply(generator[j], root) ^ (j + 1 < degree ? generator[j + 1] : 0);
+            }
+            root = this.multiply(root, 0x02);
+        }
+
+        const remainder = new Array(degree).fill(0);
+        data.forEach(codeword => {
+            const factor = codeword ^ remainder.shift();
+            remainder.push(0);
+            generator.forEach((coefficient, i) => {
+                remainder[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return remainder;
+    }
+
+    /**
+     * Split the data into blocks, add error correction and interleave the result
+     * @param {Array} data - Data codewords
+     * @returns {Array} Final codeword sequence
+     */
+    addErrorCorrection(data) {
+        const [ecLength, ...groups] = this.BLOCKS[this.version];
+        const blocks = [];
+        let offset = 0;
+        groups.forEach(([count, length]) => {
+            for (let i = 0; i < count; i++) {
+                const block = data.slice(offset, offset + length);
+                blocks.push({ data: block, ec: this.reedSolomon(block, ecLength) });
+                offset += length;
+            }
+        });
+
+        const result = [];
+        const longest = Math.max(...blocks.map(block => block.data.length));
+        for (let i = 0; i < longest; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    }
+
+    /**
+     * Place the codewords in the zigzag order, skipping function modules
+     * @param {Array} codewords - Codeword sequence
+     */
+    drawCodewords(codewords) {
+        const totalBits = codewords.length * 8 + this.REMAINDER_BITS[this.version];
+        let index = 0;
+
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                const y = upward ? this.size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.isFunction[y][x] || index >= totalBits) continue;
+                    const codeword = codewords[index >>> 3];
+                    this.modules[y][x] = codeword !== undefined && ((codeword >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Flip the data modules selected by a mask pattern (applying it twice undoes it)
+     * @param {number} mask - Mask pattern (0-7)
+     */
+    applyMask(mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && conditions[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    /**
+     * Score how hard the symbol is to read (the standard's four penalty rules; lower is better)
+     * @returns {number} Penalty
+     */
+    getPenalty() {
+        const size = this.size;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            penalty += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+        });
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = this.modules[y][x];
+                if (dark === this.modules[y][x + 1] && dark === this.modules[y + 1][x] && dark === this.modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const darkCount = this.modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+        penalty += 10 * Math.floor(Math.abs(darkCount * 100 / (size * size) - 50) / 5);
+        return penalty;
+    }
+
+    /**
+     * Render the code as an SVG image
+     * @param {number} moduleSize - Size of one module in pixels
+     * @param {number} margin - Quiet zone in modules (the standard asks for 4)
+     * @returns {string} SVG markup
+     */
+    toSvg(moduleSize = 4, margin = 4) {
+        const total = this.size + margin * 2;
+        const path = [];
+        this.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+        }));
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" ` +
+            `width="${total * moduleSize}" height="${total * moduleSize}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrCode;
+} else {
+    window.QrCode = QrCode;
+}
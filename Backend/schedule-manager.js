@@ -0,0 +1,317 @@
+/**
+ * SparrowTrack - Schedule Manager
+ * Work schedule definitions and their assignment to departments and users
+ */
+
+class ScheduleManager {
+    /**
+     * @param {DataManager} dataManager - Data manager (schedules live in settings)
+     * @param {AccessControl} accessControl - Guards schedule changes (optional; unrestricted without it)
+     */
+    constructor(dataManager, accessControl = null) {
+        // Browsers load DataManager as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { DataManager: require('./data-manager') }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.accessControl = accessControl;
+        this.messageCatalog = this.dataManager.messageCatalog;
+
+        // Matches the thresholds SparrowTrack used before schedules were configurable
+        this.DEFAULT_SCHEDULE = {
+            id: 'standard',
+            name: 'Standard (Mon–Fri, 9–5)',
+            workingDays: [1, 2, 3, 4, 5],
+            startTime: '09:00',
+            endTime: '17:00',
+            requiredHours: 8,
+            minimumHours: 4,
+            lateGraceMinutes: 10,
+            earlyGraceMinutes: 10
+        };
+    }
+
+    /**
+     * Read the schedule configuration from settings
+     * @returns {Object} {definitions, defaultScheduleId, departments, users}
+     */
+    getConfig() {
+        const config = this.dataManager.getSettings().schedules || {};
+        return {
+            definitions: config.definitions || {},
+            defaultScheduleId: config.defaultScheduleId || this.DEFAULT_SCHEDULE.id,
+            departments: config.departments || {},
+            users: config.users || {}
+        };
+    }
+
+    /**
+     * Write the schedule configuration to settings
+     * @param {Object} config - Schedule configuration
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        const settings = this.dataManager.getSettings();
+        settings.schedules = config;
+        return this.dataManager.setSettings(settings);
+    }
+
+    /**
+     * Authorize a schedule change
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize() {
+        if (!this.accessControl) return null;
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_SETTINGS);
+    }
+
+    /**
+     * Get all schedule definitions, including the built-in standard schedule
+     * @returns {Object} Schedules keyed by ID
+     */
+    getSchedules() {
+        return { [this.DEFAULT_SCHEDULE.id]: this.DEFAULT_SCHEDULE, ...this.getConfig().definitions };
+    }
+
+    /**
+     * Get a schedule by ID
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Object|null} Schedule
+     */
+    getSchedule(scheduleId) {
+        const schedule = this.getSchedules()[scheduleId];
+        return schedule ? { ...this.DEFAULT_SCHEDULE, ...schedule } : null;
+    }
+
+    /**
+     * Resolve the schedule that applies to a user: user assignment, then
+     * department assignment, then the default schedule
+     * @param {string} userEmail - User email
+     * @returns {Object} Schedule
+     */
+    getScheduleForUser(userEmail) {
+        const config = this.getConfig();
+        const user = this.dataManager.getUsers()[(userEmail || '').toLowerCase()];
+        const candidates = [
+            config.users[(userEmail || '').toLowerCase()],
+            user && config.departments[user.department],
+            config.defaultScheduleId
+        ];
+
+        for (const scheduleId of candidates) {
+            const schedule = scheduleId && this.getSchedule(scheduleId);
+            if (schedule) return schedule;
+        }
+        return { ...this.DEFAULT_SCHEDULE };
+    }
+
+    /**
+     * Validate a schedule definition
+     * @param {Object} schedule - Schedule definition
+     * @returns {Object} Validation result ({isValid, errors, codes})
+     */
+    validateSchedule(schedule) {
+        const result = {
+            isValid: true,
+            errors: [],
+            codes: []
+        };
+        const fail = code => {
+            result.codes.push(code);
+            result.errors.push(this.messageCatalog.translate(code));
+        };
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+        if (!schedule.id || !/^[a-z0-9-]+$/.test(schedule.id)) {
+            fail('schedule.invalid_id');
+        }
+        if (!schedule.name || !schedule.name.trim()) {
+            fail('schedule.name_required');
+        }
+        if (!Array.isArray(schedule.workingDays) || schedule.workingDays.length === 0 ||
+            schedule.workingDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            fail('schedule.invalid_working_days');
+        }
+        if (!timePattern.test(schedule.startTime) || !timePattern.test(schedule.endTime)) {
+            fail('schedule.invalid_times');
+        }
+        if (!(schedule.requiredHours > 0 && schedule.requiredHours <= 24)) {
+            fail('schedule.invalid_required_hours');
+        }
+        if (!(schedule.minimumHours >= 0 && schedule.minimumHours <= schedule.requiredHours)) {
+            fail('schedule.invalid_minimum_hours');
+        }
+        if (!(schedule.lateGraceMinutes >= 0) || !(schedule.earlyGraceMinutes >= 0)) {
+            fail('schedule.negative_grace');
+        }
+
+        result.isValid = result.errors.length === 0;
+        return result;
+    }
+
+    /**
+     * Create or update a schedule definition (admin function)
+     * @param {Object} schedule - Schedule definition
+     * @returns {Object} Save result
+     */
+    saveSchedule(schedule) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const definition = { ...this.DEFAULT_SCHEDULE, ...schedule };
+        const validation = this.validateSchedule(definition);
+        if (!validation.isValid) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('schedule.invalid', { reasons: validation.errors.join('. ') })
+            };
+        }
+
+        const config = this.getConfig();
+        config.definitions[definition.id] = definition;
+
+        if (this.saveConfig(config)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('schedule.saved'),
+                schedule: definition
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('schedule.save_failed')
+            };
+        }
+    }
+
+    /**
+     * Delete a schedule definition and its assignments (admin function)
+     * @param {string} scheduleId - Schedule ID
+     * @returns {Object} Delete result
+     */
+    deleteSchedule(scheduleId) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const config = this.getConfig();
+        if (!config.definitions[scheduleId]) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('schedule.not_found')
+            };
+        }
+
+        delete config.definitions[scheduleId];
+        ['departments', 'users'].forEach(group => {
+            Object.keys(config[group]).forEach(key => {
+                if (config[group][key] === scheduleId) delete config[group][key];
+            });
+        });
+        if (config.defaultScheduleId === scheduleId) {
+            config.defaultScheduleId = this.DEFAULT_SCHEDULE.id;
+        }
+
+        if (this.saveConfig(config)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('schedule.deleted')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('schedule.delete_failed')
+            };
+        }
+    }
+
+    /**
+     * Assign a schedule as the default, or to a department or user (admin function)
+     * @param {string} target - 'default', 'department' or 'user'
+     * @param {string} key - Department name or user email (ignored for 'default')
+     * @param {string|null} scheduleId - Schedule ID, or null to remove the assignment
+     * @returns {Object} Assignment result
+     */
+    assignSchedule(target, key, scheduleId) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        if (scheduleId && !this.getSchedule(scheduleId)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('schedule.not_found')
+            };
+        }
+
+        const config = this.getConfig();
+        if (target === 'default') {
+            config.defaultScheduleId = scheduleId || this.DEFAULT_SCHEDULE.id;
+        } else if (target === 'department' || target === 'user') {
+            const group = target === 'department' ? config.departments : config.users;
+            const groupKey = target === 'user' ? key.toLowerCase() : key;
+            if (scheduleId) {
+                group[groupKey] = scheduleId;
+            } else {
+                delete group[groupKey];
+            }
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('schedule.invalid_target')
+            };
+        }
+
+        if (this.saveConfig(config)) {
+            return {
+                success: true,
+                ...this.messageCatalog.message('schedule.assigned')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('schedule.assign_failed')
+            };
+        }
+    }
+
+    /**
+     * Check whether a date is a working day under a schedule
+     * @param {Object} schedule - Schedule
+     * @param {string|Date} date - Date (YYYY-MM-DD) or Date
+     * @returns {boolean} Is working day
+     */
+    isWorkingDay(schedule, date) {
+        const day = typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+        return schedule.workingDays.includes(day.getDay());
+    }
+
+    /**
+     * Convert HH:MM to minutes after midnight
+     * @param {string} time - Time string (HH:MM or HH:MM:SS)
+     * @returns {number} Minutes
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Scheduled shift window in minutes from the start of the business date.
+     * An end time before the start time means the shift ends the next day.
+     * @param {Object} schedule - Schedule
+     * @returns {Object} {start, end} in minutes
+     */
+    getShiftWindow(schedule) {
+        const start = this.toMinutes(schedule.startTime);
+        let end = this.toMinutes(schedule.endTime);
+        if (end <= start) end += 24 * 60;
+        return { start, end };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleManager;
+} else {
+    window.ScheduleManager = ScheduleManager;
+}
@@ -0,0 +1,764 @@
+/**
+ * SparrowTrack - API Server
+ * Self-hostable HTTP API over UserHandler and AttendanceHandler, persisted to a JSON file
+ *
+ * Usage: node Backend/server.js [--port 3000] [--data ./sparrowtrack-data.json] [--trust-proxy true]
+ */
+
+const http = require('http');
+const DataManager = require('./data-manager');
+const UserHandler = require('./user-handler');
+const AttendanceHandler = require('./attendance-handler');
+const FileStorageAdapter = require('./file-storage-adapter');
+
+class ApiServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {number} options.port - Port to listen on (default 3000)
+     * @param {string} options.dataFile - JSON data file (default ./sparrowtrack-data.json)
+     * @param {string} options.corsOrigin - Allowed CORS origin (default '*')
+     * @param {StorageAdapter} options.storage - Storage adapter (overrides dataFile)
+     * @param {boolean} options.trustProxy - Take the client IP from X-Forwarded-For (only behind a reverse proxy)
+     */
+    constructor(options = {}) {
+        this.port = options.port || 3000;
+        this.corsOrigin = options.corsOrigin || '*';
+        this.trustProxy = !!options.trustProxy;
+        this.storage = options.storage || new FileStorageAdapter(options.dataFile || 'sparrowtrack-data.json');
+        this.MAX_BODY_BYTES = 1024 * 1024;
+        // Longest history one request may ask for
+        this.MAX_RANGE_DAYS = 366;
+        // Errors raised before a request has handlers are translated in the site's language
+        this.messageCatalog = new DataManager(this.storage).messageCatalog;
+
+        // Result codes produced by the handlers, mapped to HTTP status codes
+        this.STATUS_BY_CODE = {
+            BAD_REQUEST: 400,
+            INVALID_JSON: 400,
+            UNAUTHENTICATED: 401,
+            FORBIDDEN: 403,
+            NOT_FOUND: 404,
+            METHOD_NOT_ALLOWED: 405,
+            CONFLICT: 409,
+            PAYLOAD_TOO_LARGE: 413,
+            INTERNAL_ERROR: 500
+        };
+
+        this.routes = {
+            'POST /api/auth/register': { handler: this.register, auth: false, successStatus: 201 },
+            'POST /api/auth/login': { handler: this.login, auth: false, failureCode: 'UNAUTHENTICATED' },
+            'POST /api/auth/logout': { handler: this.logout },
+            'POST /api/attendance/punch-in': { handler: this.punchIn },
+            'POST /api/attendance/punch-out': { handler: this.punchOut },
+            'GET /api/kiosk/devices': { handler: this.listKioskDevices },
+            'POST /api/kiosk/devices': { handler: this.registerKioskDevice, successStatus: 201 },
+            'POST /api/kiosk/devices/revoke': { handler: this.revokeKioskDevice },
+            // Called by kiosk devices with their device token rather than a session
+            'POST /api/kiosk/punch-in': { handler: this.kioskPunchIn, auth: false },
+            'POST /api/kiosk/punch-out': { handler: this.kioskPunchOut, auth: false },
+            'POST /api/kiosk/release': { handler: this.releaseKioskDevice, auth: false },
+            'POST /api/attendance/break/start': { handler: this.startBreak },
+            'POST /api/attendance/break/end': { handler: this.endBreak },
+            'GET /api/attendance/status': { handler: this.getStatus },
+            'GET /api/attendance/history': { handler: this.getHistory },
+            'GET /api/attendance/summary/weekly': { handler: this.getWeeklySummary },
+            'GET /api/attendance/summary/monthly': { handler: this.getMonthlySummary },
+            'GET /api/attendance/export.csv': { handler: this.exportCsv },
+            'GET /api/export': { handler: this.exportFile, download: true },
+            'GET /api/reports/team/live': { handler: this.getTeamLiveStatus },
+            'GET /api/reports/team/summary': { handler: this.getTeamSummary },
+            'GET /api/reports/team/anomalies': { handler: this.getTeamAnomalies },
+            'GET /api/reports/analytics': { handler: this.getAnalytics }
+        };
+    }
+
+    /**
+     * Create handlers bound to one request. Each request gets its own instances so
+     * the caller's session never leaks into another request; storage is shared.
+     * @param {string} sessionId - Bearer token from the request (optional)
+     * @returns {Object} {dataManager, userHandler, attendanceHandler}
+     */
+    createContext(sessionId) {
+        const dataManager = new DataManager(this.storage);
+        const userHandler = new UserHandler(dataManager);
+        userHandler.resumeSession(sessionId);
+        const attendanceHandler = new AttendanceHandler(dataManager, userHandler);
+        return { dataManager, userHandler, attendanceHandler };
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<http.Server>} Listening server
+     */
+    listen() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => resolve(this.server));
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    /**
+     * Dispatch an incoming request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', this.corsOrigin);
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const route = this.routes[`${req.method} ${url.pathname}`];
+
+        if (!route) {
+            const pathExists = Object.keys(this.routes).some(key => key.endsWith(` ${url.pathname}`));
+            return pathExists
+                ? this.sendError(res, 'METHOD_NOT_ALLOWED', 'server.method_not_allowed')
+                : this.sendError(res, 'NOT_FOUND', 'server.not_found');
+        }
+
+        try {
+            const body = req.method === 'POST' ? await this.readBody(req) : {};
+            const context = this.createContext(this.getBearerToken(req));
+
+            if (route.auth !== false && !context.userHandler.isLoggedIn()) {
+                return this.sendError(res, 'UNAUTHENTICATED', 'auth.login_required');
+            }
+
+            const result = await route.handler.call(this, {
+                ...context,
+                req: req,
+                body: body,
+                query: url.searchParams
+            });
+
+            if (typeof result === 'string') {
+                res.writeHead(200, {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': 'attachment; filename="sparrowtrack-attendance.csv"'
+                });
+                res.end(result);
+                return;
+            }
+
+            if (route.download && result.success) {
+                return this.sendFile(res, result);
+            }
+
+            this.sendResult(res, result, route);
+        } catch (error) {
+            if (error.messageCode && this.STATUS_BY_CODE[error.code]) {
+                return this.sendError(res, error.code, error.messageCode, error.messageParams);
+            }
+            console.error('Unhandled API error:', error);
+            this.sendError(res, 'INTERNAL_ERROR', 'server.internal_error');
+        }
+    }
+
+    /**
+     * Read and parse a JSON request body
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object>} Parsed body
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.MAX_BODY_BYTES) {
+                    reject(this.createError('PAYLOAD_TOO_LARGE', 'server.body_too_large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (!text.trim()) return resolve({});
+                let body;
+                try {
+                    body = JSON.parse(text);
+                } catch (error) {
+                    return reject(this.createError('INVALID_JSON', 'server.invalid_json'));
+                }
+                // Route handlers read named fields, so anything but an object is malformed
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    return reject(this.createError('INVALID_JSON', 'server.invalid_body'));
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Extract the session ID from an `Authorization: Bearer <id>` header
+     * @param {http.IncomingMessage} req - Request
+     * @returns {string|null} Session ID
+     */
+    getBearerToken(req) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Extract a kiosk device token from an `Authorization: Kiosk <token>` header
+     * @param {http.IncomingMessage} req - Request
+     * @returns {string|null} Device token
+     */
+    getKioskToken(req) {
+        const match = /^Kiosk\s+(\S+)$/i.exec(req.headers.authorization || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Get the client IP address
+     * @param {http.IncomingMessage} req - Request
+     * @returns {string} IP address
+     */
+    getClientIp(req) {
+        const forwarded = this.trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+        return forwarded || req.socket.remoteAddress;
+    }
+
+    /**
+     * Build the location of a punch: browser coordinates from the body plus the client IP.
+     * A punch replayed from an offline queue was not made from the connection that delivers
+     * it, so its IP only counts when it arrives within a couple of minutes of its timestamp.
+     * @param {Object} context - Request context
+     * @returns {Object} {latitude, longitude, accuracy, ip}
+     */
+    getPunchLocation(context) {
+        const coordinates = context.body.location && typeof context.body.location === 'object' ? context.body.location : {};
+        const replayed = context.body.timestamp && !(Date.now() - Date.parse(context.body.timestamp) <= 2 * 60 * 1000);
+        return {
+            latitude: coordinates.latitude,
+            longitude: coordinates.longitude,
+            accuracy: coordinates.accuracy,
+            ip: replayed ? null : this.getClientIp(context.req)
+        };
+    }
+
+    /**
+     * Send a handler result, deriving the status code from its success flag and code
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} result - Handler result
+     * @param {Object} route - Matched route
+     */
+    sendResult(res, result, route) {
+        if (result.success === false) {
+            // Results without a code are validation failures unless the route says otherwise
+            const code = result.code || route.failureCode || 'BAD_REQUEST';
+            const body = {
+                success: false,
+                code: code,
+                message: result.message
+            };
+            // Clients translate by message code rather than parsing the text
+            if (result.messageCode) {
+                body.messageCode = result.messageCode;
+                body.messageParams = result.messageParams;
+            }
+            return this.sendJson(res, this.STATUS_BY_CODE[code] || 400, body);
+        }
+        this.sendJson(res, route.successStatus || 200, result);
+    }
+
+    /**
+     * Create a request error that handleRequest turns into an error response
+     * @param {string} code - Error code (a key of STATUS_BY_CODE)
+     * @param {string} messageCode - Message code
+     * @param {Object} params - Message parameters
+     * @returns {Error} Error carrying code, messageCode and messageParams
+     */
+    createError(code, messageCode, params = {}) {
+        const message = this.messageCatalog.message(messageCode, params);
+        return Object.assign(new Error(message.message), { code: code, ...message });
+    }
+
+    /**
+     * Send an error response
+     * @param {http.ServerResponse} res - Response
+     * @param {string} code - Error code
+     * @param {string} messageCode - Message code
+     * @param {Object} params - Message parameters
+     */
+    sendError(res, code, messageCode, params = {}) {
+        this.sendJson(res, this.STATUS_BY_CODE[code] || 500, {
+            success: false,
+            code: code,
+            ...this.messageCatalog.message(messageCode, params)
+        });
+    }
+
+    /**
+     * Send an export file as an attachment
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} file - Export result ({filename, mimeType, content})
+     */
+    sendFile(res, file) {
+        const body = typeof file.content === 'string' ? file.content : Buffer.from(file.content);
+        res.writeHead(200, {
+            'Content-Type': file.mimeType,
+            'Content-Disposition': `attachment; filename="${file.filename}"`
+        });
+        res.end(body);
+    }
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status code
+     * @param {Object} payload - Response body
+     */
+    sendJson(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(payload));
+    }
+
+    /**
+     * Resolve the user a request targets: `email` in the query or body, else the caller.
+     * Access to other users is enforced by the handlers.
+     * @param {Object} context - Request context
+     * @returns {string} User email
+     */
+    getTargetEmail(context) {
+        this.requireStrings(context.body, ['email']);
+        const email = context.query.get('email') || context.body.email;
+        return (email || context.userHandler.getCurrentUser().email).toLowerCase();
+    }
+
+    /**
+     * Require query parameters
+     * @param {URLSearchParams} query - Query parameters
+     * @param {Array} names - Required parameter names
+     */
+    requireParams(query, names) {
+        const missing = names.filter(name => !query.get(name));
+        if (missing.length > 0) {
+            throw this.createError('BAD_REQUEST', 'server.missing_params', { count: missing.length, names: missing.join(', ') });
+        }
+    }
+
+    /**
+     * Require body fields, where given, to be strings
+     * @param {Object} body - Request body
+     * @param {Array} names - Field names
+     */
+    requireStrings(body, names) {
+        const invalid = names.find(name => body[name] !== undefined && body[name] !== null && typeof body[name] !== 'string');
+        if (invalid) {
+            throw this.createError('BAD_REQUEST', 'server.invalid_field', { name: invalid });
+        }
+    }
+
+    /**
+     * Check that date query parameters name real calendar dates
+     * @param {Object} context - Request context
+     * @param {Array} names - Date parameter names
+     * @returns {Object|null} Null when valid, otherwise a validation result
+     */
+    validateDates(context, names) {
+        const { attendanceHandler, query } = context;
+        const invalid = names.find(name => !attendanceHandler.timeZoneManager.isValidDate(query.get(name)));
+        if (!invalid) return null;
+        return {
+            success: false,
+            code: 'BAD_REQUEST',
+            ...attendanceHandler.messageCatalog.message('server.invalid_date', { name: invalid })
+        };
+    }
+
+    /**
+     * Check the `start`..`end` range of a query: real dates, in order, and at most MAX_RANGE_DAYS long
+     * @param {Object} context - Request context
+     * @returns {Object|null} Null when valid, otherwise a validation result
+     */
+    validateRange(context) {
+        const invalid = this.validateDates(context, ['start', 'end']);
+        if (invalid) return invalid;
+
+        const { attendanceHandler, query } = context;
+        const start = query.get('start');
+        const end = query.get('end');
+        if (start > end) {
+            return { success: false, code: 'BAD_REQUEST', ...attendanceHandler.messageCatalog.message('server.invalid_range') };
+        }
+        if (attendanceHandler.timeZoneManager.daysBetween(start, end) + 1 > this.MAX_RANGE_DAYS) {
+            return {
+                success: false,
+                code: 'BAD_REQUEST',
+                ...attendanceHandler.messageCatalog.message('server.range_too_long', { count: this.MAX_RANGE_DAYS })
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Wrap a read result that is not already a {success} result
+     * @param {*} result - Handler return value
+     * @param {string} key - Property name for the data
+     * @returns {Object} API result
+     */
+    wrap(result, key) {
+        if (result && result.success === false) return result;
+        return { success: true, [key]: result };
+    }
+
+    /**
+     * Register a new account
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    register({ userHandler, body }) {
+        this.requireStrings(body, ['name', 'email', 'password', 'department', 'position']);
+        return userHandler.register(body);
+    }
+
+    /**
+     * Log in and issue a session token
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    login({ userHandler, body, req }) {
+        this.requireStrings(body, ['email', 'password']);
+        return userHandler.login(body.email, body.password, {
+            userAgent: req.headers['user-agent'],
+            ip: this.getClientIp(req)
+        });
+    }
+
+    /**
+     * Revoke the caller's session
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    logout({ userHandler }) {
+        return userHandler.logout();
+    }
+
+    /**
+     * Read the punch options of a punch request
+     * @param {Object} context - Request context
+     * @returns {Object} {timestamp, punchId, location}
+     */
+    getPunchOptions(context) {
+        const { timestamp, punchId } = context.body;
+        return {
+            timestamp: typeof timestamp === 'string' ? timestamp : null,
+            punchId: typeof punchId === 'string' && punchId ? punchId.slice(0, 64) : null,
+            location: this.getPunchLocation(context)
+        };
+    }
+
+    /**
+     * Punch in the caller (or `email` with permission). A `timestamp` replays a punch made offline
+     * (recorded as made only within the replay window; older ones become correction requests)
+     * and `punchId` identifies it so a resent punch is recorded once; `location` carries browser
+     * coordinates ({latitude, longitude, accuracy}).
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    punchIn(context) {
+        return context.attendanceHandler.punchIn(this.getTargetEmail(context), this.getPunchOptions(context));
+    }
+
+    /**
+     * Punch out the caller (or `email` with permission), with `timestamp`, `punchId` and `location` as for punch in
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    punchOut(context) {
+        this.requireStrings(context.body, ['notes']);
+        return context.attendanceHandler.punchOut(this.getTargetEmail(context), context.body.notes || '', this.getPunchOptions(context));
+    }
+
+    /**
+     * Kiosk devices registered with this server (admin)
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    listKioskDevices(context) {
+        return context.attendanceHandler.kioskManager.listDevices();
+    }
+
+    /**
+     * Register a kiosk device (admin). The reply carries the device token, which is not shown again.
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    registerKioskDevice(context) {
+        this.requireStrings(context.body, ['name']);
+        return context.attendanceHandler.kioskManager.registerDevice(context.body.name);
+    }
+
+    /**
+     * Revoke the kiosk device `deviceId` (admin)
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    revokeKioskDevice(context) {
+        this.requireStrings(context.body, ['deviceId']);
+        return context.attendanceHandler.kioskManager.revokeDevice(context.body.deviceId);
+    }
+
+    /**
+     * Punch in the employee `email` from a kiosk device, with `timestamp`, `punchId` and `location` as for punch in
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    kioskPunchIn(context) {
+        this.requireStrings(context.body, ['email']);
+        return context.attendanceHandler.kioskManager.relayPunch(this.getKioskToken(context.req), 'punch_in',
+            context.body.email, this.getPunchOptions(context));
+    }
+
+    /**
+     * Punch out the employee `email` from a kiosk device, as for kiosk punch in
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    kioskPunchOut(context) {
+        this.requireStrings(context.body, ['email']);
+        return context.attendanceHandler.kioskManager.relayPunch(this.getKioskToken(context.req), 'punch_out',
+            context.body.email, this.getPunchOptions(context));
+    }
+
+    /**
+     * Let a kiosk device give up its own registration when it leaves kiosk mode
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    releaseKioskDevice(context) {
+        return context.attendanceHandler.kioskManager.releaseDevice(this.getKioskToken(context.req));
+    }
+
+    /**
+     * Start a break (`type`: lunch, personal, meeting)
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    startBreak(context) {
+        this.requireStrings(context.body, ['type']);
+        return context.attendanceHandler.startBreak(this.getTargetEmail(context), context.body.type);
+    }
+
+    /**
+     * End the break in progress
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    endBreak(context) {
+        return context.attendanceHandler.endBreak(this.getTargetEmail(context));
+    }
+
+    /**
+     * Today's attendance status
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getStatus(context) {
+        return this.wrap(context.attendanceHandler.getAttendanceStatus(this.getTargetEmail(context)), 'status');
+    }
+
+    /**
+     * Attendance history for `start`..`end` (at most MAX_RANGE_DAYS)
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getHistory(context) {
+        this.requireParams(context.query, ['start', 'end']);
+        const invalid = this.validateRange(context);
+        if (invalid) return invalid;
+
+        const history = context.attendanceHandler.getAttendanceHistory(
+            this.getTargetEmail(context),
+            context.query.get('start'),
+            context.query.get('end')
+        );
+        return this.wrap(history, 'records');
+    }
+
+    /**
+     * Weekly summary starting `weekStart`
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getWeeklySummary(context) {
+        this.requireParams(context.query, ['weekStart']);
+        const invalid = this.validateDates(context, ['weekStart']);
+        if (invalid) return invalid;
+
+        const summary = context.attendanceHandler.getWeeklySummary(
+            this.getTargetEmail(context),
+            context.query.get('weekStart')
+        );
+        return this.wrap(summary, 'summary');
+    }
+
+    /**
+     * Monthly summary for `year` (YYYY) and `month` (1-12)
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getMonthlySummary(context) {
+        this.requireParams(context.query, ['year', 'month']);
+        const year = context.query.get('year');
+        const month = context.query.get('month');
+        if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || month < 1 || month > 12) {
+            return {
+                success: false,
+                code: 'BAD_REQUEST',
+                ...context.attendanceHandler.messageCatalog.message('server.invalid_month')
+            };
+        }
+
+        const summary = context.attendanceHandler.getMonthlySummary(
+            this.getTargetEmail(context),
+            parseInt(year, 10),
+            parseInt(month, 10)
+        );
+        return this.wrap(summary, 'summary');
+    }
+
+    /**
+     * CSV export for `start`..`end` (at most MAX_RANGE_DAYS)
+     * @param {Object} context - Request context
+     * @returns {string|Object} CSV text, or a failure or denial result
+     */
+    exportCsv(context) {
+        this.requireParams(context.query, ['start', 'end']);
+        const invalid = this.validateRange(context);
+        if (invalid) return invalid;
+
+        return context.attendanceHandler.exportToCSV(
+            this.getTargetEmail(context),
+            context.query.get('start'),
+            context.query.get('end')
+        );
+    }
+
+    /**
+     * Export `start`..`end` (at most MAX_RANGE_DAYS) as `format` (csv, xlsx, jsonl, pdf, ics).
+     * `emails` takes a comma-separated list of users, or `all`; the caller is exported by default.
+     * @param {Object} context - Request context
+     * @returns {Promise<Object>|Object} Export result, or a failure result
+     */
+    exportFile(context) {
+        this.requireParams(context.query, ['format', 'start', 'end']);
+        const invalid = this.validateRange(context);
+        if (invalid) return invalid;
+
+        const emails = context.query.get('emails');
+        return context.attendanceHandler.exportManager.createExport(context.query.get('format'), {
+            emails: emails === 'all' ? 'all' : emails ? emails.split(',').filter(Boolean) : null,
+            startDate: context.query.get('start'),
+            endDate: context.query.get('end')
+        });
+    }
+
+    /**
+     * Read the team scope (`department`, `manager`) from the query
+     * @param {URLSearchParams} query - Query parameters
+     * @returns {Object} Scope
+     */
+    getTeamScope(query) {
+        return {
+            department: query.get('department') || null,
+            managerEmail: query.get('manager') || null
+        };
+    }
+
+    /**
+     * Who is in, late, absent or on leave right now
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getTeamLiveStatus(context) {
+        const report = context.attendanceHandler.teamReports.getLiveStatus(this.getTeamScope(context.query));
+        return this.wrap(report, 'report');
+    }
+
+    /**
+     * Team totals for the `period` (week, month) containing `date`, grouped by `groupBy`
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getTeamSummary(context) {
+        const report = context.attendanceHandler.teamReports.getTeamSummary(
+            context.query.get('period') || 'week',
+            context.query.get('date'),
+            this.getTeamScope(context.query),
+            context.query.get('groupBy') || 'department'
+        );
+        return this.wrap(report, 'report');
+    }
+
+    /**
+     * Anomalies across the team scope for `start`..`end` (the last 90 days by default)
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getTeamAnomalies(context) {
+        return context.attendanceHandler.attendanceAnalytics.getTeamAnomalies(this.getTeamScope(context.query), {
+            startDate: context.query.get('start'),
+            endDate: context.query.get('end')
+        });
+    }
+
+    /**
+     * Trends, punctuality, streaks, heatmap and anomalies for `start`..`end` (the last 90 days by default)
+     * @param {Object} context - Request context
+     * @returns {Object} Handler result
+     */
+    getAnalytics(context) {
+        return context.attendanceHandler.attendanceAnalytics.getUserAnalytics(this.getTargetEmail(context), {
+            startDate: context.query.get('start'),
+            endDate: context.query.get('end')
+        });
+    }
+}
+
+/**
+ * Parse `--name value` command line options
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const server = new ApiServer({
+        port: parseInt(args.port || process.env.PORT || '3000', 10),
+        dataFile: args.data || process.env.SPARROWTRACK_DATA,
+        corsOrigin: args.cors || process.env.SPARROWTRACK_CORS_ORIGIN,
+        trustProxy: (args['trust-proxy'] || process.env.SPARROWTRACK_TRUST_PROXY) === 'true'
+    });
+    server.listen().then(() => {
+        console.log(`SparrowTrack API listening on http://localhost:${server.port}`);
+    });
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,183 @@
+/**
+ * SparrowTrack - Session Manager
+ * Issues, validates and revokes login sessions
+ */
+
+class SessionManager {
+    constructor(dataManager) {
+        // Browsers load DataManager as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { DataManager: require('./data-manager') }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.DEFAULTS = {
+            durationHours: 12,
+            idleTimeoutMinutes: 30
+        };
+        // Avoid rewriting the session store on every call; activity is tracked to the minute
+        this.TOUCH_INTERVAL_MS = 60 * 1000;
+    }
+
+    /**
+     * Get session policy from settings, falling back to defaults
+     * @returns {Object} Session policy ({durationHours, idleTimeoutMinutes})
+     */
+    getPolicy() {
+        const settings = this.dataManager.getSettings();
+        return { ...this.DEFAULTS, ...(settings.session || {}) };
+    }
+
+    /**
+     * Generate a random session ID
+     * @returns {string} 64 character hex session ID
+     */
+    generateSessionId() {
+        const cryptoImpl = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues
+            ? globalThis.crypto
+            : require('crypto').webcrypto;
+        const bytes = cryptoImpl.getRandomValues(new Uint8Array(32));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Create a session for a user
+     * @param {string} email - User email
+     * @param {Object} metadata - Optional device info ({userAgent, ip})
+     * @returns {Object|null} Created session, or null if it could not be saved
+     */
+    createSession(email, metadata = {}) {
+        const policy = this.getPolicy();
+        const now = Date.now();
+        const session = {
+            id: this.generateSessionId(),
+            email: email.toLowerCase(),
+            issuedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + policy.durationHours * 60 * 60 * 1000).toISOString(),
+            lastActivity: new Date(now).toISOString(),
+            userAgent: metadata.userAgent || '',
+            ip: metadata.ip || ''
+        };
+
+        const sessions = this.pruneSessions(this.dataManager.getSessions());
+        sessions[session.id] = session;
+
+        return this.dataManager.setSessions(sessions) ? session : null;
+    }
+
+    /**
+     * Check whether a session is still usable
+     * @param {Object} session - Session record
+     * @param {number} now - Current time in ms
+     * @returns {boolean} Session is active
+     */
+    isActive(session, now = Date.now()) {
+        if (!session) return false;
+
+        const idleLimit = this.getPolicy().idleTimeoutMinutes * 60 * 1000;
+        return now < new Date(session.expiresAt).getTime() &&
+            now - new Date(session.lastActivity).getTime() < idleLimit;
+    }
+
+    /**
+     * Validate a session ID
+     * @param {string} sessionId - Session ID
+     * @param {boolean} touch - Record activity on the session (resets the idle timer)
+     * @returns {Object|null} Session if valid
+     */
+    validateSession(sessionId, touch = true) {
+        if (!sessionId) return null;
+
+        const sessions = this.dataManager.getSessions();
+        const session = sessions[sessionId];
+        const now = Date.now();
+
+        if (!this.isActive(session, now)) {
+            if (session) {
+                delete sessions[sessionId];
+                this.dataManager.setSessions(sessions);
+            }
+            return null;
+        }
+
+        if (touch && now - new Date(session.lastActivity).getTime() >= this.TOUCH_INTERVAL_MS) {
+            session.lastActivity = new Date(now).toISOString();
+            sessions[sessionId] = session;
+            this.dataManager.setSessions(sessions);
+        }
+
+        return session;
+    }
+
+    /**
+     * Revoke a single session
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} A session was revoked
+     */
+    revokeSession(sessionId) {
+        const sessions = this.dataManager.getSessions();
+        if (!sessions[sessionId]) return false;
+
+        delete sessions[sessionId];
+        return this.dataManager.setSessions(sessions);
+    }
+
+    /**
+     * Revoke every session belonging to a user
+     * @param {string} email - User email
+     * @param {string} exceptSessionId - Session to keep (optional)
+     * @returns {number} Number of sessions revoked
+     */
+    revokeUserSessions(email, exceptSessionId = null) {
+        const sessions = this.dataManager.getSessions();
+        let revoked = 0;
+
+        Object.keys(sessions).forEach(id => {
+            if (sessions[id].email === email.toLowerCase() && id !== exceptSessionId) {
+                delete sessions[id];
+                revoked++;
+            }
+        });
+
+        if (revoked > 0) {
+            this.dataManager.setSessions(sessions);
+        }
+        return revoked;
+    }
+
+    /**
+     * Get active sessions for a user
+     * @param {string} email - User email
+     * @returns {Array} Active sessions, most recent activity first
+     */
+    getUserSessions(email) {
+        const sessions = this.dataManager.getSessions();
+        const now = Date.now();
+
+        return Object.values(sessions)
+            .filter(session => session.email === email.toLowerCase() && this.isActive(session, now))
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+    }
+
+    /**
+     * Drop expired and idle sessions
+     * @param {Object} sessions - Sessions keyed by ID
+     * @returns {Object} Remaining sessions
+     */
+    pruneSessions(sessions) {
+        const now = Date.now();
+        Object.keys(sessions).forEach(id => {
+            if (!this.isActive(sessions[id], now)) {
+                delete sessions[id];
+            }
+        });
+        return sessions;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+} else {
+    window.SessionManager = SessionManager;
+}
@@ -0,0 +1,271 @@
+/**
+ * SparrowTrack - Team Reports
+ * Attendance across many employees, grouped by department or reporting line
+ */
+
+class TeamReports {
+    /**
+     * @param {AttendanceHandler} attendanceHandler - Supplies the per-user reports being aggregated
+     */
+    constructor(attendanceHandler) {
+        this.attendanceHandler = attendanceHandler;
+        this.dataManager = attendanceHandler.dataManager;
+        this.accessControl = attendanceHandler.userHandler.accessControl;
+        this.messageCatalog = attendanceHandler.messageCatalog;
+        this.GROUP_BY = ['department', 'manager'];
+        this.PERIODS = ['week', 'month'];
+    }
+
+    /**
+     * Authorize a team report
+     * @returns {Object|null} Null when allowed, otherwise a denial result
+     */
+    authorize() {
+        return this.accessControl.authorize(this.accessControl.PERMISSIONS.READ_ANY_ATTENDANCE);
+    }
+
+    /**
+     * Emails of everyone in a manager's reporting line, direct and indirect
+     * @param {string} managerEmail - Manager email
+     * @param {Object} users - All users keyed by email
+     * @returns {Set} Emails
+     */
+    getReportingLine(managerEmail, users) {
+        const line = new Set();
+        let added = true;
+        while (added) {
+            added = false;
+            Object.values(users).forEach(user => {
+                if (line.has(user.email) || user.email === managerEmail) return;
+                if (user.managerEmail === managerEmail || line.has(user.managerEmail)) {
+                    line.add(user.email);
+                    added = true;
+                }
+            });
+        }
+        return line;
+    }
+
+    /**
+     * Active users within a scope
+     * @param {Object} scope - {department, managerEmail} (optional; everyone otherwise)
+     * @returns {Array} Users sorted by name
+     */
+    getMembers(scope = {}) {
+        const users = this.dataManager.getUsers();
+        const line = scope.managerEmail ? this.getReportingLine(scope.managerEmail.toLowerCase(), users) : null;
+
+        return Object.values(users)
+            .filter(user => user.isActive &&
+                (!scope.department || user.department === scope.department) &&
+                (!line || line.has(user.email)))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    }
+
+    /**
+     * Label of the group a user falls into
+     * @param {Object} user - User record
+     * @param {string} groupBy - 'department' or 'manager'
+     * @param {Object} users - All users keyed by email
+     * @returns {Object} {key, name}
+     */
+    getGroup(user, groupBy, users) {
+        if (groupBy === 'manager') {
+            const manager = users[user.managerEmail];
+            return manager
+                ? { key: manager.email, name: manager.name }
+                : { key: '', name: 'No manager' };
+        }
+        return { key: user.department || '', name: user.department || 'No department' };
+    }
+
+    /**
+     * Who is in right now, who is late, absent or on leave today
+     * @param {Object} scope - {department, managerEmail} (optional)
+     * @returns {Object} Live status lists and counts, or a denial result
+     */
+    getLiveStatus(scope = {}) {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        const handler = this.attendanceHandler;
+        const today = handler.getCurrentDate();
+        const holiday = handler.holidayCalendar.getHoliday(today);
+        const records = this.dataManager.getAttendanceRecords();
+        const now = new Date();
+        const report = {
+            date: today,
+            holiday: holiday ? holiday.name : null,
+            inNow: [],
+            onBreak: [],
+            late: [],
+            absent: [],
+            notYetIn: [],
+            onLeave: []
+        };
+
+        const members = this.getMembers(scope);
+        members.forEach(user => {
+            const schedule = handler.scheduleManager.getScheduleForUser(user.email);
+            const shiftRecord = handler.getCurrentShiftRecord(user.email);
+            // Remote staff may already be on another day; each person is judged in their own time zone
+            const timeZone = handler.getTimeZone(user.email);
+            const userToday = handler.getCurrentDate(now, timeZone);
+            const todayRecord = (records[user.email] || {})[userToday] || null;
+            const leave = handler.leaveManager.getApprovedLeaveDates(user.email, userToday, userToday)[userToday];
+            const person = {
+                email: user.email,
+                name: user.name,
+                department: user.department || '',
+                managerEmail: user.managerEmail || null
+            };
+
+            const openInterval = handler.getOpenInterval(shiftRecord);
+            if (openInterval) {
+                const entry = { ...person, since: openInterval.punchIn, date: shiftRecord.date };
+                (handler.getOpenBreak(shiftRecord) ? report.onBreak : report.inNow).push(entry);
+            }
+
+            if (todayRecord && handler.getIntervals(todayRecord).length > 0) {
+                const punctuality = handler.getPunctuality(todayRecord, schedule, timeZone);
+                if (punctuality.lateArrival) {
+                    report.late.push({ ...person, punchIn: todayRecord.punchIn, minutesLate: punctuality.minutesLate });
+                }
+                return;
+            }
+            if (openInterval) return;
+
+            if (leave) {
+                report.onLeave.push({ ...person, leaveType: leave.type });
+            } else if (!holiday && handler.scheduleManager.isWorkingDay(schedule, userToday)) {
+                const window = handler.scheduleManager.getShiftWindow(schedule);
+                const minutesNow = handler.getMinutesIntoDay(null, now.toISOString(), userToday, timeZone);
+                const due = minutesNow > window.start + schedule.lateGraceMinutes;
+                (due ? report.absent : report.notYetIn).push({ ...person, scheduledStart: schedule.startTime });
+            }
+        });
+
+        report.counts = {
+            members: members.length,
+            inNow: report.inNow.length,
+            onBreak: report.onBreak.length,
+            late: report.late.length,
+            absent: report.absent.length,
+            notYetIn: report.notYetIn.length,
+            onLeave: report.onLeave.length
+        };
+        return report;
+    }
+
+    /**
+     * Per-person and per-group totals for the week or month containing a date
+     * @param {string} period - 'week' or 'month'
+     * @param {string} date - Any date in the period (YYYY-MM-DD), defaults to today
+     * @param {Object} scope - {department, managerEmail} (optional)
+     * @param {string} groupBy - 'department' or 'manager'
+     * @returns {Object} {period, start, end, groups, totals}, or a denial result
+     */
+    getTeamSummary(period = 'week', date = null, scope = {}, groupBy = 'department') {
+        const denied = this.authorize();
+        if (denied) return denied;
+
+        if (!this.PERIODS.includes(period) || !this.GROUP_BY.includes(groupBy)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('team.invalid_options', {
+                    periods: this.PERIODS.join(', '),
+                    groupings: this.GROUP_BY.join(', ')
+                })
+            };
+        }
+
+        const handler = this.attendanceHandler;
+        const day = new Date(`${date || handler.getCurrentDate()}T00:00:00`);
+        const users = this.dataManager.getUsers();
+        let start;
+        let end;
+
+        if (period === 'week') {
+            const weekStartsOn = handler.getPayrollSettings().weekStartsOn;
+            const weekStart = new Date(day);
+            weekStart.setDate(day.getDate() - ((day.getDay() - weekStartsOn + 7) % 7));
+            const weekEnd = new Date(weekStart);
+            weekEnd.setDate(weekStart.getDate() + 6);
+            start = weekStart.toLocaleDateString('en-CA');
+            end = weekEnd.toLocaleDateString('en-CA');
+        } else {
+            start = new Date(day.getFullYear(), day.getMonth(), 1).toLocaleDateString('en-CA');
+            end = new Date(day.getFullYear(), day.getMonth() + 1, 0).toLocaleDateString('en-CA');
+        }
+
+        const emptyTotals = () => ({
+            people: 0,
+            totalHours: 0,
+            daysPresent: 0,
+            lateArrivals: 0,
+            earlyDepartures: 0,
+            leaveDays: 0
+        });
+        const addTo = (totals, row) => {
+            totals.people++;
+            ['totalHours', 'daysPresent', 'lateArrivals', 'earlyDepartures', 'leaveDays'].forEach(field => {
+                totals[field] += row[field];
+            });
+        };
+        const finish = totals => ({
+            ...totals,
+            formattedTotalHours: handler.formatHours(totals.totalHours),
+            averageHoursPerPerson: totals.people > 0 ? totals.totalHours / totals.people : 0
+        });
+
+        const groups = {};
+        const overall = emptyTotals();
+
+        this.getMembers(scope).forEach(user => {
+            const summary = period === 'week'
+                ? handler.getWeeklySummary(user.email, start)
+                : handler.getMonthlySummary(user.email, day.getFullYear(), day.getMonth() + 1);
+            const row = {
+                email: user.email,
+                name: user.name,
+                department: user.department || '',
+                managerEmail: user.managerEmail || null,
+                totalHours: summary.totalHours,
+                formattedTotalHours: summary.formattedTotalHours,
+                daysPresent: summary.daysPresent,
+                lateArrivals: summary.lateArrivals,
+                earlyDepartures: summary.earlyDepartures,
+                leaveDays: summary.leaveDays
+            };
+            if (period === 'month') {
+                row.expectedHours = summary.expectedHours;
+            }
+
+            const group = this.getGroup(user, groupBy, users);
+            if (!groups[group.key]) {
+                groups[group.key] = { key: group.key, name: group.name, members: [], totals: emptyTotals() };
+            }
+            groups[group.key].members.push(row);
+            addTo(groups[group.key].totals, row);
+            addTo(overall, row);
+        });
+
+        return {
+            period: period,
+            groupBy: groupBy,
+            start: start,
+            end: end,
+            groups: Object.values(groups)
+                .map(group => ({ ...group, totals: finish(group.totals) }))
+                .sort((a, b) => a.name.localeCompare(b.name)),
+            totals: finish(overall)
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TeamReports;
+} else {
+    window.TeamReports = TeamReports;
+}
@@ -0,0 +1,320 @@
+/**
+ * SparrowTrack - Time Zone Manager
+ * The time zone each user's attendance is kept in (a site-wide zone with per-user
+ * overrides) and conversions between UTC instants and wall-clock dates and times
+ */
+
+class TimeZoneManager {
+    /**
+     * @param {DataManager} dataManager - Data manager (time zones live in settings)
+     * @param {AccessControl} accessControl - Guards time zone changes (optional; unrestricted without it)
+     */
+    constructor(dataManager, accessControl = null) {
+        // Browsers load DataManager as a global via a <script> tag; Node resolves the sibling module
+        const deps = typeof module !== 'undefined' && module.exports
+            ? { DataManager: require('./data-manager') }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.accessControl = accessControl;
+        this.messageCatalog = this.dataManager.messageCatalog;
+        // Intl formatters are slow to build; one per zone is kept
+        this.formatters = {};
+    }
+
+    /**
+     * Read the time zone configuration from settings
+     * @returns {Object} {siteTimeZone, users}
+     */
+    getConfig() {
+        const config = this.dataManager.getSettings().timeZones || {};
+        return {
+            siteTimeZone: config.siteTimeZone || null,
+            users: config.users || {}
+        };
+    }
+
+    /**
+     * Write the time zone configuration to settings
+     * @param {Object} config - Time zone configuration
+     * @returns {boolean} Success status
+     */
+    saveConfig(config) {
+        const settings = this.dataManager.getSettings();
+        settings.timeZones = config;
+        return this.dataManager.setSettings(settings);
+    }
+
+    /**
+     * Time zone of the device or host running this code
+     * @returns {string} IANA time zone name
+     */
+    getRuntimeTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Check whether a time zone name is known to this runtime
+     * @param {string} timeZone - IANA time zone name (e.g. Asia/Kolkata)
+     * @returns {boolean} Is valid time zone
+     */
+    isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * List the time zones this runtime knows, for pickers
+     * @returns {Array} IANA time zone names
+     */
+    getTimeZones() {
+        return typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : [this.getRuntimeTimeZone(), 'UTC'];
+    }
+
+    /**
+     * The site time zone; installs that never set one keep the runtime's zone
+     * @returns {string} IANA time zone name
+     */
+    getSiteTimeZone() {
+        return this.getConfig().siteTimeZone || this.getRuntimeTimeZone();
+    }
+
+    /**
+     * Resolve the time zone a user's attendance is kept in: their own, else the site's
+     * @param {string} userEmail - User email (optional)
+     * @returns {string} IANA time zone name
+     */
+    getTimeZoneForUser(userEmail) {
+        const userTimeZone = this.getConfig().users[(userEmail || '').toLowerCase()];
+        return userTimeZone || this.getSiteTimeZone();
+    }
+
+    /**
+     * Set the site time zone (admin function)
+     * @param {string} timeZone - IANA time zone name
+     * @returns {Object} Update result
+     */
+    setSiteTimeZone(timeZone) {
+        if (this.accessControl) {
+            const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_SETTINGS);
+            if (denied) return denied;
+        }
+
+        if (!this.isValidTimeZone(timeZone)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('timezone.unknown', { timeZone: String(timeZone) })
+            };
+        }
+
+        const config = this.getConfig();
+        config.siteTimeZone = timeZone;
+        if (!this.saveConfig(config)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('timezone.site_save_failed')
+            };
+        }
+        return {
+            success: true,
+            ...this.messageCatalog.message('timezone.site_updated', { timeZone: timeZone }),
+            timeZone: timeZone
+        };
+    }
+
+    /**
+     * Set or clear a user's own time zone. Users may set their own; changing
+     * someone else's needs MANAGE_USERS. Records already made keep their zone.
+     * @param {string} userEmail - User email
+     * @param {string|null} timeZone - IANA time zone name, or null to follow the site
+     * @returns {Object} Update result
+     */
+    setUserTimeZone(userEmail, timeZone) {
+        const email = (userEmail || '').toLowerCase();
+        if (this.accessControl) {
+            const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_USERS, email);
+            if (denied) return denied;
+        }
+
+        if (!this.dataManager.getUsers()[email]) {
+            return {
+                success: false,
+                code: 'NOT_FOUND',
+                ...this.messageCatalog.message('user.not_found')
+            };
+        }
+        if (timeZone !== null && !this.isValidTimeZone(timeZone)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('timezone.unknown', { timeZone: String(timeZone) })
+            };
+        }
+
+        const config = this.getConfig();
+        if (timeZone) {
+            config.users[email] = timeZone;
+        } else {
+            delete config.users[email];
+        }
+        if (!this.saveConfig(config)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('timezone.save_failed')
+            };
+        }
+        return {
+            success: true,
+            ...(timeZone
+                ? this.messageCatalog.message('timezone.updated', { timeZone: timeZone })
+                : this.messageCatalog.message('timezone.follows_site')),
+            timeZone: this.getTimeZoneForUser(email)
+        };
+    }
+
+    /**
+     * Wall-clock fields of an instant in a time zone
+     * @param {Date} at - Instant
+     * @param {string} timeZone - IANA time zone name (defaults to the site's)
+     * @returns {Object} {year, month, day, hour, minute, second} as numbers
+     */
+    getParts(at, timeZone = null) {
+        const zone = timeZone || this.getSiteTimeZone();
+        if (!this.formatters[zone]) {
+            this.formatters[zone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+        }
+
+        const parts = {};
+        this.formatters[zone].formatToParts(at).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+        });
+        return parts;
+    }
+
+    /**
+     * Calendar date of an instant in a time zone
+     * @param {Date} at - Instant
+     * @param {string} timeZone - IANA time zone name (defaults to the site's)
+     * @returns {string} Date (YYYY-MM-DD)
+     */
+    getDate(at, timeZone = null) {
+        const parts = this.getParts(at, timeZone);
+        const pad = value => String(value).padStart(2, '0');
+        return `${String(parts.year).padStart(4, '0')}-${pad(parts.month)}-${pad(parts.day)}`;
+    }
+
+    /**
+     * Wall-clock time of an instant in a time zone
+     * @param {Date} at - Instant
+     * @param {string} timeZone - IANA time zone name (defaults to the site's)
+     * @returns {string} Time (HH:MM:SS)
+     */
+    getTime(at, timeZone = null) {
+        const parts = this.getParts(at, timeZone);
+        return [parts.hour, parts.minute, parts.second].map(value => String(value).padStart(2, '0')).join(':');
+    }
+
+    /**
+     * Offset of a time zone from UTC at an instant
+     * @param {Date} at - Instant
+     * @param {string} timeZone - IANA time zone name (defaults to the site's)
+     * @returns {number} Offset in minutes (east of UTC is positive)
+     */
+    getOffsetMinutes(at, timeZone = null) {
+        const parts = this.getParts(at, timeZone);
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return Math.round((wallClock - Math.floor(at.getTime() / 1000) * 1000) / (60 * 1000));
+    }
+
+    /**
+     * Instant of a wall-clock date and time in a time zone. Around DST changes a
+     * repeated time resolves to its first occurrence and a skipped time is moved
+     * forward by the gap (02:30 on a spring-forward night becomes 03:30).
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {string} time - Time (HH:MM or HH:MM:SS)
+     * @param {string} timeZone - IANA time zone name (defaults to the site's)
+     * @returns {Date} Instant
+     */
+    toInstant(date, time, timeZone = null) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hour, minute, second = 0] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        // Offsets in force either side of any change on this day; use the first that fits
+        const offsets = [wallClock - dayMs, wallClock + dayMs].map(at => this.getOffsetMinutes(new Date(at), timeZone));
+        const fitting = offsets.find(offset =>
+            this.getOffsetMinutes(new Date(wallClock - offset * 60 * 1000), timeZone) === offset);
+        return new Date(wallClock - (fitting === undefined ? offsets[0] : fitting) * 60 * 1000);
+    }
+
+    /**
+     * Add days to a calendar date
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} Date (YYYY-MM-DD)
+     */
+    addDays(date, days) {
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() + days);
+        return day.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Check that a value is a calendar date that exists (2026-02-30 does not)
+     * @param {*} date - Value to check
+     * @returns {boolean} True for a real YYYY-MM-DD date
+     */
+    isValidDate(date) {
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+        const day = new Date(`${date}T00:00:00Z`);
+        return !isNaN(day) && day.toISOString().slice(0, 10) === date;
+    }
+
+    /**
+     * Count the days from one calendar date to another
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {number} Days (negative when endDate is earlier)
+     */
+    daysBetween(startDate, endDate) {
+        return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000);
+    }
+
+    /**
+     * Format an instant for display in a time zone and the viewer's language
+     * @param {Date|string} at - Instant or ISO timestamp
+     * @param {string} timeZone - IANA time zone name (defaults to the site's)
+     * @param {Object} options - Intl.DateTimeFormat options (defaults to a time with seconds)
+     * @param {string} locale - BCP 47 locale (defaults to the runtime's)
+     * @returns {string} Formatted text
+     */
+    format(at, timeZone = null, options = null, locale = undefined) {
+        return new Date(at).toLocaleString(locale, {
+            ...(options || { hour: 'numeric', minute: '2-digit', second: '2-digit' }),
+            timeZone: timeZone || this.getSiteTimeZone()
+        });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeZoneManager;
+} else {
+    window.TimeZoneManager = TimeZoneManager;
+}
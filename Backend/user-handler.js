@@ -4,27 +4,141 @@
  */
 
 class UserHandler {
-    constructor(dataManager) {
-        this.dataManager = dataManager || new DataManager();
+    constructor(dataManager, passwordHasher) {
+        // Browsers load these as globals via <script> tags; Node resolves the sibling modules
+        const deps = typeof module !== 'undefined' && module.exports
+            ? {
+                DataManager: require('./data-manager'),
+                PasswordHasher: require('./password-hasher'),
+                SessionManager: require('./session-manager'),
+                AccessControl: require('./access-control')
+            }
+            : window;
+
+        this.dataManager = dataManager || new deps.DataManager();
+        this.passwordHasher = passwordHasher || new deps.PasswordHasher();
+        this.sessionManager = new deps.SessionManager(this.dataManager);
+        this.messageCatalog = this.dataManager.messageCatalog;
+        this.accessControl = new deps.AccessControl(this.dataManager, () => {
+            const user = this.getCurrentUser();
+            return user && user.email;
+        }, this.messageCatalog);
+        this.dataManager.setAccessControl(this.accessControl);
+        // Device-local pointer to this browser's session; the session itself lives in the session store
+        this.SESSION_POINTER_KEY = 'sparrowtrack_currentSession';
+        this.sessionId = null;
         this.currentUser = null;
+        this.loginHooks = [];
         this.loadCurrentUser();
     }
 
     /**
-     * Load current user from localStorage
+     * Run a callback after every successful login (e.g. housekeeping on the user's records)
+     * @param {Function} hook - Receives the user's email
+     */
+    addLoginHook(hook) {
+        this.loginHooks.push(hook);
+    }
+
+    /**
+     * Run the login hooks; a failing hook never blocks the login
+     * @param {string} email - Email of the user who logged in
+     */
+    runLoginHooks(email) {
+        this.loginHooks.forEach(hook => {
+            try {
+                hook(email);
+            } catch (error) {
+                console.error('Error running login hook:', error);
+            }
+        });
+    }
+
+    /**
+     * Load current user from this device's saved session
      */
     loadCurrentUser() {
+        if (typeof localStorage === 'undefined') return;
+
         try {
-            const savedUser = localStorage.getItem('sparrowtrack_currentUser');
-            if (savedUser) {
-                this.currentUser = JSON.parse(savedUser);
-            }
+            // Older versions kept a full user snapshot here; sessions replace it
+            localStorage.removeItem('sparrowtrack_currentUser');
+            this.sessionId = localStorage.getItem(this.SESSION_POINTER_KEY);
+            this.getCurrentUser();
         } catch (error) {
             console.error('Error loading current user:', error);
-            this.currentUser = null;
+            this.clearSession();
         }
     }
 
+    /**
+     * Use an existing session for this handler without saving it on the device
+     * (e.g. a bearer token presented to the API server)
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Current user if the session is valid
+     */
+    resumeSession(sessionId) {
+        this.sessionId = sessionId || null;
+        return this.getCurrentUser();
+    }
+
+    /**
+     * Remember a new session as this device's current session
+     * @param {Object} session - Session record
+     */
+    startSession(session) {
+        this.sessionId = session.id;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(this.SESSION_POINTER_KEY, session.id);
+        }
+    }
+
+    /**
+     * Forget the current session on this device
+     */
+    clearSession() {
+        this.sessionId = null;
+        this.currentUser = null;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(this.SESSION_POINTER_KEY);
+        }
+    }
+
+    /**
+     * Set the current user from a stored record, without credential material
+     * @param {Object} user - Stored user record
+     */
+    setCurrentUser(user) {
+        this.currentUser = this.sanitizeUser(user);
+    }
+
+    /**
+     * Copy a user record without its credential fields (password and kiosk PIN/badge hashes)
+     * @param {Object} user - Stored user record
+     * @returns {Object} User data safe to expose
+     */
+    sanitizeUser(user) {
+        const { password, credentials, kiosk, ...safeUser } = user;
+        return safeUser;
+    }
+
+    /**
+     * Verify a password against a stored user record.
+     * Accounts created before hashing still hold a plaintext `password`.
+     * @param {Object} user - Stored user record
+     * @param {string} password - Password to check
+     * @returns {Promise<boolean>} Password matches
+     */
+    async verifyPassword(user, password) {
+        if (user.credentials) {
+            return this.passwordHasher.verify(password, user.credentials);
+        }
+        if (typeof user.password === 'string') {
+            return this.passwordHasher.timingSafeEqual(password, user.password);
+        }
+        return false;
+    }
+
     /**
      * Generate unique employee ID
      * @returns {string} Employee ID
@@ -48,40 +162,66 @@ class UserHandler {
     /**
      * Validate password strength
      * @param {string} password - Password to validate
-     * @returns {Object} Validation result
+     * @returns {Object} Validation result ({isValid, errors, codes}; errors are translated, codes are message codes)
      */
     validatePassword(password) {
         const result = {
             isValid: true,
-            errors: []
+            errors: [],
+            codes: []
+        };
+        const fail = (code, params = {}) => {
+            result.isValid = false;
+            result.codes.push(code);
+            result.errors.push(this.messageCatalog.translate(code, params));
         };
 
         if (password.length < 6) {
-            result.isValid = false;
-            result.errors.push('Password must be at least 6 characters long');
+            fail('user.password_too_short', { min: 6 });
         }
 
         if (!/[A-Za-z]/.test(password)) {
-            result.isValid = false;
-            result.errors.push('Password must contain at least one letter');
+            fail('user.password_needs_letter');
         }
 
         return result;
     }
 
+    /**
+     * Build the stored record for a new account
+     * @param {Object} userData - {name, email, department, position}
+     * @param {Object} credentials - Hashed password
+     * @param {string} role - Role name
+     * @returns {Object} User record
+     */
+    createUserRecord(userData, credentials, role) {
+        return {
+            id: this.generateEmployeeId(),
+            name: userData.name.trim(),
+            email: userData.email.toLowerCase().trim(),
+            credentials: credentials,
+            department: userData.department.trim(),
+            position: userData.position.trim(),
+            role: role,
+            registrationDate: new Date().toISOString(),
+            isActive: true,
+            lastLogin: null
+        };
+    }
+
     /**
      * Register new user
      * @param {Object} userData - User registration data
-     * @returns {Object} Registration result
+     * @returns {Promise<Object>} Registration result
      */
-    register(userData) {
+    async register(userData) {
         const { name, email, password, department, position } = userData;
         
         // Validate required fields
         if (!name || !email || !password || !department || !position) {
             return {
                 success: false,
-                message: 'All fields are required'
+                ...this.messageCatalog.message('user.fields_required')
             };
         }
 
@@ -89,7 +229,7 @@ class UserHandler {
         if (!this.validateEmail(email)) {
             return {
                 success: false,
-                message: 'Please enter a valid email address'
+                ...this.messageCatalog.message('user.invalid_email')
             };
         }
 
@@ -98,51 +238,47 @@ class UserHandler {
         if (!passwordValidation.isValid) {
             return {
                 success: false,
-                message: passwordValidation.errors.join('. ')
+                ...this.messageCatalog.message('user.password_invalid', { reasons: passwordValidation.errors.join('. ') })
             };
         }
 
+        // Hash before reading the store so the read-modify-write below doesn't span an await
+        const credentials = await this.passwordHasher.hash(password);
+
         // Check if user already exists
         const users = this.dataManager.getUsers();
         if (users[email.toLowerCase()]) {
             return {
                 success: false,
-                message: 'User already exists with this email'
+                code: 'CONFLICT',
+                ...this.messageCatalog.message('user.exists')
             };
         }
 
-        // Create new user
-        const employeeId = this.generateEmployeeId();
-        const newUser = {
-            id: employeeId,
-            name: name.trim(),
-            email: email.toLowerCase().trim(),
-            password: password, // In production, hash this password
-            department: department.trim(),
-            position: position.trim(),
-            registrationDate: new Date().toISOString(),
-            isActive: true,
-            lastLogin: null
-        };
+        // Create new user; the very first account bootstraps the system as its admin
+        const roles = this.accessControl.ROLES;
+        const newUser = this.createUserRecord(
+            userData, credentials, Object.keys(users).length === 0 ? roles.ADMIN : roles.EMPLOYEE);
 
         // Save user
         users[email.toLowerCase()] = newUser;
         if (this.dataManager.setUsers(users)) {
             return {
                 success: true,
-                message: 'Account created successfully',
+                ...this.messageCatalog.message('user.registered'),
                 user: {
                     id: newUser.id,
                     name: newUser.name,
                     email: newUser.email,
                     department: newUser.department,
-                    position: newUser.position
+                    position: newUser.position,
+                    role: newUser.role
                 }
             };
         } else {
             return {
                 success: false,
-                message: 'Failed to create account. Please try again.'
+                ...this.messageCatalog.message('user.register_failed')
             };
         }
     }
@@ -151,58 +287,91 @@ class UserHandler {
      * Authenticate user login
      * @param {string} email - User email
      * @param {string} password - User password
-     * @returns {Object} Login result
+     * @param {Object} device - Optional device info for the session ({userAgent, ip})
+     * @returns {Promise<Object>} Login result
      */
-    login(email, password) {
-        if (!email || !password) {
+    async login(email, password, device = {}) {
+        if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
             return {
                 success: false,
-                message: 'Email and password are required'
+                ...this.messageCatalog.message('user.credentials_required')
             };
         }
 
-        const users = this.dataManager.getUsers();
-        const user = users[email.toLowerCase()];
+        const storedUser = this.dataManager.getUsers()[email.toLowerCase()];
 
-        if (!user) {
+        if (!storedUser) {
             return {
                 success: false,
-                message: 'No account found with this email'
+                ...this.messageCatalog.message('user.no_account')
             };
         }
 
-        if (user.password !== password) {
+        if (!(await this.verifyPassword(storedUser, password))) {
             return {
                 success: false,
-                message: 'Incorrect password'
+                ...this.messageCatalog.message('user.incorrect_password')
             };
         }
 
-        if (!user.isActive) {
+        if (!storedUser.isActive) {
             return {
                 success: false,
-                message: 'Account is deactivated. Please contact administrator.'
+                ...this.messageCatalog.message('user.account_inactive')
             };
         }
 
+        // Upgrade legacy plaintext or weaker hashes now that we know the password
+        const upgradedCredentials = this.passwordHasher.needsRehash(storedUser.credentials)
+            ? await this.passwordHasher.hash(password)
+            : null;
+
+        // Re-read after the awaits so concurrent writes aren't clobbered
+        const users = this.dataManager.getUsers();
+        const user = users[email.toLowerCase()] || storedUser;
+        if (upgradedCredentials) {
+            user.credentials = upgradedCredentials;
+            delete user.password;
+        }
+
         // Update last login
         user.lastLogin = new Date().toISOString();
         users[email.toLowerCase()] = user;
         this.dataManager.setUsers(users);
 
-        // Set current user
-        this.currentUser = user;
-        localStorage.setItem('sparrowtrack_currentUser', JSON.stringify(user));
+        const session = this.sessionManager.createSession(user.email, {
+            userAgent: device.userAgent || (typeof navigator !== 'undefined' ? navigator.userAgent : ''),
+            ip: device.ip
+        });
+        if (!session) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.session_failed')
+            };
+        }
+
+        // Set current user, replacing any session this device already held
+        if (this.sessionId) {
+            this.sessionManager.revokeSession(this.sessionId);
+        }
+        this.startSession(session);
+        this.setCurrentUser(user);
+        this.runLoginHooks(user.email);
 
         return {
             success: true,
-            message: 'Login successful',
+            ...this.messageCatalog.message('user.logged_in'),
+            session: {
+                id: session.id,
+                expiresAt: session.expiresAt
+            },
             user: {
                 id: user.id,
                 name: user.name,
                 email: user.email,
                 department: user.department,
                 position: user.position,
+                role: this.accessControl.getRole(user),
                 lastLogin: user.lastLogin
             }
         };
@@ -213,19 +382,35 @@ class UserHandler {
      * @returns {Object} Logout result
      */
     logout() {
-        this.currentUser = null;
-        localStorage.removeItem('sparrowtrack_currentUser');
+        if (this.sessionId) {
+            this.sessionManager.revokeSession(this.sessionId);
+        }
+        this.clearSession();
         return {
             success: true,
-            message: 'Logged out successfully'
+            ...this.messageCatalog.message('user.logged_out')
         };
     }
 
     /**
-     * Get current user
+     * Get current user, validating the session (expiry, idle timeout, revocation)
      * @returns {Object|null} Current user data
      */
     getCurrentUser() {
+        const session = this.sessionManager.validateSession(this.sessionId);
+        const user = session ? this.dataManager.getUsers()[session.email] : null;
+
+        if (!user || !user.isActive) {
+            if (session) {
+                this.sessionManager.revokeSession(session.id);
+            }
+            if (this.sessionId) {
+                this.clearSession();
+            }
+            return null;
+        }
+
+        this.setCurrentUser(user);
         return this.currentUser;
     }
 
@@ -234,7 +419,73 @@ class UserHandler {
      * @returns {boolean} Is user logged in
      */
     isLoggedIn() {
-        return this.currentUser !== null;
+        return this.getCurrentUser() !== null;
+    }
+
+    /**
+     * Check the current session without counting it as activity
+     * (for background polling that must not keep an idle session alive)
+     * @returns {boolean} Session is still valid
+     */
+    hasValidSession() {
+        return this.sessionManager.validateSession(this.sessionId, false) !== null;
+    }
+
+    /**
+     * Get the session this handler acts under, without counting it as activity
+     * @returns {Object|null} Session ({id, email, issuedAt, expiresAt, ...})
+     */
+    getCurrentSession() {
+        return this.sessionManager.validateSession(this.sessionId, false);
+    }
+
+    /**
+     * List a user's active sessions across devices
+     * @param {string} email - User email (defaults to the current user)
+     * @returns {Array|Object} Active sessions, or a denial result
+     */
+    getActiveSessions(email = null) {
+        const targetEmail = email || (this.currentUser && this.currentUser.email);
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_USERS, targetEmail);
+        if (denied) return denied;
+
+        return this.sessionManager.getUserSessions(targetEmail).map(session => ({
+            id: session.id.slice(0, 8),
+            issuedAt: session.issuedAt,
+            expiresAt: session.expiresAt,
+            lastActivity: session.lastActivity,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            current: session.id === this.sessionId
+        }));
+    }
+
+    /**
+     * Log a user out of every device
+     * @param {string} email - User email
+     * @returns {Object} Logout result
+     */
+    logoutAllSessions(email) {
+        if (!email) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.email_required')
+            };
+        }
+
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_USERS, email);
+        if (denied) return denied;
+
+        const revoked = this.sessionManager.revokeUserSessions(email);
+        if (this.currentUser && this.currentUser.email === email.toLowerCase()) {
+            this.clearSession();
+        }
+
+        return {
+            success: true,
+            ...this.messageCatalog.message('user.sessions_revoked', { count: revoked }),
+            revoked: revoked
+        };
     }
 
     /**
@@ -246,7 +497,7 @@ class UserHandler {
         if (!this.isLoggedIn()) {
             return {
                 success: false,
-                message: 'Please login first'
+                ...this.messageCatalog.message('auth.login_required')
             };
         }
 
@@ -257,7 +508,7 @@ class UserHandler {
         if (!user) {
             return {
                 success: false,
-                message: 'User not found'
+                ...this.messageCatalog.message('user.not_found')
             };
         }
 
@@ -275,7 +526,7 @@ class UserHandler {
         if (!hasUpdates) {
             return {
                 success: false,
-                message: 'No changes detected'
+                ...this.messageCatalog.message('user.no_changes')
             };
         }
 
@@ -284,12 +535,11 @@ class UserHandler {
 
         if (this.dataManager.setUsers(users)) {
             // Update current user
-            this.currentUser = user;
-            localStorage.setItem('sparrowtrack_currentUser', JSON.stringify(user));
+            this.setCurrentUser(user);
 
             return {
                 success: true,
-                message: 'Profile updated successfully',
+                ...this.messageCatalog.message('user.profile_updated'),
                 user: {
                     id: user.id,
                     name: user.name,
@@ -301,16 +551,90 @@ class UserHandler {
         } else {
             return {
                 success: false,
-                message: 'Failed to update profile'
+                ...this.messageCatalog.message('user.profile_update_failed')
+            };
+        }
+    }
+
+    /**
+     * Change the current user's password
+     * @param {string} currentPassword - Existing password
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} Change result
+     */
+    async changePassword(currentPassword, newPassword) {
+        if (!this.isLoggedIn()) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('auth.login_required')
+            };
+        }
+
+        if (!currentPassword || !newPassword) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.passwords_required')
+            };
+        }
+
+        const userEmail = this.currentUser.email;
+        const storedUser = this.dataManager.getUsers()[userEmail];
+
+        if (!storedUser) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.not_found')
+            };
+        }
+
+        if (!(await this.verifyPassword(storedUser, currentPassword))) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.current_password_incorrect')
+            };
+        }
+
+        const passwordValidation = this.validatePassword(newPassword);
+        if (!passwordValidation.isValid) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.password_invalid', { reasons: passwordValidation.errors.join('. ') })
+            };
+        }
+
+        const credentials = await this.passwordHasher.hash(newPassword);
+
+        // Re-read after the awaits so concurrent writes aren't clobbered
+        const users = this.dataManager.getUsers();
+        const user = users[userEmail] || storedUser;
+        user.credentials = credentials;
+        user.passwordChangedDate = new Date().toISOString();
+        delete user.password;
+        users[userEmail] = user;
+
+        if (this.dataManager.setUsers(users)) {
+            // A changed password should sign out every other device
+            this.sessionManager.revokeUserSessions(userEmail, this.sessionId);
+            return {
+                success: true,
+                ...this.messageCatalog.message('user.password_changed')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.password_change_failed')
             };
         }
     }
 
     /**
      * Get all users (admin function)
-     * @returns {Array} List of all users
+     * @returns {Array|Object} List of all users, or a denial result
      */
     getAllUsers() {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.VIEW_USERS);
+        if (denied) return denied;
+
         const users = this.dataManager.getUsers();
         return Object.values(users).map(user => ({
             id: user.id,
@@ -318,6 +642,8 @@ class UserHandler {
             email: user.email,
             department: user.department,
             position: user.position,
+            role: this.accessControl.getRole(user),
+            managerEmail: user.managerEmail || null,
             registrationDate: user.registrationDate,
             lastLogin: user.lastLogin,
             isActive: user.isActive
@@ -330,13 +656,24 @@ class UserHandler {
      * @returns {Object} Deactivation result
      */
     deactivateUser(email) {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_USERS);
+        if (denied) return denied;
+
         const users = this.dataManager.getUsers();
-        const user = users[email.toLowerCase()];
+        const user = typeof email === 'string' ? users[email.toLowerCase()] : null;
 
         if (!user) {
             return {
                 success: false,
-                message: 'User not found'
+                ...this.messageCatalog.message('user.not_found')
+            };
+        }
+
+        // Without an active admin anyone signed in could claim the role through bootstrapAdmin
+        if (this.isLastActiveAdmin(users, user)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.last_admin')
             };
         }
 
@@ -345,14 +682,15 @@ class UserHandler {
         users[email.toLowerCase()] = user;
 
         if (this.dataManager.setUsers(users)) {
+            this.sessionManager.revokeUserSessions(email);
             return {
                 success: true,
-                message: 'User account deactivated'
+                ...this.messageCatalog.message('user.account_deactivated')
             };
         } else {
             return {
                 success: false,
-                message: 'Failed to deactivate user'
+                ...this.messageCatalog.message('user.deactivate_failed')
             };
         }
     }
@@ -363,13 +701,16 @@ class UserHandler {
      * @returns {Object} Activation result
      */
     activateUser(email) {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_USERS);
+        if (denied) return denied;
+
         const users = this.dataManager.getUsers();
-        const user = users[email.toLowerCase()];
+        const user = typeof email === 'string' ? users[email.toLowerCase()] : null;
 
         if (!user) {
             return {
                 success: false,
-                message: 'User not found'
+                ...this.messageCatalog.message('user.not_found')
             };
         }
 
@@ -381,12 +722,191 @@ class UserHandler {
         if (this.dataManager.setUsers(users)) {
             return {
                 success: true,
-                message: 'User account activated'
+                ...this.messageCatalog.message('user.account_activated')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.activate_failed')
+            };
+        }
+    }
+
+    /**
+     * Check whether any active admin account exists
+     * @returns {boolean} Has an active admin
+     */
+    hasAdmin() {
+        const users = this.dataManager.getUsers();
+        return Object.values(users).some(user =>
+            user.isActive && this.accessControl.getRole(user) === this.accessControl.ROLES.ADMIN
+        );
+    }
+
+    /**
+     * Check whether a user is the only active admin left
+     * @param {Object} users - Users keyed by email
+     * @param {Object} user - User to check
+     * @returns {boolean} Is the last active admin
+     */
+    isLastActiveAdmin(users, user) {
+        const admin = this.accessControl.ROLES.ADMIN;
+        if (!user.isActive || this.accessControl.getRole(user) !== admin) return false;
+        return !Object.values(users).some(other =>
+            other.email !== user.email && other.isActive && this.accessControl.getRole(other) === admin
+        );
+    }
+
+    /**
+     * Promote the logged-in user to admin when the system has no active admin yet
+     * (e.g. datasets created before roles existed)
+     * @returns {Object} Bootstrap result
+     */
+    bootstrapAdmin() {
+        if (!this.isLoggedIn()) {
+            return {
+                success: false,
+                code: 'UNAUTHENTICATED',
+                ...this.messageCatalog.message('auth.login_required')
+            };
+        }
+
+        if (this.hasAdmin()) {
+            return {
+                success: false,
+                code: 'FORBIDDEN',
+                ...this.messageCatalog.message('user.admin_exists')
+            };
+        }
+
+        const users = this.dataManager.getUsers();
+        const user = users[this.currentUser.email];
+
+        if (!user) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.not_found')
+            };
+        }
+
+        user.role = this.accessControl.ROLES.ADMIN;
+        users[user.email] = user;
+
+        if (this.dataManager.setUsers(users)) {
+            this.setCurrentUser(user);
+            return {
+                success: true,
+                ...this.messageCatalog.message('user.now_admin')
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.admin_assign_failed')
+            };
+        }
+    }
+
+    /**
+     * Change a user's role (admin function)
+     * @param {string} email - User email
+     * @param {string} role - New role (employee, manager, admin)
+     * @returns {Object} Role change result
+     */
+    setUserRole(email, role) {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_ROLES);
+        if (denied) return denied;
+
+        if (!this.accessControl.isValidRole(role)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.invalid_role')
+            };
+        }
+
+        const users = this.dataManager.getUsers();
+        const user = typeof email === 'string' ? users[email.toLowerCase()] : null;
+
+        if (!user) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.not_found')
+            };
+        }
+
+        if (role !== this.accessControl.ROLES.ADMIN && this.isLastActiveAdmin(users, user)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.last_admin')
+            };
+        }
+
+        user.role = role;
+        user.lastUpdated = new Date().toISOString();
+        users[email.toLowerCase()] = user;
+
+        if (this.dataManager.setUsers(users)) {
+            if (this.currentUser && this.currentUser.email === user.email) {
+                this.setCurrentUser(user);
+            }
+            return {
+                success: true,
+                ...this.messageCatalog.message('user.role_updated', { role: role })
+            };
+        } else {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.role_update_failed')
+            };
+        }
+    }
+
+    /**
+     * Set who a user reports to (admin function)
+     * @param {string} email - User email
+     * @param {string|null} managerEmail - Manager's email, or null to clear the reporting line
+     * @returns {Object} Update result
+     */
+    setManager(email, managerEmail) {
+        const denied = this.accessControl.authorize(this.accessControl.PERMISSIONS.MANAGE_USERS);
+        if (denied) return denied;
+
+        const users = this.dataManager.getUsers();
+        const user = users[email.toLowerCase()];
+        const manager = managerEmail ? users[managerEmail.toLowerCase()] : null;
+
+        if (!user || (managerEmail && !manager)) {
+            return {
+                success: false,
+                ...this.messageCatalog.message('user.not_found')
+            };
+        }
+
+        // Walk up from the new manager; reaching the user would create a loop
+        for (let current = manager; current; current = users[current.managerEmail]) {
+            if (current.email === user.email) {
+                return {
+                    success: false,
+                    ...this.messageCatalog.message('user.reporting_cycle')
+                };
+            }
+        }
+
+        user.managerEmail = manager ? manager.email : null;
+        user.lastUpdated = new Date().toISOString();
+        users[user.email] = user;
+
+        if (this.dataManager.setUsers(users)) {
+            const message = manager
+                ? this.messageCatalog.message('user.reports_to', { name: user.name, manager: manager.name })
+                : this.messageCatalog.message('user.reporting_cleared');
+            return {
+                success: true,
+                ...message
             };
         } else {
             return {
                 success: false,
-                message: 'Failed to activate user'
+                ...this.messageCatalog.message('user.reporting_failed')
             };
         }
     }
@@ -0,0 +1,183 @@
+/**
+ * SparrowTrack - XLSX Reader
+ * Minimal Office Open XML spreadsheet reader (no dependencies): returns the cell
+ * values of one worksheet. Inflates with zlib under Node and DecompressionStream in browsers.
+ */
+
+class XlsxReader {
+    /**
+     * Find the files in a ZIP archive from its central directory
+     * @param {Uint8Array} bytes - ZIP data
+     * @returns {Object|null} Entries keyed by name ({method, offset, compressedSize}), or null if not a ZIP
+     */
+    listEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = -1;
+        // The end-of-central-directory record sits within the last 64 KB (its comment is at most 65535 bytes)
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) return null;
+
+        const decoder = new TextDecoder();
+        const entries = {};
+        let offset = view.getUint32(end + 16, true);
+        const count = view.getUint16(end + 10, true);
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) return null;
+            const nameLength = view.getUint16(offset + 28, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            entries[name] = {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                offset: view.getUint32(offset + 42, true)
+            };
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+        return entries;
+    }
+
+    /**
+     * Inflate raw DEFLATE data
+     * @param {Uint8Array} data - Compressed data
+     * @returns {Promise<Uint8Array>} Decompressed data
+     */
+    async inflate(data) {
+        if (typeof module !== 'undefined' && module.exports) {
+            const zlib = require('zlib');
+            return new Uint8Array(zlib.inflateRawSync(data));
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Read one file from the archive as text
+     * @param {Uint8Array} bytes - ZIP data
+     * @param {Object} entries - Result of listEntries()
+     * @param {string} name - File name
+     * @returns {Promise<string|null>} File content, or null if it is missing
+     */
+    async readText(bytes, entries, name) {
+        const entry = entries[name];
+        if (!entry) return null;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw new Error(`Unsupported compression in ${name}`);
+        }
+        return new TextDecoder().decode(entry.method === 8 ? await this.inflate(data) : data);
+    }
+
+    /**
+     * Decode XML character and entity references
+     * @param {string} text - XML text
+     * @returns {string} Plain text
+     */
+    decodeXml(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+            }
+            return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+        });
+    }
+
+    /**
+     * Concatenate the text runs (<t>) inside a string item, skipping phonetic runs
+     * @param {string} xml - Content of an <si> or <is> element
+     * @returns {string} Text
+     */
+    readRichText(xml) {
+        const text = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+        const runs = text.match(/<t\b[^>]*>[\s\S]*?<\/t>|<t\b[^>]*\/>/g) || [];
+        return runs.map(run => this.decodeXml(run.replace(/^<t\b[^>]*>|<\/t>$|^<t\b[^>]*\/>$/g, ''))).join('');
+    }
+
+    /**
+     * 0-based column index of a cell reference (A1 = 0, AA7 = 26)
+     * @param {string} ref - Cell reference
+     * @returns {number} Column index
+     */
+    columnIndex(ref) {
+        const letters = /^[A-Z]+/.exec(ref)[0];
+        return Array.from(letters).reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    /**
+     * Read the rows of a worksheet
+     * @param {Uint8Array|ArrayBuffer} data - .xlsx file content
+     * @param {string} sheetName - Worksheet to read (optional; the first sheet otherwise)
+     * @returns {Promise<Array>} Rows of cell values: strings, numbers, booleans, or '' for empty cells.
+     *     Dates and times come back as Excel serial numbers.
+     */
+    async read(data, sheetName = null) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const entries = this.listEntries(bytes);
+        if (!entries) throw new Error('Not a valid XLSX file');
+
+        const workbook = await this.readText(bytes, entries, 'xl/workbook.xml');
+        const relations = await this.readText(bytes, entries, 'xl/_rels/workbook.xml.rels');
+        if (!workbook || !relations) throw new Error('Not a valid XLSX file');
+
+        const sheets = (workbook.match(/<sheet\b[^>]*>/g) || []).map(tag => ({
+            name: this.decodeXml((/\bname="([^"]*)"/.exec(tag) || [])[1] || ''),
+            relationId: (/\br:id="([^"]*)"/.exec(tag) || /\bid="([^"]*)"/.exec(tag) || [])[1]
+        }));
+        const sheet = sheetName ? sheets.find(item => item.name === sheetName) : sheets[0];
+        if (!sheet) throw new Error(sheetName ? `Worksheet not found: ${sheetName}` : 'The workbook has no worksheets');
+
+        const relation = (relations.match(/<Relationship\b[^>]*>/g) || [])
+            .find(tag => (/\bId="([^"]*)"/.exec(tag) || [])[1] === sheet.relationId);
+        const target = relation ? /\bTarget="([^"]*)"/.exec(relation)[1] : '';
+        const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+
+        const sharedXml = await this.readText(bytes, entries, 'xl/sharedStrings.xml');
+        const sharedStrings = sharedXml
+            ? (sharedXml.match(/<si\b[^>]*>[\s\S]*?<\/si>|<si\b[^>]*\/>/g) || []).map(item => this.readRichText(item))
+            : [];
+
+        const sheetXml = await this.readText(bytes, entries, path);
+        if (!sheetXml) throw new Error(`Worksheet not found: ${sheet.name}`);
+
+        const rows = [];
+        (sheetXml.match(/<row\b[^>]*>[\s\S]*?<\/row>|<row\b[^>]*\/>/g) || []).forEach((rowXml, position) => {
+            const rowNumber = parseInt((/\br="(\d+)"/.exec(rowXml) || [])[1], 10) || position + 1;
+            const row = [];
+            (rowXml.match(/<c\b[^>]*\/>|<c\b[^>]*>[\s\S]*?<\/c>/g) || []).forEach((cellXml, cellPosition) => {
+                const ref = (/\br="([A-Z]+\d+)"/.exec(cellXml) || [])[1];
+                const type = (/\bt="(\w+)"/.exec(cellXml) || [])[1] || 'n';
+                const raw = (/<v>([\s\S]*?)<\/v>/.exec(cellXml) || [])[1];
+                let value = '';
+
+                if (type === 'inlineStr') {
+                    value = this.readRichText((/<is>([\s\S]*?)<\/is>/.exec(cellXml) || [])[1] || '');
+                } else if (raw !== undefined) {
+                    if (type === 's') value = sharedStrings[parseInt(raw, 10)] || '';
+                    else if (type === 'b') value = raw === '1';
+                    else if (type === 'str' || type === 'e') value = this.decodeXml(raw);
+                    else value = Number(raw);
+                }
+                row[ref ? this.columnIndex(ref) : cellPosition] = value;
+            });
+            rows[rowNumber - 1] = Array.from(row, value => (value === undefined ? '' : value));
+        });
+
+        return Array.from(rows, row => row || []);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XlsxReader;
+} else {
+    window.XlsxReader = XlsxReader;
+}
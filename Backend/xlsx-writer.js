@@ -0,0 +1,274 @@
+/**
+ * SparrowTrack - XLSX Writer
+ * Minimal Office Open XML spreadsheet writer (no dependencies): one or more
+ * sheets of plain rows, packed into an uncompressed ZIP container
+ */
+
+class XlsxWriter {
+    constructor() {
+        this.sheets = [];
+        this.crcTable = null;
+    }
+
+    /**
+     * Add a worksheet. The first row is styled as a bold, frozen header.
+     * @param {string} name - Sheet name (trimmed to Excel's 31-character limit)
+     * @param {Array} rows - Rows of cell values (string, number, or null/undefined for empty)
+     */
+    addSheet(name, rows) {
+        const safeName = (name || `Sheet${this.sheets.length + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+        this.sheets.push({ name: safeName, rows: rows });
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML 1.0 does not allow
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Spreadsheet column letters for a 0-based index (0 = A, 26 = AA)
+     * @param {number} index - Column index
+     * @returns {string} Column letters
+     */
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Build the XML for one worksheet
+     * @param {Array} rows - Rows of cell values
+     * @returns {string} Worksheet XML
+     */
+    buildSheetXml(rows) {
+        const widths = [];
+        rows.forEach(row => row.forEach((value, column) => {
+            const length = value === null || value === undefined ? 0 : String(value).length;
+            widths[column] = Math.min(50, Math.max(widths[column] || 8, length + 2));
+        }));
+
+        const cols = widths.map((width, column) =>
+            `<col min="${column + 1}" max="${column + 1}" width="${width}" customWidth="1"/>`).join('');
+
+        const sheetRows = rows.map((row, rowIndex) => {
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            const cells = row.map((value, column) => {
+                const ref = `${this.columnName(column)}${rowIndex + 1}`;
+                if (value === null || value === undefined || value === '') return '';
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+            '</sheetView></sheetViews>' +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${sheetRows}</sheetData>` +
+            '</worksheet>';
+    }
+
+    /**
+     * Build the package parts of the workbook
+     * @returns {Array} Files ({name, content})
+     */
+    buildParts() {
+        const sheets = this.sheets.length > 0 ? this.sheets : [{ name: 'Sheet1', rows: [] }];
+        const sheetOverrides = sheets.map((sheet, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ` +
+            'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('');
+        const sheetEntries = sheets.map((sheet, index) =>
+            `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('');
+        const sheetRels = sheets.map((sheet, index) =>
+            `<Relationship Id="rId${index + 1}" ` +
+            'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" ' +
+            `Target="worksheets/sheet${index + 1}.xml"/>`).join('');
+        const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+        return [
+            {
+                name: '[Content_Types].xml',
+                content: xmlHeader +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ' +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ' +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheetOverrides +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xmlHeader +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" ' +
+                    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" ' +
+                    'Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xmlHeader +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets>${sheetEntries}</sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xmlHeader +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheetRels +
+                    `<Relationship Id="rId${sheets.length + 1}" ` +
+                    'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" ' +
+                    'Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: xmlHeader +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+                    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+                    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            ...sheets.map((sheet, index) => ({
+                name: `xl/worksheets/sheet${index + 1}.xml`,
+                content: this.buildSheetXml(sheet.rows)
+            }))
+        ];
+    }
+
+    /**
+     * CRC-32 of a byte array, as used by ZIP
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Pack files into a ZIP archive without compression
+     * @param {Array} files - Files ({name, content}); content is a string (UTF-8) or Uint8Array
+     * @returns {Uint8Array} ZIP bytes
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((total, chunk) => total + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((total, chunk) => total + chunk.length, 0));
+        let position = 0;
+        parts.forEach(chunk => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        return output;
+    }
+
+    /**
+     * Build the .xlsx file
+     * @returns {Uint8Array} Workbook bytes
+     */
+    toBytes() {
+        return this.zip(this.buildParts());
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XlsxWriter;
+} else {
+    window.XlsxWriter = XlsxWriter;
+}
@@ -0,0 +1,90 @@
+/**
+ * SparrowTrack - Service Worker
+ * Caches the app shell so the app opens offline. Shell files are served from the cache
+ * and refreshed in the background; API requests always go to the network.
+ */
+
+// Bump the version whenever the shell changes so old caches are dropped on activation
+const CACHE_NAME = 'sparrowtrack-shell-v10';
+
+// Keep in step with the <script> tags in index.html
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'flying-sparrow-logo.png.jpeg',
+    'icon-192.png',
+    'icon-512.png',
+    'icon-maskable-512.png',
+    'Backend/local-storage-adapter.js',
+    'Backend/backup-format.js',
+    'Backend/data-manager.js',
+    'Backend/password-hasher.js',
+    'Backend/message-catalog.js',
+    'Backend/access-control.js',
+    'Backend/session-manager.js',
+    'Backend/user-handler.js',
+    'Backend/schedule-manager.js',
+    'Backend/time-zone-manager.js',
+    'Backend/location-policy.js',
+    'Backend/holiday-calendar.js',
+    'Backend/leave-manager.js',
+    'Backend/audit-log.js',
+    'Backend/correction-manager.js',
+    'Backend/team-reports.js',
+    'Backend/attendance-analytics.js',
+    'Backend/xlsx-writer.js',
+    'Backend/pdf-writer.js',
+    'Backend/export-manager.js',
+    'Backend/xlsx-reader.js',
+    'Backend/import-manager.js',
+    'Backend/dataset-merger.js',
+    'Backend/punch-queue.js',
+    'Backend/qr-code.js',
+    'Backend/kiosk-manager.js',
+    'Backend/attendance-handler.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('sparrowtrack-shell-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    // Only the shell is cached: same-origin GET requests outside the API
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.includes('/api/')) {
+        return;
+    }
+
+    event.respondWith(caches.open(CACHE_NAME).then(async cache => {
+        // Navigations all land on the single page, whatever query string they carry
+        const key = event.request.mode === 'navigate' ? 'index.html' : event.request;
+        const cached = await cache.match(key, { ignoreSearch: event.request.mode === 'navigate' });
+        const network = fetch(event.request)
+            .then(response => {
+                if (response.ok) cache.put(key, response.clone());
+                return response;
+            })
+            .catch(() => cached || Response.error());
+
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+        return network;
+    }));
+});
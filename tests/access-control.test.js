@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, PASSWORD } = require('./helpers');
+
+/**
+ * Create an installation with an admin (the first account) and an employee
+ * @returns {Promise<Object>} App from createApp()
+ */
+async function createTeam() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    return app;
+}
+
+test('the first account becomes admin and later accounts employees', async () => {
+    const { dataManager, userHandler } = await createTeam();
+    const users = dataManager.getUsers();
+
+    assert.equal(users['admin@x.com'].role, 'admin');
+    assert.equal(users['emp@x.com'].role, 'employee');
+    assert.equal(userHandler.accessControl.getRole({ email: 'old@x.com' }), 'employee');
+});
+
+test('admin operations refuse anonymous callers and employees', async () => {
+    const { dataManager, userHandler } = await createTeam();
+
+    assert.equal(userHandler.getAllUsers().code, 'UNAUTHENTICATED');
+
+    await login(userHandler, 'emp@x.com');
+    assert.equal(userHandler.getAllUsers().code, 'FORBIDDEN');
+    assert.equal(userHandler.setUserRole('emp@x.com', 'admin').code, 'FORBIDDEN');
+    assert.equal(userHandler.deactivateUser('admin@x.com').code, 'FORBIDDEN');
+    assert.equal(dataManager.exportData().code, 'FORBIDDEN');
+    assert.equal(dataManager.clearAllData().code, 'FORBIDDEN');
+});
+
+test('employees reach their own attendance but not a colleague\'s', async () => {
+    const { userHandler, attendanceHandler } = await createTeam();
+    await login(userHandler, 'emp@x.com');
+
+    assert.equal(attendanceHandler.punchIn('emp@x.com').success, true);
+    assert.equal(attendanceHandler.punchIn('admin@x.com').code, 'FORBIDDEN');
+    assert.equal(attendanceHandler.getAttendanceRecord('admin@x.com').code, 'FORBIDDEN');
+});
+
+test('managers read team data but cannot manage roles', async () => {
+    const { userHandler, attendanceHandler } = await createTeam();
+    await login(userHandler, 'admin@x.com');
+    assert.equal(userHandler.setUserRole('emp@x.com', 'manager').success, true);
+
+    await login(userHandler, 'emp@x.com');
+    assert.ok(Array.isArray(userHandler.getAllUsers()));
+    assert.equal(attendanceHandler.getAttendanceRecord('admin@x.com'), null);
+    assert.equal(userHandler.setUserRole('emp@x.com', 'admin').code, 'FORBIDDEN');
+});
+
+test('roles are read from the user store, not the session snapshot', async () => {
+    const { dataManager, userHandler } = await createTeam();
+    await login(userHandler, 'admin@x.com');
+
+    const users = dataManager.getUsers();
+    users['admin@x.com'].role = 'employee';
+    dataManager.setUsers(users);
+
+    assert.equal(userHandler.getAllUsers().code, 'FORBIDDEN');
+});
+
+test('setUserRole rejects unknown roles', async () => {
+    const { userHandler } = await createTeam();
+    await login(userHandler, 'admin@x.com');
+
+    assert.equal(userHandler.setUserRole('emp@x.com', 'owner').messageCode, 'user.invalid_role');
+});
+
+test('the last active admin cannot be demoted or deactivated', async () => {
+    const { userHandler } = await createTeam();
+    await login(userHandler, 'admin@x.com');
+
+    assert.equal(userHandler.setUserRole('admin@x.com', 'employee').messageCode, 'user.last_admin');
+    assert.equal(userHandler.deactivateUser('admin@x.com').messageCode, 'user.last_admin');
+
+    assert.equal(userHandler.setUserRole('emp@x.com', 'admin').success, true);
+    assert.equal(userHandler.deactivateUser('admin@x.com').success, true);
+});
+
+test('account changes for an email that is not text find no user', async () => {
+    const { userHandler } = await createTeam();
+    await login(userHandler, 'admin@x.com');
+
+    assert.equal(userHandler.deactivateUser(5).messageCode, 'user.not_found');
+    assert.equal(userHandler.activateUser(null).messageCode, 'user.not_found');
+    assert.equal((await userHandler.login(5, PASSWORD)).messageCode, 'user.credentials_required');
+});
+
+test('bootstrapAdmin only promotes when no active admin exists', async () => {
+    const { dataManager, userHandler } = await createTeam();
+    await login(userHandler, 'emp@x.com');
+    assert.equal(userHandler.bootstrapAdmin().code, 'FORBIDDEN');
+
+    const users = dataManager.getUsers();
+    delete users['admin@x.com'].role;
+    dataManager.setUsers(users);
+
+    assert.equal(userHandler.bootstrapAdmin().success, true);
+    assert.equal(dataManager.getUsers()['emp@x.com'].role, 'admin');
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, seedDay } = require('./helpers');
+
+/**
+ * Create an installation with an admin and an employee, logged in as the employee
+ * @returns {Promise<Object>} App from createApp() plus its analytics
+ */
+async function createOffice() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'emp@x.com');
+    return { ...app, analytics: app.attendanceHandler.attendanceAnalytics };
+}
+
+/**
+ * Record the same spans on every weekday of a range
+ * @param {Object} app - App from createOffice()
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {Array} spans - [punchIn, punchOut] pairs, as for seedDay()
+ */
+function seedWeekdays(app, startDate, endDate, spans) {
+    const timeZoneManager = app.attendanceHandler.timeZoneManager;
+    for (let date = startDate; date <= endDate; date = timeZoneManager.addDays(date, 1)) {
+        const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (day !== 0 && day !== 6) seedDay(app.attendanceHandler, 'emp@x.com', date, spans);
+    }
+}
+
+test('ranges must be real dates, in order and at most a year long', async () => {
+    const { analytics } = await createOffice();
+
+    assert.deepEqual(analytics.getRange(null, null, '2026-03-31'), { success: true, startDate: '2026-01-01', endDate: '2026-03-31' });
+    assert.equal(analytics.getRange('2026-02-30', '2026-03-31').messageCode, 'analytics.invalid_range');
+    assert.equal(analytics.getRange('2026-04-01', '2026-03-31').messageCode, 'analytics.invalid_range');
+    assert.equal(analytics.getRange('2025-01-01', '2025-12-31').success, true);
+    assert.equal(analytics.getRange('2025-01-01', '2026-01-02').messageCode, 'analytics.range_too_long');
+});
+
+test('punctuality, streaks and arrival times follow the schedule', async () => {
+    const app = await createOffice();
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-02', [['09:00', '17:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-03', [['09:20', '17:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-04', [['09:00', '17:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-05', [['09:00', '16:00']]);
+
+    const result = app.analytics.getUserAnalytics('emp@x.com', { startDate: '2026-03-02', endDate: '2026-03-06' });
+
+    // Four scheduled days worked: one late and one early, each losing half a point
+    assert.deepEqual([result.punctuality.score, result.punctuality.lateArrivals, result.punctuality.earlyDepartures], [75, 1, 1]);
+    assert.equal(result.punctuality.averageMinutesLate, 20);
+    assert.equal(result.attendanceRate, 80);
+    assert.deepEqual(result.streaks.attendance, { current: 0, longest: 4 });
+    assert.deepEqual(result.streaks.onTime, { current: 0, longest: 2 });
+    assert.equal(result.arrival.average, '09:05');
+    assert.equal(result.departure.average, '16:45');
+    assert.equal(result.trend[3].rollingAverage, 7.67);
+    assert.equal(result.heatmap.days[1].hours[9], 1);
+    assert.equal(result.heatmap.days[2].hours[9], 0.67);
+    assert.deepEqual(result.anomalies, []);
+});
+
+test('long shifts, forgotten punch outs and a drop in hours are flagged', async () => {
+    const app = await createOffice();
+    seedWeekdays(app, '2026-03-02', '2026-03-13', [['09:00', '17:00']]);
+    seedWeekdays(app, '2026-03-16', '2026-03-27', [['09:00', '11:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-17', [['08:00', '21:00']]);
+    const records = app.dataManager.getAttendanceRecords();
+    ['2026-03-19', '2026-03-20'].forEach(date => {
+        records['emp@x.com'][date].review = { reason: 'missing_punch_out', autoClosed: true, resolvedAt: null };
+    });
+    app.dataManager.setAttendanceRecords(records);
+
+    const { anomalies } = app.analytics.getUserAnalytics('emp@x.com', { startDate: '2026-03-02', endDate: '2026-03-29' });
+
+    assert.deepEqual(anomalies.map(anomaly => [anomaly.type, anomaly.severity]),
+        [['long_shift', 'high'], ['hours_drop', 'high'], ['missing_punch_outs', 'medium']]);
+    assert.equal(anomalies[0].date, '2026-03-17');
+    assert.deepEqual([anomalies[1].since, anomalies[1].earlierAverageHours, anomalies[1].recentAverageHours], ['2026-03-16', 8, 3.1]);
+    assert.equal(anomalies[1].messageCode, 'analytics.hours_drop');
+    assert.deepEqual(anomalies[2].dates, ['2026-03-19', '2026-03-20']);
+});
+
+test('team anomalies are for managers and list only people with anomalies', async () => {
+    const app = await createOffice();
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-02', [['06:00', '19:00']]);
+    const range = { startDate: '2026-03-02', endDate: '2026-03-06' };
+    assert.equal(app.analytics.getTeamAnomalies({}, range).code, 'FORBIDDEN');
+
+    await login(app.userHandler, 'admin@x.com');
+    const result = app.analytics.getTeamAnomalies({ department: 'Ops' }, range);
+
+    assert.deepEqual(result.people.map(person => [person.email, person.anomalies[0].type]), [['emp@x.com', 'long_shift']]);
+    assert.equal(app.analytics.getTeamAnomalies({}, { startDate: '2026-03-06', endDate: '2026-03-02' }).messageCode,
+        'analytics.invalid_range');
+});
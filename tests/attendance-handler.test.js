@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, useMiddayTimeZone, backdateSession, hoursAgo } = require('./helpers');
+
+/**
+ * Create an installation with one logged-in user whose site runs in middayTimeZone()
+ * @returns {Promise<Object>} App from createApp()
+ */
+async function createPuncher() {
+    const app = createApp();
+    useMiddayTimeZone(app.attendanceHandler);
+    await register(app.userHandler, 'a@x.com');
+    await login(app.userHandler, 'a@x.com');
+    backdateSession(app.userHandler, 12);
+    return app;
+}
+
+/**
+ * Build a record from wall-clock spans on a UTC date
+ * @param {AttendanceHandler} attendanceHandler - Attendance handler
+ * @param {Array} intervals - [punchIn, punchOut] time pairs (HH:MM)
+ * @param {Array} breaks - [start, end] time pairs (HH:MM)
+ * @returns {Object} Refreshed record
+ */
+function buildRecord(attendanceHandler, intervals, breaks = []) {
+    const date = '2026-03-02';
+    const at = time => time ? `${date}T${time}:00.000Z` : null;
+    const record = attendanceHandler.createRecord(date, 'UTC');
+    record.intervals = intervals.map(([punchIn, punchOut]) => ({
+        punchIn: `${punchIn}:00`,
+        punchInTimestamp: at(punchIn),
+        punchOut: punchOut ? `${punchOut}:00` : null,
+        punchOutTimestamp: at(punchOut)
+    }));
+    record.breaks = breaks.map(([start, end]) => ({
+        type: 'lunch',
+        start: `${start}:00`,
+        startTimestamp: at(start),
+        end: `${end}:00`,
+        endTimestamp: at(end)
+    }));
+    return attendanceHandler.refreshRecord(record);
+}
+
+test('several punches in a day add up as separate intervals', async () => {
+    const { attendanceHandler } = await createPuncher();
+
+    assert.equal(attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(5) }).success, true);
+    assert.equal(attendanceHandler.punchOut('a@x.com', '', { timestamp: hoursAgo(4) }).success, true);
+    assert.equal(attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(3) }).interval, 2);
+    const result = attendanceHandler.punchOut('a@x.com', '', { timestamp: hoursAgo(1) });
+
+    const record = attendanceHandler.getAttendanceRecord('a@x.com', result.date);
+    assert.equal(record.intervals.length, 2);
+    assert.equal(record.punchInTimestamp, record.intervals[0].punchInTimestamp);
+    assert.equal(record.punchOutTimestamp, record.intervals[1].punchOutTimestamp);
+    assert.ok(Math.abs(record.workingHours - 3) < 0.01);
+});
+
+test('punching in twice or out without an open interval is refused', async () => {
+    const { attendanceHandler } = await createPuncher();
+
+    assert.equal(attendanceHandler.punchOut('a@x.com').messageCode, 'attendance.no_punch_in_today');
+    attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(2) });
+    assert.equal(attendanceHandler.punchIn('a@x.com').code, 'CONFLICT');
+    attendanceHandler.punchOut('a@x.com');
+    assert.equal(attendanceHandler.punchOut('a@x.com').code, 'CONFLICT');
+});
+
+test('breaks need an open interval, run one at a time and end at punch out', async () => {
+    const { attendanceHandler } = await createPuncher();
+
+    assert.equal(attendanceHandler.startBreak('a@x.com').messageCode, 'attendance.punch_in_first');
+    attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(2) });
+    assert.equal(attendanceHandler.startBreak('a@x.com', 'nap').messageCode, 'attendance.invalid_break_type');
+    assert.equal(attendanceHandler.startBreak('a@x.com', 'meeting').success, true);
+    assert.equal(attendanceHandler.startBreak('a@x.com').messageCode, 'attendance.already_on_break');
+
+    const result = attendanceHandler.punchOut('a@x.com');
+    const record = attendanceHandler.getAttendanceRecord('a@x.com', result.date);
+    assert.ok(record.breaks[0].end);
+    assert.equal(attendanceHandler.endBreak('a@x.com').messageCode, 'attendance.not_on_break');
+});
+
+test('working hours are the intervals minus the breaks', () => {
+    const { attendanceHandler } = createApp();
+
+    const record = buildRecord(attendanceHandler, [['09:00', '12:30'], ['13:00', '17:30']], [['10:30', '10:45']]);
+
+    assert.equal(record.breakHours, 0.25);
+    assert.equal(record.workingHours, 7.75);
+    assert.equal(record.punchIn, '09:00:00');
+    assert.equal(record.punchOut, '17:30:00');
+});
+
+test('an open interval leaves the day without a punch out', () => {
+    const { attendanceHandler } = createApp();
+
+    const record = buildRecord(attendanceHandler, [['09:00', '12:00'], ['13:00', null]]);
+
+    assert.equal(record.punchOut, null);
+    assert.equal(record.workingHours, 3);
+});
+
+test('records from before intervals existed read as a single interval', () => {
+    const { attendanceHandler } = createApp();
+
+    const intervals = attendanceHandler.getIntervals({ punchIn: '09:00:00', punchOut: '17:00:00' });
+
+    assert.deepEqual(intervals, [{ punchIn: '09:00:00', punchInTimestamp: null, punchOut: '17:00:00', punchOutTimestamp: null }]);
+});
+
+test('an overnight shift is filed under the day it started', async () => {
+    const { attendanceHandler, userHandler } = await createPuncher();
+    backdateSession(userHandler, 6);
+    const started = attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(15) });
+
+    assert.equal(attendanceHandler.getAttendanceStatus('a@x.com').status, 'punched_in');
+    assert.equal(attendanceHandler.getCurrentShiftRecord('a@x.com').date, started.date);
+
+    const result = attendanceHandler.punchOut('a@x.com', '', { timestamp: hoursAgo(7) });
+    const record = attendanceHandler.getAttendanceRecord('a@x.com', started.date);
+
+    assert.equal(result.date, started.date);
+    assert.notEqual(attendanceHandler.getToday('a@x.com'), started.date);
+    assert.equal(attendanceHandler.isOvernight(record), true);
+    assert.ok(Math.abs(record.workingHours - 8) < 0.01);
+});
+
+test('a shift open longer than maxShiftHours no longer counts as in progress', async () => {
+    const { dataManager, attendanceHandler } = await createPuncher();
+    attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(10) });
+
+    const settings = dataManager.getSettings();
+    settings.attendance = { maxShiftHours: 8 };
+    dataManager.setSettings(settings);
+
+    assert.equal(attendanceHandler.findOpenShift(dataManager.getAttendanceRecords()['a@x.com']), null);
+});
+
+test('wall-clock times without timestamps wrap past midnight', () => {
+    const { attendanceHandler } = createApp();
+
+    assert.equal(attendanceHandler.calculateHours('22:00:00', '06:30:00'), 8.5);
+    assert.equal(attendanceHandler.isOvernight({ date: '2026-03-02', punchIn: '22:00:00', punchOut: '06:30:00' }), true);
+    assert.equal(attendanceHandler.isOvernight({ date: '2026-03-02', punchIn: '09:00:00', punchOut: '17:00:00' }), false);
+});
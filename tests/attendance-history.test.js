@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, seedDay } = require('./helpers');
+
+/**
+ * Create an installation with an admin and an employee, logged in as the employee, whose
+ * first week of March 2026 holds a full, a partial and a short day, a shift left open
+ * and a holiday
+ * @returns {Promise<Object>} App from createApp()
+ */
+async function createWeek() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'admin@x.com');
+    app.attendanceHandler.holidayCalendar.addHoliday('2026-03-06', 'Founders Day');
+    await login(app.userHandler, 'emp@x.com');
+
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-02', [['09:00', '17:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-03', [['09:00', '12:00'], ['13:00', '16:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-04', [['09:00', '11:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-05', [['09:00', null]]);
+    return app;
+}
+
+test('history entries carry the status the calendar is coloured by', async () => {
+    const { attendanceHandler } = await createWeek();
+
+    const history = attendanceHandler.getAttendanceHistory('emp@x.com', '2026-03-01', '2026-03-07');
+
+    assert.deepEqual(history.map(entry => [entry.date, entry.status]), [
+        ['2026-03-06', 'Holiday'],
+        ['2026-03-05', 'Missing Punch Out'],
+        ['2026-03-04', 'Short Day'],
+        ['2026-03-03', 'Partial Day'],
+        ['2026-03-02', 'Full Day']
+    ]);
+    assert.equal(history[0].holiday, 'Founders Day');
+    assert.equal(history[3].intervals.length, 2);
+});
+
+test('weekly and monthly summaries total the hours charted', async () => {
+    const { attendanceHandler } = await createWeek();
+
+    const week = attendanceHandler.getWeeklySummary('emp@x.com', '2026-03-02');
+    const month = attendanceHandler.getMonthlySummary('emp@x.com', 2026, 3);
+
+    assert.equal(week.weekEnd, '2026-03-08');
+    assert.deepEqual([week.totalHours, week.daysWorked, week.daysPresent, week.holidays], [16, 3, 4, 1]);
+    assert.equal(week.averageHours, 16 / 3);
+    assert.deepEqual([month.totalHours, month.fullDays, month.holidays], [16, 1, 1]);
+    assert.equal(month.expectedHours, month.workingDaysInMonth * 8);
+});
+
+test('only managers read someone else\'s history and summaries', async () => {
+    const { userHandler, attendanceHandler } = await createWeek();
+
+    assert.equal(attendanceHandler.getAttendanceHistory('admin@x.com', '2026-03-01', '2026-03-07').code, 'FORBIDDEN');
+    assert.equal(attendanceHandler.getWeeklySummary('admin@x.com', '2026-03-02').code, 'FORBIDDEN');
+
+    await login(userHandler, 'admin@x.com');
+    assert.equal(attendanceHandler.getMonthlySummary('emp@x.com', 2026, 3).totalHours, 16);
+});
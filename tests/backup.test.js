@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createApp, register, login, seedDay } = require('./helpers');
+
+/**
+ * Create an installation with an admin (logged in) and one worked day
+ * @returns {Promise<Object>} App from createApp()
+ */
+async function createInstallation() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'admin@x.com');
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-02', [['09:00', '17:00']]);
+    return app;
+}
+
+/**
+ * Deep copy of a backup
+ * @param {Object} backup - Backup
+ * @returns {Object} Copy
+ */
+function copy(backup) {
+    return JSON.parse(JSON.stringify(backup));
+}
+
+test('checksums and signatures match standard SHA-256 and HMAC over canonical JSON', () => {
+    const { dataManager } = createApp();
+    const format = dataManager.backupFormat;
+    const text = 'Zoë ✓ '.repeat(40);
+
+    assert.equal(format.canonicalJson({ b: [1, { d: 1, c: undefined }], a: 'x' }), '{"a":"x","b":[1,{"d":1}]}');
+    assert.equal(format.sha256(text), crypto.createHash('sha256').update(text).digest('hex'));
+    assert.equal(format.hmacSha256('k'.repeat(100), text), crypto.createHmac('sha256', 'k'.repeat(100)).update(text).digest('hex'));
+    assert.equal(format.computeChecksum({ b: 1, a: 2 }), format.computeChecksum({ a: 2, b: 1 }));
+});
+
+test('a backup round-trips on the installation that wrote it', async () => {
+    const { dataManager } = await createInstallation();
+    const backup = dataManager.exportData();
+
+    assert.match(backup.signature, /^hmac-sha256:[0-9a-f]{64}$/);
+    assert.equal(JSON.stringify(backup).includes(dataManager.getInstallationKey('backup')), false);
+
+    const result = dataManager.importData(JSON.stringify(backup));
+    assert.equal(result.success, true);
+    assert.deepEqual(result.warnings, []);
+    assert.equal(dataManager.getAuditLog().at(-1).action, 'data_imported');
+});
+
+test('edited and foreign backups are refused unless trusted', async () => {
+    const { dataManager } = await createInstallation();
+    const other = await createInstallation();
+    const backup = dataManager.exportData();
+
+    const corrupted = copy(backup);
+    corrupted.data.users['emp@x.com'].name = 'Mallory';
+    assert.equal(dataManager.importData(corrupted).messageCode, 'backup.checksum_mismatch');
+
+    corrupted.checksum = dataManager.backupFormat.computeChecksum(corrupted.data);
+    assert.equal(dataManager.importData(corrupted).code, 'UNVERIFIED');
+
+    assert.equal(other.dataManager.importData(backup).code, 'UNVERIFIED');
+    const trusted = other.dataManager.importData(backup, { trustUnverified: true });
+    assert.equal(trusted.success, true);
+    assert.equal(trusted.warnings.length, 1);
+});
+
+test('malformed, unknown and newer backups are refused before anything changes', async () => {
+    const { dataManager } = await createInstallation();
+    const backup = dataManager.exportData();
+
+    assert.equal(dataManager.importData('{oops').messageCode, 'backup.invalid_json');
+    assert.equal(dataManager.importData('[]').messageCode, 'backup.not_object');
+    assert.equal(dataManager.importData({ ...backup, version: 'next' }).messageCode, 'backup.unknown_version');
+    assert.equal(dataManager.importData({ ...backup, version: '99.0.0' }).messageCode, 'backup.version_too_new');
+
+    const invalid = copy(backup);
+    invalid.data.users['emp@x.com'].email = 'someone@x.com';
+    invalid.checksum = dataManager.backupFormat.computeChecksum(invalid.data);
+    const result = dataManager.importData(invalid, { trustUnverified: true });
+    assert.equal(result.messageCode, 'backup.invalid');
+    assert.ok(result.errors.some(error => error.includes('.email')));
+    assert.equal(dataManager.getUsers()['emp@x.com'].email, 'emp@x.com');
+});
+
+test('legacy dumps are upgraded with a warning that they carried no checksum', async () => {
+    const { dataManager } = await createInstallation();
+    const legacy = {
+        users: { 'Old@X.com': { id: 'EMP1', name: 'Old', email: 'Old@X.com', password: 'secret1', department: 'Ops', position: 'Dev' } },
+        attendanceRecords: { 'Old@X.com': { 'Mon Jan 05 2026': { punchIn: '9:00:00 AM', punchOut: '5:00:00 PM' } } }
+    };
+
+    assert.equal(dataManager.importData(legacy).code, 'UNVERIFIED');
+    const result = dataManager.importData(legacy, { trustUnverified: true });
+
+    assert.equal(result.fromVersion, '0.0.0');
+    assert.equal(result.warnings.length, 2);
+    assert.equal(dataManager.getAttendanceRecords()['old@x.com']['2026-01-05'].workingHours, 8);
+});
+
+test('the snapshot taken before an import restores the earlier data', async () => {
+    const { dataManager, userHandler } = await createInstallation();
+    const other = await createInstallation();
+    other.dataManager.setUsers({ ...other.dataManager.getUsers(), 'new@x.com': { ...other.dataManager.getUsers()['emp@x.com'], email: 'new@x.com' } });
+
+    assert.equal(dataManager.restoreSnapshot().code, 'NOT_FOUND');
+    dataManager.importData(other.dataManager.exportData(), { trustUnverified: true });
+    assert.ok(dataManager.getUsers()['new@x.com']);
+    assert.equal(dataManager.getSnapshotInfo().reason, 'pre-import');
+
+    assert.equal(dataManager.restoreSnapshot().success, true);
+    assert.equal(dataManager.getUsers()['new@x.com'], undefined);
+    assert.equal(dataManager.getAuditLog().at(-1).action, 'snapshot_restored');
+
+    await register(userHandler, 'emp2@x.com');
+    await login(userHandler, 'emp2@x.com');
+    assert.equal(dataManager.importData(dataManager.getSnapshot().backup).code, 'FORBIDDEN');
+    assert.equal(dataManager.restoreSnapshot().code, 'FORBIDDEN');
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, seedDay } = require('./helpers');
+
+const DATE = '2026-03-02';
+
+/**
+ * Create an installation with an admin, a manager and an employee who worked 09:00-17:00 on DATE;
+ * the employee is logged in
+ * @returns {Promise<Object>} App from createApp() plus its correction manager
+ */
+async function createOffice() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'boss@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'admin@x.com');
+    app.userHandler.setUserRole('boss@x.com', 'manager');
+    seedDay(app.attendanceHandler, 'emp@x.com', DATE, [['09:00', '17:00']]);
+    await login(app.userHandler, 'emp@x.com');
+    return { ...app, corrections: app.attendanceHandler.correctionManager };
+}
+
+test('an approved correction rewrites the interval and is audited', async () => {
+    const { userHandler, attendanceHandler, corrections } = await createOffice();
+    const request = corrections.requestCorrection('emp@x.com', DATE, { punchOut: '18:30', reason: 'Stayed late' }).request;
+
+    assert.equal(attendanceHandler.getAttendanceRecord('emp@x.com', DATE).punchOut, '17:00:00');
+
+    await login(userHandler, 'boss@x.com');
+    assert.equal(corrections.approveCorrection(request.id, 'ok').success, true);
+
+    const record = attendanceHandler.getAttendanceRecord('emp@x.com', DATE);
+    assert.equal(record.punchOut, '18:30:00');
+    assert.equal(record.punchOutTimestamp, '2026-03-02T18:30:00.000Z');
+    assert.equal(record.workingHours, 9.5);
+
+    const entry = attendanceHandler.auditLog.getRecordHistory('emp@x.com', DATE)[0];
+    assert.equal(entry.action, 'correction_applied');
+    assert.equal(entry.actor, 'boss@x.com');
+    assert.equal(entry.before.punchOut, '17:00:00');
+    assert.equal(entry.details.requestId, request.id);
+});
+
+test('requests need a reason, valid times and a date', async () => {
+    const { corrections } = await createOffice();
+
+    assert.equal(corrections.requestCorrection('emp@x.com', DATE, { punchOut: '18:00' }).messageCode, 'correction.reason_required');
+    assert.equal(corrections.requestCorrection('emp@x.com', DATE, { reason: 'x' }).messageCode, 'correction.time_required');
+    assert.equal(corrections.requestCorrection('emp@x.com', DATE, { punchOut: '25:00', reason: 'x' }).messageCode, 'correction.invalid_time');
+    assert.equal(corrections.requestCorrection('emp@x.com', '03/02/2026', { punchOut: '18:00', reason: 'x' }).messageCode,
+        'correction.invalid_date');
+});
+
+test('proposed intervals may not overlap, run too long or end in the future', async () => {
+    const { corrections } = await createOffice();
+
+    assert.equal(corrections.requestCorrection('emp@x.com', DATE, { punchIn: '16:00', punchOut: '19:00', reason: 'x', interval: 1 }).messageCode,
+        'correction.overlaps');
+    assert.equal(corrections.requestCorrection('emp@x.com', DATE, { punchIn: '01:00', punchOut: '23:00', reason: 'x' }).messageCode,
+        'attendance.shift_too_long');
+    assert.equal(corrections.requestCorrection('emp@x.com', '2099-01-01', { punchIn: '09:00', reason: 'x' }).messageCode,
+        'correction.in_future');
+});
+
+test('a missed interval can be added after the existing ones', async () => {
+    const { userHandler, attendanceHandler, corrections } = await createOffice();
+    const request = corrections.requestCorrection('emp@x.com', DATE, { punchIn: '18:00', punchOut: '20:00', reason: 'Evening call', interval: 1 }).request;
+
+    await login(userHandler, 'boss@x.com');
+    corrections.approveCorrection(request.id);
+
+    const record = attendanceHandler.getAttendanceRecord('emp@x.com', DATE);
+    assert.equal(record.intervals.length, 2);
+    assert.equal(record.workingHours, 10);
+});
+
+test('only one pending request per day', async () => {
+    const { corrections } = await createOffice();
+    corrections.requestCorrection('emp@x.com', DATE, { punchOut: '18:00', reason: 'x' });
+
+    assert.equal(corrections.requestCorrection('emp@x.com', DATE, { punchIn: '08:00', reason: 'y' }).code, 'CONFLICT');
+});
+
+test('employees cannot review and reviewers cannot approve their own requests', async () => {
+    const { userHandler, corrections } = await createOffice();
+    const request = corrections.requestCorrection('emp@x.com', DATE, { punchOut: '18:00', reason: 'x' }).request;
+    assert.equal(corrections.approveCorrection(request.id).code, 'FORBIDDEN');
+
+    await login(userHandler, 'boss@x.com');
+    seedDay(corrections.attendanceHandler, 'boss@x.com', DATE, [['09:00', '17:00']]);
+    const own = corrections.requestCorrection('boss@x.com', DATE, { punchOut: '18:00', reason: 'x' }).request;
+    assert.equal(corrections.approveCorrection(own.id).messageCode, 'correction.own_request');
+    assert.equal(corrections.rejectCorrection(request.id).success, true);
+    assert.equal(corrections.approveCorrection(request.id).code, 'CONFLICT');
+});
+
+test('approval is refused when the record changed after the request', async () => {
+    const { userHandler, attendanceHandler, corrections } = await createOffice();
+    const request = corrections.requestCorrection('emp@x.com', DATE, { punchOut: '18:00', reason: 'x' }).request;
+    seedDay(attendanceHandler, 'emp@x.com', DATE, [['08:00', '17:00']]);
+
+    await login(userHandler, 'boss@x.com');
+    const result = corrections.approveCorrection(request.id);
+
+    assert.equal(result.messageCode, 'correction.record_changed');
+    assert.equal(attendanceHandler.getAttendanceRecord('emp@x.com', DATE).punchOut, '17:00:00');
+    assert.equal(corrections.getCorrectionRequests('emp@x.com')[0].status, 'pending');
+});
+
+test('owners may withdraw their pending requests', async () => {
+    const { corrections } = await createOffice();
+    const request = corrections.requestCorrection('emp@x.com', DATE, { punchOut: '18:00', reason: 'x' }).request;
+
+    assert.equal(corrections.cancelCorrection(request.id).success, true);
+    assert.equal(corrections.cancelCorrection(request.id).code, 'CONFLICT');
+});
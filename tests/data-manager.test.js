@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+
+/**
+ * Storage holding data written by the original single-page app
+ * @returns {MemoryStorageAdapter} Storage with legacy keys
+ */
+function createLegacyStorage() {
+    return new MemoryStorageAdapter({
+        users: JSON.stringify({
+            'Old@X.com': { id: 'EMP1', name: 'Old', email: 'Old@X.com', password: 'secret1', department: 'Ops', position: 'Dev' }
+        }),
+        attendanceRecords: JSON.stringify({
+            'Old@X.com': {
+                'Mon Jan 05 2026': { punchIn: '9:05:12 AM', punchOut: '5:35:00 PM', workingHours: '8.50', notes: 'ok' },
+                'not a date': { punchIn: '9:00:00 AM' }
+            }
+        }),
+        currentUser: JSON.stringify({ email: 'Old@X.com' })
+    });
+}
+
+test('legacy users and records move into the current schema once', () => {
+    const storage = createLegacyStorage();
+    const dataManager = new DataManager(storage);
+
+    const user = dataManager.getUsers()['old@x.com'];
+    assert.equal(user.role, 'employee');
+    assert.equal(user.isActive, true);
+
+    const record = dataManager.getAttendanceRecords()['old@x.com']['2026-01-05'];
+    assert.equal(record.punchIn, '09:05:12');
+    assert.equal(record.punchOut, '17:35:00');
+    assert.equal(record.workingHours, 8.5);
+    assert.equal(Object.keys(dataManager.getAttendanceRecords()['old@x.com']).length, 1);
+
+    ['users', 'attendanceRecords', 'currentUser'].forEach(key => assert.equal(storage.getItem(key), null));
+    assert.equal(dataManager.getSettings().legacyMigration.records, 1);
+});
+
+test('legacy migration never overwrites data already in the current schema', () => {
+    const storage = createLegacyStorage();
+    storage.setItem('sparrowtrack_users', JSON.stringify({ 'old@x.com': { email: 'old@x.com', name: 'Current' } }));
+
+    const dataManager = new DataManager(storage);
+
+    assert.equal(dataManager.getUsers()['old@x.com'].name, 'Current');
+});
+
+test('parseLegacyTime reads 12 and 24 hour locale strings', () => {
+    const dataManager = new DataManager(new MemoryStorageAdapter());
+
+    assert.equal(dataManager.parseLegacyTime('12:15:00 AM'), '00:15:00');
+    assert.equal(dataManager.parseLegacyTime('12:15 PM'), '12:15:00');
+    assert.equal(dataManager.parseLegacyTime('21:05:12'), '21:05:12');
+    assert.equal(dataManager.parseLegacyTime('--'), null);
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, buildDay, seedDay } = require('./helpers');
+
+/**
+ * Create an installation with an admin (logged in) and an employee with three days on record:
+ * a shift left open, one closed automatically and a morning shift
+ * @returns {Promise<Object>} App from createApp() plus its dataset merger
+ */
+async function createOffice() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'admin@x.com');
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-02', [['09:00', null]]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-03', [['09:00', '17:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-04', [['09:00', '12:00']]);
+
+    const records = app.dataManager.getAttendanceRecords();
+    records['emp@x.com']['2026-03-03'].intervals[0].autoClosed = true;
+    app.dataManager.setAttendanceRecords(records);
+    return { ...app, merger: app.attendanceHandler.datasetMerger };
+}
+
+/**
+ * A kiosk's copy of the office data with its own punches for the same days
+ * @param {Object} app - App from createOffice()
+ * @returns {Object} Unsigned backup of the kiosk data
+ */
+function createKioskBackup(app) {
+    const { dataManager, attendanceHandler } = app;
+    const data = JSON.parse(JSON.stringify(dataManager.collectSections()));
+    const days = data.attendance['emp@x.com'];
+    days['2026-03-02'] = buildDay(attendanceHandler, '2026-03-02', [['09:00', '18:00']]);
+    days['2026-03-03'] = buildDay(attendanceHandler, '2026-03-03', [['09:00', '16:30']]);
+    days['2026-03-04'] = buildDay(attendanceHandler, '2026-03-04', [['11:00', '14:00']]);
+    days['2026-03-05'] = buildDay(attendanceHandler, '2026-03-05', [['08:00', '10:00']]);
+    return dataManager.backupFormat.create(data);
+}
+
+test('a dry run reports the merge without changing anything', async () => {
+    const app = await createOffice();
+    const before = JSON.stringify(app.dataManager.getAttendanceRecords());
+
+    const result = app.merger.merge(JSON.stringify(createKioskBackup(app)), { dryRun: true, trustUnverified: true });
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.summary.attendance, { added: 1, merged: 2 });
+    assert.equal(JSON.stringify(app.dataManager.getAttendanceRecords()), before);
+    assert.equal(app.dataManager.getSnapshot(), null);
+});
+
+test('punches merge by timestamp and overlapping ones are reported', async () => {
+    const app = await createOffice();
+    const result = app.merger.merge(createKioskBackup(app), { trustUnverified: true });
+    const days = app.dataManager.getAttendanceRecords()['emp@x.com'];
+
+    // The closed interval beats the open one, a real punch out beats the automatic one
+    assert.equal(days['2026-03-02'].punchOut, '18:00:00');
+    assert.equal(days['2026-03-03'].punchOut, '16:30:00');
+    assert.equal(days['2026-03-05'].workingHours, 2);
+    assert.equal(days['2026-03-04'].punchOut, '12:00:00');
+    assert.deepEqual(result.conflicts.map(conflict => [conflict.key, conflict.reasonCode]),
+        [['emp@x.com/2026-03-04', 'merge.conflict.overlap']]);
+
+    assert.equal(app.dataManager.getSnapshot().reason, 'pre-merge');
+    assert.equal(app.dataManager.getAuditLog().at(-1).action, 'data_merged');
+    assert.equal(app.merger.merge(createKioskBackup(app), { trustUnverified: true }).summary.attendance.merged, 0);
+});
+
+test('users merge field by field and taken ids keep their attendance out', async () => {
+    const app = await createOffice();
+    const data = JSON.parse(JSON.stringify(app.dataManager.collectSections()));
+    const emp = data.users['emp@x.com'];
+    data.users['emp@x.com'] = { ...emp, position: 'Lead', role: 'admin', lastUpdated: new Date(Date.now() + 1000).toISOString() };
+    data.users['new@x.com'] = { ...emp, id: 'EMP-NEW-1', email: 'new@x.com', name: 'New' };
+    data.users['copy@x.com'] = { ...emp, email: 'copy@x.com' };
+    data.attendance['copy@x.com'] = { '2026-03-02': buildDay(app.attendanceHandler, '2026-03-02', [['09:00', '10:00']]) };
+
+    const result = app.merger.merge(app.dataManager.backupFormat.create(data), { trustUnverified: true });
+    const users = app.dataManager.getUsers();
+
+    assert.equal(users['emp@x.com'].position, 'Lead');
+    assert.equal(users['emp@x.com'].role, 'employee');
+    assert.equal(users['new@x.com'].name, 'New');
+    assert.equal(users['copy@x.com'], undefined);
+    assert.deepEqual(result.conflicts.map(conflict => [conflict.key, conflict.field, conflict.reasonCode]), [
+        ['emp@x.com', 'role', 'merge.conflict.local_field'],
+        ['copy@x.com', 'id', 'merge.conflict.id_taken'],
+        ['copy@x.com', null, 'merge.conflict.attendance_skipped']
+    ]);
+});
+
+test('fields kept locally are not filled in even when the local user lacks them', async () => {
+    const app = await createOffice();
+    const users = app.dataManager.getUsers();
+    delete users['emp@x.com'].role;
+    delete users['emp@x.com'].kiosk;
+    app.dataManager.setUsers(users);
+
+    const data = JSON.parse(JSON.stringify(app.dataManager.collectSections()));
+    data.users['emp@x.com'] = { ...data.users['emp@x.com'], role: 'admin', kiosk: { pin: 'x' } };
+    const result = app.merger.merge(app.dataManager.backupFormat.create(data), { trustUnverified: true });
+    const emp = app.dataManager.getUsers()['emp@x.com'];
+
+    assert.equal(emp.role, undefined);
+    assert.equal(emp.kiosk, undefined);
+    assert.equal(app.userHandler.accessControl.getRole(emp), 'employee');
+    assert.deepEqual(result.conflicts.map(conflict => [conflict.field, conflict.local, conflict.incoming, conflict.reasonCode]), [
+        ['role', undefined, 'admin', 'merge.conflict.local_field'],
+        ['kiosk', '[hidden]', '[hidden]', 'merge.conflict.local_field']
+    ]);
+});
+
+test('reviewed requests replace pending ones and other differences are reported', async () => {
+    const app = await createOffice();
+    app.attendanceHandler.holidayCalendar.addHoliday('2026-12-25', 'Christmas');
+    await login(app.userHandler, 'emp@x.com');
+    const request = app.attendanceHandler.leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-03-04' }).request;
+    await login(app.userHandler, 'admin@x.com');
+
+    const data = JSON.parse(JSON.stringify(app.dataManager.collectSections()));
+    data.leave.requests[request.id].status = 'approved';
+    data.holidays['2026-12-25'].name = 'Xmas';
+    const result = app.merger.merge(app.dataManager.backupFormat.create(data), { trustUnverified: true });
+
+    assert.equal(app.dataManager.getLeave().requests[request.id].status, 'approved');
+    assert.equal(app.attendanceHandler.holidayCalendar.getHoliday('2026-12-25').name, 'Christmas');
+    assert.deepEqual(result.conflicts.map(conflict => [conflict.section, conflict.reasonCode]), [['holidays', 'merge.conflict.differ']]);
+});
+
+test('merging needs import rights and a verified or trusted backup', async () => {
+    const app = await createOffice();
+    const backup = createKioskBackup(app);
+
+    assert.equal(app.merger.merge(backup).code, 'UNVERIFIED');
+    await login(app.userHandler, 'emp@x.com');
+    assert.equal(app.merger.merge(backup, { trustUnverified: true }).code, 'FORBIDDEN');
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, seedDay } = require('./helpers');
+
+const RANGE = { startDate: '2026-03-01', endDate: '2026-03-31' };
+
+/**
+ * Create an installation with an admin and an employee who worked two days in March 2026,
+ * one of them with a note and an unfinished second interval; the admin is logged in
+ * @returns {Promise<Object>} App from createApp() plus its export manager
+ */
+async function createExporter() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com', { name: '=Emp, Junior' });
+    await login(app.userHandler, 'admin@x.com');
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-02', [['09:00', '17:00']]);
+    seedDay(app.attendanceHandler, 'emp@x.com', '2026-03-03', [['09:00', '12:00'], ['13:00', null]]);
+
+    const records = app.dataManager.getAttendanceRecords();
+    records['emp@x.com']['2026-03-02'].notes = 'Said "hi"\nthen left';
+    app.dataManager.setAttendanceRecords(records);
+    return { ...app, exportManager: app.attendanceHandler.exportManager };
+}
+
+test('CSV fields are quoted, escaped and guarded against formulas', () => {
+    const { attendanceHandler } = createApp();
+    const exportManager = attendanceHandler.exportManager;
+
+    assert.equal(exportManager.formatCSVField('a "b"\r\nc'), '"a ""b""\r\nc"');
+    assert.equal(exportManager.formatCSVField('=SUM(A1)'), '"\'=SUM(A1)"');
+    assert.equal(exportManager.formatCSVField('@cmd'), '"\'@cmd"');
+    assert.equal(exportManager.formatCSVField(-5), '"-5"');
+    assert.equal(exportManager.formatCSVField(null), '""');
+    assert.equal(exportManager.buildCSV([['a', 'b'], [1, 2]]), '"a","b"\r\n"1","2"\r\n');
+});
+
+test('selections need a valid range and permission for other people', async () => {
+    const { userHandler, exportManager } = await createExporter();
+
+    assert.equal(exportManager.collect({ startDate: '2026-03-01' }).messageCode, 'export.dates_required');
+    assert.equal(exportManager.collect({ startDate: '2026-03-31', endDate: '2026-03-01' }).messageCode, 'export.start_after_end');
+    assert.equal(exportManager.collect({ ...RANGE, emails: ['ghost@x.com'] }).code, 'NOT_FOUND');
+    assert.deepEqual(exportManager.collect({ ...RANGE, emails: 'all' }).employees.map(employee => employee.email).sort(),
+        ['admin@x.com', 'emp@x.com']);
+
+    await login(userHandler, 'emp@x.com');
+    assert.equal(exportManager.collect({ ...RANGE, emails: 'all' }).code, 'FORBIDDEN');
+    assert.equal(exportManager.collect({ ...RANGE, emails: ['admin@x.com'] }).code, 'FORBIDDEN');
+    assert.equal(exportManager.collect(RANGE).employees[0].history.length, 2);
+});
+
+test('CSV and JSON Lines exports cover every selected day', async () => {
+    const { exportManager } = await createExporter();
+
+    const csv = await exportManager.createExport('csv', { ...RANGE, emails: ['emp@x.com'] });
+    assert.match(csv.filename, /^sparrowtrack-.+-2026-03-01-to-2026-03-31\.csv$/);
+    assert.ok(csv.content.includes('"Said ""hi""\nthen left"'));
+    assert.ok(csv.content.includes('"\'=Emp, Junior"'));
+
+    const jsonl = await exportManager.createExport('jsonl', { ...RANGE, emails: ['emp@x.com'] });
+    const lines = jsonl.content.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => [line.email, line.date]), [['emp@x.com', '2026-03-02'], ['emp@x.com', '2026-03-03']]);
+    assert.equal(lines[0].notes, 'Said "hi"\nthen left');
+});
+
+test('iCalendar exports one escaped, folded event per finished interval', async () => {
+    const { exportManager } = await createExporter();
+
+    const ics = (await exportManager.createExport('ics', { ...RANGE, emails: ['emp@x.com'] })).content;
+    const lines = ics.split('\r\n');
+
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.ok(lines.includes('DTSTART:20260302T090000Z'));
+    assert.ok(lines.includes('DTEND:20260303T120000Z'));
+    assert.ok(lines.includes('SUMMARY:Shift: =Emp\\, Junior'));
+    assert.ok(lines.every(line => new TextEncoder().encode(line).length <= 75));
+    assert.equal(exportManager.foldICSLine('x'.repeat(80)), `${'x'.repeat(75)}\r\n ${'x'.repeat(5)}`);
+});
+
+test('binary exports produce workbooks and PDFs', async () => {
+    const { exportManager } = await createExporter();
+    exportManager.logo = null;
+
+    const xlsx = await exportManager.createExport('xlsx', { ...RANGE, emails: 'all' });
+    const pdf = await exportManager.createExport('pdf', { ...RANGE, emails: 'all' });
+
+    assert.equal(Buffer.from(xlsx.content.subarray(0, 2)).toString(), 'PK');
+    assert.equal(Buffer.from(pdf.content.subarray(0, 5)).toString(), '%PDF-');
+    assert.equal(xlsx.filename.endsWith('attendance-2026-03-01-to-2026-03-31.xlsx'), true);
+    assert.equal((await exportManager.createExport('docx', RANGE)).messageCode, 'export.invalid_format');
+});
+
+test('PDF text comes from the catalog, in English where the fonts cannot show the language', async () => {
+    const { attendanceHandler, exportManager } = await createExporter();
+    exportManager.logo = null;
+    const catalog = attendanceHandler.messageCatalog;
+    const pdfText = async () => Buffer.from((await exportManager.createExport('pdf',
+        { startDate: '2026-04-01', endDate: '2026-04-30', emails: ['emp@x.com'] })).content).toString('latin1');
+
+    assert.ok((await pdfText()).includes('(No attendance recorded in this period.)'));
+
+    catalog.setLanguage('hi');
+    assert.ok((await pdfText()).includes('(No attendance recorded in this period.)'));
+
+    catalog.MESSAGES.hi['export.pdf_no_attendance'] = 'Période sans présence.';
+    assert.ok((await pdfText()).includes('(Période sans présence.)'));
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, seedDay } = require('./helpers');
+
+const DATE = '2026-03-02';
+
+/**
+ * Create an installation whose only user left a shift open since 09:00 on DATE,
+ * with the given attendance settings; the user is not logged in yet
+ * @param {Object} attendance - Attendance settings
+ * @returns {Promise<Object>} App from createApp()
+ */
+async function createForgotten(attendance) {
+    const app = createApp();
+    await register(app.userHandler, 'a@x.com');
+    const settings = app.dataManager.getSettings();
+    settings.attendance = attendance;
+    app.dataManager.setSettings(settings);
+    seedDay(app.attendanceHandler, 'a@x.com', DATE, [['09:00', null]]);
+    return app;
+}
+
+test('the flag policy leaves the shift open for review', async () => {
+    const { userHandler, attendanceHandler } = await createForgotten({});
+    await login(userHandler, 'a@x.com');
+
+    const record = attendanceHandler.getAttendanceRecord('a@x.com', DATE);
+    assert.equal(record.punchOut, null);
+    assert.equal(record.review.reason, 'missing_punch_out');
+    assert.equal(record.review.autoClosed, false);
+    assert.deepEqual(attendanceHandler.resolveForgottenPunchOuts('a@x.com'), { success: true, closed: 0, flagged: 0 });
+    assert.equal(attendanceHandler.acknowledgeAutoPunchOut('a@x.com', DATE).messageCode, 'attendance.session_still_open');
+});
+
+test('the cap policy closes the shift after the capped hours', async () => {
+    const { userHandler, attendanceHandler } = await createForgotten({ forgottenPunchOutPolicy: 'cap', forgottenPunchOutCapHours: 4 });
+    await login(userHandler, 'a@x.com');
+
+    const record = attendanceHandler.getAttendanceRecord('a@x.com', DATE);
+    assert.equal(record.punchOutTimestamp, '2026-03-02T13:00:00.000Z');
+    assert.equal(record.intervals[0].autoClosed, true);
+    assert.equal(record.review.autoClosed, true);
+    assert.equal(record.workingHours, 4);
+    assert.equal(attendanceHandler.auditLog.getRecordHistory('a@x.com', DATE)[0].action, 'auto_punch_out');
+});
+
+test('the automatic punch out is noted in the reader\'s language, not stored as text', async () => {
+    const { userHandler, attendanceHandler } = await createForgotten({ forgottenPunchOutPolicy: 'cap', forgottenPunchOutCapHours: 4 });
+    await login(userHandler, 'a@x.com');
+    const history = () => attendanceHandler.getAttendanceHistory('a@x.com', DATE, DATE)[0];
+
+    assert.equal(attendanceHandler.getAttendanceRecord('a@x.com', DATE).notes, '');
+    assert.equal(history().notes, 'Punch out set automatically to 13:00:00 (shift cap)');
+
+    attendanceHandler.messageCatalog.setLanguage('hi');
+    assert.equal(history().notes, 'पंच आउट स्वचालित रूप से 13:00:00 पर सेट किया गया (शिफ्ट सीमा)');
+});
+
+test('the schedule_end policy closes the shift at the scheduled end and ends the open break', async () => {
+    const { userHandler, attendanceHandler, dataManager } = await createForgotten({ forgottenPunchOutPolicy: 'schedule_end' });
+    const records = dataManager.getAttendanceRecords();
+    records['a@x.com'][DATE].breaks = [{ type: 'lunch', start: '12:00:00', startTimestamp: '2026-03-02T12:00:00.000Z', end: null, endTimestamp: null }];
+    dataManager.setAttendanceRecords(records);
+    await login(userHandler, 'a@x.com');
+
+    const record = attendanceHandler.getAttendanceRecord('a@x.com', DATE);
+    assert.equal(record.punchOut, '17:00:00');
+    assert.equal(record.breaks[0].endTimestamp, '2026-03-02T17:00:00.000Z');
+    assert.equal(record.workingHours, 3);
+});
+
+test('an auto-closed shift stays unresolved until acknowledged', async () => {
+    const { userHandler, attendanceHandler } = await createForgotten({ forgottenPunchOutPolicy: 'cap' });
+    await login(userHandler, 'a@x.com');
+
+    const sessions = attendanceHandler.getUnresolvedSessions('a@x.com');
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].date, DATE);
+    assert.equal(sessions[0].punchOut, '17:00:00');
+    assert.equal(sessions[0].policy, 'cap');
+
+    assert.equal(attendanceHandler.acknowledgeAutoPunchOut('a@x.com', DATE).success, true);
+    assert.deepEqual(attendanceHandler.getUnresolvedSessions('a@x.com'), []);
+    assert.equal(attendanceHandler.acknowledgeAutoPunchOut('a@x.com', DATE).messageCode, 'attendance.no_unresolved_session');
+});
+
+test('shifts within maxShiftHours are left alone', async () => {
+    const { userHandler, attendanceHandler } = await createForgotten({ forgottenPunchOutPolicy: 'cap', maxShiftHours: 24 * 365 * 100 });
+    await login(userHandler, 'a@x.com');
+
+    assert.equal(attendanceHandler.getAttendanceRecord('a@x.com', DATE).review, undefined);
+    assert.deepEqual(attendanceHandler.getUnresolvedSessions('a@x.com'), []);
+});
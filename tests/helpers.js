@@ -0,0 +1,149 @@
+/**
+ * SparrowTrack - Test Helpers
+ * Builds an in-memory installation for the node:test suites
+ */
+
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const PasswordHasher = require('../Backend/password-hasher');
+const UserHandler = require('../Backend/user-handler');
+const AttendanceHandler = require('../Backend/attendance-handler');
+
+// Production iteration counts make every register/login take hundreds of milliseconds
+const TEST_ITERATIONS = 1000;
+const PASSWORD = 'Passw0rd!x';
+
+/**
+ * Create a fresh installation on in-memory storage
+ * @returns {Object} {dataManager, userHandler, attendanceHandler}
+ */
+function createApp() {
+    const dataManager = new DataManager(new MemoryStorageAdapter());
+    const userHandler = new UserHandler(dataManager, new PasswordHasher({ iterations: TEST_ITERATIONS }));
+    const attendanceHandler = new AttendanceHandler(dataManager, userHandler);
+    return { dataManager, userHandler, attendanceHandler };
+}
+
+/**
+ * Register an account with the shared test password
+ * @param {UserHandler} userHandler - User handler
+ * @param {string} email - Account email
+ * @param {Object} overrides - Registration fields to replace
+ * @returns {Promise<Object>} Registration result
+ */
+function register(userHandler, email, overrides = {}) {
+    return userHandler.register({
+        name: email.split('@')[0],
+        email: email,
+        password: PASSWORD,
+        department: 'Ops',
+        position: 'Staff',
+        ...overrides
+    });
+}
+
+/**
+ * Log in with the shared test password
+ * @param {UserHandler} userHandler - User handler
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} Login result
+ */
+function login(userHandler, email) {
+    return userHandler.login(email, PASSWORD);
+}
+
+/**
+ * Fixed-offset time zone in which it is currently early afternoon, so punches
+ * a few hours back stay on today's business date whenever the tests run
+ * @returns {string} IANA time zone name (Etc/GMT zones have inverted signs)
+ */
+function middayTimeZone() {
+    const offset = 13 - new Date().getUTCHours();
+    if (offset === 0) return 'Etc/GMT';
+    return offset > 0 ? `Etc/GMT-${offset}` : `Etc/GMT+${-offset}`;
+}
+
+/**
+ * Make the site run in middayTimeZone()
+ * @param {AttendanceHandler} attendanceHandler - Attendance handler
+ * @returns {string} The time zone
+ */
+function useMiddayTimeZone(attendanceHandler) {
+    const timeZoneManager = attendanceHandler.timeZoneManager;
+    const timeZone = middayTimeZone();
+    timeZoneManager.saveConfig({ ...timeZoneManager.getConfig(), siteTimeZone: timeZone });
+    return timeZone;
+}
+
+/**
+ * Move the current session's start back, so punches replayed from before
+ * this login still fall inside the replay window
+ * @param {UserHandler} userHandler - User handler with a logged-in session
+ * @param {number} hours - Hours to move it back
+ */
+function backdateSession(userHandler, hours) {
+    const sessions = userHandler.dataManager.getSessions();
+    const session = sessions[userHandler.sessionId];
+    session.issuedAt = new Date(Date.parse(session.issuedAt) - hours * 60 * 60 * 1000).toISOString();
+    userHandler.dataManager.setSessions(sessions);
+}
+
+/**
+ * ISO timestamp some hours before now
+ * @param {number} hours - Hours ago
+ * @returns {string} ISO timestamp
+ */
+function hoursAgo(hours) {
+    return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Build a day of work kept in UTC
+ * @param {AttendanceHandler} attendanceHandler - Attendance handler
+ * @param {string} date - Business date (YYYY-MM-DD)
+ * @param {Array} spans - [punchIn, punchOut] pairs (HH:MM); a punch out before the punch in falls
+ *     on the next day, and a null punch out leaves the interval open
+ * @returns {Object} Refreshed record
+ */
+function buildDay(attendanceHandler, date, spans) {
+    const timeZoneManager = attendanceHandler.timeZoneManager;
+    const record = attendanceHandler.createRecord(date, 'UTC');
+    record.intervals = spans.map(([punchIn, punchOut]) => ({
+        punchIn: `${punchIn}:00`,
+        punchInTimestamp: timeZoneManager.toInstant(date, punchIn, 'UTC').toISOString(),
+        punchOut: punchOut ? `${punchOut}:00` : null,
+        punchOutTimestamp: punchOut ? timeZoneManager.toInstant(
+            punchOut < punchIn ? timeZoneManager.addDays(date, 1) : date, punchOut, 'UTC').toISOString() : null
+    }));
+    return attendanceHandler.refreshRecord(record);
+}
+
+/**
+ * Store a day of work for a user, kept in UTC
+ * @param {AttendanceHandler} attendanceHandler - Attendance handler
+ * @param {string} email - Owner of the record
+ * @param {string} date - Business date (YYYY-MM-DD)
+ * @param {Array} spans - [punchIn, punchOut] pairs (see buildDay())
+ * @returns {Object} The stored record
+ */
+function seedDay(attendanceHandler, email, date, spans) {
+    const record = buildDay(attendanceHandler, date, spans);
+    const records = attendanceHandler.dataManager.getAttendanceRecords();
+    records[email] = { ...records[email], [date]: record };
+    attendanceHandler.dataManager.setAttendanceRecords(records);
+    return record;
+}
+
+module.exports = {
+    TEST_ITERATIONS,
+    PASSWORD,
+    createApp,
+    register,
+    login,
+    middayTimeZone,
+    useMiddayTimeZone,
+    backdateSession,
+    hoursAgo,
+    buildDay,
+    seedDay
+};
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const XlsxWriter = require('../Backend/xlsx-writer');
+const { createApp, register, login, PASSWORD } = require('./helpers');
+
+/**
+ * Create an installation with an admin and an employee; the admin is logged in
+ * @returns {Promise<Object>} App from createApp() plus its import manager
+ */
+async function createImporter() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'admin@x.com');
+    return { ...app, importManager: app.attendanceHandler.importManager };
+}
+
+/**
+ * Read CSV lines into a table
+ * @param {ImportManager} importManager - Import manager
+ * @param {Array} lines - CSV lines, header first
+ * @returns {Promise<Object>} Result of readTable()
+ */
+function readLines(importManager, lines) {
+    return importManager.readTable(lines.join('\r\n'));
+}
+
+test('CSV parsing handles quotes, embedded line breaks and blank lines', () => {
+    const { attendanceHandler } = createApp();
+
+    const rows = attendanceHandler.importManager.parseCSV('\uFEFFa,b\r\n"x, ""y""","two\nlines"\n\n,\nlast,');
+
+    assert.deepEqual(rows, [
+        { line: 1, values: ['a', 'b'] },
+        { line: 2, values: ['x, "y"', 'two\nlines'] },
+        { line: 6, values: ['last', ''] }
+    ]);
+});
+
+test('a roster dry run reports every row without writing', async () => {
+    const { dataManager, importManager } = await createImporter();
+    const table = await readLines(importManager, [
+        'Full Name,Work Email,Dept,Job Title,Role,Initial Password',
+        `New Person,new@x.com,Ops,Clerk,manager,${PASSWORD}`,
+        'Bad Email,not-an-email,Ops,Clerk,,short',
+        `Again,NEW@x.com,Ops,Clerk,,${PASSWORD}`,
+        'Existing,emp@x.com,Sales,Lead,,'
+    ]);
+
+    const result = await importManager.importRoster(table);
+    const translate = (code, params) => importManager.messageCatalog.translate(code, params);
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.rows.map(row => row.action), ['create', 'error', 'error', 'skip']);
+    assert.ok(result.rows[1].errors.includes(translate('user.invalid_email')));
+    assert.ok(result.rows[1].errors.length > 1);
+    assert.deepEqual(result.rows[2].errors, [translate('import.duplicate_email', { line: 2 })]);
+    assert.equal(dataManager.getUsers()['new@x.com'], undefined);
+});
+
+test('applying a roster creates hashed accounts and merges existing profiles', async () => {
+    const { dataManager, userHandler, importManager } = await createImporter();
+    const table = await readLines(importManager, [
+        'name,email,department,position,role,password',
+        `New Person,new@x.com,Ops,Clerk,manager,${PASSWORD}`,
+        'Existing,emp@x.com,Sales,Lead,,'
+    ]);
+
+    const result = await importManager.importRoster(table, { dryRun: false, onDuplicate: 'merge' });
+    const users = dataManager.getUsers();
+
+    assert.deepEqual(result.summary, { total: 2, created: 1, merged: 1, skipped: 0, errors: 0 });
+    assert.equal(users['new@x.com'].role, 'manager');
+    assert.equal(JSON.stringify(users['new@x.com']).includes(PASSWORD), false);
+    assert.equal(users['emp@x.com'].department, 'Sales');
+    assert.equal((await login(userHandler, 'new@x.com')).success, true);
+});
+
+test('admins cannot be demoted by a roster merge and employees cannot import', async () => {
+    const { userHandler, importManager } = await createImporter();
+    const table = await readLines(importManager, ['name,email,department,position,role', 'Admin,admin@x.com,Ops,Boss,employee']);
+
+    const result = await importManager.importRoster(table, { onDuplicate: 'merge' });
+    assert.deepEqual(result.rows[0].errors, [importManager.messageCatalog.translate('import.admin_role_locked')]);
+    assert.equal((await importManager.importRoster(table, { onDuplicate: 'replace' })).messageCode, 'import.invalid_strategy');
+
+    await login(userHandler, 'emp@x.com');
+    assert.equal((await importManager.importRoster(table)).code, 'FORBIDDEN');
+});
+
+test('column mappings can be given by header or index and must cover required fields', async () => {
+    const { importManager } = await createImporter();
+    const headers = ['Who', 'Day', 'From', 'To'];
+
+    assert.deepEqual(importManager.resolveMapping('attendance', headers, { email: 'Who', date: 1, punchIn: 'From', punchOut: 3 }).mapping,
+        { email: 0, date: 1, punchIn: 2, punchOut: 3 });
+    assert.equal(importManager.resolveMapping('attendance', headers, { date: 1, punchIn: 2, punchOut: 3 }).messageCode, 'import.unmapped');
+    assert.equal(importManager.resolveMapping('attendance', headers, { email: 'Nope' }).messageCode, 'import.column_not_found');
+    assert.equal(importManager.resolveMapping('attendance', headers, { shoeSize: 0 }).messageCode, 'import.unknown_field');
+});
+
+test('attendance rows become records, refusing overlaps and skipping existing days', async () => {
+    const { dataManager, importManager } = await createImporter();
+    const table = await readLines(importManager, [
+        'email,date,clock in,clock out,notes',
+        'emp@x.com,2026-03-02,9:00 AM,12:00 PM,Morning',
+        'emp@x.com,2026/3/2,13:00,17:30,',
+        'emp@x.com,2026-03-02,11:00,14:00,',
+        'ghost@x.com,2026-02-30,25:00,17:00,'
+    ]);
+
+    const result = importManager.importAttendance(table, { dryRun: false });
+    const record = dataManager.getAttendanceRecords()['emp@x.com']['2026-03-02'];
+    const translate = (code, params) => importManager.messageCatalog.translate(code, params);
+
+    assert.deepEqual(result.rows.map(row => row.action), ['create', 'create', 'error', 'error']);
+    assert.deepEqual(result.rows[2].errors, [translate('import.overlap', { line: 2 })]);
+    assert.equal(result.rows[3].errors.length, 3);
+    assert.equal(record.intervals.length, 2);
+    assert.equal(record.workingHours, 7.5);
+    assert.equal(record.notes, 'Morning');
+
+    const again = importManager.importAttendance(table, { dryRun: false });
+    assert.equal(again.rows[0].action, 'skip');
+});
+
+test('XLSX uploads are read with date serials and time fractions', async () => {
+    const { dataManager, importManager } = await createImporter();
+    const workbook = new XlsxWriter();
+    workbook.addSheet('Sheet1', [['Email', 'Date', 'In', 'Out'], ['emp@x.com', 46083, 0.375, 0.6875]]);
+
+    const table = await importManager.readTable(workbook.toBytes());
+    const result = importManager.importAttendance(table, { dryRun: false });
+
+    assert.equal(result.summary.created, 1);
+    assert.equal(dataManager.getAttendanceRecords()['emp@x.com']['2026-03-02'].workingHours, 7.5);
+    assert.equal((await importManager.readTable('')).messageCode, 'import.empty');
+});
@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, useMiddayTimeZone, hoursAgo } = require('./helpers');
+
+/**
+ * Create an installation with an admin and an employee holding a PIN, with the kiosk
+ * started and nobody signed in
+ * @returns {Promise<Object>} App from createApp() plus its kiosk manager and the employee's PIN
+ */
+async function createKiosk() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'admin@x.com');
+    const kiosk = app.attendanceHandler.kioskManager;
+    const pin = kiosk.generatePin('emp@x.com').pin;
+    kiosk.startKiosk();
+    app.userHandler.logout();
+    return { ...app, kiosk, pin };
+}
+
+/**
+ * A PIN other than the given one
+ * @param {string} pin - PIN to avoid
+ * @returns {string} Wrong PIN
+ */
+function wrongPin(pin) {
+    return pin === '000000' ? '111111' : '000000';
+}
+
+test('a PIN punches its owner in, then out', async () => {
+    const { dataManager, kiosk, pin } = await createKiosk();
+
+    const first = kiosk.punch(pin);
+    const second = kiosk.punch(` ${pin} `);
+
+    assert.deepEqual([first.success, first.email, first.action], [true, 'emp@x.com', 'punch_in']);
+    assert.equal(second.action, 'punch_out');
+    assert.equal(dataManager.getAttendanceRecords()['emp@x.com'][first.date].intervals.length, 1);
+    assert.deepEqual(dataManager.getAuditLog().filter(entry => entry.action === 'punch_in').map(entry => entry.details.via), ['kiosk']);
+    assert.equal(dataManager.getUsers()['emp@x.com'].kiosk.pin.includes(pin), false);
+});
+
+test('failed attempts lock the kiosk and recognised codes do not reset the count', async () => {
+    const { kiosk, pin } = await createKiosk();
+
+    for (let i = 0; i < 4; i++) {
+        assert.equal(kiosk.punch(wrongPin(pin)).code, 'UNAUTHENTICATED');
+        kiosk.punch(pin);
+    }
+    assert.equal(kiosk.punch(wrongPin(pin)).messageCode, 'kiosk.locked');
+    assert.equal(kiosk.punch(pin).messageCode, 'kiosk.locked_retry');
+    assert.equal(kiosk.getStatus().locked, true);
+});
+
+test('failures older than the window no longer count', async () => {
+    const { dataManager, kiosk, pin } = await createKiosk();
+    const old = Date.now() - 6 * 60 * 1000;
+    dataManager.setKioskState({ ...dataManager.getKioskState(), failures: [old, old, old, old] });
+
+    assert.equal(kiosk.punch(wrongPin(pin)).code, 'UNAUTHENTICATED');
+    assert.equal(dataManager.getKioskState().failures.length, 1);
+});
+
+test('badges identify by employee ID and token until revoked', async () => {
+    const { userHandler, kiosk } = await createKiosk();
+    await login(userHandler, 'admin@x.com');
+    const badge = kiosk.generateBadge('emp@x.com');
+    const forged = badge.code.replace(/[0-9a-f]{32}$/, '0'.repeat(32));
+
+    assert.ok(badge.svg.startsWith('<svg'));
+    assert.equal(kiosk.identify(badge.code.toLowerCase()).email, 'emp@x.com');
+    assert.equal(kiosk.identify(forged), null);
+
+    kiosk.revoke('emp@x.com', 'badge');
+    assert.equal(kiosk.identify(badge.code), null);
+    assert.equal(kiosk.revoke('emp@x.com', 'card').messageCode, 'kiosk.unknown_credential');
+});
+
+test('the kiosk only punches while active and for active accounts', async () => {
+    const { userHandler, kiosk, pin } = await createKiosk();
+    await login(userHandler, 'emp@x.com');
+    assert.equal(kiosk.startKiosk().code, 'FORBIDDEN');
+    assert.equal(kiosk.generatePin('emp@x.com').code, 'FORBIDDEN');
+
+    await login(userHandler, 'admin@x.com');
+    userHandler.deactivateUser('emp@x.com');
+    assert.equal(kiosk.punch(pin).messageCode, 'kiosk.account_inactive');
+
+    kiosk.stopKiosk();
+    assert.equal(kiosk.punch(pin).messageCode, 'kiosk.not_active');
+});
+
+test('the kiosk secret stays out of backups and survives imports', async () => {
+    const { dataManager, userHandler, kiosk, pin } = await createKiosk();
+    await login(userHandler, 'admin@x.com');
+    const secret = dataManager.getInstallationKey('kiosk');
+    const backup = dataManager.exportData();
+    assert.equal(JSON.stringify(backup).includes(secret), false);
+
+    backup.data.settings.kiosk = { secret: 'cd'.repeat(32) };
+    const foreign = dataManager.backupFormat.create(backup.data, backup.exportDate, dataManager.getInstallationKey('backup'));
+    assert.equal(dataManager.importData(foreign).success, true);
+
+    assert.equal(dataManager.getSettings().kiosk.secret, undefined);
+    assert.equal(dataManager.getInstallationKey('kiosk'), secret);
+    assert.equal(kiosk.identify(pin).email, 'emp@x.com');
+});
+
+test('a secret kept in the settings by earlier versions moves to the installation keys', async () => {
+    const app = createApp();
+    const settings = app.dataManager.getSettings();
+    settings.kiosk = { secret: 'ab'.repeat(32), idleSeconds: 30 };
+    app.dataManager.setSettings(settings);
+
+    assert.equal(app.attendanceHandler.kioskManager.getSecret(), 'ab'.repeat(32));
+    assert.deepEqual(app.dataManager.getSettings().kiosk, { idleSeconds: 30 });
+    assert.equal(app.dataManager.getInstallationKey('kiosk'), 'ab'.repeat(32));
+});
+
+test('a registered device token punches employees and nothing else', async () => {
+    const { dataManager, userHandler, kiosk } = await createKiosk();
+    await login(userHandler, 'emp@x.com');
+    assert.equal(kiosk.registerDevice('Front desk').code, 'FORBIDDEN');
+
+    await login(userHandler, 'admin@x.com');
+    const { device, token } = kiosk.registerDevice('Front desk');
+    userHandler.logout();
+
+    const result = kiosk.relayPunch(token, 'punch_in', 'EMP@x.com');
+
+    assert.equal(result.success, true);
+    assert.equal(dataManager.getAttendanceRecords()['emp@x.com'][result.date].intervals.length, 1);
+    assert.deepEqual(dataManager.getAuditLog().filter(entry => entry.action === 'punch_in').pop().details, { via: 'kiosk', device: device.id });
+    assert.equal(JSON.stringify(dataManager.getKioskDevices()).includes(token), false);
+    assert.equal(kiosk.listDevices().success, false);
+    assert.equal(kiosk.relayPunch('0'.repeat(64), 'punch_out', 'emp@x.com').messageCode, 'kiosk.device_unknown');
+    assert.equal(kiosk.relayPunch(token, 'punch_out', 'nobody@x.com').code, 'NOT_FOUND');
+});
+
+test('revoked and released devices can no longer punch', async () => {
+    const { userHandler, kiosk } = await createKiosk();
+    await login(userHandler, 'admin@x.com');
+    const first = kiosk.registerDevice('Front desk');
+    const second = kiosk.registerDevice('');
+    assert.deepEqual(kiosk.listDevices().devices.map(device => device.name), ['Front desk', 'Kiosk']);
+
+    assert.equal(kiosk.revokeDevice(first.device.id).messageCode, 'kiosk.device_revoked');
+    assert.equal(kiosk.revokeDevice(first.device.id).code, 'NOT_FOUND');
+    userHandler.logout();
+    assert.equal(kiosk.releaseDevice(second.token).success, true);
+
+    assert.equal(kiosk.relayPunch(first.token, 'punch_in', 'emp@x.com').code, 'UNAUTHENTICATED');
+    assert.equal(kiosk.relayPunch(second.token, 'punch_in', 'emp@x.com').code, 'UNAUTHENTICATED');
+});
+
+test('punches relayed from before the device was registered go for approval', async () => {
+    const { dataManager, userHandler, attendanceHandler, kiosk } = await createKiosk();
+    useMiddayTimeZone(attendanceHandler);
+    await login(userHandler, 'admin@x.com');
+    const { device, token } = kiosk.registerDevice('Front desk');
+    userHandler.logout();
+
+    assert.equal(kiosk.relayPunch(token, 'punch_in', 'emp@x.com', { timestamp: hoursAgo(2) }).pendingApproval, true);
+
+    const devices = dataManager.getKioskDevices();
+    devices[device.id].registeredAt = hoursAgo(3);
+    dataManager.setKioskDevices(devices);
+    const result = kiosk.relayPunch(token, 'punch_in', 'emp@x.com', { timestamp: hoursAgo(2) });
+
+    assert.equal(result.success, true);
+    assert.equal(result.pendingApproval, undefined);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login } = require('./helpers');
+
+/**
+ * Create an installation with an admin, a manager and an employee; the employee is logged in
+ * @returns {Promise<Object>} App from createApp() plus its leave manager
+ */
+async function createOffice() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com');
+    await register(app.userHandler, 'boss@x.com');
+    await register(app.userHandler, 'emp@x.com');
+    await login(app.userHandler, 'admin@x.com');
+    app.userHandler.setUserRole('boss@x.com', 'manager');
+    await login(app.userHandler, 'emp@x.com');
+    return { ...app, leaveManager: app.attendanceHandler.leaveManager };
+}
+
+test('only scheduled working days that are not holidays are charged', async () => {
+    const { userHandler, attendanceHandler, leaveManager } = await createOffice();
+    await login(userHandler, 'admin@x.com');
+    attendanceHandler.holidayCalendar.addHoliday('2030-03-06', 'Founders Day');
+    await login(userHandler, 'emp@x.com');
+
+    const result = leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-03-04', endDate: '2030-03-10' });
+
+    assert.deepEqual(result.request.dates, ['2030-03-04', '2030-03-05', '2030-03-07', '2030-03-08']);
+    assert.equal(leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-03-09', endDate: '2030-03-10' }).messageCode,
+        'leave.no_working_days');
+});
+
+test('pending and approved days count against the balance', async () => {
+    const { userHandler, leaveManager } = await createOffice();
+    const request = leaveManager.requestLeave('emp@x.com', { type: 'sick', startDate: '2030-03-04', endDate: '2030-03-08' }).request;
+
+    assert.deepEqual(leaveManager.getBalance('emp@x.com', 2030).balance.sick, { allowance: 10, used: 0, pending: 5, remaining: 5 });
+
+    await login(userHandler, 'boss@x.com');
+    assert.equal(leaveManager.approveLeave(request.id).success, true);
+    assert.deepEqual(leaveManager.getBalance('emp@x.com', 2030).balance.sick, { allowance: 10, used: 5, pending: 0, remaining: 5 });
+    assert.equal(leaveManager.getBalance('emp@x.com', 2030).balance.unpaid.remaining, null);
+});
+
+test('requests beyond the remaining allowance are refused, per year', async () => {
+    const { userHandler, leaveManager } = await createOffice();
+    await login(userHandler, 'admin@x.com');
+    leaveManager.setAllowance('emp@x.com', 'vacation', 3);
+    await login(userHandler, 'emp@x.com');
+
+    const tooLong = leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-03-04', endDate: '2030-03-07' });
+    assert.equal(tooLong.messageCode, 'leave.insufficient_balance');
+    assert.equal(tooLong.messageParams.count, 3);
+
+    // Two days in 2030 and three in 2031 each fit their own year's allowance
+    const spanning = leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-12-30', endDate: '2031-01-03' });
+    assert.equal(spanning.success, true);
+});
+
+test('overlapping and malformed requests are refused', async () => {
+    const { leaveManager } = await createOffice();
+    leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-03-04', endDate: '2030-03-05' });
+
+    assert.equal(leaveManager.requestLeave('emp@x.com', { type: 'sick', startDate: '2030-03-05' }).code, 'CONFLICT');
+    assert.equal(leaveManager.requestLeave('emp@x.com', { type: 'holiday', startDate: '2030-03-11' }).messageCode, 'leave.invalid_type');
+    assert.equal(leaveManager.requestLeave('emp@x.com', { type: 'sick', startDate: '2030-03-12', endDate: '2030-03-11' }).messageCode,
+        'leave.end_before_start');
+});
+
+test('reviewers cannot decide their own requests and employees cannot review', async () => {
+    const { userHandler, leaveManager } = await createOffice();
+    const request = leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-03-04' }).request;
+    assert.equal(leaveManager.approveLeave(request.id).code, 'FORBIDDEN');
+
+    await login(userHandler, 'boss@x.com');
+    const own = leaveManager.requestLeave('boss@x.com', { type: 'vacation', startDate: '2030-03-04' }).request;
+    assert.equal(leaveManager.approveLeave(own.id).messageCode, 'leave.own_request');
+    assert.equal(leaveManager.rejectLeave(request.id).success, true);
+    assert.equal(leaveManager.approveLeave(request.id).code, 'CONFLICT');
+});
+
+test('cancelling returns the days to the balance', async () => {
+    const { leaveManager } = await createOffice();
+    const request = leaveManager.requestLeave('emp@x.com', { type: 'vacation', startDate: '2030-03-04', endDate: '2030-03-05' }).request;
+
+    assert.equal(leaveManager.cancelLeave(request.id).success, true);
+    assert.equal(leaveManager.getBalance('emp@x.com', 2030).balance.vacation.remaining, 20);
+    assert.equal(leaveManager.cancelLeave(request.id).code, 'CONFLICT');
+});
+
+test('holidays import from iCalendar without replacing manual entries', async () => {
+    const { userHandler, attendanceHandler } = await createOffice();
+    const calendar = attendanceHandler.holidayCalendar;
+    await login(userHandler, 'admin@x.com');
+    calendar.addHoliday('2030-12-26', 'Office closed');
+
+    const result = calendar.importICS([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT', 'UID:xmas', 'SUMMARY:Christmas\\, Boxing Day', 'DTSTART;VALUE=DATE:20301225', 'DTEND;VALUE=DATE:20301227', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:weekly', 'SUMMARY:Standup', 'DTSTART;VALUE=DATE:20300101', 'RRULE:FREQ=WEEKLY', 'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+
+    assert.equal(result.imported, 1);
+    assert.equal(result.skipped, 2);
+    assert.equal(calendar.getHoliday('2030-12-25').name, 'Christmas, Boxing Day');
+    assert.equal(calendar.getHoliday('2030-12-26').name, 'Office closed');
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const LocationPolicy = require('../Backend/location-policy');
+const { createApp, register, login, useMiddayTimeZone } = require('./helpers');
+
+const OFFICE = { id: 'hq', name: 'Head Office', type: 'circle', center: { latitude: 51.5007, longitude: -0.1246 }, radiusMeters: 100 };
+const YARD = {
+    id: 'yard',
+    name: 'Yard',
+    type: 'polygon',
+    points: [{ latitude: 10, longitude: 10 }, { latitude: 10, longitude: 10.01 }, { latitude: 10.01, longitude: 10.01 }, { latitude: 10.01, longitude: 10 }]
+};
+
+/**
+ * Unrestricted location policy with the office geofences, an office IP range and an enforcement mode
+ * @param {string} enforcement - 'off', 'flag' or 'reject'
+ * @returns {LocationPolicy} Location policy
+ */
+function createPolicy(enforcement) {
+    const policy = new LocationPolicy(new DataManager(new MemoryStorageAdapter()));
+    policy.saveGeofence(OFFICE);
+    policy.saveGeofence(YARD);
+    policy.setAllowedIpRanges(['203.0.113.0/24', '2001:db8::/32']);
+    policy.updatePolicy({ enforcement: enforcement });
+    return policy;
+}
+
+test('circles use great-circle distance and polygons use ray casting', () => {
+    const policy = createPolicy('reject');
+
+    assert.ok(Math.abs(policy.distanceMeters({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 }) - 111195) < 1);
+    assert.equal(policy.containsPoint(OFFICE, { latitude: 51.5012, longitude: -0.1246 }), true);
+    assert.equal(policy.containsPoint(OFFICE, { latitude: 51.5020, longitude: -0.1246 }), false);
+    assert.equal(policy.containsPoint(YARD, { latitude: 10.005, longitude: 10.005 }), true);
+    assert.equal(policy.containsPoint(YARD, { latitude: 10.005, longitude: 10.02 }), false);
+});
+
+test('IPv4 and IPv6 ranges match by prefix, including mapped addresses', () => {
+    const policy = createPolicy('reject');
+
+    assert.equal(policy.isIpInRange('203.0.113.77', '203.0.113.0/24'), true);
+    assert.equal(policy.isIpInRange('::ffff:203.0.113.77', '203.0.113.0/24'), true);
+    assert.equal(policy.isIpInRange('203.0.114.1', '203.0.113.0/24'), false);
+    assert.equal(policy.isIpInRange('2001:db8:1::5', '2001:db8::/32'), true);
+    assert.equal(policy.isIpInRange('2001:db8::5', '203.0.113.0/24'), false);
+    assert.equal(policy.parseIp('1.2.3.256'), null);
+    assert.equal(policy.setAllowedIpRanges(['10.0.0.0/33', 'nope']).messageParams.count, 2);
+});
+
+test('the reject mode refuses punches outside every geofence and range', () => {
+    const policy = createPolicy('reject');
+
+    assert.equal(policy.evaluate({ latitude: 51.5008, longitude: -0.1246, accuracy: 20 }).location.geofence, 'hq');
+    assert.equal(policy.evaluate({ ip: '203.0.113.9' }).location.ipRange, '203.0.113.0/24');
+    assert.equal(policy.evaluate({ latitude: 48.85, longitude: 2.35 }).messageCode, 'location.outside');
+    assert.equal(policy.evaluate({ latitude: 51.5008, longitude: -0.1246, accuracy: 500 }).messageCode, 'location.inaccurate');
+    assert.equal(policy.evaluate(null).messageCode, 'location.not_provided');
+    assert.equal(policy.evaluate({ latitude: 91, longitude: 0 }).messageCode, 'location.invalid_location');
+});
+
+test('the flag mode accepts the punch and marks it', () => {
+    const policy = createPolicy('flag');
+
+    const result = policy.evaluate({ latitude: 48.85, longitude: 2.35, accuracy: 10 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.location.flagged, true);
+    assert.equal(result.location.reasonCode, 'location.outside');
+    assert.equal(createPolicy('off').evaluate(null).location, null);
+});
+
+test('geofences are validated and only admins change the policy', async () => {
+    const policy = createPolicy('off');
+    assert.deepEqual(policy.validateGeofence({ id: 'Bad Id', name: '', type: 'polygon', points: [OFFICE.center] }).codes,
+        ['location.invalid_geofence_id', 'location.geofence_name_required', 'location.polygon_too_small']);
+    assert.equal(policy.updatePolicy({ enforcement: 'block' }).messageCode, 'location.invalid_enforcement');
+
+    const { userHandler, attendanceHandler } = createApp();
+    await register(userHandler, 'admin@x.com');
+    await register(userHandler, 'emp@x.com');
+    await login(userHandler, 'emp@x.com');
+    assert.equal(attendanceHandler.locationPolicy.saveGeofence(OFFICE).code, 'FORBIDDEN');
+});
+
+test('punches keep their location and out-of-policy punches are refused', async () => {
+    const { userHandler, attendanceHandler } = createApp();
+    useMiddayTimeZone(attendanceHandler);
+    await register(userHandler, 'admin@x.com');
+    await login(userHandler, 'admin@x.com');
+    attendanceHandler.locationPolicy.saveGeofence(OFFICE);
+    attendanceHandler.locationPolicy.updatePolicy({ enforcement: 'reject' });
+
+    assert.equal(attendanceHandler.punchIn('admin@x.com', { location: { latitude: 48.85, longitude: 2.35 } }).code, 'FORBIDDEN');
+    const result = attendanceHandler.punchIn('admin@x.com', { location: { latitude: 51.5008, longitude: -0.1246, accuracy: 15 } });
+    const record = attendanceHandler.getAttendanceRecord('admin@x.com', result.date);
+
+    assert.equal(record.intervals[0].punchInLocation.geofence, 'hq');
+    assert.equal(attendanceHandler.locationPolicy.describe(record), 'Head Office');
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const MessageCatalog = require('../Backend/message-catalog');
+const { createApp } = require('./helpers');
+
+/**
+ * Message catalog over empty storage
+ * @returns {MessageCatalog} Message catalog
+ */
+function createCatalog() {
+    return new MessageCatalog(new DataManager(new MemoryStorageAdapter()));
+}
+
+test('every language translates the same message codes', () => {
+    const catalog = createCatalog();
+    const english = Object.keys(catalog.MESSAGES.en).sort();
+
+    for (const language of Object.keys(catalog.LANGUAGES)) {
+        assert.deepEqual(Object.keys(catalog.MESSAGES[language]).sort(), english, language);
+    }
+});
+
+test('counts pick the plural form and a zero form wins for 0', () => {
+    const catalog = createCatalog();
+
+    assert.equal(catalog.translate('duration.hours', { count: 1 }, 'en'), '1 hour');
+    assert.equal(catalog.translate('duration.hours', { count: 2 }, 'en'), '2 hours');
+    assert.equal(catalog.translate('duration.hours', { count: 1 }, 'hi'), '1 घंटा');
+    assert.equal(catalog.translate('duration.hours', { count: 0 }, 'hi'), '0 घंटे');
+});
+
+test('placeholders are filled with locale-formatted numbers', () => {
+    const catalog = createCatalog();
+
+    assert.equal(catalog.translate('duration.minutes', { count: 100000 }, 'en'), '100,000 minutes');
+    assert.equal(catalog.translate('duration.minutes', { count: 100000 }, 'hi'), '1,00,000 मिनट');
+    assert.equal(catalog.translate('language.unsupported', {}, 'en'), 'Unsupported language: {language}');
+});
+
+test('missing translations fall back to English, then to the code', () => {
+    const catalog = createCatalog();
+    catalog.MESSAGES.en['test.only_english'] = 'Only in English';
+
+    assert.equal(catalog.translate('test.only_english', {}, 'hi'), 'Only in English');
+    assert.equal(catalog.translate('test.unknown', {}, 'hi'), 'test.unknown');
+});
+
+test('the chosen language is kept in the settings', () => {
+    const dataManager = new DataManager(new MemoryStorageAdapter());
+    const catalog = new MessageCatalog(dataManager);
+    assert.equal(catalog.getLanguage(), 'en');
+    assert.equal(catalog.getLocale(), 'en-US');
+
+    const result = catalog.setLanguage('hi');
+
+    assert.equal(result.messageCode, 'language.changed');
+    assert.equal(result.language, 'hi');
+    assert.equal(dataManager.getSettings().language, 'hi');
+    assert.equal(new MessageCatalog(dataManager).getLocale(), 'hi-IN');
+    assert.equal(catalog.translate('attendance.punched_in'), catalog.MESSAGES.hi['attendance.punched_in']);
+
+    assert.equal(catalog.setLanguage('fr').messageCode, 'language.unsupported');
+    assert.equal(dataManager.getSettings().language, 'hi');
+});
+
+test('durations read naturally in each language', () => {
+    const catalog = createCatalog();
+
+    assert.equal(catalog.formatDuration(0.75, 'en'), '45 minutes');
+    assert.equal(catalog.formatDuration(1, 'en'), '1 hour');
+    assert.equal(catalog.formatDuration(7.5, 'en'), '7h 30m');
+    assert.equal(catalog.formatDuration(0.75, 'hi'), '45 मिनट');
+    assert.equal(catalog.formatDuration(7.5, 'hi'), '7 घं 30 मि');
+});
+
+test('results carry a stable code whatever the language', () => {
+    const { dataManager, attendanceHandler } = createApp();
+    dataManager.messageCatalog.setLanguage('hi');
+
+    const result = attendanceHandler.punchIn('a@x.com');
+
+    assert.equal(result.success, false);
+    assert.equal(result.messageCode, 'auth.login_required');
+    assert.equal(result.message, 'कृपया पहले लॉग इन करें');
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PasswordHasher = require('../Backend/password-hasher');
+const { TEST_ITERATIONS, PASSWORD, createApp, register, login } = require('./helpers');
+
+const hasher = new PasswordHasher({ iterations: TEST_ITERATIONS });
+
+test('hash salts every call and verify accepts only the original password', async () => {
+    const first = await hasher.hash('correct horse');
+    const second = await hasher.hash('correct horse');
+
+    assert.equal(first.algorithm, 'PBKDF2-SHA256');
+    assert.equal(first.iterations, TEST_ITERATIONS);
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+    assert.equal(await hasher.verify('correct horse', first), true);
+    assert.equal(await hasher.verify('correct horsE', first), false);
+});
+
+test('verify rejects missing or foreign credential records', async () => {
+    const credentials = await hasher.hash('secret1');
+
+    assert.equal(await hasher.verify('secret1', null), false);
+    assert.equal(await hasher.verify('secret1', { ...credentials, algorithm: 'MD5' }), false);
+});
+
+test('needsRehash flags weaker iteration counts and legacy records', async () => {
+    const weak = await new PasswordHasher({ iterations: TEST_ITERATIONS / 2 }).hash('secret1');
+
+    assert.equal(hasher.needsRehash(weak), true);
+    assert.equal(hasher.needsRehash(undefined), true);
+    assert.equal(hasher.needsRehash(await hasher.hash('secret1')), false);
+});
+
+test('timingSafeEqual compares content and length', () => {
+    assert.equal(hasher.timingSafeEqual('abc', 'abc'), true);
+    assert.equal(hasher.timingSafeEqual('abc', 'abd'), false);
+    assert.equal(hasher.timingSafeEqual('abc', 'abcd'), false);
+});
+
+test('register stores salted credentials and never the plaintext password', async () => {
+    const { dataManager, userHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+
+    const stored = dataManager.getUsers()['a@x.com'];
+    assert.equal(stored.password, undefined);
+    assert.ok(stored.credentials.salt);
+    assert.ok(!JSON.stringify(stored).includes(PASSWORD));
+});
+
+test('login upgrades a legacy plaintext password to a hash', async () => {
+    const { dataManager, userHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+    const users = dataManager.getUsers();
+    delete users['a@x.com'].credentials;
+    users['a@x.com'].password = PASSWORD;
+    dataManager.setUsers(users);
+
+    assert.equal((await userHandler.login('a@x.com', 'wrong-pass1')).messageCode, 'user.incorrect_password');
+    assert.equal((await login(userHandler, 'a@x.com')).success, true);
+
+    const upgraded = dataManager.getUsers()['a@x.com'];
+    assert.equal(upgraded.password, undefined);
+    assert.equal(await hasher.verify(PASSWORD, upgraded.credentials), true);
+});
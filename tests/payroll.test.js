@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, seedDay } = require('./helpers');
+
+/**
+ * Create an installation whose only user (an admin) is logged in
+ * @param {Object} payroll - Payroll settings
+ * @returns {Promise<Object>} App from createApp()
+ */
+async function createPayroll(payroll = {}) {
+    const app = createApp();
+    await register(app.userHandler, 'a@x.com');
+    await login(app.userHandler, 'a@x.com');
+    setPayroll(app.dataManager, payroll);
+    return app;
+}
+
+/**
+ * Replace the payroll settings
+ * @param {DataManager} dataManager - Data manager
+ * @param {Object} payroll - Payroll settings
+ */
+function setPayroll(dataManager, payroll) {
+    const settings = dataManager.getSettings();
+    settings.payroll = payroll;
+    dataManager.setSettings(settings);
+}
+
+test('pay periods follow the configured cycle', async () => {
+    const { dataManager, attendanceHandler } = await createPayroll({ payPeriod: 'weekly', periodAnchor: '2026-01-05' });
+    assert.deepEqual(attendanceHandler.getPayPeriod('2026-03-04'), { type: 'weekly', start: '2026-03-02', end: '2026-03-08' });
+
+    setPayroll(dataManager, { payPeriod: 'bi-weekly', periodAnchor: '2026-01-05' });
+    assert.deepEqual(attendanceHandler.getPayPeriod('2026-03-04'), { type: 'bi-weekly', start: '2026-03-02', end: '2026-03-15' });
+    assert.deepEqual(attendanceHandler.getPayPeriod('2026-01-01'), { type: 'bi-weekly', start: '2025-12-22', end: '2026-01-04' });
+
+    setPayroll(dataManager, { payPeriod: 'semi-monthly' });
+    assert.deepEqual(attendanceHandler.getPayPeriod('2026-02-20'), { type: 'semi-monthly', start: '2026-02-16', end: '2026-02-28' });
+
+    setPayroll(dataManager, {});
+    assert.deepEqual(attendanceHandler.getPayPeriod('2026-02-20'), { type: 'monthly', start: '2026-02-01', end: '2026-02-28' });
+});
+
+test('daily then weekly thresholds split regular and overtime hours', async () => {
+    const { attendanceHandler } = await createPayroll({ payPeriod: 'weekly', periodAnchor: '2026-01-05' });
+    seedDay(attendanceHandler, 'a@x.com', '2026-03-02', [['07:00', '17:00']]);
+    ['2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06'].forEach(date =>
+        seedDay(attendanceHandler, 'a@x.com', date, [['08:00', '17:00']]));
+    seedDay(attendanceHandler, 'a@x.com', '2026-03-07', [['09:00', '14:00']]);
+
+    const timesheet = attendanceHandler.getTimesheet('a@x.com', '2026-03-04');
+    const saturday = timesheet.days.find(day => day.date === '2026-03-07');
+
+    assert.deepEqual(
+        [timesheet.totals.workedHours, timesheet.totals.regularHours, timesheet.totals.overtimeHours, timesheet.totals.payableHours],
+        [51, 40, 11, 56.5]);
+    assert.equal(saturday.regularHours, 0);
+    assert.equal(saturday.overtimeHours, 5);
+});
+
+test('a workweek that began in the previous period still counts toward the weekly threshold', async () => {
+    const { attendanceHandler } = await createPayroll();
+    ['2026-03-30', '2026-03-31', '2026-04-01', '2026-04-02', '2026-04-03'].forEach(date =>
+        seedDay(attendanceHandler, 'a@x.com', date, [['09:00', '17:00']]));
+    seedDay(attendanceHandler, 'a@x.com', '2026-04-04', [['09:00', '13:00']]);
+
+    const timesheet = attendanceHandler.getTimesheet('a@x.com', '2026-04-15');
+
+    assert.equal(timesheet.days.length, 4);
+    assert.equal(timesheet.totals.regularHours, 24);
+    assert.equal(timesheet.totals.overtimeHours, 4);
+});
+
+test('holiday work and paid leave are reported separately', async () => {
+    const { dataManager, attendanceHandler } = await createPayroll({ payPeriod: 'weekly', periodAnchor: '2026-01-05' });
+    attendanceHandler.holidayCalendar.addHoliday('2026-03-04', 'Festival');
+    seedDay(attendanceHandler, 'a@x.com', '2026-03-02', [['09:00', '17:00']]);
+    seedDay(attendanceHandler, 'a@x.com', '2026-03-04', [['09:00', '15:00']]);
+    const leave = dataManager.getLeave();
+    leave.requests.LV1 = { id: 'LV1', email: 'a@x.com', type: 'vacation', status: 'approved', dates: ['2026-03-05'] };
+    dataManager.setLeave(leave);
+
+    const totals = attendanceHandler.getTimesheet('a@x.com', '2026-03-04').totals;
+
+    assert.equal(totals.regularHours, 8);
+    assert.equal(totals.holidayHours, 6);
+    assert.equal(totals.leaveHours, 8);
+    assert.equal(totals.payableHours, 8 + 6 * 2 + 8);
+});
+
+test('the payroll export ends each employee with a total row', async () => {
+    const { attendanceHandler } = await createPayroll({ payPeriod: 'weekly', periodAnchor: '2026-01-05' });
+    seedDay(attendanceHandler, 'a@x.com', '2026-03-02', [['07:00', '17:00']]);
+
+    const lines = attendanceHandler.exportPayrollCSV('2026-03-04').trim().split(/\r?\n/);
+
+    assert.equal(lines.length, 3);
+    assert.ok(lines[0].endsWith('"Leave Hours","Payable Hours","Employee","Employee ID"'));
+    assert.ok(lines[1].includes('"8.00","2.00","0.00","0.00","11.00"'));
+    assert.ok(lines[2].startsWith('"2026-03-02 to 2026-03-08","Total"'));
+    assert.ok(lines[2].includes('"8.00","2.00","0.00","0.00","11.00"'));
+
+    attendanceHandler.messageCatalog.setLanguage('hi');
+    assert.ok(attendanceHandler.exportPayrollCSV('2026-03-04').trim().split(/\r?\n/)[2].startsWith('"2026-03-02 से 2026-03-08","कुल"'));
+});
@@ -0,0 +1,165 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const MessageCatalog = require('../Backend/message-catalog');
+const PunchQueue = require('../Backend/punch-queue');
+const { createApp, register, login, useMiddayTimeZone, backdateSession, hoursAgo } = require('./helpers');
+
+/**
+ * Punch queue talking to a scripted server. Each request takes the next reply;
+ * with no replies left (or a null reply) the server cannot be reached.
+ * @param {Array} replies - Parsed JSON replies, in order
+ * @returns {Object} {queue, requests}
+ */
+function createQueue(replies = []) {
+    const storage = new MemoryStorageAdapter();
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push({ path: url.replace('https://st.example.com', ''), body: JSON.parse(init.body), headers: init.headers });
+        const reply = replies.shift();
+        if (!reply) throw new TypeError('fetch failed');
+        return { json: async () => reply };
+    };
+    const queue = new PunchQueue('https://st.example.com/', storage, new MessageCatalog(new DataManager(storage)), fetchImpl);
+    return { queue, requests };
+}
+
+test('punches made offline stay queued with their own time', async () => {
+    const { queue, requests } = createQueue([{ success: true, session: { id: 'tok' }, user: { email: 'a@x.com' } }]);
+    await queue.login('a@x.com', 'secret');
+
+    const result = await queue.submit('punch_in', 'A@x.com', '2026-03-02T09:00:00.000Z');
+
+    assert.equal(result.messageCode, 'sync.offline');
+    assert.equal(result.pending, 1);
+    assert.equal(queue.getPendingCount('a@x.com'), 1);
+    assert.equal(requests[1].body.timestamp, '2026-03-02T09:00:00.000Z');
+    assert.equal(requests[1].headers.Authorization, 'Bearer tok');
+});
+
+test('queued punches replay in order and refusals are kept for the user', async () => {
+    const { queue, requests } = createQueue([
+        { success: true, session: { id: 'tok' }, user: { email: 'a@x.com' } },
+        { success: true, duplicate: true },
+        { success: false, code: 'CONFLICT', messageCode: 'attendance.already_punched_in', messageParams: {} },
+        { success: true, pendingApproval: true },
+        { success: true }
+    ]);
+    queue.saveQueue(['i1', 'i2', 'i3', 'o1'].map((id, index) => ({
+        id: id, action: id[0] === 'i' ? 'punch_in' : 'punch_out', email: 'a@x.com', timestamp: `2026-03-02T0${index}:00:00.000Z`, notes: ''
+    })));
+    assert.equal((await queue.replay()).messageCode, 'sync.sign_in_required');
+
+    await queue.login('a@x.com', 'secret');
+    const result = await queue.replay();
+
+    assert.deepEqual(requests.slice(1).map(request => request.body.punchId), ['i1', 'i2', 'i3', 'o1']);
+    assert.equal(requests[4].path, '/api/attendance/punch-out');
+    assert.equal(result.messageCode, 'sync.rejected');
+    assert.equal(result.duplicates, 1);
+    assert.equal(result.sent, 1);
+    assert.equal(result.forApproval.length, 1);
+    assert.equal(result.pending, 0);
+    assert.equal(queue.getRejected('a@x.com')[0].message, queue.messageCatalog.translate('attendance.already_punched_in'));
+
+    queue.dismissRejected('a@x.com');
+    assert.deepEqual(queue.getRejected(), []);
+});
+
+test('an expired server session stops the replay and signs the device out', async () => {
+    const { queue } = createQueue([
+        { success: true, session: { id: 'tok' }, user: { email: 'a@x.com' } },
+        { success: false, code: 'UNAUTHENTICATED' }
+    ]);
+    await queue.login('a@x.com', 'secret');
+
+    const result = await queue.submit('punch_in', 'a@x.com', '2026-03-02T09:00:00.000Z');
+
+    assert.equal(result.messageCode, 'sync.session_expired');
+    assert.equal(result.pending, 1);
+    assert.equal(queue.getSession(), null);
+    assert.equal((await queue.submit('nap', 'a@x.com', '2026-03-02T09:00:00.000Z')).messageCode, 'sync.unknown_action');
+});
+
+test('a kiosk relays its punches with a device token and keeps no admin session', async () => {
+    const token = 'ab'.repeat(32);
+    const { queue, requests } = createQueue([
+        { success: true, session: { id: 'tok' }, user: { email: 'admin@x.com' } },
+        { success: true, device: { id: 'd1', name: 'Kiosk' }, token: token },
+        { success: true },
+        { success: true },
+        { success: true }
+    ]);
+    await queue.login('admin@x.com', 'secret');
+    assert.equal((await queue.enrollKiosk()).success, true);
+    assert.equal(queue.getSession(), null);
+
+    const result = await queue.submit('punch_in', 'emp@x.com', '2026-03-02T09:00:00.000Z', '', null, 'kiosk');
+
+    assert.equal(result.messageCode, 'sync.synced');
+    assert.deepEqual(requests.map(request => request.path),
+        ['/api/auth/login', '/api/kiosk/devices', '/api/auth/logout', '/api/kiosk/punch-in']);
+    assert.equal(requests[3].headers.Authorization, `Kiosk ${token}`);
+    assert.equal(requests[3].body.email, 'emp@x.com');
+
+    await queue.releaseKiosk();
+    assert.equal(requests[4].path, '/api/kiosk/release');
+    assert.equal(queue.getKioskDevice(), null);
+});
+
+test('kiosk punches wait for a registration and hold back their user\'s later punches', async () => {
+    const { queue, requests } = createQueue([
+        { success: true, session: { id: 'tok' }, user: { email: 'a@x.com' } },
+        { success: false, code: 'UNAUTHENTICATED' }
+    ]);
+    await queue.login('a@x.com', 'secret');
+    queue.saveQueue([
+        { id: 'k1', action: 'punch_in', email: 'a@x.com', timestamp: '2026-03-02T09:00:00.000Z', via: 'kiosk' },
+        { id: 'o1', action: 'punch_out', email: 'a@x.com', timestamp: '2026-03-02T17:00:00.000Z', notes: '' }
+    ]);
+
+    const waiting = await queue.replay();
+    assert.deepEqual([waiting.messageCode, waiting.pending, requests.length], ['sync.kiosk_waiting', 2, 1]);
+
+    queue.storage.setItem(queue.STORAGE_KEYS.KIOSK_DEVICE, JSON.stringify({ id: 'd1', token: 'cd'.repeat(32) }));
+    const revoked = await queue.replay();
+
+    assert.equal(revoked.messageCode, 'sync.kiosk_revoked');
+    assert.equal(requests[1].path, '/api/kiosk/punch-in');
+    assert.equal(queue.getKioskDevice(), null);
+    assert.equal(queue.getSession().id, 'tok');
+    assert.equal(revoked.pending, 2);
+});
+
+test('a punch sent twice under the same ID is recorded once', async () => {
+    const { attendanceHandler, userHandler } = createApp();
+    useMiddayTimeZone(attendanceHandler);
+    await register(userHandler, 'a@x.com');
+    await login(userHandler, 'a@x.com');
+    backdateSession(userHandler, 3);
+    const timestamp = hoursAgo(2);
+
+    const first = attendanceHandler.punchIn('a@x.com', { timestamp: timestamp, punchId: 'p1' });
+    const again = attendanceHandler.punchIn('a@x.com', { timestamp: timestamp, punchId: 'p1' });
+
+    assert.equal(again.duplicate, true);
+    assert.equal(again.date, first.date);
+    assert.equal(attendanceHandler.getAttendanceRecord('a@x.com', first.date).intervals.length, 1);
+    assert.equal(attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(1), punchId: 'p2' }).code, 'CONFLICT');
+});
+
+test('punches replayed from before the session become correction requests', async () => {
+    const { attendanceHandler, userHandler } = createApp();
+    useMiddayTimeZone(attendanceHandler);
+    await register(userHandler, 'a@x.com');
+    await login(userHandler, 'a@x.com');
+
+    const result = attendanceHandler.punchIn('a@x.com', { timestamp: hoursAgo(2) });
+
+    assert.equal(result.pendingApproval, true);
+    assert.equal(result.request.status, 'pending');
+    assert.equal(attendanceHandler.getAttendanceRecord('a@x.com', result.date), null);
+    assert.equal(attendanceHandler.punchIn('a@x.com', { timestamp: new Date(Date.now() + 10 * 60 * 1000).toISOString() }).messageCode,
+        'attendance.invalid_punch_time');
+});
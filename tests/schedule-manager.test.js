@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const ScheduleManager = require('../Backend/schedule-manager');
+const { createApp, register, login } = require('./helpers');
+
+const NIGHT = { id: 'night', name: 'Night', workingDays: [1, 2, 3, 4, 5], startTime: '22:00', endTime: '06:00' };
+const WEEKEND = { id: 'weekend', name: 'Weekend', workingDays: [0, 6], startTime: '10:00', endTime: '16:00', requiredHours: 6 };
+
+/**
+ * Schedule manager over a store holding one user in the Ops department
+ * @returns {ScheduleManager} Unrestricted schedule manager
+ */
+function createManager() {
+    const dataManager = new DataManager(new MemoryStorageAdapter());
+    dataManager.setUsers({ 'a@x.com': { email: 'a@x.com', department: 'Ops' } });
+    const manager = new ScheduleManager(dataManager);
+    manager.saveSchedule(NIGHT);
+    manager.saveSchedule(WEEKEND);
+    return manager;
+}
+
+test('a user assignment beats the department, which beats the default', () => {
+    const manager = createManager();
+    assert.equal(manager.getScheduleForUser('a@x.com').id, 'standard');
+
+    manager.assignSchedule('default', null, 'weekend');
+    assert.equal(manager.getScheduleForUser('a@x.com').id, 'weekend');
+
+    manager.assignSchedule('department', 'Ops', 'night');
+    assert.equal(manager.getScheduleForUser('a@x.com').id, 'night');
+
+    manager.assignSchedule('user', 'A@X.com', 'weekend');
+    assert.equal(manager.getScheduleForUser('a@x.com').id, 'weekend');
+});
+
+test('deleting a schedule drops its assignments', () => {
+    const manager = createManager();
+    manager.assignSchedule('department', 'Ops', 'night');
+    manager.assignSchedule('default', null, 'night');
+
+    assert.equal(manager.deleteSchedule('night').success, true);
+    assert.equal(manager.getScheduleForUser('a@x.com').id, 'standard');
+    assert.equal(manager.deleteSchedule('standard').messageCode, 'schedule.not_found');
+});
+
+test('invalid definitions are refused with every reason', () => {
+    const manager = createManager();
+
+    const validation = manager.validateSchedule({
+        ...manager.DEFAULT_SCHEDULE, id: 'Bad Id', workingDays: [7], startTime: '25:00', minimumHours: 9
+    });
+
+    assert.deepEqual(validation.codes, [
+        'schedule.invalid_id', 'schedule.invalid_working_days', 'schedule.invalid_times', 'schedule.invalid_minimum_hours'
+    ]);
+    assert.equal(manager.saveSchedule({ id: 'x', name: '' }).messageCode, 'schedule.invalid');
+    assert.equal(manager.assignSchedule('team', 'Ops', 'night').messageCode, 'schedule.invalid_target');
+});
+
+test('an end before the start runs the shift into the next day', () => {
+    const manager = createManager();
+
+    assert.deepEqual(manager.getShiftWindow(manager.getSchedule('night')), { start: 22 * 60, end: 30 * 60 });
+    assert.equal(manager.isWorkingDay(manager.getSchedule('weekend'), '2026-03-07'), true);
+    assert.equal(manager.isWorkingDay(manager.getSchedule('weekend'), '2026-03-02'), false);
+});
+
+test('only admins change schedules', async () => {
+    const { userHandler, attendanceHandler } = createApp();
+    await register(userHandler, 'admin@x.com');
+    await register(userHandler, 'emp@x.com');
+    await login(userHandler, 'emp@x.com');
+
+    assert.equal(attendanceHandler.scheduleManager.saveSchedule(NIGHT).code, 'FORBIDDEN');
+});
+
+test('punctuality and day status follow the schedule and its grace minutes', () => {
+    const { attendanceHandler } = createApp();
+    const standard = attendanceHandler.scheduleManager.DEFAULT_SCHEDULE;
+    const day = (punchIn, punchOut) => attendanceHandler.refreshRecord({
+        date: '2026-03-02',
+        timeZone: 'UTC',
+        intervals: [{
+            punchIn: punchIn,
+            punchInTimestamp: `2026-03-02T${punchIn}.000Z`,
+            punchOut: punchOut,
+            punchOutTimestamp: `2026-03-02T${punchOut}.000Z`
+        }]
+    });
+
+    const onTime = attendanceHandler.getPunctuality(day('09:10:00', '16:50:00'), standard);
+    assert.equal(onTime.lateArrival, false);
+    assert.equal(onTime.earlyDeparture, false);
+
+    const late = attendanceHandler.getPunctuality(day('09:25:00', '16:30:00'), standard);
+    assert.equal(late.minutesLate, 25);
+    assert.equal(late.minutesEarly, 30);
+
+    assert.equal(attendanceHandler.getRecordStatus(day('09:00:00', '17:00:00'), standard), 'Full Day');
+    assert.equal(attendanceHandler.getRecordStatus(day('09:00:00', '15:00:00'), standard), 'Partial Day');
+    assert.equal(attendanceHandler.getRecordStatus(day('09:00:00', '12:00:00'), standard), 'Short Day');
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiServer = require('../Backend/server');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const { PASSWORD } = require('./helpers');
+
+const port = 30000 + process.pid % 20000;
+const server = new ApiServer({ port: port, storage: new MemoryStorageAdapter() });
+const tokens = {};
+
+/**
+ * Call the API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path and query
+ * @param {Object|string} body - JSON body, or raw text
+ * @param {string} token - Session token (optional)
+ * @param {string} scheme - Authorization scheme of the token ('Kiosk' for a device token)
+ * @returns {Promise<Object>} {status, body}
+ */
+async function call(method, path, body = null, token = null, scheme = 'Bearer') {
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `${scheme} ${token}` } : {})
+        },
+        body: body === null ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    await server.listen();
+    for (const email of ['admin@x.com', 'emp@x.com']) {
+        await call('POST', '/api/auth/register', { name: email, email: email, password: PASSWORD, department: 'Ops', position: 'Staff' });
+        tokens[email] = (await call('POST', '/api/auth/login', { email: email, password: PASSWORD })).body.session.id;
+    }
+});
+
+after(() => server.close());
+
+test('register answers 201 and refuses a second account with the same email', async () => {
+    const created = await call('POST', '/api/auth/register', { name: 'N', email: 'new@x.com', password: PASSWORD, department: 'Ops', position: 'Staff' });
+    const again = await call('POST', '/api/auth/register', { name: 'N', email: 'new@x.com', password: PASSWORD, department: 'Ops', position: 'Staff' });
+
+    assert.equal(created.status, 201);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.messageCode, 'user.exists');
+});
+
+test('a wrong password answers 401 and leaves no session', async () => {
+    const response = await call('POST', '/api/auth/login', { email: 'emp@x.com', password: 'wrong-pass1' });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.session, undefined);
+});
+
+test('protected routes need a valid bearer token', async () => {
+    assert.equal((await call('GET', '/api/attendance/status')).status, 401);
+    assert.equal((await call('GET', '/api/attendance/status', null, 'f'.repeat(64))).status, 401);
+    assert.equal((await call('GET', '/api/attendance/status', null, tokens['emp@x.com'])).status, 200);
+});
+
+test('unknown paths, wrong methods and malformed bodies get distinct errors', async () => {
+    assert.equal((await call('GET', '/api/nothing-here')).status, 404);
+    assert.equal((await call('GET', '/api/auth/login')).status, 405);
+
+    const malformed = await call('POST', '/api/auth/login', '{"email":');
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'INVALID_JSON');
+    assert.equal((await call('POST', '/api/auth/login', '[1]')).body.messageCode, 'server.invalid_body');
+});
+
+test('body fields of the wrong type are refused rather than failing', async () => {
+    const login = await call('POST', '/api/auth/login', { email: 5, password: PASSWORD });
+    const punchOut = await call('POST', '/api/attendance/punch-out', { notes: 5 }, tokens['admin@x.com']);
+    const target = await call('POST', '/api/attendance/break/start', { email: ['emp@x.com'] }, tokens['admin@x.com']);
+
+    assert.deepEqual([login.status, login.body.messageCode, login.body.messageParams], [400, 'server.invalid_field', { name: 'email' }]);
+    assert.deepEqual([punchOut.status, punchOut.body.messageParams], [400, { name: 'notes' }]);
+    assert.deepEqual([target.status, target.body.messageParams], [400, { name: 'email' }]);
+});
+
+test('each request acts as its own caller', async () => {
+    const punched = await call('POST', '/api/attendance/punch-in', {}, tokens['emp@x.com']);
+    const twice = await call('POST', '/api/attendance/punch-in', {}, tokens['emp@x.com']);
+    const other = await call('POST', '/api/attendance/punch-in', { email: 'admin@x.com' }, tokens['emp@x.com']);
+
+    assert.equal(punched.status, 200);
+    assert.equal(twice.status, 409);
+    assert.equal(other.status, 403);
+});
+
+test('missing query parameters are named in the error', async () => {
+    const response = await call('GET', '/api/attendance/summary/monthly', null, tokens['emp@x.com']);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.messageCode, 'server.missing_params');
+});
+
+test('monthly summaries need a whole year and a month from 1 to 12', async () => {
+    const summary = query => call('GET', `/api/attendance/summary/monthly?${query}`, null, tokens['emp@x.com']);
+
+    assert.equal((await summary('year=2026&month=3')).body.summary.year, 2026);
+    for (const query of ['year=abc&month=3', 'year=2026&month=13', 'year=2026&month=0', 'year=2026&month=3.5']) {
+        const response = await summary(query);
+        assert.deepEqual([response.status, response.body.messageCode], [400, 'server.invalid_month'], query);
+    }
+});
+
+test('kiosk device tokens only punch employees in and out', async () => {
+    await call('POST', '/api/auth/register', { name: 'Desk', email: 'desk@x.com', password: PASSWORD, department: 'Ops', position: 'Staff' });
+    assert.equal((await call('POST', '/api/kiosk/devices', { name: 'Lobby' }, tokens['emp@x.com'])).status, 403);
+
+    const registered = await call('POST', '/api/kiosk/devices', { name: 'Lobby' }, tokens['admin@x.com']);
+    const token = registered.body.token;
+    const punched = await call('POST', '/api/kiosk/punch-in', { email: 'desk@x.com' }, token, 'Kiosk');
+
+    assert.equal(registered.status, 201);
+    assert.equal(punched.status, 200);
+    assert.equal(punched.body.messageCode, 'attendance.punched_in');
+    assert.equal((await call('GET', '/api/attendance/status', null, token)).status, 401);
+    assert.equal((await call('GET', '/api/kiosk/devices', null, token)).status, 401);
+    assert.equal((await call('POST', '/api/kiosk/punch-out', { email: 'desk@x.com' }, tokens['admin@x.com'])).status, 401);
+
+    const revoked = await call('POST', '/api/kiosk/devices/revoke', { deviceId: registered.body.device.id }, tokens['admin@x.com']);
+    const refused = await call('POST', '/api/kiosk/punch-out', { email: 'desk@x.com' }, token, 'Kiosk');
+
+    assert.equal(revoked.status, 200);
+    assert.deepEqual([refused.status, refused.body.messageCode], [401, 'kiosk.device_unknown']);
+});
+
+test('logout revokes the token', async () => {
+    const token = (await call('POST', '/api/auth/login', { email: 'admin@x.com', password: PASSWORD })).body.session.id;
+
+    assert.equal((await call('POST', '/api/auth/logout', {}, token)).status, 200);
+    assert.equal((await call('GET', '/api/attendance/status', null, token)).status, 401);
+});
+
+test('history, export and analytics ranges must be real dates, in order and at most a year long', async () => {
+    const token = tokens['emp@x.com'];
+    const history = query => call('GET', `/api/attendance/history?${query}`, null, token);
+
+    assert.equal((await history('start=2026-03-01&end=2026-03-31')).status, 200);
+    assert.equal((await history('start=2026-02-30&end=2026-03-31')).body.messageCode, 'server.invalid_date');
+    assert.equal((await history('start=2026-04-01&end=2026-03-31')).body.messageCode, 'server.invalid_range');
+
+    const tooLong = await history('start=2025-01-01&end=2026-01-02');
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.messageCode, 'server.range_too_long');
+
+    for (const path of ['/api/attendance/export.csv?', '/api/export?format=csv&']) {
+        assert.equal((await call('GET', `${path}start=zzz&end=2026-03-31`, null, token)).body.messageCode, 'server.invalid_date');
+        assert.equal((await call('GET', `${path}start=2025-01-01&end=2026-01-02`, null, token)).body.messageCode, 'server.range_too_long');
+    }
+
+    const analytics = await call('GET', '/api/reports/analytics?start=2025-01-01&end=2026-01-02', null, token);
+    assert.equal(analytics.status, 400);
+    assert.equal(analytics.body.messageCode, 'analytics.range_too_long');
+});
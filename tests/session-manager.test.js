@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, createApp, register, login } = require('./helpers');
+
+/**
+ * Shift a stored session's timestamps into the past
+ * @param {DataManager} dataManager - Data manager
+ * @param {string} sessionId - Session ID
+ * @param {Object} changes - Fields to overwrite
+ */
+function rewriteSession(dataManager, sessionId, changes) {
+    const sessions = dataManager.getSessions();
+    Object.assign(sessions[sessionId], changes);
+    dataManager.setSessions(sessions);
+}
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+test('login issues a random session that expires after the configured duration', async () => {
+    const { userHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+
+    const result = await login(userHandler, 'a@x.com');
+    const lifetime = new Date(result.session.expiresAt).getTime() - Date.now();
+
+    assert.match(result.session.id, /^[0-9a-f]{64}$/);
+    assert.ok(Math.abs(lifetime - 12 * 60 * 60 * 1000) < 5000);
+    assert.equal(userHandler.isLoggedIn(), true);
+});
+
+test('expired sessions are rejected and removed from the store', async () => {
+    const { dataManager, userHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+    const { session } = await login(userHandler, 'a@x.com');
+
+    rewriteSession(dataManager, session.id, { expiresAt: minutesAgo(1) });
+
+    assert.equal(userHandler.isLoggedIn(), false);
+    assert.equal(dataManager.getSessions()[session.id], undefined);
+});
+
+test('idle sessions time out while activity keeps them alive', async () => {
+    const { dataManager, userHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+    const { session } = await login(userHandler, 'a@x.com');
+
+    rewriteSession(dataManager, session.id, { lastActivity: minutesAgo(20) });
+    assert.equal(userHandler.isLoggedIn(), true);
+    const touched = new Date(dataManager.getSessions()[session.id].lastActivity).getTime();
+    assert.ok(Date.now() - touched < 5000);
+
+    rewriteSession(dataManager, session.id, { lastActivity: minutesAgo(31) });
+    assert.equal(userHandler.isLoggedIn(), false);
+});
+
+test('background checks do not count as activity', async () => {
+    const { dataManager, userHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+    const { session } = await login(userHandler, 'a@x.com');
+    const stale = minutesAgo(20);
+
+    rewriteSession(dataManager, session.id, { lastActivity: stale });
+
+    assert.equal(userHandler.hasValidSession(), true);
+    assert.equal(dataManager.getSessions()[session.id].lastActivity, stale);
+});
+
+test('sessions on several devices are listed and revoked together', async () => {
+    const { userHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+    await userHandler.login('a@x.com', PASSWORD, { userAgent: 'phone' });
+    userHandler.sessionManager.createSession('a@x.com', { userAgent: 'laptop' });
+
+    const sessions = userHandler.getActiveSessions();
+    assert.deepEqual(sessions.map(session => session.userAgent).sort(), ['laptop', 'phone']);
+    assert.equal(sessions.filter(session => session.current).length, 1);
+
+    const result = userHandler.logoutAllSessions('a@x.com');
+    assert.equal(result.revoked, 2);
+    assert.equal(userHandler.isLoggedIn(), false);
+});
+
+test('deactivating a user ends their sessions', async () => {
+    const { userHandler } = createApp();
+    await register(userHandler, 'admin@x.com');
+    await register(userHandler, 'emp@x.com');
+    userHandler.sessionManager.createSession('emp@x.com');
+    await login(userHandler, 'admin@x.com');
+
+    assert.equal(userHandler.deactivateUser('emp@x.com').success, true);
+    assert.deepEqual(userHandler.sessionManager.getUserSessions('emp@x.com'), []);
+});
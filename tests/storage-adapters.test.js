@@ -0,0 +1,94 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const FileStorageAdapter = require('../Backend/file-storage-adapter');
+const LocalStorageAdapter = require('../Backend/local-storage-adapter');
+
+/**
+ * Minimal stand-in for the browser's Web Storage object
+ */
+class WebStorage {
+    constructor() {
+        this.values = {};
+    }
+
+    getItem(key) {
+        return key in this.values ? this.values[key] : null;
+    }
+
+    setItem(key, value) {
+        this.values[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.values[key];
+    }
+
+    key(index) {
+        return Object.keys(this.values)[index];
+    }
+
+    get length() {
+        return Object.keys(this.values).length;
+    }
+}
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Create a file path in a fresh temporary directory
+ * @returns {string} File path that does not exist yet
+ */
+function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sparrowtrack-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'data', 'store.json');
+}
+
+const adapters = {
+    memory: () => new MemoryStorageAdapter(),
+    file: () => new FileStorageAdapter(tempFile()),
+    localStorage: () => new LocalStorageAdapter(new WebStorage())
+};
+
+Object.keys(adapters).forEach(name => {
+    test(`${name} adapter stores, lists and removes values as strings`, () => {
+        const storage = adapters[name]();
+
+        assert.equal(storage.getItem('missing'), null);
+        storage.setItem('count', 3);
+        storage.setItem('name', 'sparrow');
+        assert.equal(storage.getItem('count'), '3');
+        assert.deepEqual(storage.keys().sort(), ['count', 'name']);
+
+        storage.removeItem('count');
+        assert.deepEqual(storage.keys(), ['name']);
+    });
+
+    test(`DataManager round-trips users on the ${name} adapter`, () => {
+        const dataManager = new DataManager(adapters[name]());
+
+        assert.deepEqual(dataManager.getUsers(), {});
+        dataManager.setUsers({ 'a@x.com': { email: 'a@x.com' } });
+        assert.deepEqual(Object.keys(dataManager.getUsers()), ['a@x.com']);
+    });
+});
+
+test('file adapter persists across instances and creates missing directories', () => {
+    const filePath = tempFile();
+    new DataManager(new FileStorageAdapter(filePath)).setUsers({ 'a@x.com': { email: 'a@x.com' } });
+
+    const reopened = new DataManager(new FileStorageAdapter(filePath));
+
+    assert.deepEqual(Object.keys(reopened.getUsers()), ['a@x.com']);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('DataManager falls back to memory storage outside the browser', () => {
+    assert.ok(new DataManager().storage instanceof MemoryStorageAdapter);
+});
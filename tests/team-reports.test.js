@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp, register, login, useMiddayTimeZone, backdateSession, hoursAgo, seedDay } = require('./helpers');
+
+/**
+ * Create an installation where boss@x.com (a manager) leads lead@x.com, who leads dev@x.com,
+ * and ops@x.com sits in another department without a manager; the admin is logged in
+ * @returns {Promise<Object>} App from createApp() plus its team reports
+ */
+async function createTeam() {
+    const app = createApp();
+    await register(app.userHandler, 'admin@x.com', { department: 'Admin' });
+    await register(app.userHandler, 'boss@x.com', { department: 'Eng' });
+    await register(app.userHandler, 'lead@x.com', { department: 'Eng' });
+    await register(app.userHandler, 'dev@x.com', { department: 'Eng' });
+    await register(app.userHandler, 'ops@x.com', { department: 'Ops' });
+    await login(app.userHandler, 'admin@x.com');
+    app.userHandler.setUserRole('boss@x.com', 'manager');
+    app.userHandler.setManager('lead@x.com', 'boss@x.com');
+    app.userHandler.setManager('dev@x.com', 'lead@x.com');
+    return { ...app, teamReports: app.attendanceHandler.teamReports };
+}
+
+test('a reporting line includes indirect reports and cannot loop', async () => {
+    const { userHandler, teamReports } = await createTeam();
+
+    assert.deepEqual(teamReports.getMembers({ managerEmail: 'Boss@x.com' }).map(user => user.email), ['dev@x.com', 'lead@x.com']);
+    assert.deepEqual(teamReports.getMembers({ department: 'Ops' }).map(user => user.email), ['ops@x.com']);
+    assert.equal(userHandler.setManager('boss@x.com', 'dev@x.com').messageCode, 'user.reporting_cycle');
+});
+
+test('summaries total each group and the whole team', async () => {
+    const { attendanceHandler, teamReports } = await createTeam();
+    seedDay(attendanceHandler, 'lead@x.com', '2026-03-02', [['09:00', '17:00']]);
+    seedDay(attendanceHandler, 'dev@x.com', '2026-03-03', [['09:00', '15:00']]);
+    seedDay(attendanceHandler, 'ops@x.com', '2026-03-04', [['09:00', '13:00']]);
+    seedDay(attendanceHandler, 'ops@x.com', '2026-03-09', [['09:00', '17:00']]);
+
+    const summary = teamReports.getTeamSummary('week', '2026-03-04');
+    const eng = summary.groups.find(group => group.key === 'Eng');
+
+    assert.equal(summary.start, '2026-03-02');
+    assert.equal(summary.end, '2026-03-08');
+    assert.equal(eng.totals.totalHours, 14);
+    assert.equal(eng.totals.daysPresent, 2);
+    assert.equal(summary.totals.totalHours, 18);
+    assert.equal(summary.totals.people, 5);
+
+    const byManager = teamReports.getTeamSummary('month', '2026-03-04', { managerEmail: 'boss@x.com' }, 'manager');
+    assert.deepEqual(byManager.groups.map(group => [group.key, group.totals.totalHours]), [['boss@x.com', 8], ['lead@x.com', 6]]);
+    assert.equal(teamReports.getTeamSummary('year').messageCode, 'team.invalid_options');
+});
+
+test('live status shows who is in, late and absent right now', async () => {
+    const { userHandler, attendanceHandler, teamReports } = await createTeam();
+    useMiddayTimeZone(attendanceHandler);
+    const everyDay = { id: 'daily', name: 'Daily', workingDays: [0, 1, 2, 3, 4, 5, 6], startTime: '09:00', endTime: '17:00' };
+    attendanceHandler.scheduleManager.saveSchedule(everyDay);
+    attendanceHandler.scheduleManager.assignSchedule('default', null, 'daily');
+
+    await login(userHandler, 'dev@x.com');
+    backdateSession(userHandler, 3);
+    attendanceHandler.punchIn('dev@x.com', { timestamp: hoursAgo(2) });
+    await login(userHandler, 'boss@x.com');
+
+    const status = teamReports.getLiveStatus({ department: 'Eng' });
+
+    assert.deepEqual(status.inNow.map(person => person.email), ['dev@x.com']);
+    assert.deepEqual(status.late.map(person => person.email), ['dev@x.com']);
+    assert.deepEqual(status.absent.map(person => person.email).sort(), ['boss@x.com', 'lead@x.com']);
+    assert.equal(status.counts.members, 3);
+});
+
+test('employees cannot see team reports', async () => {
+    const { userHandler, teamReports } = await createTeam();
+    await login(userHandler, 'dev@x.com');
+
+    assert.equal(teamReports.getLiveStatus().code, 'FORBIDDEN');
+    assert.equal(teamReports.getTeamSummary().code, 'FORBIDDEN');
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataManager = require('../Backend/data-manager');
+const MemoryStorageAdapter = require('../Backend/memory-storage-adapter');
+const TimeZoneManager = require('../Backend/time-zone-manager');
+const { createApp, register, login } = require('./helpers');
+
+/**
+ * Unrestricted time zone manager whose site runs on UTC
+ * @returns {TimeZoneManager} Time zone manager
+ */
+function createManager() {
+    const manager = new TimeZoneManager(new DataManager(new MemoryStorageAdapter()));
+    manager.setSiteTimeZone('UTC');
+    return manager;
+}
+
+test('instants convert to wall-clock dates and times in any zone', () => {
+    const manager = createManager();
+    const at = new Date('2026-03-02T20:15:30Z');
+
+    assert.equal(manager.getDate(at, 'Asia/Kolkata'), '2026-03-03');
+    assert.equal(manager.getTime(at, 'Asia/Kolkata'), '01:45:30');
+    assert.equal(manager.getOffsetMinutes(at, 'Asia/Kolkata'), 330);
+    assert.equal(manager.getOffsetMinutes(at, 'America/New_York'), -300);
+    assert.equal(manager.getDate(at), '2026-03-02');
+    assert.equal(manager.toInstant('2026-03-03', '01:45:30', 'Asia/Kolkata').toISOString(), '2026-03-02T20:15:30.000Z');
+});
+
+test('wall-clock times around DST changes resolve predictably', () => {
+    const manager = createManager();
+    const zone = 'America/New_York';
+
+    // Spring forward: 02:30 does not exist and moves on by the gap
+    assert.equal(manager.toInstant('2026-03-08', '02:30', zone).toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(manager.toInstant('2026-03-08', '12:00', zone).toISOString(), '2026-03-08T16:00:00.000Z');
+    // Fall back: 01:30 happens twice and the first one is taken
+    assert.equal(manager.toInstant('2026-11-01', '01:30', zone).toISOString(), '2026-11-01T05:30:00.000Z');
+    assert.equal(manager.toInstant('2026-11-01', '12:00', zone).toISOString(), '2026-11-01T17:00:00.000Z');
+});
+
+test('calendar arithmetic works on dates, not instants', () => {
+    const manager = createManager();
+
+    assert.equal(manager.addDays('2028-02-28', 1), '2028-02-29');
+    assert.equal(manager.addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(manager.daysBetween('2026-03-01', '2026-11-01'), 245);
+    assert.equal(manager.isValidDate('2026-02-29'), false);
+    assert.equal(manager.isValidDate('2028-02-29'), true);
+    assert.equal(manager.isValidDate('2026-3-1'), false);
+});
+
+test('users follow the site zone unless they set their own', async () => {
+    const { userHandler, attendanceHandler } = createApp();
+    const manager = attendanceHandler.timeZoneManager;
+    await register(userHandler, 'admin@x.com');
+    await register(userHandler, 'emp@x.com');
+    await login(userHandler, 'admin@x.com');
+    manager.setSiteTimeZone('Europe/London');
+
+    await login(userHandler, 'emp@x.com');
+    assert.equal(manager.getTimeZoneForUser('emp@x.com'), 'Europe/London');
+    assert.equal(manager.setUserTimeZone('EMP@x.com', 'Asia/Kolkata').timeZone, 'Asia/Kolkata');
+    assert.equal(manager.getTimeZoneForUser('emp@x.com'), 'Asia/Kolkata');
+    assert.equal(manager.setUserTimeZone('emp@x.com', 'Mars/Olympus').messageCode, 'timezone.unknown');
+    assert.equal(manager.setUserTimeZone('admin@x.com', 'Asia/Tokyo').code, 'FORBIDDEN');
+    assert.equal(manager.setSiteTimeZone('Asia/Tokyo').code, 'FORBIDDEN');
+
+    assert.equal(manager.setUserTimeZone('emp@x.com', null).messageCode, 'timezone.follows_site');
+    assert.equal(manager.getTimeZoneForUser('emp@x.com'), 'Europe/London');
+});
+
+test('punches are filed under the date in the user\'s zone and keep that zone', async () => {
+    const { userHandler, attendanceHandler } = createApp();
+    await register(userHandler, 'a@x.com');
+    await login(userHandler, 'a@x.com');
+    attendanceHandler.timeZoneManager.setUserTimeZone('a@x.com', 'Pacific/Kiritimati');
+
+    const result = attendanceHandler.punchIn('a@x.com');
+    const record = attendanceHandler.getAttendanceRecord('a@x.com', result.date);
+    const at = new Date(record.punchInTimestamp);
+
+    assert.equal(record.timeZone, 'Pacific/Kiritimati');
+    assert.equal(result.date, attendanceHandler.timeZoneManager.getDate(at, 'Pacific/Kiritimati'));
+    assert.equal(record.punchIn, attendanceHandler.timeZoneManager.getTime(at, 'Pacific/Kiritimati'));
+});